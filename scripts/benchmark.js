@@ -0,0 +1,96 @@
+// --- BENCHMARK DO CARREGAMENTO DE DADOS ---
+// Compara a forma antiga de montar o pipeline (um listener por projeto recriado a cada alteração na base,
+// juntando cada entrada com `masterInvestors.find`) com a atual (pipeline guardado tal como vem do
+// Firestore e junto à base por um índice por id, ver joinPipeline e lib/shards.js).
+// Uso: `npm run benchmark` (em memória, com uma base gerada de 10 000 investidores).
+// Com `-- --emuladores`, mede também o carregamento da base nos emuladores: arranque-os com
+// `npm run emulators` e preencha-os com `npm run seed -- --investidores=10000`.
+import { loadEnv } from 'vite';
+import { performance } from 'node:perf_hooks';
+import { initializeApp } from 'firebase/app';
+import { getAuth, connectAuthEmulator, signInWithEmailAndPassword } from 'firebase/auth';
+import { getFirestore, connectFirestoreEmulator, collection, query, where, documentId, onSnapshot } from 'firebase/firestore';
+import { loadFirebaseSettings } from '../src/lib/firebaseConfig.js';
+import { joinPipeline } from '../src/lib/pipeline.js';
+import { idShards, indexById } from '../src/lib/shards.js';
+
+const INVESTORS = 10000;
+const PIPELINE_ENTRIES = 2500;
+const RUNS = 7;
+
+const ID_CHARS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+const autoId = () => Array.from({ length: 20 }, () => ID_CHARS[Math.floor(Math.random() * ID_CHARS.length)]).join('');
+
+const median = (values) => [...values].sort((a, b) => a - b)[Math.floor(values.length / 2)];
+const time = (fn) => median(Array.from({ length: RUNS }, () => {
+    const start = performance.now();
+    fn();
+    return performance.now() - start;
+}));
+const ms = (value) => `${value.toFixed(1)} ms`;
+
+const inMemory = () => {
+    const masterInvestors = Array.from({ length: INVESTORS }, (_, index) => ({ id: autoId(), nomeFantasia: `Investidor ${index + 1}`, setor: 'Generalista', nota: 3 }));
+    // Entradas espalhadas pela base, como num projeto real.
+    const step = Math.floor(INVESTORS / PIPELINE_ENTRIES);
+    const entries = masterInvestors.filter((_, index) => index % step === 0).slice(0, PIPELINE_ENTRIES).map(({ id }) => ({ id, status: 'Contatado', notaDePrioridade: 3, arquivado: false }));
+
+    // Como o antigo efeito do pipeline: uma procura linear na base por cada entrada.
+    const legacyJoin = () => entries.map(entry => {
+        const masterData = masterInvestors.find(mi => mi.id === entry.id);
+        return masterData && !entry.arquivado ? { ...masterData, ...entry } : null;
+    }).filter(Boolean);
+    const indexedJoin = () => joinPipeline(entries, indexById(masterInvestors));
+
+    if (legacyJoin().length !== indexedJoin().length) throw new Error('As duas junções deram resultados diferentes.');
+    const shardSizes = idShards().map(({ from, to }) => masterInvestors.filter(({ id }) => (!from || id >= from) && (!to || id < to)).length);
+
+    console.log(`Base gerada: ${INVESTORS} investidores, ${PIPELINE_ENTRIES} no pipeline (mediana de ${RUNS} execuções).`);
+    console.log(`  Junção com find (antes):                   ${ms(time(legacyJoin))}`);
+    console.log(`  Índice por id + junção (agora):            ${ms(time(indexedJoin))}`);
+    console.log(`  Investidores por parte da base: ${shardSizes.join(', ')}`);
+};
+
+// Tempo até ao primeiro snapshot de cada consulta, todas abertas ao mesmo tempo.
+const firstSnapshots = (queries) => {
+    const start = performance.now();
+    const unsubs = [];
+    const times = Promise.all(queries.map(listenedQuery => new Promise((resolve, reject) => {
+        unsubs.push(onSnapshot(listenedQuery, snap => resolve({ ms: performance.now() - start, size: snap.size }), reject));
+    })));
+    return times.finally(() => unsubs.forEach(unsub => unsub()));
+};
+
+const onEmulators = async () => {
+    const { config, appId, emulators } = loadFirebaseSettings({ env: { ...loadEnv('development', process.cwd(), 'VITE_'), VITE_USE_EMULATORS: 'true' } });
+    const app = initializeApp(config);
+    const auth = getAuth(app);
+    const db = getFirestore(app);
+    connectAuthEmulator(auth, emulators.authUrl, { disableWarnings: true });
+    connectFirestoreEmulator(db, emulators.firestoreHost, emulators.firestorePort);
+    // Conta e espaço criados por scripts/seed.js.
+    await signInWithEmailAndPassword(auth, 'ana@pacta.dev', 'pacta-demo');
+    const investors = collection(db, 'artifacts', appId, 'workspaces', 'demo', 'investors');
+
+    const [whole] = await firstSnapshots([query(investors)]);
+    const shards = await firstSnapshots(idShards().map(({ from, to }) => query(investors,
+        ...[from && where(documentId(), '>=', from), to && where(documentId(), '<', to)].filter(Boolean))));
+    const total = shards.reduce((sum, shard) => sum + shard.size, 0);
+    if (total !== whole.size) throw new Error(`As partes somam ${total} investidores, mas a base tem ${whole.size}.`);
+
+    console.log(`Emuladores: ${whole.size} investidores.`);
+    console.log(`  Um listener para a base toda (antes): ${ms(whole.ms)} até aparecer o primeiro investidor`);
+    console.log(`  ${shards.length} listeners por partes (agora): ${ms(Math.min(...shards.map(shard => shard.ms)))} até à primeira parte, ${ms(Math.max(...shards.map(shard => shard.ms)))} até à última`);
+};
+
+const main = async () => {
+    inMemory();
+    if (process.argv.includes('--emuladores')) await onEmulators();
+};
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error("Erro no benchmark:", error);
+        process.exit(1);
+    });
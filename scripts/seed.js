@@ -0,0 +1,247 @@
+// --- DADOS DE DEMONSTRAÇÃO PARA OS EMULADORES ---
+// Uso: `npm run emulators` num terminal e `npm run seed` noutro; depois `npm run dev` com
+// VITE_USE_EMULATORS=true no .env.local. O script apaga tudo o que estiver nos emuladores e cria
+// um espaço de trabalho fictício, gravando através das regras como a aplicação faria.
+// Só fala com os emuladores: nunca toca num projeto Firebase real.
+// `npm run seed -- --investidores=10000` cria uma base maior (nomes repetidos com um número), por
+// exemplo para `npm run benchmark -- --emuladores`.
+import { loadEnv } from 'vite';
+import { initializeApp } from 'firebase/app';
+import { getAuth, connectAuthEmulator, createUserWithEmailAndPassword, signInWithEmailAndPassword, signOut, updateProfile, sendEmailVerification, applyActionCode } from 'firebase/auth';
+import { getFirestore, connectFirestoreEmulator, doc, collection, writeBatch, setDoc } from 'firebase/firestore';
+import { loadFirebaseSettings } from '../src/lib/firebaseConfig.js';
+import { commitInChunks } from '../src/lib/batch.js';
+import { STAGE_TEMPLATES, withStageNames } from '../src/lib/stages.js';
+import { buildChangeLogEntries, INTERACTION_TYPES, newInteractionId } from '../src/lib/pipeline.js';
+import { normalizeText, sanitizeInvestor } from '../src/lib/investors.js';
+import { EMPTY_CONTACT, contactLabel, importedContacts } from '../src/lib/contacts.js';
+
+const WORKSPACE_ID = 'demo';
+const PASSWORD = 'pacta-demo';
+const USERS = {
+    admin: { email: 'ana@pacta.dev', nome: 'Ana Demo' },
+    viewer: { email: 'fundador@startup.dev', nome: 'Fundador Demo' },
+};
+
+const { config, appId, emulators } = loadFirebaseSettings({ env: { ...loadEnv('development', process.cwd(), 'VITE_'), VITE_USE_EMULATORS: 'true' } });
+const app = initializeApp(config);
+const auth = getAuth(app);
+const db = getFirestore(app);
+connectAuthEmulator(auth, emulators.authUrl, { disableWarnings: true });
+connectFirestoreEmulator(db, emulators.firestoreHost, emulators.firestorePort);
+
+// Endpoints de administração dos emuladores (não existem no Firebase real).
+const clearEmulators = async () => {
+    const firestoreUrl = `http://${emulators.firestoreHost}:${emulators.firestorePort}/emulator/v1/projects/${config.projectId}/databases/(default)/documents`;
+    const authUrl = `${emulators.authUrl}/emulator/v1/projects/${config.projectId}/accounts`;
+    for (const url of [firestoreUrl, authUrl]) {
+        const response = await fetch(url, { method: 'DELETE' }).catch(() => {
+            throw new Error(`Os emuladores não responderam em ${url}. Arranque-os com \`npm run emulators\`.`);
+        });
+        if (!response.ok) throw new Error(`Não foi possível limpar ${url} (${response.status}).`);
+    }
+};
+
+// Gerador pseudoaleatório com semente fixa, para que cada execução crie os mesmos dados.
+let seed = 20260101;
+const random = () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+const pick = (list) => list[Math.floor(random() * list.length)];
+const between = (min, max) => min + Math.floor(random() * (max - min + 1));
+const daysAgo = (days, hours = 10) => {
+    const date = new Date();
+    date.setDate(date.getDate() - days);
+    date.setHours(hours, between(0, 59), 0, 0);
+    return date;
+};
+// Vencimentos de tarefas são gravados à meia-noite, como no formulário da aplicação.
+const dueIn = (days) => {
+    const date = new Date();
+    date.setDate(date.getDate() + days);
+    date.setHours(0, 0, 0, 0);
+    return date;
+};
+
+const INVESTOR_NAMES = [
+    'Aurora Capital', 'Cerrado Investimentos', 'Ipê Asset', 'Maré Gestora', 'Jequitibá Partners', 'Atlântico Family Office',
+    'Serra Azul Capital', 'Pampa Ventures', 'Araucária Asset', 'Vértice Crédito', 'Rio Claro Investimentos', 'Horizonte Infra',
+    'Tucano Ventures', 'Boreal Gestão', 'Carnaúba Capital', 'Igarapé Impacto', 'Baobá Family Office', 'Cobalto Crédito Estruturado',
+    'Delta Agro Fundo', 'Estrela do Sul Asset', 'Figueira Partners', 'Granito Capital', 'Jatobá Investimentos', 'Lumen Ventures',
+    'Mandacaru Capital', 'Nascente Impacto', 'Oceânica Asset', 'Paineira Family Office', 'Quaresmeira Crédito', 'Sabiá Ventures',
+    'Tarumã Capital', 'Urucum Investimentos', 'Veredas Gestora', 'Xingu Infra', 'Zênite Partners', 'Angico Anjos',
+];
+const CLASSIFICATIONS = ['Gestora', 'Family Office', 'Venture Capital', 'Banco', 'Investidor Anjo', 'Fundo de Pensão'];
+const TYPES = ['Fundo', 'Pessoa Física', 'Corporativo', 'Institucional'];
+const SECTORS = ['Agronegócio', 'Energia', 'Saúde', 'Fintech', 'Infraestrutura', 'Imobiliário', 'Generalista'];
+const INSTRUMENTS = ['Crédito', 'Equity', 'Crédito e Equity'];
+const JUSTIFICATIONS = [
+    'Tese alinhada e cheque médio compatível.', 'Já investiu em empresas do setor.', 'Relação próxima com a equipa de originação.',
+    'Mandato restrito, mas aberto a coinvestimentos.', 'Prefere rodadas com investidor líder definido.', 'Pouca atividade nos últimos 12 meses.',
+];
+const NOTES = {
+    Email: ['Enviado teaser e one-pager.', 'Enviado acesso ao data room.', 'Respondeu a pedir o modelo financeiro.'],
+    Chamada: ['Chamada de apresentação; pediu mais detalhes sobre a tração.', 'Alinhamento de cronograma com o analista.'],
+    'Reunião': ['Reunião com o sócio responsável; boa receção à tese.', 'Apresentação ao comité de investimento.'],
+    LinkedIn: ['Contacto inicial pelo LinkedIn.', 'Mensagem de follow-up após o evento.'],
+    Outro: ['Encontro no evento do setor.', 'Indicação de outro investidor.'],
+};
+
+const PEOPLE = ['Helena Prado', 'Rafael Menezes', 'Camila Duarte', 'Tiago Alencar', 'Juliana Serra', 'Marcos Vidal', 'Beatriz Lobo', 'Pedro Amaral'];
+const ROLES = ['Sócio(a)', 'Diretor(a) de Investimentos', 'Analista', 'Relações com Investidores'];
+
+const slug = (value) => normalizeText(value).replace(/[^a-z0-9]+/g, '');
+
+const investorCountArg = process.argv.find(arg => arg.startsWith('--investidores='));
+const INVESTOR_COUNT = Math.max(INVESTOR_NAMES.length, Number(investorCountArg?.split('=')[1]) || 0);
+const investorName = (index) => (index < INVESTOR_NAMES.length
+    ? INVESTOR_NAMES[index]
+    : `${INVESTOR_NAMES[index % INVESTOR_NAMES.length]} ${Math.floor(index / INVESTOR_NAMES.length) + 1}`);
+
+const buildInvestor = (nomeFantasia) => sanitizeInvestor({
+    nomeFantasia,
+    classificacao: pick(CLASSIFICATIONS),
+    tipo: pick(TYPES),
+    setor: pick(SECTORS),
+    creditoEquity: pick(INSTRUMENTS),
+    nota: between(1, 5),
+    justificativa: pick(JUSTIFICATIONS),
+    email1: `contato@${slug(nomeFantasia)}.com.br`,
+    email2: random() < 0.3 ? `ri@${slug(nomeFantasia)}.com.br` : '',
+    telefone: `+55 11 9${between(1000, 9999)}-${between(1000, 9999)}`,
+    linkedin: `https://www.linkedin.com/company/${slug(nomeFantasia)}`,
+});
+
+const PROJECTS = [
+    { id: 'agrotech-serie-a', name: 'Série A · AgroTech Cerrado', description: 'Rodada de expansão para novas regiões produtoras.', template: 'Equity', valorAlvo: 25000000, instrumento: 'Equity', estagio: 'Early Stage', setores: ['Agronegócio'], prazoEmDias: 90, investidores: 18, restrito: true },
+    { id: 'solar-debentures', name: 'Debêntures · Solar Nordeste', description: 'Financiamento de três parques solares.', template: 'Crédito', valorAlvo: 80000000, instrumento: 'Crédito', estagio: 'Growth', setores: ['Energia', 'Infraestrutura'], prazoEmDias: 150, investidores: 16 },
+    { id: 'healthtech-bridge', name: 'Bridge · HealthTech Vida', description: 'Ponte até à Série A.', template: 'Padrão', valorAlvo: 5000000, instrumento: 'Equity', estagio: 'Early Stage', setores: ['Saúde'], prazoEmDias: 45, investidores: 10 },
+];
+
+// Um sócio com nome (principal) e os contactos que a importação criaria a partir dos campos planos.
+const buildContacts = (investor) => {
+    const nome = pick(PEOPLE);
+    return [
+        { id: 'socio', data: { ...EMPTY_CONTACT, nome, cargo: pick(ROLES), email: `${slug(nome.split(' ')[0])}@${investor.email1.split('@')[1]}`, principal: true } },
+        ...importedContacts(investor).map(({ id, data }) => ({ id, data: { ...EMPTY_CONTACT, ...data } })),
+    ];
+};
+
+// Percorre as etapas em aberto até uma etapa aleatória, registando cada mudança como a aplicação faz.
+// Parte das entradas termina na etapa de ganho ou de perda do projeto; as interações ficam ligadas a um dos contactos.
+const buildPipelineEntry = (stages, author, contacts) => {
+    const open = stages.filter(stage => stage.tipo === 'aberta');
+    const won = stages.find(stage => stage.tipo === 'ganho');
+    const lost = stages.find(stage => stage.tipo === 'perdido');
+    const outcome = random();
+    const path = open.slice(0, between(1, open.length)).map(stage => stage.nome);
+    if (outcome < 0.12 && won) path.push(...open.slice(path.length).map(stage => stage.nome), won.nome);
+    else if (outcome < 0.25 && lost) path.push(lost.nome);
+
+    let day = between(60, 120);
+    let entry = null;
+    const historicoDeAlteracoes = [];
+    const historicoDeInteracoes = [];
+    path.forEach((status, index) => {
+        historicoDeAlteracoes.push(...buildChangeLogEntries(entry, { status }, author, daysAgo(day)));
+        entry = { ...entry, status };
+        if (index > 0) {
+            const tipo = pick(INTERACTION_TYPES);
+            const contact = pick(contacts);
+            historicoDeInteracoes.push({ id: newInteractionId(), tipo, data: daysAgo(day, 15), anotacoes: pick(NOTES[tipo]), autor: author, contatoId: contact.id, contatoNome: contactLabel(contact.data) });
+        }
+        day = Math.max(1, day - between(5, 25));
+    });
+    const notaDePrioridade = between(1, 5);
+    if (notaDePrioridade !== 3) historicoDeAlteracoes.push(...buildChangeLogEntries({ notaDePrioridade: 3 }, { notaDePrioridade }, author, daysAgo(day)));
+    return { status: entry.status, notaDePrioridade, historicoDeAlteracoes, historicoDeInteracoes, adicionadoPor: author, arquivado: false };
+};
+
+const TASKS = ['Enviar modelo financeiro atualizado', 'Agendar reunião com o sócio', 'Ligar para confirmar interesse', 'Responder às perguntas da due diligence', 'Enviar term sheet revisto'];
+
+// As regras exigem o e-mail verificado: o link que o emulador "envia" é lido da sua API e aplicado.
+const createUser = async ({ email, nome }) => {
+    const { user } = await createUserWithEmailAndPassword(auth, email, PASSWORD);
+    await updateProfile(user, { displayName: nome });
+    await sendEmailVerification(user);
+    const response = await fetch(`${emulators.authUrl}/emulator/v1/projects/${config.projectId}/oobCodes`);
+    const { oobCodes } = await response.json();
+    await applyActionCode(auth, oobCodes.find(code => code.email === email && code.requestType === 'VERIFY_EMAIL').oobCode);
+    await user.getIdToken(true);
+    return user;
+};
+
+const member = (user, papel) => ({ uid: user.uid, nome: user.displayName, email: user.email, papel, entrouEm: new Date() });
+
+const main = async () => {
+    console.log(`A limpar os emuladores do projeto ${config.projectId}...`);
+    await clearEmulators();
+
+    const root = doc(db, 'artifacts', appId, 'workspaces', WORKSPACE_ID);
+    const admin = await createUser(USERS.admin);
+    const author = { uid: admin.uid, nome: USERS.admin.nome };
+
+    const workspaceBatch = writeBatch(db);
+    workspaceBatch.set(root, { nome: 'Pacta (demonstração)', criadoEm: new Date(), criadoPor: admin.uid });
+    workspaceBatch.set(doc(root, 'members', admin.uid), member(admin, 'admin'));
+    await workspaceBatch.commit();
+    await setDoc(doc(db, 'artifacts', appId, 'users', admin.uid), { workspaces: [WORKSPACE_ID], workspaceAtivo: WORKSPACE_ID });
+
+    const investors = Array.from({ length: INVESTOR_COUNT }, (_, index) => {
+        const data = buildInvestor(investorName(index));
+        return { ref: doc(collection(root, 'investors')), data, contacts: buildContacts(data) };
+    });
+    await commitInChunks(db, investors, (batch, { ref, data }) => batch.set(ref, { ...data, dataDeCriacao: daysAgo(between(120, 365)), criadoPor: author }));
+    const contactWrites = investors.flatMap(({ ref, contacts }) => contacts.map(({ id, data }) => [doc(ref, 'contacts', id), data]));
+    await commitInChunks(db, contactWrites, (batch, [ref, data]) => batch.set(ref, data));
+
+    // O convidado entra pelo fluxo normal de convites; só vê os projetos abertos a todos e aqueles em que é membro.
+    const viewerInvitation = doc(db, 'artifacts', appId, 'invitations', `${WORKSPACE_ID}_${USERS.viewer.email}`);
+    await setDoc(viewerInvitation, { workspaceId: WORKSPACE_ID, workspaceNome: 'Pacta (demonstração)', email: USERS.viewer.email, papel: 'viewer', convidadoPor: author, criadoEm: new Date() });
+    await signOut(auth);
+    const viewer = await createUser(USERS.viewer);
+    const joinBatch = writeBatch(db);
+    joinBatch.set(doc(root, 'members', viewer.uid), member(viewer, 'viewer'));
+    joinBatch.set(doc(db, 'artifacts', appId, 'users', viewer.uid), { workspaces: [WORKSPACE_ID], workspaceAtivo: WORKSPACE_ID });
+    joinBatch.delete(viewerInvitation);
+    await joinBatch.commit();
+    await signInWithEmailAndPassword(auth, USERS.admin.email, PASSWORD);
+
+    const writes = [];
+    const tasks = [];
+    PROJECTS.forEach(({ id, template, prazoEmDias, investidores, restrito, ...project }) => {
+        const prazo = new Date();
+        prazo.setDate(prazo.getDate() + prazoEmDias);
+        const stages = STAGE_TEMPLATES[template];
+        writes.push([doc(root, 'projects', id), {
+            ...project, ...withStageNames(stages), prazo: prazo.toISOString().slice(0, 10),
+            membros: restrito ? [admin.uid, viewer.uid] : [], arquivado: false, createdAt: daysAgo(130), criadoPor: author,
+        }]);
+        [...investors].sort(() => random() - 0.5).slice(0, investidores).forEach(({ ref, contacts }) => {
+            const entry = buildPipelineEntry(stages, author, contacts);
+            writes.push([doc(root, 'projects', id, 'pipeline', ref.id), entry]);
+            if (stages.find(stage => stage.nome === entry.status)?.tipo === 'aberta' && random() < 0.35) {
+                tasks.push({ projectId: id, investorId: ref.id, descricao: pick(TASKS), vencimento: dueIn(between(-7, 10)) });
+            }
+        });
+    });
+    tasks.forEach(task => writes.push([doc(collection(root, 'tasks')), {
+        ...task, responsavel: { uid: admin.uid, nome: USERS.admin.nome }, concluida: false, criadaEm: daysAgo(15), criadaPor: author,
+    }]));
+    await commitInChunks(db, writes, (batch, [ref, data]) => batch.set(ref, data));
+
+    console.log(`Espaço "${WORKSPACE_ID}" criado em artifacts/${appId}: ${investors.length} investidores, ${PROJECTS.length} projetos, ${tasks.length} tarefas.`);
+    console.log('Contas (palavra-passe igual para ambas):');
+    console.log(`  ${USERS.admin.email} / ${PASSWORD}  (administrador)`);
+    console.log(`  ${USERS.viewer.email} / ${PASSWORD}  (leitor, membro do projeto restrito)`);
+};
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error("Erro ao preencher os emuladores:", error);
+        process.exit(1);
+    });
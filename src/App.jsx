@@ -1,24 +1,70 @@
-import React, { useState, useEffect, useMemo, createContext, useContext } from 'react';
+import React, { useState, useEffect, useMemo, useCallback, useRef, createContext, useContext } from 'react';
 import { initializeApp, FirebaseError } from 'firebase/app';
 import { 
-    getFirestore, 
+    initializeFirestore, 
+    persistentLocalCache,
+    persistentMultipleTabManager,
+    connectFirestoreEmulator,
     collection, 
     addDoc, 
     onSnapshot, 
     doc, 
     updateDoc, 
     deleteDoc,
+    deleteField,
+    getDoc,
+    setDoc,
+    getDocs,
     query,
+    documentId,
+    where,
+    limit,
+    arrayUnion,
+    arrayRemove,
     writeBatch
 } from 'firebase/firestore';
 import { 
     getAuth, 
+    connectAuthEmulator,
     onAuthStateChanged,
     createUserWithEmailAndPassword,
     signInWithEmailAndPassword,
+    signInWithPopup,
+    getAdditionalUserInfo,
+    GoogleAuthProvider,
+    EmailAuthProvider,
+    reauthenticateWithCredential,
+    sendEmailVerification,
+    sendPasswordResetEmail,
+    updatePassword,
+    updateProfile,
     signOut
 } from 'firebase/auth';
-import { AlertTriangle, ArrowUpDown, PlusCircle, CheckCircle, Trash2, Edit, Star, Linkedin, Mail, ExternalLink, X, Users, Kanban, ChevronLeft, Folder, ChevronsUpDown, FolderPlus, UserPlus, Database, Phone, LogOut } from 'lucide-react';
+import { AlertTriangle, ArrowUpDown, PlusCircle, CheckCircle, Trash2, Edit, Star, Linkedin, Mail, ExternalLink, X, Users, Kanban, ChevronLeft, Folder, ChevronsUpDown, FolderPlus, UserPlus, Database, Phone, LogOut, Download, FileSpreadsheet, FileText, Printer, RotateCcw, ArchiveRestore, Archive, Copy, Target, CalendarClock, Settings, ChevronUp, ChevronDown, History, BarChart3, ListTodo, AlarmClock, CheckSquare, Square, Building2, Send, UserMinus, UserCircle, MailCheck, KeyRound, Link2, Bookmark, Columns3, ChevronRight, Tag, MessageSquarePlus, WifiOff, RefreshCw, CloudCheck, SlidersHorizontal } from 'lucide-react';
+import { INVESTOR_FIELDS, validateInvestor, sanitizeInvestor, buildDuplicateIndex, isValidEmail, parseTags } from './lib/investors.js';
+import { parseCsv } from './lib/csv.js';
+import { CUSTOM_FIELD_TYPES, hasOptions, customFieldKey, sortCustomFields, parseOptions, validateCustomField, sanitizeCustomField, parseCustomValue, formatCustomValue, customValueToText, customSortValue, emptyCustomFilter } from './lib/customFields.js';
+import { CONTACT_FIELDS, EMPTY_CONTACT, normalizeContact, validateContact, sanitizeContact, contactLabel, sortContacts, importedContacts } from './lib/contacts.js';
+import { readSpreadsheetFile, guessColumnMapping, buildImportPreview, buildImportOperations } from './lib/importer.js';
+import { commitInChunks } from './lib/batch.js';
+import { PAGE_SIZES, sortRows, toggleSort, paginate, resolveTablePrefs } from './lib/table.js';
+import { EMPTY_FILTERS, MULTI_FILTER_FIELDS, normalizeFilters, countActiveFilters, filterInvestors, uniqueValues, uniqueTags } from './lib/search.js';
+import { toDate, formatDate, formatDateTime, toIsoDay, toDateTimeLocal } from './lib/dates.js';
+import { formatCurrency } from './lib/format.js';
+import { computeFunnel, computeTimeInStage, computeInteractionsPerWeek, countBy, computeOutcomes, computeInvestorConversion } from './lib/analytics.js';
+import { TASK_GROUPS, classifyTask, groupTasks, overdueInvestorIds } from './lib/tasks.js';
+import { AUDITED_FIELDS, INTERACTION_TYPES, buildTimeline, lastChange, lastInteractionDate, findConflicts, joinPipeline } from './lib/pipeline.js';
+import { idShards, indexById } from './lib/shards.js';
+import { buildDealHistory, hasProjectProfile, isSimilarDeal, rankByFit } from './lib/fit.js';
+import { MERGE_FIELDS, NOT_CONTACTED_STAGE, CONTACTED_STAGE, MAILTO_MAX_LENGTH, validateEmailTemplate, defaultRecipient, mergeValues, renderEmail, emailInteractionNotes, buildMailtoUrl, buildEml, buildMbox } from './lib/emails.js';
+import { queuedWrite, syncState } from './lib/sync.js';
+import { importInvestors, addInvestorsToProject, updatePipelineEntry, addInteraction, updateInteraction, saveContact, deleteContact, updateInvestors, tagInvestors, moveInvestorsToTrash, updatePipelineEntries, removeFromProject, restorePipelineEntries, copyPipelineEntries, addInteractionToEntries, logSentEmails, duplicateProject } from './lib/operations.js';
+import { STAGE_COLORS, STAGE_TYPES, STAGE_TEMPLATES, NO_STAGE, getProjectStages, withStageNames, findStage, stageColor, groupByStage, validateStages } from './lib/stages.js';
+import { ROLES, ROLE_DESCRIPTIONS, isAdmin, canEdit, canAccessProject, normalizeEmail, memberLabel } from './lib/workspaces.js';
+import { DEFAULT_APP_ID, loadFirebaseSettings } from './lib/firebaseConfig.js';
+import { PROJECT_PAGES, parseRoute, buildPath } from './lib/routes.js';
+import { authErrorMessage, parseAllowedDomains, isAllowedEmail, needsEmailVerification, usesPassword } from './lib/auth.js';
+import { investorsToRows, pipelineToRows, downloadRows, downloadBlob, buildExportFileName, printPipelineReport } from './lib/export.js';
 
 // --- INICIALIZAÇÃO SEGURA DO FIREBASE ---
 let app;
@@ -26,36 +72,44 @@ let db;
 let auth;
 let firebaseInitializationError = null;
 let firebaseConfig = {};
+let usingEmulators = false;
 
-// O ID do aplicativo é obtido do ambiente, com um fallback.
-let appId = (typeof __app_id !== 'undefined') ? __app_id : 'investidores-pacta-default';
+// O ID do aplicativo é obtido do ambiente, com um fallback (ver lib/firebaseConfig.js).
+let appId = DEFAULT_APP_ID;
 
 try {
-    // Carrega a configuração a partir de variáveis globais injetadas pelo ambiente de produção (Vercel/Canvas).
-    if (typeof __firebase_config !== 'undefined') {
-        firebaseConfig = JSON.parse(__firebase_config);
-    } else {
-        // Se as variáveis globais não estiverem presentes, lança um erro claro.
-        // Esta abordagem remove a dependência do `import.meta.env`, que causava erros de build,
-        // focando no funcionamento em produção. Para desenvolvimento local, as variáveis
-        // de ambiente precisam ser injetadas de outra forma ou o código adaptado.
-        throw new Error("A configuração do Firebase não foi encontrada. Verifique se as Environment Variables estão definidas na Vercel.");
-    }
-
-    // Validação crucial para evitar a tela branca de erro.
-    if (!firebaseConfig.projectId || !firebaseConfig.apiKey) {
-        throw new Error("A configuração do Firebase está incompleta. Verifique as chaves de API nas 'Project Settings'.");
-    }
+    // As variáveis globais são injetadas pelo ambiente de produção (Vercel/Canvas); em desenvolvimento
+    // a configuração vem das variáveis VITE_* ou, com VITE_USE_EMULATORS=true, dos emuladores locais.
+    const settings = loadFirebaseSettings({
+        injectedConfig: (typeof __firebase_config !== 'undefined') ? __firebase_config : null,
+        injectedAppId: (typeof __app_id !== 'undefined') ? __app_id : null,
+        env: import.meta.env,
+    });
+    firebaseConfig = settings.config;
+    appId = settings.appId;
 
     app = initializeApp(firebaseConfig);
-    db = getFirestore(app);
+    // Cache local persistente (IndexedDB) partilhada entre separadores: os dados continuam disponíveis
+    // offline e as escritas ficam em fila até a ligação voltar (ver SINCRONIZAÇÃO).
+    db = initializeFirestore(app, { localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }) });
     auth = getAuth(app);
+    if (settings.emulators) {
+        connectFirestoreEmulator(db, settings.emulators.firestoreHost, settings.emulators.firestorePort);
+        connectAuthEmulator(auth, settings.emulators.authUrl, { disableWarnings: true });
+        usingEmulators = true;
+    }
 } catch (error) {
     console.error("ERRO CRÍTICO NA INICIALIZAÇÃO DO FIREBASE:", error);
     firebaseInitializationError = error.message;
 }
 
 
+// Domínios aceites nos registos (vazio = qualquer domínio). Ver .env.example.
+const allowedEmailDomains = parseAllowedDomains(import.meta.env.VITE_ALLOWED_EMAIL_DOMAINS);
+
+// Documento raiz do espaço de trabalho, usado pelas escritas em lib/operations.js.
+const workspaceDoc = (workspaceId) => doc(db, 'artifacts', appId, 'workspaces', workspaceId);
+
 // --- CONTEXTO PARA DADOS GLOBAIS ---
 const DataContext = createContext();
 
@@ -107,11 +161,12 @@ const ConfirmationModal = ({ isOpen, onClose, onConfirm, title, message }) => {
 };
 
 // NOVO: Componente para notificações "Toast"
-const Toast = ({ message, type = 'success', onDismiss }) => {
+// `action` ({ label, onClick }) acrescenta um botão, como "Desfazer"; o toast fica então mais tempo visível.
+const Toast = ({ message, type = 'success', action, onDismiss }) => {
     useEffect(() => {
-        const timer = setTimeout(onDismiss, 5000);
+        const timer = setTimeout(onDismiss, action ? 10000 : 5000);
         return () => clearTimeout(timer);
-    }, [onDismiss]);
+    }, [onDismiss, action]);
 
     const colors = {
         success: 'bg-green-600 border-green-500',
@@ -121,6 +176,7 @@ const Toast = ({ message, type = 'success', onDismiss }) => {
     return (
         <div className={`fixed bottom-5 right-5 z-50 p-4 rounded-lg shadow-xl text-white border-l-4 ${colors[type]} animate-fade-in-right`}>
             {message}
+            {action && <button onClick={() => { onDismiss(); action.onClick(); }} className="ml-4 font-semibold underline hover:no-underline">{action.label}</button>}
             <button onClick={onDismiss} className="absolute top-1 right-1 text-white/70 hover:text-white">
                 <X size={16} />
             </button>
@@ -136,10 +192,11 @@ const Toast = ({ message, type = 'success', onDismiss }) => {
 };
 
 
-const InputField = ({ label, ...props }) => (
+const InputField = ({ label, error, ...props }) => (
     <div>
         <label className="block text-sm font-medium text-gray-300 mb-1">{label}</label>
-        <input {...props} className="w-full bg-gray-900 border border-gray-600 rounded-md p-2.5 text-white focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition" />
+        <input {...props} className={`w-full bg-gray-900 border ${error ? 'border-red-500' : 'border-gray-600'} rounded-md p-2.5 text-white focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition`} />
+        {error && <p className="text-red-400 text-xs mt-1">{error}</p>}
     </div>
 );
 
@@ -158,34 +215,216 @@ const TextareaField = ({ label, ...props }) => (
 );
 
 
-const EditableStarRating = ({ score, onSave }) => {
+// Menu "Exportar" com as opções de formato; `onPrint` é opcional (relatório em PDF).
+const ExportMenu = ({ onExport, onPrint, disabled }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const choose = (action) => { setIsOpen(false); action(); };
+    return (
+        <div className="relative">
+            <button onClick={() => setIsOpen(!isOpen)} disabled={disabled} className="flex items-center gap-2 px-4 py-2 bg-gray-700 text-white rounded-md hover:bg-gray-600 disabled:opacity-50"><Download size={20} /><span>Exportar</span></button>
+            {isOpen && (
+                <div className="absolute right-0 top-full mt-2 w-56 bg-gray-800 border border-gray-700 rounded-lg shadow-xl z-20 p-2">
+                    <div onClick={() => choose(() => onExport('csv'))} className="p-3 hover:bg-gray-700 rounded-md cursor-pointer text-white flex items-center gap-2"><FileText size={18} /> CSV</div>
+                    <div onClick={() => choose(() => onExport('xlsx'))} className="p-3 hover:bg-gray-700 rounded-md cursor-pointer text-white flex items-center gap-2"><FileSpreadsheet size={18} /> Excel (XLSX)</div>
+                    {onPrint && <div onClick={() => choose(onPrint)} className="p-3 hover:bg-gray-700 rounded-md cursor-pointer text-white flex items-center gap-2"><Printer size={18} /> Relatório PDF</div>}
+                </div>
+            )}
+        </div>
+    );
+};
+
+// Ações de exportação do pipeline do projeto selecionado, partilhadas pelo Dashboard e pelo Kanban.
+const usePipelineExport = () => {
+    const { selectedProject: project, projectStages, projectInvestors, customFields, showToast } = useContext(DataContext);
+    return {
+        onExport: (format) => downloadRows(pipelineToRows(projectInvestors, customFields), buildExportFileName(`pipeline ${project?.name || ''}`), format),
+        onPrint: () => {
+            if (!printPipelineReport(project, projectInvestors, projectStages.map(stage => stage.nome))) showToast("Permita pop-ups para gerar o relatório.", 'error');
+        },
+        disabled: projectInvestors.length === 0,
+    };
+};
+
+// --- TABELAS ---
+// Preferências de uma tabela para o utilizador atual (ver lib/table.js); gravadas no perfil.
+const useTablePrefs = (tableId, defaults, columns) => {
+    const { tablePrefs, saveTablePrefs } = useContext(DataContext);
+    const prefs = resolveTablePrefs(tablePrefs?.[tableId], defaults, columns.map(column => column.key));
+    return [prefs, (changes) => saveTablePrefs(tableId, { ...prefs, ...changes })];
+};
+
+const ColumnChooser = ({ columns, visible, onChange }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    // Mantém a ordem da definição das colunas e pelo menos uma coluna visível.
+    const toggle = (key) => {
+        const next = visible.includes(key) ? visible.filter(k => k !== key) : columns.map(c => c.key).filter(k => k === key || visible.includes(k));
+        if (next.length) onChange(next);
+    };
+    return (
+        <div className="relative">
+            <button type="button" onClick={() => setIsOpen(!isOpen)} className="flex items-center gap-2 px-3 py-2 bg-gray-700 text-white rounded-md hover:bg-gray-600 text-sm"><Columns3 size={16} /><span>Colunas</span></button>
+            {isOpen && (
+                <div className="absolute right-0 top-full mt-2 w-64 max-h-80 overflow-y-auto bg-gray-800 border border-gray-700 rounded-lg shadow-xl z-30 p-2">
+                    {columns.map(column => (
+                        <label key={column.key} className="flex items-center gap-2 p-2 hover:bg-gray-700 rounded-md cursor-pointer text-white text-sm">
+                            <input type="checkbox" checked={visible.includes(column.key)} onChange={() => toggle(column.key)} />{column.label}
+                        </label>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+// Tabela com ordenação por clique (Shift+clique acrescenta colunas de desempate), escolha de colunas,
+// cabeçalho fixo e paginação. `actions(row)` desenha uma última coluna fixa, fora da escolha de colunas;
+// com `selection` (ver useSelection) aparece uma primeira coluna de caixas de seleção.
+const DataTable = ({ tableId, columns, defaults, rows, onRowClick, actions, emptyMessage, selection }) => {
+    const [prefs, setPrefs] = useTablePrefs(tableId, defaults, columns);
+    const [page, setPage] = useState(1);
+    const visibleColumns = prefs.colunas.map(key => columns.find(column => column.key === key));
+    const sortedRows = useMemo(() => sortRows(rows, prefs.ordenacao, columns), [rows, prefs.ordenacao, columns]);
+    const pageData = paginate(sortedRows, page, prefs.porPagina);
+    const pageIds = pageData.rows.map(row => row.id);
+    const isPageSelected = pageIds.length > 0 && pageIds.every(id => selection?.isSelected(id));
+
+    const sortIndicator = (key) => {
+        const index = prefs.ordenacao.findIndex(sortKey => sortKey.key === key);
+        if (index === -1) return <ArrowUpDown size={14} className="opacity-30" />;
+        const Icon = prefs.ordenacao[index].dir === 'asc' ? ChevronUp : ChevronDown;
+        return <span className="flex items-center text-blue-300"><Icon size={14} />{prefs.ordenacao.length > 1 && <span className="text-xs">{index + 1}</span>}</span>;
+    };
+
+    return (
+        <>
+            <div className="flex justify-end items-center gap-3 mb-3">
+                <span className="text-xs text-gray-500 hidden md:inline">Shift+clique num cabeçalho para ordenar por várias colunas</span>
+                <ColumnChooser columns={columns} visible={prefs.colunas} onChange={(colunas) => setPrefs({ colunas })} />
+            </div>
+            <div className="overflow-auto max-h-[70vh] rounded-md">
+                <table className="w-full text-left text-gray-300">
+                    <thead className="text-gray-200 uppercase text-sm">
+                        <tr>
+                            {selection && <th className="p-4 w-10 sticky top-0 z-10 bg-gray-700"><input type="checkbox" title="Selecionar esta página" checked={isPageSelected} onChange={() => selection.setMany(pageIds, !isPageSelected)} /></th>}
+                            {visibleColumns.map(column => (
+                                <th key={column.key} onClick={(e) => { setPrefs({ ordenacao: toggleSort(prefs.ordenacao, column.key, e.shiftKey) }); setPage(1); }} className="p-4 sticky top-0 z-10 bg-gray-700 cursor-pointer select-none whitespace-nowrap hover:text-white">
+                                    <span className="flex items-center gap-1">{column.label}{sortIndicator(column.key)}</span>
+                                </th>
+                            ))}
+                            {actions && <th className="p-4 sticky top-0 z-10 bg-gray-700">Ações</th>}
+                        </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-700">
+                        {pageData.rows.map(row => (
+                            <tr key={row.id} onClick={() => onRowClick(row)} className={`hover:bg-gray-700 cursor-pointer ${selection?.isSelected(row.id) ? 'bg-blue-900/30' : ''}`}>
+                                {selection && <td className="p-4" onClick={(e) => e.stopPropagation()}><input type="checkbox" checked={selection.isSelected(row.id)} onChange={() => selection.toggle(row.id)} /></td>}
+                                {visibleColumns.map(column => <td key={column.key} className="p-4">{column.render ? column.render(row) : row[column.key]}</td>)}
+                                {actions && <td className="p-4">{actions(row)}</td>}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+                {rows.length === 0 && <div className="text-center py-10 text-gray-500">{emptyMessage}</div>}
+            </div>
+            {rows.length > 0 && (
+                <div className="flex flex-col sm:flex-row justify-between items-center gap-3 mt-4 text-sm text-gray-400">
+                    <label className="flex items-center gap-2">Linhas por página
+                        <select value={prefs.porPagina} onChange={(e) => { setPrefs({ porPagina: Number(e.target.value) }); setPage(1); }} className="bg-gray-900 border border-gray-600 rounded-md p-1.5 text-white">
+                            {PAGE_SIZES.map(size => <option key={size} value={size}>{size}</option>)}
+                        </select>
+                    </label>
+                    <div className="flex items-center gap-2">
+                        <button onClick={() => setPage(pageData.page - 1)} disabled={pageData.page === 1} className="p-2 rounded-md hover:bg-gray-700 disabled:opacity-30"><ChevronLeft size={16} /></button>
+                        <span>Página {pageData.page} de {pageData.pageCount}</span>
+                        <button onClick={() => setPage(pageData.page + 1)} disabled={pageData.page === pageData.pageCount} className="p-2 rounded-md hover:bg-gray-700 disabled:opacity-30"><ChevronRight size={16} /></button>
+                    </div>
+                </div>
+            )}
+        </>
+    );
+};
+
+const Stars = ({ value, size = 18 }) => <div className="flex items-center">{[...Array(5)].map((_, i) => <Star key={i} size={size} className={i < (value || 0) ? 'text-yellow-400 fill-yellow-400' : 'text-gray-600'} />)}</div>;
+
+// As cores das etiquetas são definidas para todo o espaço (ver TagColorsEditor); sem cor, ficam a cinza.
+const TagList = ({ tags }) => {
+    const { tagColors } = useContext(DataContext);
+    return <div className="flex flex-wrap gap-1">{(tags || []).map(tag => <span key={tag} className={`px-2 py-0.5 rounded-full text-xs ${(STAGE_COLORS[tagColors.get(tag)] || STAGE_COLORS.gray).badge}`}>{tag}</span>)}</div>;
+};
+
+// Colunas com todos os campos do investidor, para a escolha de colunas das tabelas.
+const INVESTOR_COLUMNS = INVESTOR_FIELDS.map(field => {
+    const column = { key: field.key, label: field.label };
+    if (field.key === 'nomeFantasia') return { ...column, render: row => <span className="font-medium text-white">{row.nomeFantasia}</span> };
+    if (field.key === 'nota') return { ...column, label: 'Nota Global', sortValue: row => Number(row.nota) || 0, render: row => <Stars value={row.nota} /> };
+    if (field.key === 'linkedin') return { ...column, render: row => row.linkedin && <a href={row.linkedin} target="_blank" rel="noopener noreferrer" onClick={(e) => e.stopPropagation()} className="text-blue-400 hover:underline">Perfil</a> };
+    return column;
+}).concat(
+    { key: 'dataDeCriacao', label: 'Criado em', sortValue: row => toDate(row.dataDeCriacao), render: row => formatDate(row.dataDeCriacao) },
+    { key: 'tags', label: 'Etiquetas', sortValue: row => (row.tags || []).join(', '), render: row => <TagList tags={row.tags} /> },
+);
+
+// Colunas fixas mais uma por campo personalizado do espaço.
+const useInvestorColumns = () => {
+    const { customFields } = useContext(DataContext);
+    return useMemo(() => [...INVESTOR_COLUMNS, ...customFields.map(field => ({
+        key: customFieldKey(field),
+        label: field.nome,
+        sortValue: row => customSortValue(field, row.campos?.[field.id]),
+        render: row => formatCustomValue(field, row.campos?.[field.id]),
+    }))], [customFields]);
+};
+
+const EditableStarRating = ({ score, onSave, readOnly = false }) => {
     const [hoverScore, setHoverScore] = useState(0);
-    const handleClick = (newScore) => onSave(newScore);
+    const handleClick = (newScore) => { if (!readOnly) onSave(newScore); };
     return (
         <div className="flex items-center" onMouseLeave={() => setHoverScore(0)} onClick={(e) => e.stopPropagation()}>
             {[...Array(5)].map((_, i) => {
                 const currentScore = i + 1;
-                return (<Star key={i} size={18} className={`cursor-pointer transition-colors ${(hoverScore || score) >= currentScore ? 'text-yellow-400 fill-yellow-400' : 'text-gray-600'}`} onMouseEnter={() => setHoverScore(currentScore)} onClick={() => handleClick(currentScore)}/>);
+                return (<Star key={i} size={18} className={`${readOnly ? '' : 'cursor-pointer'} transition-colors ${(hoverScore || score) >= currentScore ? 'text-yellow-400 fill-yellow-400' : 'text-gray-600'}`} onMouseEnter={() => !readOnly && setHoverScore(currentScore)} onClick={() => handleClick(currentScore)}/>);
             })}
         </div>
     );
 };
 
+const PROJECT_INSTRUMENTS = ['Crédito', 'Equity'];
+const PROJECT_STAGES = ['Pré-operacional', 'Early Stage', 'Growth', 'Maduro'];
+const EMPTY_PROJECT = { name: '', description: '', valorAlvo: '', instrumento: '', prazo: '', estagio: '', setores: [], membros: [] };
+const DEFAULT_STAGE_TEMPLATE = Object.keys(STAGE_TEMPLATES)[0];
+
 const ProjectForm = ({ projectToEdit, onClose }) => {
-    const { userId, showToast } = useContext(DataContext);
-    const [formData, setFormData] = useState({ name: '', description: '' });
+    const { workspaceId, author, members, membership, masterInvestors, showToast } = useContext(DataContext);
+    const [formData, setFormData] = useState(EMPTY_PROJECT);
+    const [stageTemplate, setStageTemplate] = useState(DEFAULT_STAGE_TEMPLATE);
     const [isSaving, setIsSaving] = useState(false);
 
-    useEffect(() => { if (projectToEdit) setFormData({ name: projectToEdit.name, description: projectToEdit.description }); }, [projectToEdit]);
+    useEffect(() => {
+        if (projectToEdit) setFormData({
+            name: projectToEdit.name, description: projectToEdit.description || '', valorAlvo: projectToEdit.valorAlvo ?? '',
+            instrumento: projectToEdit.instrumento || '', prazo: toIsoDay(projectToEdit.prazo), estagio: projectToEdit.estagio || '',
+            setores: projectToEdit.setores || [], membros: projectToEdit.membros || [],
+        });
+    }, [projectToEdit]);
     const handleChange = (e) => setFormData(prev => ({ ...prev, [e.target.name]: e.target.value }));
+    const toggleMember = (uid) => setFormData(prev => ({ ...prev, membros: prev.membros.includes(uid) ? prev.membros.filter(id => id !== uid) : [...prev.membros, uid] }));
+    // Administradores veem sempre todos os projetos, por isso não entram na lista de acesso.
+    const restrictableMembers = members.filter(member => !isAdmin(member.papel));
+    // Setores da base, mais os já escolhidos que entretanto deixaram de existir nela.
+    const sectorOptions = useMemo(() => [...new Set([...uniqueValues(masterInvestors, 'setor'), ...formData.setores])], [masterInvestors, formData.setores]);
     const handleSubmit = async (e) => {
-        e.preventDefault(); if (!userId) return; setIsSaving(true);
+        e.preventDefault(); if (!workspaceId) return; setIsSaving(true);
+        const data = {
+            ...formData,
+            valorAlvo: formData.valorAlvo === '' ? null : Number(formData.valorAlvo),
+            prazo: formData.prazo ? new Date(`${formData.prazo}T00:00:00`) : null,
+        };
         try {
             if (projectToEdit) {
-                 await updateDoc(doc(db, 'artifacts', appId, 'users', userId, 'projects', projectToEdit.id), formData);
+                 await updateDoc(doc(db, 'artifacts', appId, 'workspaces', workspaceId, 'projects', projectToEdit.id), data);
                  showToast("Projeto atualizado com sucesso!", 'success');
             } else {
-                 await addDoc(collection(db, 'artifacts', appId, 'users', userId, 'projects'), { ...formData, createdAt: new Date() });
+                 await addDoc(collection(db, 'artifacts', appId, 'workspaces', workspaceId, 'projects'), { ...data, ...withStageNames(STAGE_TEMPLATES[stageTemplate]), arquivado: false, createdAt: new Date(), criadoPor: author });
                  showToast("Projeto criado com sucesso!", 'success');
             }
             onClose();
@@ -199,6 +438,40 @@ const ProjectForm = ({ projectToEdit, onClose }) => {
         <form onSubmit={handleSubmit} className="space-y-4">
             <InputField label="Nome do Projeto" name="name" value={formData.name} onChange={handleChange} required />
             <TextareaField label="Descrição do Projeto" name="description" value={formData.description} onChange={handleChange} />
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <InputField label="Valor Alvo da Captação (R$)" name="valorAlvo" type="number" min="0" step="1000" value={formData.valorAlvo} onChange={handleChange} />
+                <SelectField label="Instrumento" name="instrumento" value={formData.instrumento} onChange={handleChange}>
+                    <option value="">Não definido</option>{PROJECT_INSTRUMENTS.map(v => <option key={v} value={v}>{v}</option>)}
+                </SelectField>
+                <InputField label="Prazo" name="prazo" type="date" value={formData.prazo} onChange={handleChange} />
+                <SelectField label="Estágio da Empresa" name="estagio" value={formData.estagio} onChange={handleChange}>
+                    <option value="">Não definido</option>{PROJECT_STAGES.map(v => <option key={v} value={v}>{v}</option>)}
+                </SelectField>
+                <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-1">Setores</label>
+                    <MultiSelectFilter label="Escolher setores" options={sectorOptions} selected={formData.setores} onChange={(setores) => setFormData(prev => ({ ...prev, setores }))} />
+                </div>
+                {!projectToEdit && (
+                    <SelectField label="Modelo de Etapas do Pipeline" value={stageTemplate} onChange={(e) => setStageTemplate(e.target.value)}>
+                        {Object.keys(STAGE_TEMPLATES).map(name => <option key={name} value={name}>{name}</option>)}
+                    </SelectField>
+                )}
+            </div>
+            <p className="text-xs text-gray-500">Setores, instrumento, valor alvo e estágio formam o perfil do projeto, usado para sugerir os investidores mais adequados.</p>
+            {isAdmin(membership?.papel) && restrictableMembers.length > 0 && (
+                <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-1">Acesso ao Projeto</label>
+                    <p className="text-xs text-gray-500 mb-2">Sem ninguém selecionado, todo o espaço de trabalho vê o projeto. Com uma seleção, só essas pessoas (e os administradores) o veem.</p>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                        {restrictableMembers.map(member => (
+                            <label key={member.uid} className="flex items-center gap-2 text-sm text-gray-300 cursor-pointer">
+                                <input type="checkbox" checked={formData.membros.includes(member.uid)} onChange={() => toggleMember(member.uid)} />
+                                <span className="truncate">{memberLabel(member)}</span><span className="text-gray-500">({ROLES[member.papel]})</span>
+                            </label>
+                        ))}
+                    </div>
+                </div>
+            )}
             <div className="flex justify-end pt-4 gap-3">
                 <button type="button" onClick={onClose} className="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700">Cancelar</button>
                 <button type="submit" disabled={isSaving} className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-blue-400">{isSaving ? 'A guardar...' : 'Guardar Projeto'}</button>
@@ -207,316 +480,1637 @@ const ProjectForm = ({ projectToEdit, onClose }) => {
     );
 };
 
+// --- OPERAÇÕES SOBRE PROJETOS ---
+// O Firestore não apaga subcoleções junto com o documento, por isso o pipeline é removido antes.
+const deleteProjectWithPipeline = async (workspaceId, projectId) => {
+    const pipelineSnap = await getDocs(collection(db, 'artifacts', appId, 'workspaces', workspaceId, 'projects', projectId, 'pipeline'));
+    const tasksSnap = await getDocs(query(collection(db, 'artifacts', appId, 'workspaces', workspaceId, 'tasks'), where('projectId', '==', projectId)));
+    await commitInChunks(db, [...pipelineSnap.docs, ...tasksSnap.docs], (batch, docSnap) => batch.delete(docSnap.ref));
+    await deleteDoc(doc(db, 'artifacts', appId, 'workspaces', workspaceId, 'projects', projectId));
+};
+
+const EMPTY_INVESTOR = INVESTOR_FIELDS.reduce((obj, { key, type }) => ({ ...obj, [key]: type === 'number' ? 0 : '' }), {});
+
+const InvestorForm = ({ investorToEdit, onClose }) => {
+    const { workspaceId, author, masterInvestors, showToast } = useContext(DataContext);
+    // Preenchido uma vez ao abrir: `investorToEdit` vem dos listeners e muda a cada alteração na sua parte
+    // da base, o que apagaria o que está a ser escrito (quem abre o formulário usa `key` por investidor).
+    const [formData, setFormData] = useState(() => (investorToEdit
+        ? INVESTOR_FIELDS.reduce((obj, { key }) => ({ ...obj, [key]: investorToEdit[key] ?? EMPTY_INVESTOR[key] }), {})
+        : EMPTY_INVESTOR));
+    const [errors, setErrors] = useState({});
+    const [isSaving, setIsSaving] = useState(false);
+
+    const suggestions = useMemo(() => ['classificacao', 'tipo', 'setor', 'creditoEquity'].reduce((obj, key) => ({ ...obj, [key]: [...new Set(masterInvestors.map(item => item[key]).filter(Boolean))] }), {}), [masterInvestors]);
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setFormData(prev => ({ ...prev, [name]: value }));
+        setErrors(prev => ({ ...prev, [name]: undefined }));
+    };
+    const handleSubmit = async (e) => {
+        e.preventDefault(); if (!workspaceId) return;
+        const validationErrors = validateInvestor(formData);
+        const duplicate = buildDuplicateIndex(masterInvestors.filter(mi => mi.id !== investorToEdit?.id)).find(formData);
+        if (duplicate) validationErrors.nomeFantasia = `Já existe na base um investidor com este nome ou email: ${duplicate.nomeFantasia}.`;
+        if (Object.keys(validationErrors).length > 0) { setErrors(validationErrors); return; }
+
+        setIsSaving(true);
+        const data = sanitizeInvestor(formData);
+        try {
+            if (investorToEdit) {
+                await updateDoc(doc(db, 'artifacts', appId, 'workspaces', workspaceId, 'investors', investorToEdit.id), data);
+                showToast("Investidor atualizado com sucesso!", 'success');
+            } else {
+                await addDoc(collection(db, 'artifacts', appId, 'workspaces', workspaceId, 'investors'), { ...data, dataDeCriacao: new Date(), criadoPor: author });
+                showToast("Investidor criado com sucesso!", 'success');
+            }
+            onClose();
+        } catch (error) {
+            console.error("Erro ao salvar investidor:", error);
+            showToast("Ocorreu um erro ao salvar o investidor.", 'error');
+        }
+        finally { setIsSaving(false); }
+    };
+
+    const fieldProps = (name) => ({ name, value: formData[name], onChange: handleChange, error: errors[name] });
+    return (
+        <form onSubmit={handleSubmit} className="space-y-4" noValidate>
+            <InputField label="Nome Fantasia *" {...fieldProps('nomeFantasia')} />
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <InputField label="Classificação" list="investor-form-classificacao" {...fieldProps('classificacao')} />
+                <InputField label="Tipo" list="investor-form-tipo" {...fieldProps('tipo')} />
+                <InputField label="Setor" list="investor-form-setor" {...fieldProps('setor')} />
+                <InputField label="Crédito/Equity" list="investor-form-creditoEquity" {...fieldProps('creditoEquity')} />
+            </div>
+            {Object.entries(suggestions).map(([key, values]) => <datalist key={key} id={`investor-form-${key}`}>{values.map(v => <option key={v} value={v} />)}</datalist>)}
+            <SelectField label="Nota Global" name="nota" value={formData.nota} onChange={handleChange}>
+                {[0, 1, 2, 3, 4, 5].map(n => <option key={n} value={n}>{n === 0 ? 'Sem nota' : '★'.repeat(n)}</option>)}
+            </SelectField>
+            <TextareaField label="Justificativa" name="justificativa" value={formData.justificativa} onChange={handleChange} />
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <InputField label="Email 1" type="email" {...fieldProps('email1')} />
+                <InputField label="Email 2" type="email" {...fieldProps('email2')} />
+                <InputField label="Telefone" type="tel" placeholder="+55 11 99999-9999" {...fieldProps('telefone')} />
+                <InputField label="LinkedIn" placeholder="https://www.linkedin.com/company/..." {...fieldProps('linkedin')} />
+            </div>
+            <div className="flex justify-end pt-4 gap-3">
+                <button type="button" onClick={onClose} className="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700">Cancelar</button>
+                <button type="submit" disabled={isSaving} className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-blue-400">{isSaving ? 'A guardar...' : 'Guardar Investidor'}</button>
+            </div>
+        </form>
+    );
+};
+
+const DUPLICATE_ACTIONS = { skip: 'Ignorar', update: 'Atualizar', merge: 'Mesclar' };
+
 const CsvImportModal = ({ onClose }) => {
-    const { userId, showToast } = useContext(DataContext);
+    const { workspaceId, author, masterInvestors, isBaseLoaded, customFields, showToast } = useContext(DataContext);
+    const [step, setStep] = useState('upload'); // upload -> mapping -> preview
     const [csvData, setCsvData] = useState('');
+    const [rows, setRows] = useState([]);
+    const [mapping, setMapping] = useState({});
+    const [defaultDuplicateAction, setDefaultDuplicateAction] = useState('skip');
+    const [duplicateActions, setDuplicateActions] = useState({});
+    const [previewFilter, setPreviewFilter] = useState('all');
     const [isImporting, setIsImporting] = useState(false);
-    const expectedHeaders = "NomeFantasia;Classificação;Tipo;Setor;Crédito/Equity;Nota;Justificativa;Email 1;Email 2;Telefone;Linkedin";
-    const handleImport = async () => {
-        if (!csvData.trim()) { 
+    const [progress, setProgress] = useState(null);
+    const expectedHeaders = [...INVESTOR_FIELDS.map(f => f.header), ...customFields.map(field => field.nome)].join(';');
+
+    const headers = rows[0] || [];
+    const preview = useMemo(() => step === 'preview' ? buildImportPreview(rows.slice(1), mapping, masterInvestors, customFields) : [], [step, rows, mapping, masterInvestors, customFields]);
+    const validRows = preview.filter(r => r.errors.length === 0);
+    const actionFor = (row) => duplicateActions[row.lineNumber] || defaultDuplicateAction;
+    const visibleRows = preview.filter(r => previewFilter === 'all' || (previewFilter === 'errors' ? r.errors.length > 0 : !!r.duplicateOf));
+
+    const loadRows = (parsedRows) => {
+        if (parsedRows.length < 2) {
+            showToast("O arquivo precisa de um cabeçalho e pelo menos uma linha de dados.", 'error');
+            return;
+        }
+        setRows(parsedRows);
+        setMapping(guessColumnMapping(parsedRows[0], customFields));
+        setStep('mapping');
+    };
+
+    const handleFileChange = async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        try {
+            loadRows(await readSpreadsheetFile(file));
+        } catch (error) {
+            console.error("Erro ao ler arquivo:", error);
+            showToast("Não foi possível ler o arquivo. Use .csv ou .xlsx.", 'error');
+        }
+    };
+
+    const handlePaste = () => {
+        if (!csvData.trim()) {
             showToast("Por favor, cole os dados do seu CSV.", 'error');
-            return; 
+            return;
+        }
+        loadRows(parseCsv(csvData));
+    };
+
+    const handleImport = async () => {
+        const operations = buildImportOperations(validRows, actionFor);
+        if (operations.length === 0) {
+            showToast("Não há linhas para importar.", 'error');
+            return;
         }
         setIsImporting(true);
-        const lines = csvData.trim().split('\n');
-        const headers = lines.shift().trim().split(';').map(h => h.trim());
-        const investorsToImport = lines.map(line => {
-            const values = line.trim().split(';');
-            return headers.reduce((obj, header, index) => { obj[header] = values[index] ? values[index].trim() : ''; return obj; }, {});
-        });
         try {
-            const batch = writeBatch(db);
-            const investorsCollection = collection(db, 'artifacts', appId, 'users', userId, 'investors');
-            investorsToImport.forEach(investorData => {
-                const newInvestorRef = doc(investorsCollection);
-                const mappedData = {
-                    nomeFantasia: investorData['NomeFantasia'] || '', classificacao: investorData['Classificação'] || '', tipo: investorData['Tipo'] || '',
-                    setor: investorData['Setor'] || '', creditoEquity: investorData['Crédito/Equity'] || '', nota: parseInt(investorData['Nota'], 10) || 0,
-                    justificativa: investorData['Justificativa'] || '', email1: investorData['Email 1'] || '', email2: investorData['Email 2'] || '',
-                    telefone: investorData['Telefone'] || '', linkedin: investorData['Linkedin'] || '', dataDeCriacao: new Date()
-                };
-                batch.set(newInvestorRef, mappedData);
-            });
-            await batch.commit();
-            showToast(`${investorsToImport.length} investidores importados com sucesso!`, 'success');
+            await importInvestors(workspaceDoc(workspaceId), operations, author, (done, total) => setProgress({ done, total }));
+            const created = operations.filter(op => op.type === 'create').length;
+            showToast(`${created} investidores criados e ${operations.length - created} atualizados com sucesso!`, 'success');
             onClose();
         } catch (error) { 
             console.error("Erro ao importar CSV:", error); 
             showToast("Ocorreu um erro na importação.", 'error');
         } 
-        finally { setIsImporting(false); }
+        finally { setIsImporting(false); setProgress(null); }
     };
-    return (
+
+    if (step === 'upload') return (
         <>
-            <p className="text-gray-300 mb-4">Cole o conteúdo do seu arquivo CSV. A primeira linha deve ser o cabeçalho:</p>
+            <p className="text-gray-300 mb-4">Envie um arquivo .csv (separado por vírgula ou ponto e vírgula) ou .xlsx. As colunas serão associadas aos campos no passo seguinte.</p>
+            <InputField label="Arquivo" type="file" accept=".csv,.txt,.xlsx,.xls" onChange={handleFileChange} />
+            <p className="text-gray-400 my-4">Ou cole o conteúdo do CSV. Cabeçalho sugerido:</p>
             <p className="text-sm bg-gray-900 p-2 rounded-md text-gray-400 mb-4 break-words">{expectedHeaders}</p>
             <TextareaField label="Dados do CSV" value={csvData} onChange={(e) => setCsvData(e.target.value)} rows={10} placeholder={`${expectedHeaders}\nExemplo de linha...`} />
             <div className="flex justify-end pt-4 gap-3">
                 <button onClick={onClose} className="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700">Cancelar</button>
-                <button onClick={handleImport} disabled={isImporting} className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 disabled:bg-green-400">{isImporting ? 'A importar...' : 'Importar'}</button>
+                <button onClick={handlePaste} className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700">Continuar</button>
+            </div>
+        </>
+    );
+
+    if (step === 'mapping') return (
+        <>
+            <p className="text-gray-300 mb-4">Associe as colunas do arquivo ({rows.length - 1} linhas) aos campos do investidor.</p>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {[...INVESTOR_FIELDS, ...customFields.map(field => ({ key: customFieldKey(field), label: `${field.nome} (${CUSTOM_FIELD_TYPES[field.tipo]})` }))].map(field => (
+                    <SelectField key={field.key} label={`${field.label}${field.required ? ' *' : ''}`} value={mapping[field.key] ?? -1} onChange={(e) => setMapping(m => ({ ...m, [field.key]: Number(e.target.value) }))}>
+                        <option value={-1}>— Não importar —</option>
+                        {headers.map((header, index) => <option key={index} value={index}>{header || `Coluna ${index + 1}`}</option>)}
+                    </SelectField>
+                ))}
+            </div>
+            <div className="flex justify-end pt-4 gap-3">
+                <button onClick={() => setStep('upload')} className="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700">Voltar</button>
+                <button onClick={() => setStep('preview')} disabled={mapping.nomeFantasia < 0} className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-blue-400">Pré-visualizar</button>
+            </div>
+        </>
+    );
+
+    const duplicateCount = preview.filter(r => r.duplicateOf).length;
+    return (
+        <>
+            <div className="flex flex-wrap gap-4 text-sm mb-4">
+                <span className="text-green-400">{validRows.length - validRows.filter(r => r.duplicateOf).length} novos</span>
+                <span className="text-yellow-400">{duplicateCount} já existem na base</span>
+                <span className="text-red-400">{preview.length - validRows.length} com erros (serão ignorados)</span>
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+                <SelectField label="Mostrar" value={previewFilter} onChange={(e) => setPreviewFilter(e.target.value)}>
+                    <option value="all">Todas as linhas</option><option value="errors">Só com erros</option><option value="duplicates">Só duplicados</option>
+                </SelectField>
+                <SelectField label="Para duplicados" value={defaultDuplicateAction} onChange={(e) => { setDefaultDuplicateAction(e.target.value); setDuplicateActions({}); }}>
+                    {Object.entries(DUPLICATE_ACTIONS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                </SelectField>
+            </div>
+            <div className="max-h-96 overflow-y-auto">
+                <table className="w-full text-left text-gray-300 text-sm">
+                    <thead className="bg-gray-700 text-gray-200 uppercase text-xs sticky top-0"><tr><th className="p-2">Linha</th><th className="p-2">Nome Fantasia</th><th className="p-2">Email 1</th><th className="p-2">Nota</th><th className="p-2">Situação</th></tr></thead>
+                    <tbody className="divide-y divide-gray-700">
+                        {visibleRows.map(row => (
+                            <tr key={row.lineNumber} className={row.errors.length > 0 ? 'bg-red-900/20' : ''}>
+                                <td className="p-2 text-gray-500">{row.lineNumber}</td>
+                                <td className="p-2 text-white">{row.data.nomeFantasia}</td>
+                                <td className="p-2">{row.data.email1}</td>
+                                <td className="p-2">{row.data.nota}</td>
+                                <td className="p-2">
+                                    {row.errors.length > 0 ? (
+                                        <ul className="text-red-400 text-xs">{row.errors.map(err => <li key={err}>{err}</li>)}</ul>
+                                    ) : row.duplicateOf ? (
+                                        <div className="flex items-center gap-2">
+                                            <span className="text-yellow-400 text-xs">Existe: {row.duplicateOf.nomeFantasia}</span>
+                                            <select value={actionFor(row)} onChange={(e) => setDuplicateActions(a => ({ ...a, [row.lineNumber]: e.target.value }))} className="bg-gray-900 border border-gray-600 rounded-md p-1 text-white text-xs">
+                                                {Object.entries(DUPLICATE_ACTIONS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                                            </select>
+                                        </div>
+                                    ) : <span className="text-green-400 text-xs">Novo</span>}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+                {visibleRows.length === 0 && <p className="text-center py-6 text-gray-500">Nenhuma linha para mostrar.</p>}
+            </div>
+            <div className="flex justify-end items-center pt-4 gap-3">
+                {progress && <span className="text-sm text-gray-400">{progress.done}/{progress.total} gravados</span>}
+                {!isBaseLoaded && <span className="text-sm text-yellow-400">A base ainda está a carregar; a deteção de duplicados fica completa quando terminar.</span>}
+                <button onClick={() => setStep('mapping')} disabled={isImporting} className="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700">Voltar</button>
+                <button onClick={handleImport} disabled={isImporting || !isBaseLoaded || validRows.length === 0} className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 disabled:bg-green-400">{isImporting ? 'A importar...' : 'Importar'}</button>
             </div>
         </>
     );
 };
 
-const AddInvestorToProjectModal = ({ onClose, selectedProjectId }) => {
-    const { userId, masterInvestors, projectInvestors, showToast } = useContext(DataContext);
-    const [selectedInvestors, setSelectedInvestors] = useState([]);
-    const [isAdding, setIsAdding] = useState(false);
-    const [classificationFilter, setClassificationFilter] = useState('');
-    const [sectorFilter, setSectorFilter] = useState('');
+// --- CAMPOS PERSONALIZADOS E ETIQUETAS ---
+// Definições do espaço (ver lib/customFields.js): campos em `fields`, cores das etiquetas em `tags`,
+// com o nome da etiqueta codificado no id para haver um só documento por etiqueta.
+const tagDocId = (tag) => encodeURIComponent(tag);
 
-    const uniqueClassifications = useMemo(() => [...new Set(masterInvestors.map(item => item.classificacao).filter(Boolean))], [masterInvestors]);
-    const uniqueSectors = useMemo(() => [...new Set(masterInvestors.map(item => item.setor).filter(Boolean))], [masterInvestors]);
+const CustomFieldsEditor = ({ onClose }) => {
+    const { workspaceId, customFields, showToast } = useContext(DataContext);
+    const [fields, setFields] = useState(() => customFields.map(field => ({ ...field, opcoesTexto: (field.opcoes || []).join(', '), rowKey: field.id })));
+    const [errors, setErrors] = useState({});
+    const [isSaving, setIsSaving] = useState(false);
+    const removedCount = customFields.filter(field => !fields.some(f => f.id === field.id)).length;
 
-    const availableInvestors = useMemo(() => {
-        const projectInvestorIds = new Set(projectInvestors.map(pi => pi.id));
-        return masterInvestors.filter(mi => 
-            !projectInvestorIds.has(mi.id) &&
-            (classificationFilter === '' || mi.classificacao === classificationFilter) &&
-            (sectorFilter === '' || mi.setor === sectorFilter)
-        );
-    }, [masterInvestors, projectInvestors, classificationFilter, sectorFilter]);
+    const updateField = (index, changes) => { setFields(prev => prev.map((field, i) => i === index ? { ...field, ...changes } : field)); setErrors({}); };
+    const moveField = (index, delta) => setFields(prev => {
+        const next = [...prev];
+        [next[index], next[index + delta]] = [next[index + delta], next[index]];
+        return next;
+    });
+    const addField = () => setFields(prev => [...prev, { nome: '', tipo: 'texto', opcoesTexto: '', rowKey: `new-${Date.now()}` }]);
 
-    const toggleSelection = (investorId) => setSelectedInvestors(prev => prev.includes(investorId) ? prev.filter(id => id !== investorId) : [...prev, investorId]);
-    
-    const handleAdd = async () => {
-        if (selectedInvestors.length === 0) return;
-        setIsAdding(true);
+    const handleSave = async () => {
+        const prepared = fields.map(field => ({ ...field, opcoes: parseOptions(field.opcoesTexto) }));
+        // Os campos novos ainda não têm id; a validação compara-os pela linha.
+        const byRow = prepared.map(field => ({ ...field, id: field.rowKey }));
+        const validation = Object.fromEntries(byRow.map(field => [field.id, Object.values(validateCustomField(field, byRow))[0]]).filter(([, error]) => error));
+        if (Object.keys(validation).length > 0) { setErrors(validation); return; }
+        setIsSaving(true);
+        const fieldsCollection = collection(db, 'artifacts', appId, 'workspaces', workspaceId, 'fields');
+        const batch = writeBatch(db);
+        prepared.forEach((field, ordem) => batch.set(field.id ? doc(fieldsCollection, field.id) : doc(fieldsCollection), { ...sanitizeCustomField(field), ordem }));
+        customFields.filter(field => !prepared.some(f => f.id === field.id)).forEach(field => batch.delete(doc(fieldsCollection, field.id)));
         try {
-            const batch = writeBatch(db);
-            selectedInvestors.forEach(investorId => {
-                const pipelineRef = doc(db, 'artifacts', appId, 'users', userId, 'projects', selectedProjectId, 'pipeline', investorId);
-                batch.set(pipelineRef, { notaDePrioridade: 3, status: 'Não Contatado', historicoDeInteracoes: [] });
-            });
             await batch.commit();
-            showToast(`${selectedInvestors.length} investidor(es) adicionado(s) com sucesso!`, 'success');
+            showToast("Campos personalizados atualizados.", 'success');
             onClose();
-        } catch (error) { 
-            console.error("Erro ao adicionar investidores:", error); 
-            showToast("Falha ao adicionar investidores.", 'error');
-        }
-        finally { setIsAdding(false); }
+        } catch (error) {
+            console.error("Erro ao guardar campos personalizados:", error);
+            showToast("Falha ao guardar os campos.", 'error');
+        } finally { setIsSaving(false); }
     };
 
     return (
         <>
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
-                <SelectField label="Filtrar por Classificação" value={classificationFilter} onChange={(e) => setClassificationFilter(e.target.value)}>
-                    <option value="">Todas as Classificações</option> 
-                    {uniqueClassifications.map(c => <option key={c} value={c}>{c}</option>)}
-                </SelectField>
-                <SelectField label="Filtrar por Setor" value={sectorFilter} onChange={(e) => setSectorFilter(e.target.value)}>
-                    <option value="">Todos os Setores</option> 
-                    {uniqueSectors.map(s => <option key={s} value={s}>{s}</option>)}
-                </SelectField>
-            </div>
-            <div className="space-y-3 max-h-96 overflow-y-auto pr-2">
-                {availableInvestors.map(investor => (
-                    <div key={investor.id} onClick={() => toggleSelection(investor.id)} className={`flex items-center gap-3 p-3 rounded-md cursor-pointer transition-colors ${selectedInvestors.includes(investor.id) ? 'bg-blue-900 border border-blue-600' : 'bg-gray-700 hover:bg-gray-600'}`}>
-                        <div className={`w-5 h-5 rounded-sm border-2 flex items-center justify-center ${selectedInvestors.includes(investor.id) ? 'bg-blue-600 border-blue-500' : 'border-gray-500'}`}>
-                            {selectedInvestors.includes(investor.id) && <CheckCircle size={16} className="text-white" />}
-                        </div>
-                        <div>
-                            <p className="font-medium text-white">{investor.nomeFantasia}</p>
-                            <p className="text-sm text-gray-400">{investor.setor}</p>
+            <p className="text-gray-300 mb-4">Campos extra de todos os investidores deste espaço (ex.: ticket, foco geográfico, mandato ESG). Na importação, a coluna com o nome do campo é associada automaticamente.</p>
+            <div className="space-y-2">
+                {fields.map((field, index) => (
+                    <div key={field.rowKey} className="bg-gray-700 p-2 rounded-md">
+                        <div className="flex items-center gap-2">
+                            <input value={field.nome} onChange={(e) => updateField(index, { nome: e.target.value })} placeholder="Nome do campo" className="flex-grow min-w-0 bg-gray-900 border border-gray-600 rounded-md p-2 text-white outline-none focus:ring-2 focus:ring-blue-500" />
+                            {/* O tipo só muda em campos novos: os valores já gravados não seriam convertidos. */}
+                            <select value={field.tipo} onChange={(e) => updateField(index, { tipo: e.target.value })} disabled={!!field.id} title={field.id ? 'O tipo não pode ser alterado depois de criado' : undefined} className="bg-gray-900 border border-gray-600 rounded-md p-2 text-white disabled:opacity-60">
+                                {Object.entries(CUSTOM_FIELD_TYPES).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                            </select>
+                            <button onClick={() => moveField(index, -1)} disabled={index === 0} className="p-1 text-gray-400 hover:text-white disabled:opacity-30"><ChevronUp size={18} /></button>
+                            <button onClick={() => moveField(index, 1)} disabled={index === fields.length - 1} className="p-1 text-gray-400 hover:text-white disabled:opacity-30"><ChevronDown size={18} /></button>
+                            <button onClick={() => setFields(prev => prev.filter((_, i) => i !== index))} className="p-1 text-gray-400 hover:text-red-500"><Trash2 size={18} /></button>
                         </div>
+                        {hasOptions(field) && <input value={field.opcoesTexto} onChange={(e) => updateField(index, { opcoesTexto: e.target.value })} placeholder="Opções, separadas por vírgulas" className="mt-2 w-full bg-gray-900 border border-gray-600 rounded-md p-2 text-white text-sm outline-none focus:ring-2 focus:ring-blue-500" />}
+                        {errors[field.rowKey] && <p className="text-red-400 text-xs mt-1">{errors[field.rowKey]}</p>}
                     </div>
                 ))}
-                 {availableInvestors.length === 0 && <p className="text-gray-500 text-center py-8">Nenhum investidor disponível com este filtro.</p>}
+                {fields.length === 0 && <p className="text-gray-500 text-center py-4">Nenhum campo personalizado.</p>}
             </div>
+            <button onClick={addField} className="mt-3 flex items-center gap-2 text-blue-400 hover:text-blue-300"><PlusCircle size={18} /> Adicionar campo</button>
+            {removedCount > 0 && <p className="text-yellow-400 text-sm mt-4">{removedCount} campo(s) serão removidos: os valores guardados nos investidores deixam de aparecer.</p>}
             <div className="flex justify-end pt-4 gap-3">
-                <button type="button" onClick={onClose} className="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700">Cancelar</button>
-                <button onClick={handleAdd} disabled={isAdding || selectedInvestors.length === 0} className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-blue-400">{isAdding ? 'A adicionar...' : `Adicionar ${selectedInvestors.length}`}</button>
+                <button onClick={onClose} className="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700">Cancelar</button>
+                <button onClick={handleSave} disabled={isSaving} className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-blue-400">{isSaving ? 'A guardar...' : 'Guardar Campos'}</button>
             </div>
         </>
     );
 };
 
-const ProjectSelector = () => {
-    const { projects, selectedProjectId, setSelectedProjectId, setIsProjectModalOpen, setIsCsvModalOpen } = useContext(DataContext);
-    const [isOpen, setIsOpen] = useState(false);
-    const selectedProject = projects.find(p => p.id === selectedProjectId);
+// Cada mudança de cor é gravada logo, para todo o espaço.
+const TagColorsEditor = () => {
+    const { workspaceId, masterInvestors, tagColors, showToast } = useContext(DataContext);
+    const tags = useMemo(() => uniqueTags(masterInvestors), [masterInvestors]);
+
+    const handleColor = async (tag, cor) => {
+        try { await setDoc(doc(db, 'artifacts', appId, 'workspaces', workspaceId, 'tags', tagDocId(tag)), { nome: tag, cor }); }
+        catch (error) { console.error("Erro ao guardar cor da etiqueta:", error); showToast("Não foi possível guardar a cor.", 'error'); }
+    };
+
     return (
-        <div className="relative w-full">
-            <button onClick={() => setIsOpen(!isOpen)} className="w-full bg-gray-700 p-3 rounded-lg flex justify-between items-center text-left">
-                <div>
-                    <p className="text-xs text-gray-400">Projeto Atual</p>
-                    <p className="font-semibold text-white truncate">{selectedProject?.name || 'Nenhum Projeto'}</p>
-                </div>
-                <ChevronsUpDown size={20} className="text-gray-400" />
-            </button>
-            {isOpen && (
-                <div className="absolute top-full mt-2 w-full bg-gray-800 border border-gray-700 rounded-lg shadow-xl z-20 p-2">
-                    {projects.map(project => (<div key={project.id} onClick={() => { setSelectedProjectId(project.id); setIsOpen(false); }} className="p-3 hover:bg-gray-700 rounded-md cursor-pointer text-white">{project.name}</div>))}
-                    <div className="border-t border-gray-700 my-2"></div>
-                    <div onClick={() => { setIsProjectModalOpen(true); setIsOpen(false); }} className="p-3 text-blue-400 hover:bg-gray-700 rounded-md cursor-pointer flex items-center gap-2"><FolderPlus size={18} /> Novo Projeto</div>
-                    <div onClick={() => { setIsCsvModalOpen(true); setIsOpen(false); }} className="p-3 text-green-400 hover:bg-gray-700 rounded-md cursor-pointer flex items-center gap-2"><UserPlus size={18} /> Importar Base</div>
+        <div className="space-y-2">
+            {tags.map(tag => (
+                <div key={tag} className="flex items-center justify-between gap-3 bg-gray-700 p-2 rounded-md">
+                    <TagList tags={[tag]} />
+                    <div className="flex gap-1">
+                        {Object.entries(STAGE_COLORS).map(([value, { label, swatch }]) => (
+                            <button key={value} type="button" onClick={() => handleColor(tag, value)} title={label} className={`w-5 h-5 rounded-full ${swatch} ${(tagColors.get(tag) || 'gray') === value ? 'ring-2 ring-white' : ''}`} />
+                        ))}
+                    </div>
                 </div>
-            )}
+            ))}
+            {tags.length === 0 && <p className="text-gray-500 text-center py-4">Ainda não há etiquetas. Etiquete investidores no perfil ou com as ações em lote.</p>}
         </div>
     );
 };
 
-const MasterInvestorList = ({ onSelectInvestor }) => {
-    const { masterInvestors, userId, showToast } = useContext(DataContext);
-    const [searchTerm, setSearchTerm] = useState('');
-    const [filters, setFilters] = useState({ classificacao: '', setor: '', creditoEquity: '' });
-    const [investorToDelete, setInvestorToDelete] = useState(null); // Para o modal de confirmação
-    
-    const uniqueClassifications = useMemo(() => [...new Set(masterInvestors.map(item => item.classificacao).filter(Boolean))], [masterInvestors]);
-    const uniqueSectors = useMemo(() => [...new Set(masterInvestors.map(item => item.setor).filter(Boolean))], [masterInvestors]);
-
-    const filteredInvestors = useMemo(() => {
-        return masterInvestors.filter(investor => {
-            const searchMatch = searchTerm === '' || investor.nomeFantasia.toLowerCase().includes(searchTerm.toLowerCase()) || (investor.setor && investor.setor.toLowerCase().includes(searchTerm.toLowerCase()));
-            const filterMatch = Object.entries(filters).every(([key, value]) => value === '' || investor[key] === value);
-            return searchMatch && filterMatch;
-        });
-    }, [masterInvestors, searchTerm, filters]);
+const CustomizeBaseModal = ({ onClose }) => {
+    const [tab, setTab] = useState('fields');
+    const tabClass = (value) => `px-4 py-2 rounded-md text-sm ${tab === value ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}`;
+    return (
+        <>
+            <div className="flex gap-2 mb-4">
+                <button type="button" onClick={() => setTab('fields')} className={tabClass('fields')}>Campos personalizados</button>
+                <button type="button" onClick={() => setTab('tags')} className={tabClass('tags')}>Cores das etiquetas</button>
+            </div>
+            {tab === 'fields' ? <CustomFieldsEditor onClose={onClose} /> : <TagColorsEditor />}
+        </>
+    );
+};
 
-    const handleDeleteClick = (e, investor) => {
-        e.stopPropagation();
-        setInvestorToDelete(investor); // Abre o modal de confirmação
+// Campo do formulário conforme o tipo; `value` é o texto (ou a lista, na seleção múltipla) antes de parseCustomValue.
+const CustomFieldInput = ({ field, value, onChange, error }) => {
+    if (field.tipo === 'selecao') return (
+        <div>
+            <SelectField label={field.nome} value={value} onChange={(e) => onChange(e.target.value)}>
+                <option value="">—</option>{field.opcoes.map(option => <option key={option} value={option}>{option}</option>)}
+            </SelectField>
+            {error && <p className="text-red-400 text-xs mt-1">{error}</p>}
+        </div>
+    );
+    if (field.tipo === 'multipla') return (
+        <div>
+            <label className="block text-sm font-medium text-gray-300 mb-1">{field.nome}</label>
+            <div className="flex flex-wrap gap-x-4 gap-y-1 bg-gray-900 border border-gray-600 rounded-md p-2.5">
+                {field.opcoes.map(option => (
+                    <label key={option} className="flex items-center gap-2 text-sm text-white">
+                        <input type="checkbox" checked={value.includes(option)} onChange={() => onChange(value.includes(option) ? value.filter(v => v !== option) : [...value, option])} />{option}
+                    </label>
+                ))}
+            </div>
+            {error && <p className="text-red-400 text-xs mt-1">{error}</p>}
+        </div>
+    );
+    const inputProps = {
+        numero: { inputMode: 'decimal', placeholder: 'Ex.: 2015' },
+        moeda: { inputMode: 'decimal', placeholder: 'Ex.: 5.000.000' },
+        data: { type: 'date' },
+    }[field.tipo] || {};
+    return <InputField label={field.nome} value={value} onChange={(e) => onChange(e.target.value)} error={error} {...inputProps} />;
+};
+
+// Etiquetas e campos personalizados no perfil do investidor, editáveis por quem pode editar a base.
+const InvestorAttributesCard = ({ investor }) => {
+    const { workspaceId, masterInvestors, customFields, isReadOnly, showToast } = useContext(DataContext);
+    const [draft, setDraft] = useState(null);
+    const [errors, setErrors] = useState({});
+    const [isSaving, setIsSaving] = useState(false);
+    const filledFields = customFields.filter(field => formatCustomValue(field, investor.campos?.[field.id]));
+
+    const startEditing = () => {
+        setDraft({
+            tags: (investor.tags || []).join(', '),
+            campos: Object.fromEntries(customFields.map(field => [field.id, field.tipo === 'multipla' ? investor.campos?.[field.id] || [] : customValueToText(field, investor.campos?.[field.id])])),
+        });
+        setErrors({});
     };
 
-    const confirmDelete = async () => {
-        if (!investorToDelete) return;
+    const handleSave = async (e) => {
+        e.preventDefault();
+        const parsed = customFields.map(field => ({ field, ...parseCustomValue(field, draft.campos[field.id]) }));
+        const fieldErrors = Object.fromEntries(parsed.filter(({ error }) => error).map(({ field, error }) => [field.id, error]));
+        if (Object.keys(fieldErrors).length > 0) { setErrors(fieldErrors); return; }
+        setIsSaving(true);
         try {
-            await deleteDoc(doc(db, 'artifacts', appId, 'users', userId, 'investors', investorToDelete.id));
-            showToast(`${investorToDelete.nomeFantasia} foi excluído.`, 'success');
+            // Caminhos `campos.{id}` para não apagar valores de campos entretanto criados por outra pessoa.
+            await updateDoc(doc(db, 'artifacts', appId, 'workspaces', workspaceId, 'investors', investor.id), {
+                tags: parseTags(draft.tags),
+                ...Object.fromEntries(parsed.map(({ field, value }) => [`campos.${field.id}`, value === null ? deleteField() : value])),
+            });
+            showToast("Dados do investidor atualizados.", 'success');
+            setDraft(null);
         } catch (error) {
-            console.error("Erro ao excluir investidor:", error);
-            showToast("Falha ao excluir.", 'error');
-        } finally {
-            setInvestorToDelete(null); // Fecha o modal
-        }
+            console.error("Erro ao guardar campos do investidor:", error);
+            showToast("Erro ao guardar os dados.", 'error');
+        } finally { setIsSaving(false); }
     };
 
+    if (draft) return (
+        <form onSubmit={handleSave} className="bg-gray-800 rounded-lg shadow-xl p-6 space-y-4">
+            <h3 className="text-xl font-bold text-white">Etiquetas e Campos</h3>
+            <InputField label="Etiquetas (separadas por vírgulas)" list="profile-tags" value={draft.tags} onChange={(e) => setDraft({ ...draft, tags: e.target.value })} />
+            <datalist id="profile-tags">{uniqueTags(masterInvestors).map(tag => <option key={tag} value={tag} />)}</datalist>
+            {customFields.map(field => (
+                <CustomFieldInput key={field.id} field={field} value={draft.campos[field.id]} error={errors[field.id]} onChange={(value) => setDraft({ ...draft, campos: { ...draft.campos, [field.id]: value } })} />
+            ))}
+            <div className="flex justify-end gap-3">
+                <button type="button" onClick={() => setDraft(null)} className="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700">Cancelar</button>
+                <button type="submit" disabled={isSaving} className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-blue-400">{isSaving ? 'A guardar...' : 'Guardar'}</button>
+            </div>
+        </form>
+    );
+
     return (
-        <div className="p-4 sm:p-6 lg:p-8">
-             <ConfirmationModal 
-                isOpen={!!investorToDelete}
-                onClose={() => setInvestorToDelete(null)}
-                onConfirm={confirmDelete}
-                title="Confirmar Exclusão"
-                message={`Tem a certeza de que deseja excluir ${investorToDelete?.nomeFantasia} da base central? Esta ação é irreversível.`}
-            />
-            <h2 className="text-3xl font-bold text-white mb-6">Base Central de Investidores</h2>
-            <div className="bg-gray-800 rounded-lg shadow-xl p-6">
-                <div className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-4 gap-4 mb-4">
-                    <div className="lg:col-span-2"><InputField placeholder="Procurar por nome, setor..." value={searchTerm} onChange={(e) => setSearchTerm(e.target.value)} /></div>
-                    <SelectField value={filters.classificacao} onChange={(e) => setFilters(f => ({...f, classificacao: e.target.value}))}>
-                        <option value="">Classificação</option>{uniqueClassifications.map(v => <option key={v} value={v}>{v}</option>)}
-                    </SelectField>
-                    <SelectField value={filters.setor} onChange={(e) => setFilters(f => ({...f, setor: e.target.value}))}>
-                        <option value="">Setor</option>{uniqueSectors.map(v => <option key={v} value={v}>{v}</option>)}
-                    </SelectField>
-                </div>
-                <div className="overflow-x-auto">
-                    <table className="w-full text-left text-gray-300">
-                        <thead className="bg-gray-700 text-gray-200 uppercase text-sm"><tr><th className="p-4">Nome Fantasia</th><th className="p-4">Classificação</th><th className="p-4">Setor</th><th className="p-4">Nota Global</th><th className="p-4">Ações</th></tr></thead>
-                        <tbody className="divide-y divide-gray-700">
-                           {filteredInvestors.map(investor => (
-                                <tr key={investor.id} onClick={() => onSelectInvestor(investor, true)} className="hover:bg-gray-700 cursor-pointer">
-                                    <td className="p-4 font-medium text-white">{investor.nomeFantasia}</td><td className="p-4">{investor.classificacao}</td><td className="p-4">{investor.setor}</td>
-                                    <td className="p-4"><div className="flex items-center">{[...Array(5)].map((_, i) => <Star key={i} size={18} className={i < (investor.nota || 0) ? 'text-yellow-400 fill-yellow-400' : 'text-gray-600'} />)}</div></td>
-                                    <td className="p-4"><button onClick={(e) => handleDeleteClick(e, investor)} className="text-gray-400 hover:text-red-500 p-2 rounded-full transition-colors"><Trash2 size={18} /></button></td>
-                                </tr>
-                            ))}
-                        </tbody>
-                    </table>
-                    {filteredInvestors.length === 0 && <p className="text-center py-10 text-gray-500">Nenhum investidor encontrado.</p>}
-                </div>
+        <div className="bg-gray-800 rounded-lg shadow-xl p-6">
+            <div className="flex justify-between items-center mb-4">
+                <h3 className="text-xl font-bold text-white">Etiquetas e Campos</h3>
+                {!isReadOnly && <button onClick={startEditing} title="Editar" className="p-2 rounded-full text-gray-400 hover:text-white hover:bg-gray-700"><Edit size={18} /></button>}
             </div>
+            {investor.tags?.length > 0 ? <TagList tags={investor.tags} /> : <p className="text-sm text-gray-500">Sem etiquetas.</p>}
+            {filledFields.length > 0 && (
+                <dl className="mt-4 space-y-2 text-sm">
+                    {filledFields.map(field => (
+                        <div key={field.id} className="flex justify-between gap-4"><dt className="text-gray-400">{field.nome}</dt><dd className="text-white text-right">{formatCustomValue(field, investor.campos[field.id])}</dd></div>
+                    ))}
+                </dl>
+            )}
+            {customFields.length > filledFields.length && <p className="text-xs text-gray-500 mt-3">{customFields.length - filledFields.length} campo(s) por preencher.</p>}
         </div>
     );
 };
 
-const Dashboard = ({ onSelectInvestor }) => {
-    const { projectInvestors, selectedProjectId, userId } = useContext(DataContext);
-    const [isAddInvestorModalOpen, setIsAddInvestorModalOpen] = useState(false);
-    const sortedAndFilteredInvestors = useMemo(() => [...projectInvestors].sort((a,b) => (b.notaDePrioridade || 0) - (a.notaDePrioridade || 0)), [projectInvestors]);
-    const handleActionClick = (e) => e.stopPropagation();
-    
-    const handlePriorityChange = async (investorId, newPriority) => {
-        if (!userId || !selectedProjectId) return;
-        const pipelineRef = doc(db, 'artifacts', appId, 'users', userId, 'projects', selectedProjectId, 'pipeline', investorId);
-        try { await updateDoc(pipelineRef, { notaDePrioridade: newPriority }); } 
-        catch (error) { console.error("Erro ao atualizar prioridade:", error); }
-    };
-
-    if (!selectedProjectId) return <div className="flex flex-col items-center justify-center h-full text-center p-8"><Folder size={64} className="text-gray-600 mb-4" /><h2 className="text-2xl font-bold text-white">Nenhum projeto selecionado</h2><p className="text-gray-400 mt-2">Crie ou selecione um projeto na barra lateral.</p></div>
-    
+// Filtro de um campo personalizado na barra de filtros (ver matchesCustomFilter).
+const CustomFieldFilter = ({ field, value = emptyCustomFilter(field), onChange }) => {
+    const inputClass = (active) => `w-full min-w-0 bg-gray-900 border rounded-md p-2.5 text-sm ${active ? 'border-blue-500 text-white' : 'border-gray-600 text-gray-300'}`;
+    if (hasOptions(field)) return <MultiSelectFilter label={field.nome} options={field.opcoes} selected={value} onChange={onChange} />;
+    if (field.tipo === 'texto') return <input value={value} onChange={(e) => onChange(e.target.value)} placeholder={field.nome} className={inputClass(!!value)} />;
+    const [fromKey, toKey, type] = field.tipo === 'data' ? ['de', 'ate', 'date'] : ['min', 'max', 'number'];
     return (
-        <div className="p-4 sm:p-6 lg:p-8">
-            <div className="bg-gray-800 rounded-lg shadow-xl p-6">
-                <div className="flex flex-col sm:flex-row justify-between items-center mb-4 gap-4">
-                     <h2 className="text-2xl font-bold text-white">Investidores no Projeto</h2>
-                    <button onClick={() => setIsAddInvestorModalOpen(true)} className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"><PlusCircle size={20} /><span>Adicionar</span></button>
-                </div>
-                 <div className="overflow-x-auto">
-                    <table className="w-full text-left text-gray-300">
-                        <thead className="bg-gray-700 text-gray-200 uppercase text-sm"><tr><th className="p-4">Nome</th><th className="p-4">Setor</th><th className="p-4">Prioridade (Projeto)</th><th className="p-4">Status</th><th className="p-4">Ações</th></tr></thead>
-                        <tbody className="divide-y divide-gray-700">
-                           {sortedAndFilteredInvestors.map(investor => (
-                                <tr key={investor.id} onClick={() => onSelectInvestor(investor)} className="hover:bg-gray-700 cursor-pointer">
-                                    <td className="p-4 font-medium text-white">{investor.nomeFantasia}</td><td className="p-4">{investor.setor}</td>
-                                    <td className="p-4"><EditableStarRating score={investor.notaDePrioridade || 0} onSave={(newPriority) => handlePriorityChange(investor.id, newPriority)} /></td>
-                                    <td className="p-4"><span className={`px-2 py-1 rounded-full text-xs font-semibold ${ {'Não Contatado':'bg-gray-600 text-gray-100', 'Contatado':'bg-blue-600 text-blue-100', 'Reunião Agendada':'bg-yellow-600 text-yellow-100', 'Em Análise':'bg-purple-600 text-purple-100', 'Investido':'bg-green-600 text-green-100', 'Recusado':'bg-red-600 text-red-100'}[investor.status] || 'bg-gray-500' }`}>{investor.status}</span></td>
-                                    <td className="p-4">
-                                        <div className="flex items-center gap-2">
-                                            {investor.email1 && <a href={`mailto:${investor.email1}`} onClick={handleActionClick} className="p-2 rounded-full text-gray-400 hover:text-white hover:bg-blue-600"><Mail size={18}/></a>}
-                                            {investor.linkedin && <a href={investor.linkedin} target="_blank" rel="noopener noreferrer" onClick={handleActionClick} className="p-2 rounded-full text-gray-400 hover:text-white hover:bg-blue-600"><Linkedin size={18}/></a>}
-                                        </div>
-                                    </td>
-                                </tr>
-                            ))}
-                        </tbody>
-                    </table>
-                     {sortedAndFilteredInvestors.length === 0 && <div className="text-center py-10 text-gray-500"><p>Nenhum investidor neste projeto.</p><p>Clique em "Adicionar" para incluir investidores da sua base central.</p></div>}
-               </div>
+        <div className="flex items-center gap-1" title={field.nome}>
+            <input type={type} value={value[fromKey]} onChange={(e) => onChange({ ...value, [fromKey]: e.target.value })} placeholder={`${field.nome} de`} className={inputClass(value[fromKey] !== '')} />
+            <input type={type} value={value[toKey]} onChange={(e) => onChange({ ...value, [toKey]: e.target.value })} placeholder="até" className={inputClass(value[toKey] !== '')} />
+        </div>
+    );
+};
+
+// --- FILTROS DA BASE ---
+// Ids dos investidores no pipeline de um projeto, para o filtro "Fora do projeto".
+const useProjectInvestorIds = (workspaceId, projectId) => {
+    const [ids, setIds] = useState(null);
+    useEffect(() => {
+        if (!workspaceId || !projectId) { setIds(null); return; }
+        const unsub = onSnapshot(collection(db, 'artifacts', appId, 'workspaces', workspaceId, 'projects', projectId, 'pipeline'),
+            snap => setIds(new Set(snap.docs.filter(d => !d.data().arquivado).map(d => d.id))),
+            error => console.error("Erro ao buscar pipeline:", error));
+        return () => unsub();
+    }, [workspaceId, projectId]);
+    return ids;
+};
+
+// Vistas guardadas: combinações de filtros com nome, partilhadas por todo o espaço.
+const useSavedViews = (workspaceId) => {
+    const [views, setViews] = useState([]);
+    useEffect(() => {
+        if (!workspaceId) { setViews([]); return; }
+        const unsub = onSnapshot(collection(db, 'artifacts', appId, 'workspaces', workspaceId, 'views'),
+            snap => setViews(snap.docs.map(d => ({ id: d.id, ...d.data() })).sort((a, b) => a.nome.localeCompare(b.nome, 'pt'))),
+            error => console.error("Erro ao buscar vistas:", error));
+        return () => unsub();
+    }, [workspaceId]);
+    return views;
+};
+
+const MultiSelectFilter = ({ label, options, selected, onChange }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const toggle = (value) => onChange(selected.includes(value) ? selected.filter(v => v !== value) : [...selected, value]);
+    return (
+        <div className="relative">
+            <button type="button" onClick={() => setIsOpen(!isOpen)} className={`w-full flex items-center justify-between gap-2 bg-gray-900 border rounded-md p-2.5 text-sm ${selected.length ? 'border-blue-500 text-white' : 'border-gray-600 text-gray-300'}`}>
+                <span className="truncate">{selected.length ? `${label} (${selected.length})` : label}</span><ChevronsUpDown size={16} className="shrink-0" />
+            </button>
+            {isOpen && (
+                <div className="absolute left-0 top-full mt-2 w-64 max-h-72 overflow-y-auto bg-gray-800 border border-gray-700 rounded-lg shadow-xl z-20 p-2">
+                    {options.map(option => (
+                        <label key={option} className="flex items-center gap-2 p-2 hover:bg-gray-700 rounded-md cursor-pointer text-white text-sm">
+                            <input type="checkbox" checked={selected.includes(option)} onChange={() => toggle(option)} />{option}
+                        </label>
+                    ))}
+                    {options.length === 0 && <p className="p-2 text-sm text-gray-500">Sem valores na base.</p>}
+                    {selected.length > 0 && <button type="button" onClick={() => onChange([])} className="w-full mt-1 p-2 text-xs text-blue-400 hover:underline text-left">Limpar seleção</button>}
+                </div>
+            )}
+        </div>
+    );
+};
+
+// Barra de filtros (ver lib/search.js). `excludeProjectId` retira um projeto das opções de "Fora do projeto".
+const InvestorFilters = ({ filters, onChange, investors, excludeProjectId = null }) => {
+    const { projects, customFields } = useContext(DataContext);
+    const set = (changes) => onChange({ ...filters, ...changes });
+    const activeCount = countActiveFilters(filters, customFields);
+    const projectOptions = projects.filter(project => project.id !== excludeProjectId);
+
+    return (
+        <div className="space-y-3 mb-4">
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+                <div className="md:col-span-2"><InputField placeholder="Procurar em todos os campos (nome, setor, emails, justificativa...)" value={filters.texto} onChange={(e) => set({ texto: e.target.value })} /></div>
+                <div className="flex items-center gap-2">
+                    <span className="text-sm text-gray-400 shrink-0">Nota</span>
+                    <select value={filters.notaMin} onChange={(e) => set({ notaMin: Number(e.target.value), notaMax: Math.max(Number(e.target.value), filters.notaMax) })} className="w-full bg-gray-900 border border-gray-600 rounded-md p-2.5 text-white text-sm">
+                        {[0, 1, 2, 3, 4, 5].map(n => <option key={n} value={n}>{n}</option>)}
+                    </select>
+                    <span className="text-sm text-gray-400">a</span>
+                    <select value={filters.notaMax} onChange={(e) => set({ notaMax: Number(e.target.value), notaMin: Math.min(Number(e.target.value), filters.notaMin) })} className="w-full bg-gray-900 border border-gray-600 rounded-md p-2.5 text-white text-sm">
+                        {[0, 1, 2, 3, 4, 5].map(n => <option key={n} value={n}>{n}</option>)}
+                    </select>
+                </div>
+                <select value={filters.foraDoProjeto} onChange={(e) => set({ foraDoProjeto: e.target.value })} className={`w-full bg-gray-900 border rounded-md p-2.5 text-sm ${filters.foraDoProjeto ? 'border-blue-500 text-white' : 'border-gray-600 text-gray-300'}`}>
+                    <option value="">Fora do projeto...</option>
+                    {projectOptions.map(project => <option key={project.id} value={project.id}>Fora de {project.name}</option>)}
+                </select>
+            </div>
+            <div className="grid grid-cols-2 md:grid-cols-6 gap-3">
+                {MULTI_FILTER_FIELDS.map(field => (
+                    <MultiSelectFilter key={field} label={INVESTOR_FIELDS.find(f => f.key === field).label} options={uniqueValues(investors, field)} selected={filters[field]} onChange={(values) => set({ [field]: values })} />
+                ))}
+                <MultiSelectFilter label="Etiquetas" options={uniqueTags(investors)} selected={filters.tags} onChange={(tags) => set({ tags })} />
+                {activeCount > 0 && <button type="button" onClick={() => onChange(EMPTY_FILTERS)} className="flex items-center justify-center gap-2 p-2.5 text-sm text-gray-300 hover:text-white bg-gray-700 hover:bg-gray-600 rounded-md"><X size={16} /> Limpar filtros ({activeCount})</button>}
+            </div>
+            {customFields.length > 0 && (
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                    {customFields.map(field => (
+                        <CustomFieldFilter key={field.id} field={field} value={filters.campos?.[field.id]} onChange={(value) => set({ campos: { ...filters.campos, [field.id]: value } })} />
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+// Aplica `filters` e devolve os investidores que passam, incluindo o filtro "Fora do projeto".
+const useFilteredInvestors = (investors, filters) => {
+    const { workspaceId, customFields } = useContext(DataContext);
+    const excludedIds = useProjectInvestorIds(workspaceId, filters.foraDoProjeto || null);
+    return useMemo(() => filterInvestors(investors, filters, excludedIds, customFields), [investors, filters, excludedIds, customFields]);
+};
+
+const SavedViewsMenu = ({ filters, onApply }) => {
+    const { workspaceId, author, isReadOnly, customFields, showToast } = useContext(DataContext);
+    const views = useSavedViews(workspaceId);
+    const activeCount = countActiveFilters(filters, customFields);
+    const [isOpen, setIsOpen] = useState(false);
+    const [nome, setNome] = useState('');
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        if (!nome.trim()) return;
+        try {
+            await addDoc(collection(db, 'artifacts', appId, 'workspaces', workspaceId, 'views'), { nome: nome.trim(), filtros: normalizeFilters(filters), criadoPor: author, criadoEm: new Date() });
+            setNome('');
+            showToast(`Vista "${nome.trim()}" guardada para toda a equipa.`, 'success');
+        } catch (error) {
+            console.error("Erro ao guardar vista:", error);
+            showToast("Não foi possível guardar a vista.", 'error');
+        }
+    };
+
+    const handleDelete = async (view) => {
+        try { await deleteDoc(doc(db, 'artifacts', appId, 'workspaces', workspaceId, 'views', view.id)); }
+        catch (error) { console.error("Erro ao excluir vista:", error); showToast("Não foi possível excluir a vista.", 'error'); }
+    };
+
+    return (
+        <div className="relative">
+            <button type="button" onClick={() => setIsOpen(!isOpen)} className="flex items-center gap-2 px-4 py-2 bg-gray-700 text-white rounded-md hover:bg-gray-600"><Bookmark size={20} /><span>Vistas ({views.length})</span></button>
+            {isOpen && (
+                <div className="absolute right-0 top-full mt-2 w-72 bg-gray-800 border border-gray-700 rounded-lg shadow-xl z-20 p-2">
+                    {views.map(view => (
+                        <div key={view.id} onClick={() => { onApply(normalizeFilters(view.filtros)); setIsOpen(false); }} className="group p-3 hover:bg-gray-700 rounded-md cursor-pointer text-white flex items-center justify-between gap-2">
+                            <span className="truncate" title={view.criadoPor?.nome ? `Criada por ${view.criadoPor.nome}` : undefined}>{view.nome}</span>
+                            {!isReadOnly && <button type="button" onClick={(e) => { e.stopPropagation(); handleDelete(view); }} title="Excluir vista" className="p-1 text-gray-400 hover:text-red-500 opacity-0 group-hover:opacity-100"><Trash2 size={14} /></button>}
+                        </div>
+                    ))}
+                    {views.length === 0 && <p className="p-3 text-sm text-gray-500">Nenhuma vista guardada.</p>}
+                    {!isReadOnly && (
+                        <form onSubmit={handleSave} className="border-t border-gray-700 mt-2 pt-2 flex gap-2">
+                            <input value={nome} onChange={(e) => setNome(e.target.value)} placeholder="Nome da vista atual" className="flex-grow min-w-0 bg-gray-900 border border-gray-600 rounded-md p-2 text-white text-sm" />
+                            <button type="submit" disabled={!nome.trim() || activeCount === 0} title={activeCount === 0 ? 'Aplique pelo menos um filtro' : undefined} className="px-3 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 text-sm disabled:bg-gray-600 disabled:text-gray-400">Guardar</button>
+                        </form>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+// Histórico dos investidores nos outros projetos semelhantes, para a adequação ao projeto (ver lib/fit.js).
+// Só são lidos os pipelines desses projetos, uma vez por abertura do modal; null enquanto carrega.
+const useDealHistory = (workspaceId, project, projects) => {
+    const [history, setHistory] = useState(null);
+    const similarProjects = useMemo(() => project && hasProjectProfile(project) ? projects.filter(other => other.id !== project.id && isSimilarDeal(project, other)) : [],
+        [project, projects]);
+
+    useEffect(() => {
+        if (!project) return;
+        let cancelled = false;
+        Promise.all(similarProjects.map(async other => {
+            const snap = await getDocs(collection(db, 'artifacts', appId, 'workspaces', workspaceId, 'projects', other.id, 'pipeline'));
+            return { project: other, entries: snap.docs.map(d => ({ id: d.id, ...d.data() })) };
+        }))
+            .then(pipelines => { if (!cancelled) setHistory(buildDealHistory(project, pipelines)); })
+            .catch(error => {
+                console.error("Erro ao carregar o histórico dos projetos:", error);
+                if (!cancelled) setHistory(new Map());
+            });
+        return () => { cancelled = true; };
+    }, [workspaceId, project, similarProjects]);
+    return history;
+};
+
+const fitColor = (score) => score >= 70 ? 'bg-green-600 text-green-100' : score >= 40 ? 'bg-yellow-600 text-yellow-100' : 'bg-gray-600 text-gray-200';
+
+const formatPoints = (points) => `${points > 0 ? '+' : ''}${Math.round(points)}`;
+
+const FitExplanation = ({ fit }) => (
+    <ul className="mt-2 space-y-1 text-xs text-gray-300">
+        {fit.reasons.map(reason => (
+            <li key={reason.label}>
+                <div className="flex justify-between gap-3">
+                    <span>{reason.label}</span>
+                    <span className={`shrink-0 ${reason.points > 0 ? 'text-green-400' : reason.points < 0 ? 'text-red-400' : 'text-gray-500'}`}>{formatPoints(reason.points)} / {reason.max}</span>
+                </div>
+                {reason.details && <ul className="ml-3 text-gray-500">{reason.details.map(detail => <li key={detail}>· {detail}</li>)}</ul>}
+            </li>
+        ))}
+    </ul>
+);
+
+const AddInvestorToProjectModal = ({ onClose, selectedProjectId }) => {
+    const { workspaceId, masterInvestors, projectInvestors, projects, selectedProject, projectStages, author, openProjectForm, showToast } = useContext(DataContext);
+    const [selectedInvestors, setSelectedInvestors] = useState([]);
+    const [isAdding, setIsAdding] = useState(false);
+    const [filters, setFilters] = useState(EMPTY_FILTERS);
+    const [expandedId, setExpandedId] = useState(null);
+
+    const candidates = useMemo(() => {
+        const projectInvestorIds = new Set(projectInvestors.map(pi => pi.id));
+        return masterInvestors.filter(mi => !projectInvestorIds.has(mi.id));
+    }, [masterInvestors, projectInvestors]);
+    const availableInvestors = useFilteredInvestors(candidates, filters);
+    const hasProfile = hasProjectProfile(selectedProject);
+    const history = useDealHistory(workspaceId, selectedProject, projects);
+    // Sem perfil fica a ordem da base; o histórico entra na pontuação assim que acaba de carregar.
+    const ranked = useMemo(() => hasProfile
+        ? rankByFit(availableInvestors, selectedProject, history ?? new Map())
+        : availableInvestors.map(investor => ({ investor, fit: null })), [hasProfile, availableInvestors, selectedProject, history]);
+
+    const toggleSelection = (investorId) => setSelectedInvestors(prev => prev.includes(investorId) ? prev.filter(id => id !== investorId) : [...prev, investorId]);
+    const toggleExplanation = (e, investorId) => { e.stopPropagation(); setExpandedId(prev => prev === investorId ? null : investorId); };
+    
+    const handleAdd = async () => {
+        if (selectedInvestors.length === 0) return;
+        setIsAdding(true);
+        try {
+            await addInvestorsToProject(workspaceDoc(workspaceId), selectedProjectId, selectedInvestors, projectStages[0].nome, author);
+            showToast(`${selectedInvestors.length} investidor(es) adicionado(s) com sucesso!`, 'success');
+            onClose();
+        } catch (error) { 
+            console.error("Erro ao adicionar investidores:", error); 
+            showToast("Falha ao adicionar investidores.", 'error');
+        }
+        finally { setIsAdding(false); }
+    };
+
+    return (
+        <>
+            <div className="flex justify-between items-center mb-3 gap-3">
+                <p className="text-sm text-gray-400">{availableInvestors.length} de {candidates.length} investidores fora deste projeto</p>
+                <SavedViewsMenu filters={filters} onApply={setFilters} />
+            </div>
+            <InvestorFilters filters={filters} onChange={setFilters} investors={candidates} excludeProjectId={selectedProjectId} />
+            {hasProfile ? (
+                <p className="text-xs text-gray-500 mb-3">Ordenados pela adequação ao perfil do projeto: setor, instrumento, nota global e resultados em negócios semelhantes{history ? '' : ' (a carregar o histórico...)'}. Clique na pontuação para ver o porquê.</p>
+            ) : (
+                <p className="text-xs text-gray-500 mb-3">Defina o perfil do projeto (setores, instrumento, valor alvo e estágio) para ordenar os investidores por adequação. <button type="button" onClick={() => { onClose(); openProjectForm(selectedProject); }} className="text-blue-400 hover:underline">Editar projeto</button></p>
+            )}
+            <div className="space-y-3 max-h-96 overflow-y-auto pr-2">
+                {ranked.map(({ investor, fit }) => (
+                    <div key={investor.id} onClick={() => toggleSelection(investor.id)} className={`p-3 rounded-md cursor-pointer transition-colors ${selectedInvestors.includes(investor.id) ? 'bg-blue-900 border border-blue-600' : 'bg-gray-700 hover:bg-gray-600'}`}>
+                        <div className="flex items-center gap-3">
+                            <div className={`w-5 h-5 shrink-0 rounded-sm border-2 flex items-center justify-center ${selectedInvestors.includes(investor.id) ? 'bg-blue-600 border-blue-500' : 'border-gray-500'}`}>
+                                {selectedInvestors.includes(investor.id) && <CheckCircle size={16} className="text-white" />}
+                            </div>
+                            <div className="flex-1 min-w-0">
+                                <p className="font-medium text-white">{investor.nomeFantasia}</p>
+                                <p className="text-sm text-gray-400">{[investor.setor, investor.creditoEquity].filter(Boolean).join(' · ')}</p>
+                            </div>
+                            {fit && (
+                                <button type="button" onClick={(e) => toggleExplanation(e, investor.id)} title="Ver a explicação da pontuação" className={`flex items-center gap-1 px-2 py-1 rounded-full text-xs font-semibold ${fitColor(fit.score)}`}>
+                                    {fit.score}{expandedId === investor.id ? <ChevronUp size={14} /> : <ChevronDown size={14} />}
+                                </button>
+                            )}
+                        </div>
+                        {fit && expandedId === investor.id && <FitExplanation fit={fit} />}
+                    </div>
+                ))}
+                 {availableInvestors.length === 0 && <p className="text-gray-500 text-center py-8">Nenhum investidor disponível com este filtro.</p>}
+            </div>
+            <div className="flex justify-end pt-4 gap-3">
+                <button type="button" onClick={onClose} className="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700">Cancelar</button>
+                <button onClick={handleAdd} disabled={isAdding || selectedInvestors.length === 0} className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-blue-400">{isAdding ? 'A adicionar...' : `Adicionar ${selectedInvestors.length}`}</button>
+            </div>
+        </>
+    );
+};
+
+const ProjectSelector = () => {
+    const { workspaceId, projects, membership, selectedProjectId, setSelectedProjectId, openProjectForm, setIsCsvModalOpen, isReadOnly, showToast } = useContext(DataContext);
+    const [isOpen, setIsOpen] = useState(false);
+    const [showArchived, setShowArchived] = useState(false);
+    const [projectToDelete, setProjectToDelete] = useState(null);
+    const selectedProject = projects.find(p => p.id === selectedProjectId);
+    const activeProjects = projects.filter(p => !p.arquivado);
+    const archivedProjects = projects.filter(p => p.arquivado);
+
+    const runAction = (e, action) => { e.stopPropagation(); setIsOpen(false); action(); };
+
+    const handleToggleArchive = async (project) => {
+        try {
+            await updateDoc(doc(db, 'artifacts', appId, 'workspaces', workspaceId, 'projects', project.id), { arquivado: !project.arquivado });
+            if (!project.arquivado && project.id === selectedProjectId) setSelectedProjectId(activeProjects.find(p => p.id !== project.id)?.id ?? null);
+            showToast(project.arquivado ? `${project.name} foi reativado.` : `${project.name} foi arquivado.`, 'success');
+        } catch (error) {
+            console.error("Erro ao arquivar projeto:", error);
+            showToast("Falha ao atualizar o projeto.", 'error');
+        }
+    };
+
+    const handleDuplicate = async (project) => {
+        try {
+            const newProjectId = await duplicateProject(workspaceDoc(workspaceId), project, getProjectStages(project)[0].nome);
+            setSelectedProjectId(newProjectId);
+            showToast(`Projeto duplicado como "${project.name} (cópia)".`, 'success');
+        } catch (error) {
+            console.error("Erro ao duplicar projeto:", error);
+            showToast("Falha ao duplicar o projeto.", 'error');
+        }
+    };
+
+    const confirmDelete = async () => {
+        if (!projectToDelete) return;
+        try {
+            await deleteProjectWithPipeline(workspaceId, projectToDelete.id);
+            if (projectToDelete.id === selectedProjectId) setSelectedProjectId(activeProjects.find(p => p.id !== projectToDelete.id)?.id ?? null);
+            showToast(`${projectToDelete.name} foi excluído.`, 'success');
+        } catch (error) {
+            console.error("Erro ao excluir projeto:", error);
+            showToast("Falha ao excluir o projeto.", 'error');
+        } finally {
+            setProjectToDelete(null);
+        }
+    };
+
+    const renderProject = (project) => (
+        <div key={project.id} onClick={() => { setSelectedProjectId(project.id); setIsOpen(false); }} className={`group p-3 hover:bg-gray-700 rounded-md cursor-pointer flex items-center justify-between gap-2 ${project.arquivado ? 'text-gray-400' : 'text-white'}`}>
+            <span className="truncate">{project.name}</span>
+            {!isReadOnly && <span className="flex items-center gap-1 shrink-0 opacity-0 group-hover:opacity-100 transition-opacity">
+                <button onClick={(e) => runAction(e, () => openProjectForm(project))} title="Editar" className="p-1 text-gray-400 hover:text-blue-400"><Edit size={14} /></button>
+                {(!project.membros?.length || isAdmin(membership?.papel)) && <button onClick={(e) => runAction(e, () => handleDuplicate(project))} title="Duplicar" className="p-1 text-gray-400 hover:text-blue-400"><Copy size={14} /></button>}
+                <button onClick={(e) => runAction(e, () => handleToggleArchive(project))} title={project.arquivado ? 'Reativar' : 'Arquivar'} className="p-1 text-gray-400 hover:text-yellow-400">{project.arquivado ? <ArchiveRestore size={14} /> : <Archive size={14} />}</button>
+                <button onClick={(e) => runAction(e, () => setProjectToDelete(project))} title="Excluir" className="p-1 text-gray-400 hover:text-red-500"><Trash2 size={14} /></button>
+            </span>}
+        </div>
+    );
+
+    return (
+        <div className="relative w-full">
+            <ConfirmationModal
+                isOpen={!!projectToDelete}
+                onClose={() => setProjectToDelete(null)}
+                onConfirm={confirmDelete}
+                title="Excluir Projeto"
+                message={`Tem a certeza de que deseja excluir ${projectToDelete?.name}? O pipeline e todo o histórico de interações deste projeto serão apagados. Os investidores continuam na base central.`}
+            />
+            <button onClick={() => setIsOpen(!isOpen)} className="w-full bg-gray-700 p-3 rounded-lg flex justify-between items-center text-left">
+                <div className="min-w-0">
+                    <p className="text-xs text-gray-400">Projeto Atual{selectedProject?.arquivado ? ' (arquivado)' : ''}</p>
+                    <p className="font-semibold text-white truncate">{selectedProject?.name || 'Nenhum Projeto'}</p>
+                </div>
+                <ChevronsUpDown size={20} className="text-gray-400" />
+            </button>
+            {isOpen && (
+                <div className="absolute top-full mt-2 w-full bg-gray-800 border border-gray-700 rounded-lg shadow-xl z-20 p-2 max-h-[70vh] overflow-y-auto">
+                    {activeProjects.map(renderProject)}
+                    {archivedProjects.length > 0 && (
+                        <>
+                            <div onClick={() => setShowArchived(!showArchived)} className="p-3 text-xs text-gray-500 uppercase font-bold hover:text-gray-300 cursor-pointer">{showArchived ? 'Ocultar' : 'Mostrar'} arquivados ({archivedProjects.length})</div>
+                            {showArchived && archivedProjects.map(renderProject)}
+                        </>
+                    )}
+                    {!isReadOnly && (
+                        <>
+                            <div className="border-t border-gray-700 my-2"></div>
+                            <div onClick={() => { openProjectForm(); setIsOpen(false); }} className="p-3 text-blue-400 hover:bg-gray-700 rounded-md cursor-pointer flex items-center gap-2"><FolderPlus size={18} /> Novo Projeto</div>
+                            <div onClick={() => { setIsCsvModalOpen(true); setIsOpen(false); }} className="p-3 text-green-400 hover:bg-gray-700 rounded-md cursor-pointer flex items-center gap-2"><UserPlus size={18} /> Importar Base</div>
+                        </>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+// Editor das etapas do pipeline de um projeto. Renomear uma etapa atualiza as entradas que a usam;
+// as entradas de etapas removidas passam a aparecer em "Sem etapa".
+const StageEditor = ({ project, onClose }) => {
+    const { workspaceId, projectInvestors, selectedProjectId, showToast } = useContext(DataContext);
+    const [stages, setStages] = useState(() => getProjectStages(project).map((stage, i) => ({ ...stage, nomeOriginal: stage.nome, rowKey: `stage-${i}` })));
+    const [error, setError] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
+
+    const originalNames = getProjectStages(project).map(stage => stage.nome);
+    const keptNames = new Set(stages.map(stage => stage.nomeOriginal).filter(Boolean));
+    const orphanedCount = project.id === selectedProjectId ? projectInvestors.filter(inv => originalNames.includes(inv.status) && !keptNames.has(inv.status)).length : 0;
+
+    const updateStage = (index, changes) => { setStages(prev => prev.map((stage, i) => i === index ? { ...stage, ...changes } : stage)); setError(''); };
+    const moveStage = (index, delta) => setStages(prev => {
+        const next = [...prev];
+        [next[index], next[index + delta]] = [next[index + delta], next[index]];
+        return next;
+    });
+    const removeStage = (index) => setStages(prev => prev.filter((_, i) => i !== index));
+    const addStage = () => setStages(prev => [...prev, { nome: '', cor: 'gray', tipo: 'aberta', rowKey: `new-${Date.now()}` }]);
+    // Etapas do modelo com o mesmo nome de uma etapa atual são tratadas como a mesma etapa.
+    const applyTemplate = (name) => setStages(STAGE_TEMPLATES[name].map((stage, i) => ({ ...stage, nomeOriginal: originalNames.includes(stage.nome) ? stage.nome : undefined, rowKey: `${name}-${i}-${Date.now()}` })));
+
+    const handleSave = async () => {
+        const validationError = validateStages(stages);
+        if (validationError) { setError(validationError); return; }
+        setIsSaving(true);
+        const etapas = stages.map(({ nome, cor, tipo }) => ({ nome: nome.trim(), cor, tipo }));
+        const renames = new Map(stages.filter(stage => stage.nomeOriginal && stage.nomeOriginal !== stage.nome.trim()).map(stage => [stage.nomeOriginal, stage.nome.trim()]));
+        try {
+            await updateDoc(doc(db, 'artifacts', appId, 'workspaces', workspaceId, 'projects', project.id), withStageNames(etapas));
+            if (renames.size > 0) {
+                const pipelineSnap = await getDocs(collection(db, 'artifacts', appId, 'workspaces', workspaceId, 'projects', project.id, 'pipeline'));
+                const affected = pipelineSnap.docs.filter(pipelineDoc => renames.has(pipelineDoc.data().status));
+                await commitInChunks(db, affected, (batch, pipelineDoc) => batch.update(pipelineDoc.ref, { status: renames.get(pipelineDoc.data().status) }));
+            }
+            showToast("Etapas atualizadas com sucesso!", 'success');
+            onClose();
+        } catch (err) {
+            console.error("Erro ao guardar etapas:", err);
+            showToast("Falha ao guardar as etapas.", 'error');
+        } finally { setIsSaving(false); }
+    };
+
+    return (
+        <>
+            <div className="flex justify-between items-end gap-4 mb-4">
+                <p className="text-gray-300">Defina a ordem, a cor e o tipo de cada etapa do funil deste projeto.</p>
+                <SelectField label="Aplicar modelo" value="" onChange={(e) => e.target.value && applyTemplate(e.target.value)}>
+                    <option value="">Escolher...</option>{Object.keys(STAGE_TEMPLATES).map(name => <option key={name} value={name}>{name}</option>)}
+                </SelectField>
+            </div>
+            <div className="space-y-2">
+                {stages.map((stage, index) => (
+                    <div key={stage.rowKey} className="flex items-center gap-2 bg-gray-700 p-2 rounded-md">
+                        <span className={`w-3 h-8 rounded-sm shrink-0 ${stageColor(stage).swatch}`}></span>
+                        <input value={stage.nome} onChange={(e) => updateStage(index, { nome: e.target.value })} placeholder="Nome da etapa" className="flex-grow bg-gray-900 border border-gray-600 rounded-md p-2 text-white outline-none focus:ring-2 focus:ring-blue-500" />
+                        <select value={stage.cor} onChange={(e) => updateStage(index, { cor: e.target.value })} className="bg-gray-900 border border-gray-600 rounded-md p-2 text-white">
+                            {Object.entries(STAGE_COLORS).map(([value, { label }]) => <option key={value} value={value}>{label}</option>)}
+                        </select>
+                        <select value={stage.tipo} onChange={(e) => updateStage(index, { tipo: e.target.value })} className="bg-gray-900 border border-gray-600 rounded-md p-2 text-white">
+                            {Object.entries(STAGE_TYPES).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                        </select>
+                        <button onClick={() => moveStage(index, -1)} disabled={index === 0} className="p-1 text-gray-400 hover:text-white disabled:opacity-30"><ChevronUp size={18} /></button>
+                        <button onClick={() => moveStage(index, 1)} disabled={index === stages.length - 1} className="p-1 text-gray-400 hover:text-white disabled:opacity-30"><ChevronDown size={18} /></button>
+                        <button onClick={() => removeStage(index)} className="p-1 text-gray-400 hover:text-red-500"><Trash2 size={18} /></button>
+                    </div>
+                ))}
+            </div>
+            <button onClick={addStage} className="mt-3 flex items-center gap-2 text-blue-400 hover:text-blue-300"><PlusCircle size={18} /> Adicionar etapa</button>
+            {orphanedCount > 0 && <p className="text-yellow-400 text-sm mt-4">{orphanedCount} investidor(es) estão em etapas removidas e passarão a aparecer em "{NO_STAGE}".</p>}
+            {error && <p className="text-red-400 text-sm mt-4">{error}</p>}
+            <div className="flex justify-end pt-4 gap-3">
+                <button onClick={onClose} className="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700">Cancelar</button>
+                <button onClick={handleSave} disabled={isSaving} className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-blue-400">{isSaving ? 'A guardar...' : 'Guardar Etapas'}</button>
+            </div>
+        </>
+    );
+};
+
+// Resumo dos metadados do projeto (valor alvo, instrumento, prazo e estágio) exibido no topo das vistas.
+const ProjectSummary = () => {
+    const { projects, selectedProjectId } = useContext(DataContext);
+    const project = projects.find(p => p.id === selectedProjectId);
+    if (!project) return null;
+    const details = [
+        project.valorAlvo ? { icon: <Target size={16} />, text: `Alvo: ${formatCurrency(project.valorAlvo)}` } : null,
+        project.instrumento ? { icon: <Folder size={16} />, text: project.instrumento } : null,
+        project.prazo ? { icon: <CalendarClock size={16} />, text: `Prazo: ${formatDate(project.prazo)}` } : null,
+        project.estagio ? { icon: <Users size={16} />, text: project.estagio } : null,
+        project.setores?.length ? { icon: <Building2 size={16} />, text: project.setores.join(', ') } : null,
+    ].filter(Boolean);
+    return (
+        <div className="mb-4">
+            <h2 className="text-3xl font-bold text-white">{project.name}{project.arquivado && <span className="ml-3 align-middle text-xs px-2 py-1 rounded-full bg-gray-600 text-gray-200">Arquivado</span>}</h2>
+            {details.length > 0 && (
+                <div className="flex flex-wrap gap-4 mt-2 text-sm text-gray-400">
+                    {details.map(({ icon, text }) => <span key={text} className="flex items-center gap-1">{icon} {text}</span>)}
+                </div>
+            )}
+        </div>
+    );
+};
+
+// --- EXCLUSÃO DE INVESTIDORES (LIXEIRA) ---
+// Investidores excluídos ficam com `excluidoEm` e podem ser restaurados durante este período.
+const TRASH_RETENTION_DAYS = 30;
+
+const daysUntilPurge = (investor) => TRASH_RETENTION_DAYS - Math.floor((Date.now() - toDate(investor.excluidoEm).getTime()) / 86400000);
+
+// Procura, em todos os projetos, as entradas de pipeline que referenciam o investidor.
+const findInvestorPipelineEntries = async (workspaceId, projects, investorId) => {
+    const snaps = await Promise.all(projects.map(project => getDoc(doc(db, 'artifacts', appId, 'workspaces', workspaceId, 'projects', project.id, 'pipeline', investorId))));
+    return snaps.map((snap, i) => snap.exists() ? { ...snap.data(), project: projects[i], ref: snap.ref } : null).filter(Boolean);
+};
+
+const restoreInvestor = async (workspaceId, projects, investorId) => {
+    const entries = await findInvestorPipelineEntries(workspaceId, projects, investorId);
+    const batch = writeBatch(db);
+    entries.filter(entry => entry.arquivado).forEach(entry => batch.update(entry.ref, { arquivado: deleteField() }));
+    batch.update(doc(db, 'artifacts', appId, 'workspaces', workspaceId, 'investors', investorId), { excluidoEm: deleteField() });
+    await batch.commit();
+};
+
+const deleteInvestorPermanently = async (workspaceId, projects, investorId) => {
+    const entries = await findInvestorPipelineEntries(workspaceId, projects, investorId);
+    const tasksSnap = await getDocs(query(collection(db, 'artifacts', appId, 'workspaces', workspaceId, 'tasks'), where('investorId', '==', investorId)));
+    const contactsSnap = await getDocs(collection(db, 'artifacts', appId, 'workspaces', workspaceId, 'investors', investorId, 'contacts'));
+    const batch = writeBatch(db);
+    entries.forEach(entry => batch.delete(entry.ref));
+    tasksSnap.docs.forEach(taskDoc => batch.delete(taskDoc.ref));
+    contactsSnap.docs.forEach(contactDoc => batch.delete(contactDoc.ref));
+    batch.delete(doc(db, 'artifacts', appId, 'workspaces', workspaceId, 'investors', investorId));
+    await batch.commit();
+};
+
+// Quem não vê todos os projetos não consegue apagar as entradas nos restritos, que ficariam órfãs:
+// para essas pessoas só existe a opção de arquivar.
+const HiddenProjectsNote = () => <p className="text-xs text-gray-500">Há projetos restritos a que não tem acesso: as entradas só podem ser arquivadas.</p>;
+
+const DeleteInvestorModal = ({ investor, onClose }) => {
+    const { workspaceId, projects, hasHiddenProjects, showToast } = useContext(DataContext);
+    const [entries, setEntries] = useState(null);
+    const [pipelineMode, setPipelineMode] = useState('archive');
+    const [isDeleting, setIsDeleting] = useState(false);
+
+    useEffect(() => {
+        let cancelled = false;
+        findInvestorPipelineEntries(workspaceId, projects, investor.id)
+            .then(result => { if (!cancelled) setEntries(result); })
+            .catch(error => {
+                console.error("Erro ao verificar projetos do investidor:", error);
+                if (!cancelled) setEntries([]);
+            });
+        return () => { cancelled = true; };
+    }, [workspaceId, projects, investor.id]);
+
+    const handleConfirm = async () => {
+        setIsDeleting(true);
+        try {
+            await moveInvestorsToTrash(workspaceDoc(workspaceId), projects.map(project => project.id), [investor.id], pipelineMode);
+            showToast(`${investor.nomeFantasia} foi movido para a lixeira.`, 'success');
+            onClose();
+        } catch (error) {
+            console.error("Erro ao excluir investidor:", error);
+            showToast("Falha ao excluir.", 'error');
+        } finally { setIsDeleting(false); }
+    };
+
+    return (
+        <Modal isOpen onClose={onClose} title="Confirmar Exclusão">
+            <p className="text-gray-300 mb-4">{investor.nomeFantasia} será movido para a lixeira e poderá ser restaurado durante {TRASH_RETENTION_DAYS} dias.</p>
+            {entries === null && <p className="text-gray-400 mb-4">A verificar os projetos que usam este investidor...</p>}
+            {entries?.length === 0 && <p className="text-gray-400 mb-4">Este investidor não está em nenhum projeto.</p>}
+            {entries?.length > 0 && (
+                <>
+                    <p className="text-yellow-400 mb-2">Este investidor está em {entries.length} projeto(s):</p>
+                    <ul className="bg-gray-900 rounded-md p-3 mb-4 space-y-1 text-sm text-gray-300">
+                        {entries.map(entry => <li key={entry.project.id}><strong className="text-white">{entry.project.name}</strong> — {entry.status} · {(entry.historicoDeInteracoes || []).length} interação(ões)</li>)}
+                    </ul>
+                    <div className="space-y-2 mb-6 text-gray-300">
+                        <label className="flex items-start gap-2 cursor-pointer"><input type="radio" name="pipelineMode" value="archive" checked={pipelineMode === 'archive'} onChange={(e) => setPipelineMode(e.target.value)} className="mt-1" /><span>Arquivar as entradas nestes projetos (voltam ao pipeline se o investidor for restaurado).</span></label>
+                        <label className={`flex items-start gap-2 ${hasHiddenProjects ? 'opacity-50' : 'cursor-pointer'}`}><input type="radio" name="pipelineMode" value="remove" checked={pipelineMode === 'remove'} onChange={(e) => setPipelineMode(e.target.value)} disabled={hasHiddenProjects} className="mt-1" /><span className="text-red-300">Remover as entradas destes projetos, incluindo o histórico de interações. Esta parte é irreversível.</span></label>
+                        {hasHiddenProjects && <HiddenProjectsNote />}
+                    </div>
+                </>
+            )}
+            <div className="flex justify-end gap-3">
+                <button onClick={onClose} className="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700">Cancelar</button>
+                <button onClick={handleConfirm} disabled={entries === null || isDeleting} className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 disabled:bg-red-400">{isDeleting ? 'A excluir...' : 'Mover para a lixeira'}</button>
+            </div>
+        </Modal>
+    );
+};
+
+const InvestorTrash = ({ onBack }) => {
+    const { deletedInvestors, projects, workspaceId, membership, showToast } = useContext(DataContext);
+    const [investorToPurge, setInvestorToPurge] = useState(null);
+    // A exclusão definitiva apaga as entradas em todos os projetos, que só os administradores veem.
+    const canPurge = isAdmin(membership?.papel);
+
+    // Investidores fora do prazo de restauro são excluídos definitivamente quando um administrador abre a lixeira.
+    useEffect(() => {
+        if (!canPurge) return;
+        const expired = deletedInvestors.filter(inv => daysUntilPurge(inv) <= 0);
+        if (expired.length === 0) return;
+        Promise.all(expired.map(inv => deleteInvestorPermanently(workspaceId, projects, inv.id)))
+            .catch(error => console.error("Erro ao limpar lixeira:", error));
+    }, [canPurge, deletedInvestors, projects, workspaceId]);
+
+    const handleRestore = async (investor) => {
+        try {
+            await restoreInvestor(workspaceId, projects, investor.id);
+            showToast(`${investor.nomeFantasia} foi restaurado.`, 'success');
+        } catch (error) {
+            console.error("Erro ao restaurar investidor:", error);
+            showToast("Falha ao restaurar.", 'error');
+        }
+    };
+
+    const confirmPurge = async () => {
+        if (!investorToPurge) return;
+        try {
+            await deleteInvestorPermanently(workspaceId, projects, investorToPurge.id);
+            showToast(`${investorToPurge.nomeFantasia} foi excluído definitivamente.`, 'success');
+        } catch (error) {
+            console.error("Erro ao excluir investidor:", error);
+            showToast("Falha ao excluir.", 'error');
+        } finally {
+            setInvestorToPurge(null);
+        }
+    };
+
+    return (
+        <div className="p-4 sm:p-6 lg:p-8">
+            <ConfirmationModal
+                isOpen={!!investorToPurge}
+                onClose={() => setInvestorToPurge(null)}
+                onConfirm={confirmPurge}
+                title="Excluir Definitivamente"
+                message={`${investorToPurge?.nomeFantasia} e as suas entradas em todos os projetos serão apagados. Esta ação é irreversível.`}
+            />
+            <button onClick={onBack} className="flex items-center gap-2 text-blue-400 hover:text-blue-300 mb-6"><ChevronLeft size={20} /> Voltar à base</button>
+            <h2 className="text-3xl font-bold text-white mb-2">Lixeira</h2>
+            <p className="text-gray-400 mb-6">Os investidores excluídos podem ser restaurados durante {TRASH_RETENTION_DAYS} dias.{!canPurge && ' Só os administradores os excluem definitivamente.'}</p>
+            <div className="bg-gray-800 rounded-lg shadow-xl p-6 overflow-x-auto">
+                <table className="w-full text-left text-gray-300">
+                    <thead className="bg-gray-700 text-gray-200 uppercase text-sm"><tr><th className="p-4">Nome Fantasia</th><th className="p-4">Excluído em</th><th className="p-4">Dias restantes</th><th className="p-4">Ações</th></tr></thead>
+                    <tbody className="divide-y divide-gray-700">
+                        {deletedInvestors.map(investor => (
+                            <tr key={investor.id}>
+                                <td className="p-4 font-medium text-white">{investor.nomeFantasia}</td>
+                                <td className="p-4">{formatDateTime(investor.excluidoEm)}</td>
+                                <td className="p-4">{Math.max(daysUntilPurge(investor), 0)}</td>
+                                <td className="p-4">
+                                    <div className="flex items-center gap-1">
+                                        <button onClick={() => handleRestore(investor)} title="Restaurar" className="text-gray-400 hover:text-green-400 p-2 rounded-full transition-colors"><RotateCcw size={18} /></button>
+                                        {canPurge && <button onClick={() => setInvestorToPurge(investor)} title="Excluir definitivamente" className="text-gray-400 hover:text-red-500 p-2 rounded-full transition-colors"><Trash2 size={18} /></button>}
+                                    </div>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+                {deletedInvestors.length === 0 && <p className="text-center py-10 text-gray-500">A lixeira está vazia.</p>}
+            </div>
+        </div>
+    );
+};
+
+// --- AÇÕES EM LOTE ---
+// Seleção múltipla de linhas/cartões. Só contam os ids ainda presentes em `rows`, por isso mudar os
+// filtros ou excluir investidores nunca deixa ações a apontar para linhas escondidas.
+const useSelection = (rows) => {
+    const [selected, setSelected] = useState(() => new Set());
+    const rowIds = useMemo(() => rows.map(row => row.id), [rows]);
+    const selectedIds = useMemo(() => rowIds.filter(id => selected.has(id)), [rowIds, selected]);
+    const setMany = (ids, value) => setSelected(prev => {
+        const next = new Set(prev);
+        ids.forEach(id => (value ? next.add(id) : next.delete(id)));
+        return next;
+    });
+    return {
+        selectedIds,
+        total: rowIds.length,
+        isSelected: (id) => selected.has(id),
+        toggle: (id) => setMany([id], !selected.has(id)),
+        setMany,
+        selectAll: () => setSelected(new Set(rowIds)),
+        clear: () => setSelected(new Set()),
+    };
+};
+
+// Corre uma ação em lote guardando o progresso (`{ label, done, total }`) para a barra de ações.
+// Sem `successMessage`, é a própria ação que mostra o resultado (ex.: um toast com "Desfazer").
+// Offline os lotes só são confirmados quando a ligação voltar: a ação fica na fila (ver useQueuedWrite)
+// e a barra de progresso termina logo, em vez de ficar parada até lá.
+const useBulkRunner = () => {
+    const { isOnline, showToast } = useContext(DataContext);
+    const queueWrite = useQueuedWrite();
+    const [progress, setProgress] = useState(null);
+    const run = async (label, action, successMessage) => {
+        setProgress({ label, done: 0, total: 0 });
+        try {
+            await queueWrite(action((done, total) => setProgress({ label, done, total })),
+                `"${label}" foi feito offline e recusado ao sincronizar. Parte das alterações pode não ter sido gravada.`);
+            if (successMessage) showToast(isOnline ? successMessage : `${successMessage} Fica guardado quando a ligação voltar.`, 'success');
+            return true;
+        } catch (error) {
+            console.error("Erro na ação em lote:", error);
+            showToast("A ação em lote falhou. Parte das alterações pode ter sido gravada.", 'error');
+            return false;
+        } finally { setProgress(null); }
+    };
+    return { progress, run };
+};
+
+const BulkActionBar = ({ selection, progress, children }) => {
+    const count = selection.selectedIds.length;
+    if (count === 0 && !progress) return null;
+    return (
+        <div className="sticky top-0 z-20 mb-4 p-3 bg-blue-950 border border-blue-800 rounded-lg shadow-xl">
+            {progress ? (
+                <div className="text-sm text-blue-100">
+                    <div className="flex justify-between mb-2"><span>{progress.label}...</span>{progress.total > 0 && <span>{progress.done}/{progress.total} gravados</span>}</div>
+                    <div className="h-2 bg-gray-700 rounded-full overflow-hidden"><div className="h-full bg-blue-500 transition-all" style={{ width: `${progress.total ? Math.round(progress.done / progress.total * 100) : 0}%` }} /></div>
+                </div>
+            ) : (
+                <div className="flex flex-wrap items-center gap-2 text-sm">
+                    <span className="font-semibold text-white mr-1">{count} selecionado(s)</span>
+                    {count < selection.total && <button onClick={selection.selectAll} className="text-blue-300 hover:underline">Selecionar todos ({selection.total})</button>}
+                    <button onClick={selection.clear} className="text-gray-400 hover:text-white mr-auto">Limpar seleção</button>
+                    {children}
+                </div>
+            )}
+        </div>
+    );
+};
+
+const BulkButton = ({ icon, label, onClick, danger = false }) => (
+    <button onClick={onClick} className={`flex items-center gap-2 px-3 py-1.5 rounded-md text-white ${danger ? 'bg-red-700 hover:bg-red-600' : 'bg-gray-700 hover:bg-gray-600'}`}>{icon}<span>{label}</span></button>
+);
+
+const ModalActions = ({ onClose, onConfirm, label, disabled = false, danger = false }) => (
+    <div className="flex justify-end gap-3 pt-4">
+        <button type="button" onClick={onClose} className="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700">Cancelar</button>
+        <button onClick={onConfirm} disabled={disabled} className={`px-4 py-2 text-white rounded-md disabled:opacity-50 ${danger ? 'bg-red-600 hover:bg-red-700' : 'bg-blue-600 hover:bg-blue-700'}`}>{label}</button>
+    </div>
+);
+
+// Base central: excluir, etiquetar, editar classificação/setor e adicionar a um projeto.
+const InvestorBulkActions = ({ selection }) => {
+    const { workspaceId, projects, hasHiddenProjects, masterInvestors, author } = useContext(DataContext);
+    const { progress, run } = useBulkRunner();
+    const [action, setAction] = useState(null);
+    const [pipelineMode, setPipelineMode] = useState('archive');
+    const [tagsText, setTagsText] = useState('');
+    const [tagMode, setTagMode] = useState('add');
+    const [fields, setFields] = useState({ classificacao: '', setor: '' });
+    const [targetProjectId, setTargetProjectId] = useState('');
+    const targetIds = useProjectInvestorIds(workspaceId, action === 'project' ? targetProjectId || null : null);
+    const ids = selection.selectedIds;
+    const activeProjects = projects.filter(project => !project.arquivado);
+    const newIds = targetIds ? ids.filter(id => !targetIds.has(id)) : [];
+    const tags = parseTags(tagsText);
+    const fieldChanges = Object.fromEntries(Object.entries(fields).map(([key, value]) => [key, value.trim()]).filter(([, value]) => value));
+
+    const close = () => setAction(null);
+    const execute = async (label, write, successMessage) => {
+        close();
+        if (await run(label, write, successMessage)) selection.clear();
+    };
+    const workspaceRef = workspaceDoc(workspaceId);
+
+    const handleDelete = () => execute("A mover para a lixeira", (onProgress) => moveInvestorsToTrash(workspaceRef, projects.map(project => project.id), ids, pipelineMode, onProgress),
+        `${ids.length} investidor(es) movido(s) para a lixeira.`);
+    const handleTag = () => execute(tagMode === 'add' ? "A etiquetar" : "A retirar etiquetas", (onProgress) => tagInvestors(workspaceRef, ids, tags, tagMode, onProgress),
+        `Etiquetas atualizadas em ${ids.length} investidor(es).`);
+    const handleEdit = () => execute("A atualizar investidores", (onProgress) => updateInvestors(workspaceRef, ids, fieldChanges, onProgress),
+        `${ids.length} investidor(es) atualizado(s).`);
+    const handleAddToProject = () => {
+        const project = projects.find(p => p.id === targetProjectId);
+        execute(`A adicionar a ${project.name}`, (onProgress) => addInvestorsToProject(workspaceRef, project.id, newIds, getProjectStages(project)[0].nome, author, onProgress),
+            `${newIds.length} investidor(es) adicionado(s) a ${project.name}.`);
+    };
+
+    return (
+        <>
+            <BulkActionBar selection={selection} progress={progress}>
+                <BulkButton icon={<FolderPlus size={16} />} label="Adicionar a projeto" onClick={() => setAction('project')} />
+                <BulkButton icon={<Tag size={16} />} label="Etiquetas" onClick={() => setAction('tag')} />
+                <BulkButton icon={<Edit size={16} />} label="Classificação/Setor" onClick={() => setAction('edit')} />
+                <BulkButton icon={<Trash2 size={16} />} label="Excluir" onClick={() => setAction('delete')} danger />
+            </BulkActionBar>
+            <Modal isOpen={action === 'delete'} onClose={close} title={`Excluir ${ids.length} investidor(es)`}>
+                <p className="text-gray-300 mb-4">Os investidores selecionados vão para a lixeira e podem ser restaurados durante {TRASH_RETENTION_DAYS} dias. Nos projetos em que estejam:</p>
+                <div className="space-y-2 text-gray-300">
+                    <label className="flex items-start gap-2 cursor-pointer"><input type="radio" name="bulkPipelineMode" value="archive" checked={pipelineMode === 'archive'} onChange={(e) => setPipelineMode(e.target.value)} className="mt-1" /><span>Arquivar as entradas (voltam ao pipeline se o investidor for restaurado).</span></label>
+                    <label className={`flex items-start gap-2 ${hasHiddenProjects ? 'opacity-50' : 'cursor-pointer'}`}><input type="radio" name="bulkPipelineMode" value="remove" checked={pipelineMode === 'remove'} onChange={(e) => setPipelineMode(e.target.value)} disabled={hasHiddenProjects} className="mt-1" /><span className="text-red-300">Remover as entradas, incluindo o histórico de interações. Esta parte é irreversível.</span></label>
+                    {hasHiddenProjects && <HiddenProjectsNote />}
+                </div>
+                <ModalActions onClose={close} onConfirm={handleDelete} label="Mover para a lixeira" danger />
+            </Modal>
+            <Modal isOpen={action === 'tag'} onClose={close} title={`Etiquetas de ${ids.length} investidor(es)`}>
+                <div className="flex gap-4 mb-4 text-gray-300">
+                    <label className="flex items-center gap-2 cursor-pointer"><input type="radio" name="tagMode" value="add" checked={tagMode === 'add'} onChange={(e) => setTagMode(e.target.value)} />Acrescentar</label>
+                    <label className="flex items-center gap-2 cursor-pointer"><input type="radio" name="tagMode" value="remove" checked={tagMode === 'remove'} onChange={(e) => setTagMode(e.target.value)} />Retirar</label>
+                </div>
+                <InputField label="Etiquetas (separadas por vírgulas)" list="bulk-tags" value={tagsText} onChange={(e) => setTagsText(e.target.value)} placeholder="Ex.: Roadshow 2026, Prioritário" />
+                <datalist id="bulk-tags">{uniqueTags(masterInvestors).map(tag => <option key={tag} value={tag} />)}</datalist>
+                <ModalActions onClose={close} onConfirm={handleTag} label="Aplicar" disabled={tags.length === 0} />
+            </Modal>
+            <Modal isOpen={action === 'edit'} onClose={close} title={`Editar ${ids.length} investidor(es)`}>
+                <p className="text-sm text-gray-400 mb-4">Campos deixados em branco não são alterados.</p>
+                <div className="space-y-4">
+                    {Object.keys(fields).map(key => (
+                        <div key={key}>
+                            <InputField label={INVESTOR_FIELDS.find(field => field.key === key).label} list={`bulk-${key}`} value={fields[key]} onChange={(e) => setFields(prev => ({ ...prev, [key]: e.target.value }))} />
+                            <datalist id={`bulk-${key}`}>{uniqueValues(masterInvestors, key).map(value => <option key={value} value={value} />)}</datalist>
+                        </div>
+                    ))}
+                </div>
+                <ModalActions onClose={close} onConfirm={handleEdit} label="Aplicar" disabled={Object.keys(fieldChanges).length === 0} />
+            </Modal>
+            <Modal isOpen={action === 'project'} onClose={close} title={`Adicionar ${ids.length} investidor(es) a um projeto`}>
+                <SelectField label="Projeto" value={targetProjectId} onChange={(e) => setTargetProjectId(e.target.value)}>
+                    <option value="">Escolha um projeto...</option>
+                    {activeProjects.map(project => <option key={project.id} value={project.id}>{project.name}</option>)}
+                </SelectField>
+                {targetProjectId && !targetIds && <p className="text-sm text-gray-400 mt-3">A verificar o pipeline do projeto...</p>}
+                {targetIds && ids.length > newIds.length && <p className="text-sm text-yellow-400 mt-3">{ids.length - newIds.length} já está(ão) neste projeto e será(ão) ignorado(s).</p>}
+                <ModalActions onClose={close} onConfirm={handleAddToProject} label={`Adicionar ${newIds.length}`} disabled={newIds.length === 0} />
+            </Modal>
+        </>
+    );
+};
+
+// --- REMOVER, COPIAR E MOVER ENTRADAS DO PIPELINE ---
+// Remove do projeto ativo e mostra `message` com "Desfazer", que repõe as entradas tal como estavam.
+const useRemoveFromProject = () => {
+    const { workspaceId, selectedProjectId, selectedProject, showToast } = useContext(DataContext);
+    return async (investorIds, message, onProgress) => {
+        const workspaceRef = workspaceDoc(workspaceId);
+        const projectId = selectedProjectId;
+        const projectName = selectedProject?.name;
+        const removed = await removeFromProject(workspaceRef, projectId, investorIds, onProgress);
+        const undo = async () => {
+            try {
+                await restorePipelineEntries(workspaceRef, projectId, removed);
+                showToast(`Remoção desfeita: ${removed.length} investidor(es) de volta a ${projectName}.`, 'success');
+            } catch (error) {
+                console.error("Erro ao desfazer remoção:", error);
+                showToast("Não foi possível desfazer a remoção.", 'error');
+            }
+        };
+        showToast(message, 'success', { label: 'Desfazer', onClick: undo });
+    };
+};
+
+// Confirmação de "Remover do projeto" para um investidor (cartão do Kanban, linha do dashboard ou perfil).
+const RemoveFromProjectModal = ({ investor, onClose, onRemoved }) => {
+    const { selectedProject, showToast } = useContext(DataContext);
+    const removeEntries = useRemoveFromProject();
+    const [isRemoving, setIsRemoving] = useState(false);
+
+    const handleConfirm = async () => {
+        setIsRemoving(true);
+        try {
+            await removeEntries([investor.id], `${investor.nomeFantasia} foi removido de ${selectedProject?.name}.`);
+            onClose();
+            if (onRemoved) onRemoved();
+        } catch (error) {
+            console.error("Erro ao remover do projeto:", error);
+            showToast("Falha ao remover do projeto.", 'error');
+            setIsRemoving(false);
+        }
+    };
+
+    return (
+        <Modal isOpen onClose={onClose} title="Remover do projeto">
+            <p className="text-gray-300">Remover {investor.nomeFantasia} de {selectedProject?.name}? A entrada sai do pipeline com o histórico de interações e as tarefas deste projeto; o investidor continua na base central. Pode desfazer logo a seguir.</p>
+            <ModalActions onClose={onClose} onConfirm={handleConfirm} label={isRemoving ? 'A remover...' : 'Remover'} disabled={isRemoving} danger />
+        </Modal>
+    );
+};
+
+// Copia ou move entradas do projeto ativo para `targetProject` e mostra o resultado.
+const useCopyEntries = () => {
+    const { workspaceId, selectedProjectId, author, showToast } = useContext(DataContext);
+    return async (investorIds, { targetProject, move, withHistory }, onProgress) => {
+        const targetStages = getProjectStages(targetProject).map(stage => stage.nome);
+        const copied = await copyPipelineEntries(workspaceDoc(workspaceId), selectedProjectId, targetProject.id, investorIds, { move, withHistory, targetStages }, author, onProgress);
+        const skipped = investorIds.length - copied;
+        showToast(`${copied} investidor(es) ${move ? 'movido(s)' : 'copiado(s)'} para ${targetProject.name}.${skipped ? ` ${skipped} já estava(m) lá e foi(ram) ignorado(s).` : ''}`, 'success');
+        return copied;
+    };
+};
+
+// Escolha do destino e das opções; quem abre o modal faz a cópia (com ou sem barra de progresso).
+const CopyEntriesModal = ({ count, onClose, onConfirm }) => {
+    const { projects, selectedProjectId } = useContext(DataContext);
+    const [targetProjectId, setTargetProjectId] = useState('');
+    const [move, setMove] = useState(false);
+    const [withHistory, setWithHistory] = useState(true);
+    const targets = projects.filter(project => !project.arquivado && project.id !== selectedProjectId);
+    const targetProject = targets.find(project => project.id === targetProjectId);
+
+    return (
+        <Modal isOpen onClose={onClose} title={`Copiar ou mover ${count} investidor(es)`}>
+            <div className="space-y-4 text-gray-300">
+                <SelectField label="Projeto de destino" value={targetProjectId} onChange={(e) => setTargetProjectId(e.target.value)}>
+                    <option value="">Escolha um projeto...</option>
+                    {targets.map(project => <option key={project.id} value={project.id}>{project.name}</option>)}
+                </SelectField>
+                <div className="flex gap-4">
+                    <label className="flex items-center gap-2 cursor-pointer"><input type="radio" name="copyMode" checked={!move} onChange={() => setMove(false)} />Copiar (mantém neste projeto)</label>
+                    <label className="flex items-center gap-2 cursor-pointer"><input type="radio" name="copyMode" checked={move} onChange={() => setMove(true)} />Mover (sai deste projeto)</label>
+                </div>
+                <label className="flex items-center gap-2 cursor-pointer"><input type="checkbox" checked={withHistory} onChange={(e) => setWithHistory(e.target.checked)} />Levar o histórico de interações e alterações</label>
+                <p className="text-sm text-gray-400">Investidores que já estão no destino são ignorados. Se a etapa atual não existir no destino, a entrada passa para "{targetProject ? getProjectStages(targetProject)[0].nome : 'a primeira etapa'}".{move && ' As tarefas de follow-up acompanham a entrada.'}</p>
+            </div>
+            <ModalActions onClose={onClose} onConfirm={() => onConfirm({ targetProject, move, withHistory })} label={move ? 'Mover' : 'Copiar'} disabled={!targetProject} />
+        </Modal>
+    );
+};
+
+// Pipeline do projeto ativo: mudar etapa, definir prioridade, registar uma interação, copiar/mover e remover do projeto.
+const PipelineBulkActions = ({ selection }) => {
+    const { workspaceId, selectedProjectId, selectedProject, projectInvestors, projectStages, author } = useContext(DataContext);
+    const { progress, run } = useBulkRunner();
+    const removeEntries = useRemoveFromProject();
+    const copyEntries = useCopyEntries();
+    const [action, setAction] = useState(null);
+    const [status, setStatus] = useState('');
+    const [priority, setPriority] = useState(3);
+    const [interaction, setInteraction] = useState({ tipo: 'Email', data: toDateTimeLocal(), anotacoes: '' });
+    const ids = selection.selectedIds;
+    const entries = projectInvestors.filter(investor => selection.isSelected(investor.id));
+
+    const close = () => setAction(null);
+    const execute = async (label, write, successMessage) => {
+        close();
+        if (await run(label, write, successMessage)) selection.clear();
+    };
+    const workspaceRef = workspaceDoc(workspaceId);
+
+    const handleStatus = () => execute(`A mover para ${status}`, (onProgress) => updatePipelineEntries(workspaceRef, selectedProjectId, entries, { status }, author, onProgress),
+        `${ids.length} investidor(es) em ${status}.`);
+    const handlePriority = () => execute("A atualizar prioridades", (onProgress) => updatePipelineEntries(workspaceRef, selectedProjectId, entries, { notaDePrioridade: priority }, author, onProgress),
+        `Prioridade atualizada em ${ids.length} investidor(es).`);
+    const handleInteraction = async () => {
+        const item = { tipo: interaction.tipo, data: interaction.data ? new Date(interaction.data) : new Date(), anotacoes: interaction.anotacoes.trim(), autor: author };
+        await execute("A registar interações", (onProgress) => addInteractionToEntries(workspaceRef, selectedProjectId, ids, item, onProgress), `Interação registada em ${ids.length} investidor(es).`);
+        setInteraction({ tipo: interaction.tipo, data: toDateTimeLocal(), anotacoes: '' });
+    };
+    const handleRemove = () => execute("A remover do projeto", (onProgress) => removeEntries(ids, `${ids.length} investidor(es) removido(s) de ${selectedProject?.name}.`, onProgress));
+    const handleCopy = (options) => execute(options.move ? `A mover para ${options.targetProject.name}` : `A copiar para ${options.targetProject.name}`, (onProgress) => copyEntries(ids, options, onProgress));
+    const handleEmailSent = (emails, { status }) => execute("A registar os emails", (onProgress) => logSentEmails(workspaceRef, selectedProjectId, sentEmailInteractions(emails, author, status), author, onProgress),
+        `Email registado em ${emails.length} investidor(es).`);
+
+    return (
+        <>
+            <BulkActionBar selection={selection} progress={progress}>
+                <BulkButton icon={<Kanban size={16} />} label="Mudar etapa" onClick={() => { setStatus(projectStages[0]?.nome ?? ''); setAction('status'); }} />
+                <BulkButton icon={<Star size={16} />} label="Prioridade" onClick={() => setAction('priority')} />
+                <BulkButton icon={<MessageSquarePlus size={16} />} label="Registar interação" onClick={() => setAction('interaction')} />
+                <BulkButton icon={<Mail size={16} />} label="Escrever email" onClick={() => setAction('email')} />
+                <BulkButton icon={<Copy size={16} />} label="Copiar/Mover" onClick={() => setAction('copy')} />
+                <BulkButton icon={<UserMinus size={16} />} label="Remover do projeto" onClick={() => setAction('remove')} danger />
+            </BulkActionBar>
+            <Modal isOpen={action === 'status'} onClose={close} title={`Mudar a etapa de ${ids.length} investidor(es)`}>
+                <SelectField label="Nova etapa" value={status} onChange={(e) => setStatus(e.target.value)}>
+                    {projectStages.map(stage => <option key={stage.nome} value={stage.nome}>{stage.nome}</option>)}
+                </SelectField>
+                <ModalActions onClose={close} onConfirm={handleStatus} label="Mover" disabled={!status} />
+            </Modal>
+            <Modal isOpen={action === 'priority'} onClose={close} title={`Prioridade de ${ids.length} investidor(es)`}>
+                <EditableStarRating score={priority} onSave={setPriority} />
+                <ModalActions onClose={close} onConfirm={handlePriority} label="Aplicar" />
+            </Modal>
+            <Modal isOpen={action === 'interaction'} onClose={close} title={`Registar interação em ${ids.length} investidor(es)`}>
+                <div className="space-y-4">
+                    <div className="grid grid-cols-2 gap-4">
+                        <SelectField label="Tipo" value={interaction.tipo} onChange={(e) => setInteraction(prev => ({ ...prev, tipo: e.target.value }))}>
+                            {INTERACTION_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+                        </SelectField>
+                        <InputField label="Data" type="datetime-local" value={interaction.data} onChange={(e) => setInteraction(prev => ({ ...prev, data: e.target.value }))} />
+                    </div>
+                    <TextareaField label="Anotações" value={interaction.anotacoes} onChange={(e) => setInteraction(prev => ({ ...prev, anotacoes: e.target.value }))} placeholder="Ex.: Teaser enviado por email" />
+                </div>
+                <ModalActions onClose={close} onConfirm={handleInteraction} label="Registar" disabled={!interaction.anotacoes.trim()} />
+            </Modal>
+            <ConfirmationModal isOpen={action === 'remove'} onClose={close} onConfirm={handleRemove} title="Remover do projeto"
+                message={`Remover ${ids.length} investidor(es) de ${selectedProject?.name}? As entradas saem do pipeline com o histórico de interações e as tarefas deste projeto; os investidores continuam na base central. Pode desfazer logo a seguir.`} />
+            {action === 'copy' && <CopyEntriesModal count={ids.length} onClose={close} onConfirm={handleCopy} />}
+            <Modal isOpen={action === 'email'} onClose={close} title={`Escrever email a ${ids.length} investidor(es)`}>
+                <EmailComposer investors={entries} project={selectedProject} stages={projectStages} canLog onSend={handleEmailSent} onClose={close} />
+            </Modal>
+        </>
+    );
+};
+
+const MASTER_TABLE_DEFAULTS = { colunas: ['nomeFantasia', 'classificacao', 'setor', 'nota'], ordenacao: [{ key: 'nomeFantasia', dir: 'asc' }], porPagina: 50 };
+
+const MasterInvestorList = ({ onSelectInvestor }) => {
+    const { masterInvestors, deletedInvestors, isBaseLoaded, customFields } = useContext(DataContext);
+    const [filters, setFilters] = useState(EMPTY_FILTERS);
+    const [investorToDelete, setInvestorToDelete] = useState(null); // Para o modal de confirmação
+    const [isTrashOpen, setIsTrashOpen] = useState(false);
+    const [isCustomizeOpen, setIsCustomizeOpen] = useState(false);
+    const columns = useInvestorColumns();
+    const [investorToEdit, setInvestorToEdit] = useState(null);
+    const [isInvestorFormOpen, setIsInvestorFormOpen] = useState(false);
+    
+    const filteredInvestors = useFilteredInvestors(masterInvestors, filters);
+    const selection = useSelection(filteredInvestors);
+
+    const openInvestorForm = (investor = null) => {
+        setInvestorToEdit(investor);
+        setIsInvestorFormOpen(true);
+    };
+    const closeInvestorForm = () => {
+        setIsInvestorFormOpen(false);
+        setInvestorToEdit(null);
+    };
+
+    const handleEditClick = (e, investor) => {
+        e.stopPropagation();
+        openInvestorForm(investor);
+    };
+
+    const handleDeleteClick = (e, investor) => {
+        e.stopPropagation();
+        setInvestorToDelete(investor); // Abre o modal de confirmação
+    };
+
+    if (isTrashOpen) return <InvestorTrash onBack={() => setIsTrashOpen(false)} />;
+
+    return (
+        <div className="p-4 sm:p-6 lg:p-8">
+            {investorToDelete && <DeleteInvestorModal investor={investorToDelete} onClose={() => setInvestorToDelete(null)} />}
+            <div className="flex flex-col sm:flex-row justify-between items-center mb-6 gap-4">
+                <h2 className="text-3xl font-bold text-white">Base Central de Investidores</h2>
+                <div className="flex items-center gap-3">
+                    <SavedViewsMenu filters={filters} onApply={setFilters} />
+                    <button onClick={() => setIsCustomizeOpen(true)} className="flex items-center gap-2 px-4 py-2 bg-gray-700 text-white rounded-md hover:bg-gray-600"><SlidersHorizontal size={20} /><span>Campos</span></button>
+                    <button onClick={() => setIsTrashOpen(true)} className="flex items-center gap-2 px-4 py-2 bg-gray-700 text-white rounded-md hover:bg-gray-600"><ArchiveRestore size={20} /><span>Lixeira ({deletedInvestors.length})</span></button>
+                    <ExportMenu onExport={(format) => downloadRows(investorsToRows(filteredInvestors, customFields), buildExportFileName('base investidores'), format)} disabled={filteredInvestors.length === 0} />
+                    <button onClick={() => openInvestorForm()} className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"><UserPlus size={20} /><span>Novo Investidor</span></button>
+                </div>
+            </div>
+            <Modal isOpen={isCustomizeOpen} onClose={() => setIsCustomizeOpen(false)} title="Campos e Etiquetas"><CustomizeBaseModal onClose={() => setIsCustomizeOpen(false)} /></Modal>
+            <Modal isOpen={isInvestorFormOpen} onClose={closeInvestorForm} title={investorToEdit ? "Editar Investidor" : "Novo Investidor"}><InvestorForm key={investorToEdit?.id ?? 'novo'} investorToEdit={investorToEdit} onClose={closeInvestorForm} /></Modal>
+            <div className="bg-gray-800 rounded-lg shadow-xl p-6">
+                <InvestorFilters filters={filters} onChange={setFilters} investors={masterInvestors} />
+                <p className="text-sm text-gray-400 mb-3">{filteredInvestors.length} de {masterInvestors.length} investidores{!isBaseLoaded && ' (a carregar...)'}</p>
+                <InvestorBulkActions selection={selection} />
+                <DataTable tableId="base" columns={columns} defaults={MASTER_TABLE_DEFAULTS} rows={filteredInvestors} selection={selection} onRowClick={(investor) => onSelectInvestor(investor, true)} emptyMessage={isBaseLoaded ? "Nenhum investidor encontrado." : "A carregar investidores..."} actions={(investor) => (
+                    <div className="flex items-center gap-1">
+                        <button onClick={(e) => handleEditClick(e, investor)} className="text-gray-400 hover:text-blue-400 p-2 rounded-full transition-colors"><Edit size={18} /></button>
+                        <button onClick={(e) => handleDeleteClick(e, investor)} className="text-gray-400 hover:text-red-500 p-2 rounded-full transition-colors"><Trash2 size={18} /></button>
+                    </div>
+                )} />
+            </div>
+        </div>
+    );
+};
+
+const formatAuditValue = (field, value) => {
+    if (value === null || value === undefined) return '—';
+    return field === 'notaDePrioridade' ? '★'.repeat(value) || '0' : value;
+};
+
+const StageBadge = ({ status, stages }) => {
+    const stage = findStage(stages, status);
+    if (!stage) return <span title={`Etapa "${status}" não existe neste projeto`} className="px-2 py-1 rounded-full text-xs font-semibold bg-gray-700 text-gray-300 border border-dashed border-gray-500">{NO_STAGE}</span>;
+    return <span className={`px-2 py-1 rounded-full text-xs font-semibold ${stageColor(stage).badge}`}>{stage.nome}</span>;
+};
+
+const PIPELINE_TABLE_DEFAULTS = { colunas: ['nomeFantasia', 'setor', 'notaDePrioridade', 'status'], ordenacao: [{ key: 'notaDePrioridade', dir: 'desc' }], porPagina: 50 };
+
+const Dashboard = ({ onSelectInvestor }) => {
+    const { projectInvestors, projectStages, selectedProjectId, overdueIds, isReadOnly } = useContext(DataContext);
+    const [isAddInvestorModalOpen, setIsAddInvestorModalOpen] = useState(false);
+    const [investorToRemove, setInvestorToRemove] = useState(null);
+    const pipelineExport = usePipelineExport();
+    const selection = useSelection(projectInvestors);
+    const investorColumns = useInvestorColumns();
+    const savePipelineChange = useSavePipelineChange();
+    const handleActionClick = (e) => e.stopPropagation();
+    
+    // Colunas do pipeline à frente dos campos da base; a etapa ordena pela posição no funil. Memorizadas
+    // para que a DataTable não volte a ordenar as linhas a cada render.
+    const columns = useMemo(() => [
+        { key: 'nomeFantasia', label: 'Nome', render: row => <div className="flex items-center gap-2 flex-wrap font-medium text-white">{row.nomeFantasia}{overdueIds.has(row.id) && <OverdueBadge />}</div> },
+        { key: 'notaDePrioridade', label: 'Prioridade (Projeto)', sortValue: row => row.notaDePrioridade || 0, render: row => <EditableStarRating score={row.notaDePrioridade || 0} onSave={(newPriority) => savePipelineChange(row, { notaDePrioridade: newPriority })} readOnly={isReadOnly} /> },
+        { key: 'status', label: 'Status', sortValue: row => projectStages.findIndex(stage => stage.nome === row.status), render: row => <StageBadge status={row.status} stages={projectStages} /> },
+        { key: 'ultimaInteracao', label: 'Última Interação', sortValue: lastInteractionDate, render: row => formatDate(lastInteractionDate(row)) },
+        ...investorColumns.filter(column => column.key !== 'nomeFantasia'),
+    ], [overdueIds, isReadOnly, projectStages, investorColumns, savePipelineChange]);
+
+    if (!selectedProjectId) return <div className="flex flex-col items-center justify-center h-full text-center p-8"><Folder size={64} className="text-gray-600 mb-4" /><h2 className="text-2xl font-bold text-white">Nenhum projeto selecionado</h2><p className="text-gray-400 mt-2">Crie ou selecione um projeto na barra lateral.</p></div>
+    
+    return (
+        <div className="p-4 sm:p-6 lg:p-8">
+            <ProjectSummary />
+            <div className="bg-gray-800 rounded-lg shadow-xl p-6">
+                <div className="flex flex-col sm:flex-row justify-between items-center mb-4 gap-4">
+                     <h2 className="text-2xl font-bold text-white">Investidores no Projeto</h2>
+                    <div className="flex items-center gap-3">
+                        <ExportMenu {...pipelineExport} />
+                        {!isReadOnly && <button onClick={() => setIsAddInvestorModalOpen(true)} className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"><PlusCircle size={20} /><span>Adicionar</span></button>}
+                    </div>
+                </div>
+                {!isReadOnly && <PipelineBulkActions selection={selection} />}
+                <DataTable tableId="pipeline" columns={columns} defaults={PIPELINE_TABLE_DEFAULTS} rows={projectInvestors} selection={isReadOnly ? null : selection} onRowClick={(investor) => onSelectInvestor(investor)}
+                    emptyMessage={<><p>Nenhum investidor neste projeto.</p><p>Clique em "Adicionar" para incluir investidores da sua base central.</p></>}
+                    actions={(investor) => (
+                        <div className="flex items-center gap-2">
+                            {investor.email1 && <a href={`mailto:${investor.email1}`} onClick={handleActionClick} className="p-2 rounded-full text-gray-400 hover:text-white hover:bg-blue-600"><Mail size={18}/></a>}
+                            {investor.linkedin && <a href={investor.linkedin} target="_blank" rel="noopener noreferrer" onClick={handleActionClick} className="p-2 rounded-full text-gray-400 hover:text-white hover:bg-blue-600"><Linkedin size={18}/></a>}
+                            {!isReadOnly && <button onClick={(e) => { handleActionClick(e); setInvestorToRemove(investor); }} title="Remover do projeto" className="p-2 rounded-full text-gray-400 hover:text-white hover:bg-red-600"><UserMinus size={18}/></button>}
+                        </div>
+                    )} />
             </div>
+            {investorToRemove && <RemoveFromProjectModal investor={investorToRemove} onClose={() => setInvestorToRemove(null)} />}
             <Modal isOpen={isAddInvestorModalOpen} onClose={() => setIsAddInvestorModalOpen(false)} title="Adicionar Investidor ao Projeto"><AddInvestorToProjectModal onClose={() => setIsAddInvestorModalOpen(false)} selectedProjectId={selectedProjectId} /></Modal>
         </div>
     );
 };
 
 const KanbanBoard = ({ onSelectInvestor }) => {
-    const { projectInvestors, userId, selectedProjectId } = useContext(DataContext);
-    const statuses = ['Não Contatado', 'Contatado', 'Reunião Agendada', 'Em Análise', 'Investido', 'Recusado'];
+    const { projectInvestors, projectStages, selectedProject, selectedProjectId, overdueIds, isReadOnly } = useContext(DataContext);
+    const [isStageEditorOpen, setIsStageEditorOpen] = useState(false);
+    const [investorToRemove, setInvestorToRemove] = useState(null);
+    const pipelineExport = usePipelineExport();
+    const savePipelineChange = useSavePipelineChange();
+    const selection = useSelection(projectInvestors);
+    const isSelecting = selection.selectedIds.length > 0;
+    const { groups, orphans } = useMemo(() => groupByStage(projectStages, projectInvestors), [projectStages, projectInvestors]);
+    // Quem fez a última mudança de etapa de cada cartão.
+    const lastMoves = useMemo(() => new Map(projectInvestors.map(investor => [investor.id, lastChange(investor, 'status')]).filter(([, change]) => change?.de && change.autor?.nome)), [projectInvestors]);
+    // Entradas com um status que já não existe ficam visíveis numa coluna extra, sem receber drops.
+    const columns = [
+        ...projectStages.map(stage => ({ key: stage.nome, title: stage.nome, headerClass: stageColor(stage).header, investors: groups.get(stage.nome), droppable: true })),
+        ...(orphans.length > 0 ? [{ key: NO_STAGE, title: NO_STAGE, headerClass: 'border-dashed border-gray-500 text-gray-400', investors: orphans, droppable: false }] : []),
+    ];
     
-    const handleDrop = async (e, newStatus) => {
-        const investorId = e.dataTransfer.getData("investorId"); if (!investorId || !userId || !selectedProjectId) return;
-        try { await updateDoc(doc(db, 'artifacts', appId, 'users', userId, 'projects', selectedProjectId, 'pipeline', investorId), { status: newStatus }); } catch (e) { console.error("Erro ao mover investidor:", e); }
+    const handleDrop = (e, newStatus) => {
+        const investor = projectInvestors.find(inv => inv.id === e.dataTransfer.getData("investorId")); if (!investor) return;
+        savePipelineChange(investor, { status: newStatus });
     };
     
     const handleDragStart = (e, investorId) => e.dataTransfer.setData("investorId", investorId);
     const handleDragOver = (e) => e.preventDefault();
     const handleActionClick = (e) => e.stopPropagation();
 
-    const handlePriorityChange = async (investorId, newPriority) => {
-        if (!userId || !selectedProjectId) return;
-        try { await updateDoc(doc(db, 'artifacts', appId, 'users', userId, 'projects', selectedProjectId, 'pipeline', investorId), { notaDePrioridade: newPriority }); } catch (e) { console.error("Erro ao atualizar prioridade:", e); }
-    };
+    const handlePriorityChange = (investor, newPriority) => savePipelineChange(investor, { notaDePrioridade: newPriority });
 
     if (!selectedProjectId) return <div className="flex flex-col items-center justify-center h-full text-center p-8"><Folder size={64} className="text-gray-600 mb-4" /><h2 className="text-2xl font-bold text-white">Nenhum projeto selecionado</h2><p className="text-gray-400 mt-2">Selecione um projeto para ver o pipeline.</p></div>
 
     return (
         <div className="flex flex-col h-full">
-            <div className="p-4 sm:p-6 lg:p-8 shrink-0"><h2 className="text-3xl font-bold text-white">Pipeline de Investimentos</h2></div>
+            <div className="p-4 sm:p-6 lg:p-8 shrink-0 flex justify-between items-center gap-4">
+                <h2 className="text-3xl font-bold text-white">Pipeline de Investimentos</h2>
+                <div className="flex items-center gap-3">
+                    {!isReadOnly && <button onClick={() => setIsStageEditorOpen(true)} className="flex items-center gap-2 px-4 py-2 bg-gray-700 text-white rounded-md hover:bg-gray-600"><Settings size={20} /><span>Etapas</span></button>}
+                    <ExportMenu {...pipelineExport} />
+                </div>
+            </div>
+            {!isReadOnly && <div className="px-4 sm:px-6 lg:px-8 shrink-0"><PipelineBulkActions selection={selection} /></div>}
             <div className="flex-grow flex gap-6 overflow-x-auto px-4 sm:px-6 lg:px-8 pb-4">
-                {statuses.map(status => (
-                    <div key={status} className="bg-gray-800 rounded-lg w-80 shrink-0 flex flex-col" onDrop={(e) => handleDrop(e, status)} onDragOver={handleDragOver}>
-                          <h3 className={`font-bold text-lg p-4 rounded-t-lg border-b-4 ${ {'Não Contatado':'border-gray-500 text-gray-200', 'Contatado':'border-blue-500 text-blue-200', 'Reunião Agendada':'border-yellow-500 text-yellow-200', 'Em Análise':'border-purple-500 text-purple-200', 'Investido':'border-green-500 text-green-200', 'Recusado':'border-red-500 text-red-200'}[status] }`}>{status}</h3>
+                {columns.map(column => (
+                    <div key={column.key} className="bg-gray-800 rounded-lg w-80 shrink-0 flex flex-col" onDrop={column.droppable && !isReadOnly ? (e) => handleDrop(e, column.key) : undefined} onDragOver={column.droppable && !isReadOnly ? handleDragOver : undefined}>
+                          <h3 className={`font-bold text-lg p-4 rounded-t-lg border-b-4 flex justify-between items-center gap-2 ${column.headerClass}`}>
+                            <span className="flex items-center gap-2">
+                                {!isReadOnly && column.investors.length > 0 && <input type="checkbox" title="Selecionar a coluna" checked={column.investors.every(investor => selection.isSelected(investor.id))} onChange={(e) => selection.setMany(column.investors.map(investor => investor.id), e.target.checked)} />}
+                                {column.title}
+                            </span>
+                            <span className="text-sm font-normal text-gray-400">{column.investors.length}</span>
+                          </h3>
                         <div className="p-4 space-y-4 overflow-y-auto h-full">
-                           {projectInvestors.filter(inv => inv.status === status).map(investor => (
-                                <div key={investor.id} className="bg-gray-700 p-4 rounded-md shadow-md cursor-pointer hover:bg-gray-600" draggable onDragStart={(e) => handleDragStart(e, investor.id)} onClick={() => onSelectInvestor(investor)}>
-                                    <p className="font-semibold text-white">{investor.nomeFantasia}</p>
-                                    <div className="my-2"><EditableStarRating score={investor.notaDePrioridade || 0} onSave={(newPriority) => handlePriorityChange(investor.id, newPriority)} /></div>
+                           {column.investors.map(investor => (
+                                <div key={investor.id} className={`group p-4 rounded-md shadow-md cursor-pointer hover:bg-gray-600 ${selection.isSelected(investor.id) ? 'bg-blue-900 ring-1 ring-blue-500' : 'bg-gray-700'}`} draggable={!isReadOnly} onDragStart={(e) => handleDragStart(e, investor.id)} onClick={() => onSelectInvestor(investor)}>
+                                    <div className="flex justify-between items-start gap-2">
+                                        <p className="font-semibold text-white flex items-start gap-2">
+                                            {!isReadOnly && <input type="checkbox" checked={selection.isSelected(investor.id)} onClick={handleActionClick} onChange={() => selection.toggle(investor.id)} className={`mt-1.5 ${isSelecting ? '' : 'opacity-0 group-hover:opacity-100'}`} />}
+                                            {investor.nomeFantasia}
+                                        </p>
+                                        {overdueIds.has(investor.id) && <OverdueBadge />}
+                                    </div>
+                                    {!column.droppable && <p className="text-xs text-gray-400">Status antigo: {investor.status}</p>}
+                                    <div className="my-2"><EditableStarRating score={investor.notaDePrioridade || 0} onSave={(newPriority) => handlePriorityChange(investor, newPriority)} readOnly={isReadOnly} /></div>
+                                    {lastMoves.get(investor.id) && <p className="text-xs text-gray-500 mb-1">Movido por {lastMoves.get(investor.id).autor.nome} em {formatDate(lastMoves.get(investor.id).data)}</p>}
                                     <div className="flex items-center gap-2 pt-3 border-t border-gray-600">
                                         {investor.email1 && <a href={`mailto:${investor.email1}`} onClick={handleActionClick} className="p-1 rounded-full text-gray-400 hover:text-white hover:bg-blue-600"><Mail size={16}/></a>}
                                         {investor.linkedin && <a href={investor.linkedin} target="_blank" rel="noopener noreferrer" onClick={handleActionClick} className="p-1 rounded-full text-gray-400 hover:text-white hover:bg-blue-600"><Linkedin size={16}/></a>}
+                                        {!isReadOnly && <button onClick={(e) => { handleActionClick(e); setInvestorToRemove(investor); }} title="Remover do projeto" className="ml-auto p-1 rounded-full text-gray-400 hover:text-white hover:bg-red-600 opacity-0 group-hover:opacity-100"><UserMinus size={16}/></button>}
                                     </div>
                                 </div>
                             ))}
@@ -524,36 +2118,797 @@ const KanbanBoard = ({ onSelectInvestor }) => {
                     </div>
                 ))}
             </div>
+            {investorToRemove && <RemoveFromProjectModal investor={investorToRemove} onClose={() => setInvestorToRemove(null)} />}
+            <Modal isOpen={isStageEditorOpen} onClose={() => setIsStageEditorOpen(false)} title="Etapas do Pipeline">{isStageEditorOpen && <StageEditor project={selectedProject} onClose={() => setIsStageEditorOpen(false)} />}</Modal>
+        </div>
+    );
+};
+
+// --- TAREFAS DE FOLLOW-UP ---
+const OverdueBadge = () => (
+    <span title="Tem tarefas atrasadas" className="inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-semibold bg-red-900/60 text-red-300 border border-red-700"><AlarmClock size={12} /> Atrasada</span>
+);
+
+const TASK_GROUP_COLORS = { overdue: 'text-red-400', today: 'text-yellow-400', week: 'text-blue-400', later: 'text-gray-300', done: 'text-gray-500' };
+
+const toggleTaskDone = (workspaceId, task) => updateDoc(doc(db, 'artifacts', appId, 'workspaces', workspaceId, 'tasks', task.id), { concluida: !task.concluida, concluidaEm: task.concluida ? null : new Date() });
+
+const TaskRow = ({ task, subtitle, onOpen }) => {
+    const { workspaceId, isReadOnly, showToast } = useContext(DataContext);
+    const queueWrite = useQueuedWrite();
+    const group = classifyTask(task);
+    const handleToggle = async () => {
+        try {
+            await queueWrite(toggleTaskDone(workspaceId, task), `A tarefa "${task.descricao}" alterada offline não foi guardada.`);
+        } catch (error) {
+            console.error("Erro ao atualizar tarefa:", error);
+            showToast("Não foi possível atualizar a tarefa.", 'error');
+        }
+    };
+    return (
+        <div className="flex items-start gap-3 bg-gray-700 p-3 rounded-md">
+            <button onClick={handleToggle} disabled={isReadOnly} className="mt-0.5 text-gray-400 hover:text-green-400 disabled:hover:text-gray-400">{task.concluida ? <CheckSquare size={18} className="text-green-400" /> : <Square size={18} />}</button>
+            <div className={`flex-grow min-w-0 ${onOpen ? 'cursor-pointer' : ''}`} onClick={onOpen}>
+                <p className={`text-white ${task.concluida ? 'line-through text-gray-500' : ''}`}>{task.descricao}</p>
+                <p className="text-xs text-gray-400">{subtitle}{task.responsavel?.nome ? ` · ${task.responsavel.nome}` : ''}</p>
+            </div>
+            <span className={`text-sm shrink-0 ${TASK_GROUP_COLORS[group]}`}>{formatDate(task.vencimento)}</span>
+        </div>
+    );
+};
+
+// Próximos passos de um investidor no projeto selecionado, exibidos no perfil.
+const FollowUpTasks = ({ investor }) => {
+    const { workspaceId, author, members, tasks, selectedProjectId, isReadOnly, showToast } = useContext(DataContext);
+    const [descricao, setDescricao] = useState('');
+    const [vencimento, setVencimento] = useState(toIsoDay());
+    const [responsavelUid, setResponsavelUid] = useState(author?.uid || '');
+    const queueWrite = useQueuedWrite();
+    const investorTasks = useMemo(() => {
+        const groups = groupTasks(tasks.filter(task => task.projectId === selectedProjectId && task.investorId === investor.id));
+        return [...groups.overdue, ...groups.today, ...groups.week, ...groups.later, ...groups.done];
+    }, [tasks, selectedProjectId, investor.id]);
+
+    const handleAddTask = async (e) => {
+        e.preventDefault();
+        if (!descricao.trim() || !vencimento) return;
+        const responsavel = members.find(member => member.uid === responsavelUid);
+        try {
+            await queueWrite(addDoc(collection(db, 'artifacts', appId, 'workspaces', workspaceId, 'tasks'), {
+                projectId: selectedProjectId, investorId: investor.id, descricao: descricao.trim(),
+                vencimento: new Date(`${vencimento}T00:00:00`),
+                responsavel: responsavel ? { uid: responsavel.uid, nome: memberLabel(responsavel) } : null,
+                concluida: false, criadaEm: new Date(), criadaPor: author,
+            }), "Uma tarefa criada offline não foi guardada.");
+            setDescricao('');
+            showToast("Tarefa agendada com sucesso!", 'success');
+        } catch (error) {
+            console.error("Erro ao criar tarefa:", error);
+            showToast("Erro ao criar tarefa.", 'error');
+        }
+    };
+
+    const handleDelete = async (task) => {
+        try { await deleteDoc(doc(db, 'artifacts', appId, 'workspaces', workspaceId, 'tasks', task.id)); }
+        catch (error) { console.error("Erro ao excluir tarefa:", error); showToast("Erro ao excluir tarefa.", 'error'); }
+    };
+
+    return (
+        <div className="bg-gray-800 rounded-lg shadow-xl p-6">
+            <h3 className="text-xl font-bold text-white mb-4">Próximos Passos</h3>
+            {!isReadOnly && <form onSubmit={handleAddTask} className="grid grid-cols-1 md:grid-cols-4 gap-3 items-end mb-4">
+                <div className="md:col-span-2"><InputField label="Tarefa" placeholder="Ex.: enviar teaser" value={descricao} onChange={(e) => setDescricao(e.target.value)} required /></div>
+                <InputField label="Vencimento" type="date" value={vencimento} onChange={(e) => setVencimento(e.target.value)} required />
+                <SelectField label="Responsável" value={responsavelUid} onChange={(e) => setResponsavelUid(e.target.value)}>
+                    <option value="">Sem responsável</option>{members.map(member => <option key={member.uid} value={member.uid}>{memberLabel(member)}</option>)}
+                </SelectField>
+                <div className="md:col-span-4 text-right"><button type="submit" className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700">Agendar</button></div>
+            </form>}
+            <div className="space-y-2">
+                {investorTasks.map(task => (
+                    <div key={task.id} className="flex items-center gap-2">
+                        <div className="flex-grow"><TaskRow task={task} subtitle={TASK_GROUPS[classifyTask(task)]} /></div>
+                        {!isReadOnly && <button onClick={() => handleDelete(task)} className="text-gray-400 hover:text-red-500 p-2"><Trash2 size={16} /></button>}
+                    </div>
+                ))}
+                {investorTasks.length === 0 && <p className="text-gray-500 text-center py-4">Nenhuma tarefa agendada.</p>}
+            </div>
+        </div>
+    );
+};
+
+const MyTasksPage = ({ onOpenTask }) => {
+    const { tasks, projects, investorsById, userId } = useContext(DataContext);
+    const [onlyMine, setOnlyMine] = useState(false);
+    const [showDone, setShowDone] = useState(false);
+    const projectsById = useMemo(() => indexById(projects), [projects]);
+    // Ignora tarefas de investidores na lixeira e de projetos arquivados.
+    const groups = useMemo(() => groupTasks(tasks.filter(task =>
+        investorsById.has(task.investorId) && projectsById.has(task.projectId) && !projectsById.get(task.projectId).arquivado &&
+        (!onlyMine || task.responsavel?.uid === userId)
+    )), [tasks, investorsById, projectsById, onlyMine, userId]);
+    const visibleGroups = Object.keys(TASK_GROUPS).filter(key => key !== 'done' || showDone);
+
+    return (
+        <div className="p-4 sm:p-6 lg:p-8">
+            <div className="flex flex-col sm:flex-row justify-between items-center mb-6 gap-4">
+                <h2 className="text-3xl font-bold text-white">Minhas Tarefas</h2>
+                <div className="flex items-center gap-4 text-sm text-gray-300">
+                    <label className="flex items-center gap-2 cursor-pointer"><input type="checkbox" checked={onlyMine} onChange={(e) => setOnlyMine(e.target.checked)} /> Só atribuídas a mim</label>
+                    <label className="flex items-center gap-2 cursor-pointer"><input type="checkbox" checked={showDone} onChange={(e) => setShowDone(e.target.checked)} /> Mostrar concluídas</label>
+                </div>
+            </div>
+            <div className="space-y-6">
+                {visibleGroups.map(key => (
+                    <div key={key} className="bg-gray-800 rounded-lg shadow-xl p-6">
+                        <h3 className={`text-xl font-bold mb-4 ${TASK_GROUP_COLORS[key]}`}>{TASK_GROUPS[key]} ({groups[key].length})</h3>
+                        <div className="space-y-2">
+                            {groups[key].map(task => (
+                                <TaskRow key={task.id} task={task} subtitle={`${investorsById.get(task.investorId).nomeFantasia} · ${projectsById.get(task.projectId).name}`} onOpen={() => onOpenTask(task, investorsById.get(task.investorId))} />
+                            ))}
+                            {groups[key].length === 0 && <p className="text-gray-500 text-sm">Nenhuma tarefa.</p>}
+                        </div>
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+// --- ANÁLISES DO PIPELINE ---
+const formatPercent = (value) => value === null || value === undefined ? '—' : `${Math.round(value * 100)}%`;
+
+const AnalyticsCard = ({ title, children, className = '' }) => (
+    <div className={`bg-gray-800 rounded-lg shadow-xl p-6 ${className}`}>
+        <h3 className="text-xl font-bold text-white mb-4">{title}</h3>
+        {children}
+    </div>
+);
+
+// Barras horizontais simples; `items` é [{ label, value, className? }].
+const BarList = ({ items, formatValue = (v) => v, emptyText = 'Sem dados.' }) => {
+    const max = Math.max(...items.map(item => item.value || 0), 1);
+    if (items.length === 0) return <p className="text-gray-500 text-center py-4">{emptyText}</p>;
+    return (
+        <div className="space-y-2">
+            {items.map(item => (
+                <div key={item.label} className="text-sm">
+                    <div className="flex justify-between text-gray-300 mb-1"><span className="truncate">{item.label}</span><span className="text-gray-400 ml-2">{formatValue(item.value)}</span></div>
+                    <div className="h-2 bg-gray-700 rounded-full"><div className={`h-2 rounded-full ${item.className || 'bg-blue-500'}`} style={{ width: `${((item.value || 0) / max) * 100}%` }}></div></div>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+const ProjectAnalytics = () => {
+    const { projectInvestors, projectStages } = useContext(DataContext);
+    const funnel = useMemo(() => computeFunnel(projectStages, projectInvestors), [projectStages, projectInvestors]);
+    const timeInStage = useMemo(() => computeTimeInStage(projectStages, projectInvestors), [projectStages, projectInvestors]);
+    const perWeek = useMemo(() => computeInteractionsPerWeek(projectInvestors), [projectInvestors]);
+    const outcomes = useMemo(() => computeOutcomes(projectStages, projectInvestors), [projectStages, projectInvestors]);
+    const maxFunnel = Math.max(funnel[0]?.count || 0, 1);
+    const maxWeek = Math.max(...perWeek.map(w => w.count), 1);
+
+    if (projectInvestors.length === 0) return <p className="text-center py-10 text-gray-500">Adicione investidores ao projeto para ver as análises.</p>;
+
+    return (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <AnalyticsCard title="Funil de Conversão">
+                <div className="space-y-1">
+                    {funnel.map(step => (
+                        <div key={step.stage.nome}>
+                            <div className="flex items-center gap-3">
+                                <span className="w-36 text-sm text-gray-300 truncate shrink-0">{step.stage.nome}</span>
+                                <div className="flex-grow flex justify-center"><div className={`h-8 rounded ${stageColor(step.stage).swatch} flex items-center justify-center text-white text-sm font-semibold`} style={{ width: `${Math.max((step.count / maxFunnel) * 100, 8)}%` }}>{step.count}</div></div>
+                            </div>
+                            {step.conversion !== null && <p className="text-xs text-gray-500 text-center ml-36">↓ {formatPercent(step.conversion)}</p>}
+                        </div>
+                    ))}
+                </div>
+                <p className="text-xs text-gray-500 mt-4">Considera a etapa mais avançada alcançada por cada investidor, mesmo que depois tenha recusado.</p>
+            </AnalyticsCard>
+            <AnalyticsCard title="Resultado">
+                <div className="grid grid-cols-3 gap-4 text-center mb-6">
+                    <div><p className="text-3xl font-bold text-green-400">{outcomes.won}</p><p className="text-sm text-gray-400">Ganhos</p></div>
+                    <div><p className="text-3xl font-bold text-red-400">{outcomes.lost}</p><p className="text-sm text-gray-400">Perdidos</p></div>
+                    <div><p className="text-3xl font-bold text-gray-200">{outcomes.open}</p><p className="text-sm text-gray-400">Em aberto</p></div>
+                </div>
+                <div className="flex h-3 rounded-full overflow-hidden bg-gray-700 mb-2">
+                    <div className="bg-green-500" style={{ width: `${(outcomes.won / projectInvestors.length) * 100}%` }}></div>
+                    <div className="bg-red-500" style={{ width: `${(outcomes.lost / projectInvestors.length) * 100}%` }}></div>
+                </div>
+                <p className="text-sm text-gray-400">Taxa de sucesso (ganhos / decididos): <strong className="text-white">{formatPercent(outcomes.winRate)}</strong></p>
+            </AnalyticsCard>
+            <AnalyticsCard title="Tempo Médio por Etapa">
+                <BarList items={timeInStage.filter(t => t.averageDays !== null).map(t => ({ label: `${t.stage.nome} (${t.samples})`, value: t.averageDays, className: stageColor(t.stage).swatch }))} formatValue={(v) => `${v.toFixed(1)} dias`} emptyText="Ainda não há mudanças de etapa registadas." />
+            </AnalyticsCard>
+            <AnalyticsCard title="Interações por Semana">
+                <div className="flex items-end gap-1 h-40">
+                    {perWeek.map(week => (
+                        <div key={week.weekStart.getTime()} className="flex-1 flex flex-col items-center justify-end h-full" title={`Semana de ${formatDate(week.weekStart)}: ${week.count}`}>
+                            <span className="text-xs text-gray-400 mb-1">{week.count || ''}</span>
+                            <div className="w-full bg-blue-500 rounded-t" style={{ height: `${(week.count / maxWeek) * 100}%` }}></div>
+                        </div>
+                    ))}
+                </div>
+                <div className="flex justify-between text-xs text-gray-500 mt-2"><span>{formatDate(perWeek[0].weekStart)}</span><span>Semana atual</span></div>
+            </AnalyticsCard>
+            {[['setor', 'Por Setor'], ['classificacao', 'Por Classificação'], ['creditoEquity', 'Por Crédito/Equity']].map(([field, title]) => (
+                <AnalyticsCard key={field} title={title}><BarList items={countBy(projectInvestors, field)} /></AnalyticsCard>
+            ))}
+        </div>
+    );
+};
+
+// Carrega o pipeline de todos os projetos para comparar a conversão de cada investidor entre mandatos.
+const CrossProjectAnalytics = () => {
+    const { workspaceId, projects, investorsById } = useContext(DataContext);
+    const [rawPipelines, setRawPipelines] = useState(null);
+
+    // Lidos uma vez por conjunto de projetos; a junção com a base é refeita sem voltar a ler.
+    useEffect(() => {
+        let cancelled = false;
+        Promise.all(projects.map(async project => {
+            const snap = await getDocs(collection(db, 'artifacts', appId, 'workspaces', workspaceId, 'projects', project.id, 'pipeline'));
+            return { project, stages: getProjectStages(project), entries: snap.docs.map(d => ({ id: d.id, ...d.data() })) };
+        }))
+            .then(result => { if (!cancelled) setRawPipelines(result); })
+            .catch(error => console.error("Erro ao carregar pipelines:", error));
+        return () => { cancelled = true; };
+    }, [workspaceId, projects]);
+    const pipelines = useMemo(() => rawPipelines?.map(pipeline => ({ ...pipeline, entries: joinPipeline(pipeline.entries, investorsById) })) ?? null,
+        [rawPipelines, investorsById]);
+
+    const ranking = useMemo(() => pipelines ? computeInvestorConversion(pipelines) : [], [pipelines]);
+    const totals = useMemo(() => pipelines?.map(({ project, stages, entries }) => ({ project, entries: entries.length, ...computeOutcomes(stages, entries) })) || [], [pipelines]);
+
+    if (!pipelines) return <p className="text-center py-10 text-gray-400">A carregar os pipelines de todos os projetos...</p>;
+
+    return (
+        <div className="space-y-6">
+            <AnalyticsCard title="Projetos">
+                <div className="overflow-x-auto">
+                    <table className="w-full text-left text-gray-300 text-sm">
+                        <thead className="bg-gray-700 text-gray-200 uppercase text-xs"><tr><th className="p-3">Projeto</th><th className="p-3">Investidores</th><th className="p-3">Ganhos</th><th className="p-3">Perdidos</th><th className="p-3">Em aberto</th><th className="p-3">Taxa de sucesso</th></tr></thead>
+                        <tbody className="divide-y divide-gray-700">
+                            {totals.map(row => (
+                                <tr key={row.project.id}><td className="p-3 text-white">{row.project.name}{row.project.arquivado && <span className="text-gray-500"> (arquivado)</span>}</td><td className="p-3">{row.entries}</td><td className="p-3 text-green-400">{row.won}</td><td className="p-3 text-red-400">{row.lost}</td><td className="p-3">{row.open}</td><td className="p-3">{formatPercent(row.winRate)}</td></tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            </AnalyticsCard>
+            <AnalyticsCard title="Investidores que Mais Convertem">
+                <div className="overflow-x-auto max-h-[32rem] overflow-y-auto">
+                    <table className="w-full text-left text-gray-300 text-sm">
+                        <thead className="bg-gray-700 text-gray-200 uppercase text-xs sticky top-0"><tr><th className="p-3">Investidor</th><th className="p-3">Projetos</th><th className="p-3">Ganhos</th><th className="p-3">Perdidos</th><th className="p-3">Taxa de sucesso</th></tr></thead>
+                        <tbody className="divide-y divide-gray-700">
+                            {ranking.map(row => (
+                                <tr key={row.id} title={row.projects.map(p => `${p.name}: ${p.status}`).join('\n')}><td className="p-3 text-white">{row.nomeFantasia}</td><td className="p-3">{row.projects.length}</td><td className="p-3 text-green-400">{row.won}</td><td className="p-3 text-red-400">{row.lost}</td><td className="p-3">{formatPercent(row.winRate)}</td></tr>
+                            ))}
+                        </tbody>
+                    </table>
+                    {ranking.length === 0 && <p className="text-center py-6 text-gray-500">Nenhum investidor em projetos.</p>}
+                </div>
+            </AnalyticsCard>
+        </div>
+    );
+};
+
+const AnalyticsPage = () => {
+    const { selectedProjectId } = useContext(DataContext);
+    const [scope, setScope] = useState(selectedProjectId ? 'project' : 'all');
+    const tabClass = (value) => `px-4 py-2 rounded-md ${scope === value ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}`;
+    return (
+        <div className="p-4 sm:p-6 lg:p-8">
+            {scope === 'project' ? <ProjectSummary /> : <h2 className="text-3xl font-bold text-white mb-4">Todos os Projetos</h2>}
+            <div className="flex gap-2 mb-6">
+                <button onClick={() => setScope('project')} disabled={!selectedProjectId} className={`${tabClass('project')} disabled:opacity-50`}>Projeto atual</button>
+                <button onClick={() => setScope('all')} className={tabClass('all')}>Todos os projetos</button>
+            </div>
+            {scope === 'project' && selectedProjectId ? <ProjectAnalytics /> : <CrossProjectAnalytics />}
+        </div>
+    );
+};
+
+// --- CONTACTOS ---
+const useInvestorContacts = (workspaceId, investorId) => {
+    const [contacts, setContacts] = useState([]);
+    useEffect(() => {
+        if (!workspaceId || !investorId) { setContacts([]); return; }
+        const unsub = onSnapshot(collection(db, 'artifacts', appId, 'workspaces', workspaceId, 'investors', investorId, 'contacts'),
+            snap => setContacts(sortContacts(snap.docs.map(d => ({ id: d.id, ...normalizeContact(d.data()) })))),
+            error => console.error("Erro ao buscar contactos:", error));
+        return () => unsub();
+    }, [workspaceId, investorId]);
+    return contacts;
+};
+
+// Campos que ligam uma interação a um contacto; o nome fica guardado para o caso de o contacto ser excluído.
+const contactLink = (contacts, contatoId) => {
+    const contact = contacts.find(c => c.id === contatoId);
+    return { contatoId: contact?.id ?? null, contatoNome: contact ? contactLabel(contact) : null };
+};
+
+const ContactForm = ({ investorId, contact, contacts, onClose }) => {
+    const { workspaceId, author, showToast } = useContext(DataContext);
+    const [formData, setFormData] = useState(() => ({ ...EMPTY_CONTACT, principal: contacts.length === 0, ...contact }));
+    const [errors, setErrors] = useState({});
+    const [isSaving, setIsSaving] = useState(false);
+    const handleChange = (e) => setFormData(prev => ({ ...prev, [e.target.name]: e.target.type === 'checkbox' ? e.target.checked : e.target.value }));
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const validationErrors = validateContact(formData);
+        if (Object.keys(validationErrors).length > 0) { setErrors(validationErrors); return; }
+        setIsSaving(true);
+        try {
+            const data = sanitizeContact(formData);
+            await saveContact(workspaceDoc(workspaceId), investorId, contact?.id, contact ? data : { ...data, criadoEm: new Date(), criadoPor: author }, contacts);
+            showToast(contact ? "Contacto atualizado." : "Contacto adicionado.", 'success');
+            onClose();
+        } catch (error) {
+            console.error("Erro ao salvar contacto:", error);
+            showToast("Ocorreu um erro ao salvar o contacto.", 'error');
+        } finally { setIsSaving(false); }
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {CONTACT_FIELDS.map(field => (
+                    <InputField key={field.key} label={field.label} name={field.key} value={formData[field.key]} onChange={handleChange} error={errors[field.key]}
+                        type={field.type === 'email' ? 'email' : field.type === 'phone' ? 'tel' : 'text'} />
+                ))}
+            </div>
+            <label className="flex items-center gap-2 text-gray-300 cursor-pointer"><input type="checkbox" name="principal" checked={formData.principal} onChange={handleChange} />Contacto principal</label>
+            <div className="flex justify-end gap-3 pt-2">
+                <button type="button" onClick={onClose} className="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700">Cancelar</button>
+                <button type="submit" disabled={isSaving} className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-blue-400">{isSaving ? 'A guardar...' : 'Guardar'}</button>
+            </div>
+        </form>
+    );
+};
+
+// Cartão "Contactos" do perfil. Investidores anteriores aos contactos mostram os campos planos e podem
+// convertê-los nos contactos por omissão, tal como a importação faz.
+const ContactsCard = ({ investor, contacts }) => {
+    const { workspaceId, isReadOnly, showToast } = useContext(DataContext);
+    const [contactToEdit, setContactToEdit] = useState(null);
+    const [contactToDelete, setContactToDelete] = useState(null);
+    const legacyContacts = contacts.length === 0 ? importedContacts(investor) : [];
+
+    const handleConvert = async () => {
+        try {
+            await Promise.all(legacyContacts.map(({ id, data }, index) => saveContact(workspaceDoc(workspaceId), investor.id, id, { ...EMPTY_CONTACT, ...data, principal: index === 0 })));
+            showToast("Contactos criados a partir dos dados do investidor.", 'success');
+        } catch (error) {
+            console.error("Erro ao converter contactos:", error);
+            showToast("Não foi possível criar os contactos.", 'error');
+        }
+    };
+
+    const confirmDelete = async () => {
+        try {
+            await deleteContact(workspaceDoc(workspaceId), investor.id, contactToDelete.id);
+            showToast("Contacto excluído.", 'success');
+        } catch (error) {
+            console.error("Erro ao excluir contacto:", error);
+            showToast("Erro ao excluir contacto.", 'error');
+        } finally { setContactToDelete(null); }
+    };
+
+    return (
+        <div className="bg-gray-800 rounded-lg shadow-xl p-6 self-start">
+            <div className="flex justify-between items-center mb-4">
+                <h3 className="text-xl font-bold text-white">Contactos</h3>
+                {!isReadOnly && <button onClick={() => setContactToEdit({})} title="Adicionar contacto" className="p-2 bg-gray-700 rounded-full hover:bg-blue-600"><UserPlus size={18} className="text-white" /></button>}
+            </div>
+            <ul className="space-y-4 text-gray-300">
+                {contacts.map(contact => (
+                    <li key={contact.id} className="group border-b border-gray-700 pb-3 last:border-0">
+                        <div className="flex justify-between items-start gap-2">
+                            <div>
+                                <p className="font-semibold text-white flex items-center gap-2">{contactLabel(contact)}{contact.principal && <span title="Contacto principal"><Star size={14} className="text-yellow-400 fill-yellow-400" /></span>}</p>
+                                {contact.cargo && <p className="text-sm text-gray-400">{contact.cargo}</p>}
+                            </div>
+                            {!isReadOnly && <span className="flex gap-1 opacity-0 group-hover:opacity-100 transition-opacity">
+                                <button onClick={() => setContactToEdit(contact)} title="Editar" className="text-gray-400 hover:text-blue-400"><Edit size={14} /></button>
+                                <button onClick={() => setContactToDelete(contact)} title="Excluir" className="text-gray-400 hover:text-red-500"><Trash2 size={14} /></button>
+                            </span>}
+                        </div>
+                        <div className="mt-1 space-y-1 text-sm">
+                            {contact.email && <a href={`mailto:${contact.email}`} className="flex items-center gap-2 hover:text-blue-400"><Mail size={14} className="text-gray-500" />{contact.email}</a>}
+                            {contact.telefone && <p className="flex items-center gap-2"><Phone size={14} className="text-gray-500" />{contact.telefone}</p>}
+                            {contact.linkedin && <a href={contact.linkedin} target="_blank" rel="noopener noreferrer" className="flex items-center gap-2 hover:text-blue-400"><Linkedin size={14} className="text-gray-500" />LinkedIn</a>}
+                        </div>
+                    </li>
+                ))}
+                {legacyContacts.map(({ id, data }) => (
+                    <li key={id} className="space-y-1 text-sm">
+                        {data.email && <p className="flex items-center gap-2"><Mail size={14} className="text-gray-500" />{data.email}</p>}
+                        {data.telefone && <p className="flex items-center gap-2"><Phone size={14} className="text-gray-500" />{data.telefone}</p>}
+                    </li>
+                ))}
+                {contacts.length === 0 && legacyContacts.length === 0 && <li className="text-gray-500">Nenhum contacto registado.</li>}
+            </ul>
+            {legacyContacts.length > 0 && !isReadOnly && <button onClick={handleConvert} className="mt-4 text-sm text-blue-400 hover:underline">Guardar como contactos</button>}
+            <Modal isOpen={!!contactToEdit} onClose={() => setContactToEdit(null)} title={contactToEdit?.id ? "Editar Contacto" : "Novo Contacto"}>
+                {contactToEdit && <ContactForm investorId={investor.id} contact={contactToEdit.id ? contactToEdit : null} contacts={contacts} onClose={() => setContactToEdit(null)} />}
+            </Modal>
+            <ConfirmationModal isOpen={!!contactToDelete} onClose={() => setContactToDelete(null)} onConfirm={confirmDelete} title="Excluir Contacto"
+                message={`Excluir ${contactLabel(contactToDelete)}? As interações já ligadas a este contacto mantêm o nome.`} />
+        </div>
+    );
+};
+
+// --- EMAILS ---
+const useEmailTemplates = (workspaceId) => {
+    const [templates, setTemplates] = useState([]);
+    useEffect(() => {
+        if (!workspaceId) { setTemplates([]); return; }
+        const unsub = onSnapshot(collection(db, 'artifacts', appId, 'workspaces', workspaceId, 'emailTemplates'),
+            snap => setTemplates(snap.docs.map(d => ({ id: d.id, ...d.data() })).sort((a, b) => a.nome.localeCompare(b.nome, 'pt'))),
+            error => console.error("Erro ao buscar modelos de email:", error));
+        return () => unsub();
+    }, [workspaceId]);
+    return templates;
+};
+
+// Contactos de vários investidores, lidos uma vez ao abrir o composer em lote; null enquanto carregam.
+const useContactsOf = (workspaceId, investorIds) => {
+    const [contactsById, setContactsById] = useState(null);
+    useEffect(() => {
+        if (!investorIds) return;
+        let cancelled = false;
+        Promise.all(investorIds.map(async investorId => {
+            const snap = await getDocs(collection(db, 'artifacts', appId, 'workspaces', workspaceId, 'investors', investorId, 'contacts'));
+            return [investorId, sortContacts(snap.docs.map(d => ({ id: d.id, ...normalizeContact(d.data()) })))];
+        }))
+            .then(entries => { if (!cancelled) setContactsById(new Map(entries)); })
+            .catch(error => {
+                console.error("Erro ao buscar contactos:", error);
+                if (!cancelled) setContactsById(new Map());
+            });
+        return () => { cancelled = true; };
+    }, [workspaceId, investorIds]);
+    return contactsById;
+};
+
+// `investors` são entradas do pipeline (ou o investidor da base, sem projeto). O perfil passa os contactos
+// que já acompanha em `contacts`; em lote são lidos aqui. `onSend(emails, { log, status })` regista as
+// interações, depois de o email sair pelo mailto: ou pelo ficheiro .eml (.mbox, em lote).
+const EmailComposer = ({ investors, contacts, project, stages, canLog, onSend, onClose }) => {
+    const { workspaceId, author, isReadOnly, showToast } = useContext(DataContext);
+    const templates = useEmailTemplates(workspaceId);
+    const [pendingIds] = useState(() => (contacts ? null : investors.map(investor => investor.id)));
+    const loadedContacts = useContactsOf(workspaceId, pendingIds);
+    const contactsById = contacts ? new Map([[investors[0].id, contacts]]) : loadedContacts;
+    const [draft, setDraft] = useState({ assunto: '', corpo: '' });
+    const [templateId, setTemplateId] = useState('');
+    const [templateName, setTemplateName] = useState('');
+    const [choices, setChoices] = useState({});
+    const [previewId, setPreviewId] = useState(investors[0]?.id);
+    const [delivery, setDelivery] = useState(investors.length > 1 ? 'eml' : 'mailto');
+    const [log, setLog] = useState(canLog);
+    const [markContacted, setMarkContacted] = useState(true);
+    const [isSending, setIsSending] = useState(false);
+    const bodyRef = useRef(null);
+
+    // "Contatado" só é proposto em projetos com as duas etapas do modelo padrão.
+    const canMarkContacted = canLog && [NOT_CONTACTED_STAGE, CONTACTED_STAGE].every(name => findStage(stages || [], name))
+        && investors.some(investor => investor.status === NOT_CONTACTED_STAGE);
+
+    const recipientOf = (investor) => {
+        const investorContacts = contactsById?.get(investor.id) || [];
+        const chosen = choices[investor.id];
+        const contact = chosen === undefined ? defaultRecipient(investor, investorContacts).contact : investorContacts.find(c => c.id === chosen) || null;
+        return { contact, email: contact?.email || investor.email1 || investor.email2 || '' };
+    };
+    const emails = investors.map(investor => {
+        const { contact, email } = recipientOf(investor);
+        return { investor, contact, to: email, ...renderEmail(draft, mergeValues({ investor, contact, project, author })) };
+    });
+    const preview = emails.find(email => email.investor.id === previewId) || emails[0];
+    const withMissing = emails.filter(email => email.missing.length > 0);
+    const withoutEmail = emails.filter(email => !email.to);
+
+    const applyTemplate = (id) => {
+        setTemplateId(id);
+        const template = templates.find(t => t.id === id);
+        if (template) setDraft({ assunto: template.assunto || '', corpo: template.corpo || '' });
+    };
+
+    const insertField = (key) => {
+        const token = `{{${key}}}`;
+        const textarea = bodyRef.current;
+        const start = textarea?.selectionStart ?? draft.corpo.length;
+        const end = textarea?.selectionEnd ?? start;
+        setDraft(prev => ({ ...prev, corpo: prev.corpo.slice(0, start) + token + prev.corpo.slice(end) }));
+        textarea?.focus();
+    };
+
+    const handleSaveTemplate = async () => {
+        const template = { nome: templateName.trim(), assunto: draft.assunto, corpo: draft.corpo };
+        const errors = validateEmailTemplate(template);
+        if (Object.keys(errors).length) { showToast(Object.values(errors)[0], 'error'); return; }
+        try {
+            const ref = await addDoc(collection(db, 'artifacts', appId, 'workspaces', workspaceId, 'emailTemplates'), { ...template, criadoPor: author, criadoEm: new Date() });
+            setTemplateId(ref.id);
+            setTemplateName('');
+            showToast(`Modelo "${template.nome}" guardado para toda a equipa.`, 'success');
+        } catch (error) {
+            console.error("Erro ao guardar modelo de email:", error);
+            showToast("Não foi possível guardar o modelo.", 'error');
+        }
+    };
+
+    const handleDeleteTemplate = async () => {
+        try {
+            await deleteDoc(doc(db, 'artifacts', appId, 'workspaces', workspaceId, 'emailTemplates', templateId));
+            setTemplateId('');
+        } catch (error) {
+            console.error("Erro ao excluir modelo de email:", error);
+            showToast("Não foi possível excluir o modelo.", 'error');
+        }
+    };
+
+    const handleSend = async () => {
+        if (delivery === 'mailto') {
+            const url = buildMailtoUrl(emails[0]);
+            if (url.length > MAILTO_MAX_LENGTH) { showToast("Email demasiado longo para abrir no programa de email. Exporte o ficheiro .eml.", 'error'); return; }
+            window.location.href = url;
+        } else {
+            const emls = emails.map(email => buildEml(email));
+            if (emls.length === 1) downloadBlob(new Blob([emls[0]], { type: 'message/rfc822' }), `${buildExportFileName(`email ${emails[0].investor.nomeFantasia}`)}.eml`);
+            else downloadBlob(new Blob([buildMbox(emls)], { type: 'application/mbox' }), `${buildExportFileName(`emails ${project?.name || ''}`)}.mbox`);
+        }
+        if (!log) { onClose(); return; }
+        setIsSending(true);
+        try {
+            await onSend(emails, { status: canMarkContacted && markContacted ? CONTACTED_STAGE : null });
+            onClose();
+        } catch (error) {
+            console.error("Erro ao registar emails:", error);
+            showToast("O email foi criado, mas não foi possível registar a interação.", 'error');
+        } finally { setIsSending(false); }
+    };
+
+    return (
+        <div className="space-y-4">
+            <div className="flex flex-wrap items-end gap-3">
+                <div className="flex-grow"><SelectField label="Modelo" value={templateId} onChange={(e) => applyTemplate(e.target.value)}>
+                    <option value="">Sem modelo</option>{templates.map(t => <option key={t.id} value={t.id}>{t.nome}</option>)}
+                </SelectField></div>
+                {templateId && !isReadOnly && <button type="button" onClick={handleDeleteTemplate} title="Excluir modelo" className="p-2.5 text-gray-400 hover:text-red-500 bg-gray-700 rounded-md"><Trash2 size={18} /></button>}
+            </div>
+            <InputField label="Assunto" value={draft.assunto} onChange={(e) => setDraft(prev => ({ ...prev, assunto: e.target.value }))} placeholder="Ex.: {{projeto}} — apresentação para {{nomeFantasia}}" />
+            <div>
+                <label className="block text-sm font-medium text-gray-300 mb-1">Mensagem</label>
+                <textarea ref={bodyRef} value={draft.corpo} onChange={(e) => setDraft(prev => ({ ...prev, corpo: e.target.value }))} rows="8" placeholder="Olá {{primeiroNome}}, ..." className="w-full bg-gray-900 border border-gray-600 rounded-md p-2.5 text-white focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition" />
+                <div className="flex flex-wrap gap-2 mt-2">
+                    {MERGE_FIELDS.map(field => <button key={field.key} type="button" onClick={() => insertField(field.key)} title={field.label} className="px-2 py-1 text-xs bg-gray-700 text-gray-200 rounded hover:bg-gray-600">{`{{${field.key}}}`}</button>)}
+                </div>
+            </div>
+            {!isReadOnly && (
+                <div className="flex gap-2">
+                    <input value={templateName} onChange={(e) => setTemplateName(e.target.value)} placeholder="Nome do novo modelo" className="flex-grow min-w-0 bg-gray-900 border border-gray-600 rounded-md p-2 text-white text-sm" />
+                    <button type="button" onClick={handleSaveTemplate} disabled={!templateName.trim()} className="px-3 py-2 bg-gray-700 text-white rounded-md hover:bg-gray-600 text-sm disabled:opacity-50">Guardar como modelo</button>
+                </div>
+            )}
+            <div>
+                <h4 className="text-sm font-medium text-gray-300 mb-2">Destinatários ({investors.length})</h4>
+                {!contactsById ? <p className="text-sm text-gray-500">A carregar contactos...</p> : (
+                    <div className="space-y-2 max-h-48 overflow-y-auto pr-2">
+                        {emails.map(({ investor, contact, to }) => {
+                            const withEmail = (contactsById.get(investor.id) || []).filter(c => c.email);
+                            return (
+                                <div key={investor.id} className="flex items-center gap-3 text-sm">
+                                    <button type="button" onClick={() => setPreviewId(investor.id)} className={`w-1/3 truncate text-left ${preview?.investor.id === investor.id ? 'text-blue-400' : 'text-white hover:text-blue-400'}`}>{investor.nomeFantasia}</button>
+                                    {withEmail.length > 0 ? (
+                                        <select value={contact?.id ?? ''} onChange={(e) => setChoices(prev => ({ ...prev, [investor.id]: e.target.value }))} className="flex-1 min-w-0 bg-gray-900 border border-gray-600 rounded-md p-1.5 text-white">
+                                            {withEmail.map(c => <option key={c.id} value={c.id}>{contactLabel(c)} · {c.email}</option>)}
+                                            {(investor.email1 || investor.email2) && <option value="">Ficha do investidor · {investor.email1 || investor.email2}</option>}
+                                        </select>
+                                    ) : <span className={`flex-1 truncate ${to ? 'text-gray-300' : 'text-red-400'}`}>{to || 'Sem email'}</span>}
+                                </div>
+                            );
+                        })}
+                    </div>
+                )}
+            </div>
+            {preview && (
+                <div className="bg-gray-900 rounded-md p-4 text-sm">
+                    <p className="text-gray-500 mb-1">Pré-visualização · {preview.investor.nomeFantasia}{preview.to && ` <${preview.to}>`}</p>
+                    <p className="text-white font-semibold">{preview.subject || '(sem assunto)'}</p>
+                    <p className="text-gray-300 whitespace-pre-wrap mt-2">{preview.body}</p>
+                </div>
+            )}
+            {(withMissing.length > 0 || withoutEmail.length > 0) && (
+                <div className="text-xs text-yellow-400 space-y-1">
+                    {withMissing.length > 0 && <p className="flex items-center gap-1"><AlertTriangle size={12} />Campos sem valor ({[...new Set(withMissing.flatMap(email => email.missing))].join(', ')}) em {withMissing.length} email(s): {withMissing.map(email => email.investor.nomeFantasia).join(', ')}.</p>}
+                    {withoutEmail.length > 0 && <p className="flex items-center gap-1"><AlertTriangle size={12} />Sem endereço de email: {withoutEmail.map(email => email.investor.nomeFantasia).join(', ')}.</p>}
+                </div>
+            )}
+            <div className="space-y-2 text-sm text-gray-300">
+                <div className="flex flex-wrap gap-4">
+                    <label className={`flex items-center gap-2 ${investors.length > 1 ? 'text-gray-500' : 'cursor-pointer'}`} title={investors.length > 1 ? 'Em lote, os emails saem juntos num ficheiro .mbox' : undefined}>
+                        <input type="radio" checked={delivery === 'mailto'} onChange={() => setDelivery('mailto')} disabled={investors.length > 1} />Abrir no programa de email
+                    </label>
+                    <label className="flex items-center gap-2 cursor-pointer"><input type="radio" checked={delivery === 'eml'} onChange={() => setDelivery('eml')} />Descarregar {investors.length > 1 ? `ficheiro .mbox com ${investors.length} emails` : 'ficheiro .eml'}</label>
+                </div>
+                {canLog ? (
+                    <label className="flex items-center gap-2 cursor-pointer"><input type="checkbox" checked={log} onChange={(e) => setLog(e.target.checked)} />Registar a interação "Email" com o texto enviado{project ? ` em ${project.name}` : ''}</label>
+                ) : <p className="text-xs text-gray-500">Abra o investidor num projeto para registar o email no histórico.</p>}
+                {canMarkContacted && log && <label className="flex items-center gap-2 cursor-pointer"><input type="checkbox" checked={markContacted} onChange={(e) => setMarkContacted(e.target.checked)} />Mover de "{NOT_CONTACTED_STAGE}" para "{CONTACTED_STAGE}"</label>}
+            </div>
+            <ModalActions onClose={onClose} onConfirm={handleSend} label={isSending ? 'A registar...' : delivery === 'mailto' ? 'Abrir email' : 'Descarregar'}
+                disabled={isSending || !contactsById || (!draft.assunto.trim() && !draft.corpo.trim())} />
+        </div>
+    );
+};
+
+// Interação "Email" de cada email composto, com o contacto a quem foi enviado.
+const sentEmailInteractions = (emails, author, status) => emails.map(({ investor, contact, to, subject, body }) => ({
+    entry: investor,
+    status: status && investor.status === NOT_CONTACTED_STAGE ? status : null,
+    interaction: {
+        data: new Date(), tipo: 'Email', anotacoes: emailInteractionNotes({ to, subject, body }), autor: author,
+        contatoId: contact?.id ?? null, contatoNome: contact ? contactLabel(contact) : null,
+    },
+}));
+
+// --- INTERAÇÕES ---
+const ContactSelect = ({ contacts, value, onChange }) => (
+    <SelectField label="Contacto" value={value} onChange={(e) => onChange(e.target.value)}>
+        <option value="">Sem contacto específico</option>
+        {contacts.map(contact => <option key={contact.id} value={contact.id}>{contactLabel(contact)}{contact.cargo ? ` · ${contact.cargo}` : ''}</option>)}
+    </SelectField>
+);
+
+const InteractionItem = ({ item, contacts, onSave, onDelete, readOnly }) => {
+    const [isEditing, setIsEditing] = useState(false);
+    const [draft, setDraft] = useState(null);
+    const startEditing = () => { setDraft({ tipo: item.tipo, data: toDateTimeLocal(item.data), anotacoes: item.anotacoes, contatoId: item.contatoId || '' }); setIsEditing(true); };
+    const handleSave = async (e) => {
+        e.preventDefault();
+        if (!draft.anotacoes.trim() || !draft.data) return;
+        // Um contacto entretanto excluído mantém a ligação e o nome guardados.
+        const link = draft.contatoId === (item.contatoId || '') ? {} : contactLink(contacts, draft.contatoId);
+        if (await onSave({ tipo: draft.tipo, data: new Date(draft.data), anotacoes: draft.anotacoes.trim(), ...link })) setIsEditing(false);
+    };
+
+    if (isEditing) return (
+        <form onSubmit={handleSave} className="bg-gray-700 p-4 rounded-md space-y-3">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                <SelectField label="Tipo" value={draft.tipo} onChange={(e) => setDraft(d => ({ ...d, tipo: e.target.value }))}>{INTERACTION_TYPES.map(t => <option key={t}>{t}</option>)}</SelectField>
+                <ContactSelect contacts={contacts} value={draft.contatoId} onChange={(contatoId) => setDraft(d => ({ ...d, contatoId }))} />
+                <InputField label="Data" type="datetime-local" value={draft.data} onChange={(e) => setDraft(d => ({ ...d, data: e.target.value }))} required />
+            </div>
+            <TextareaField label="Anotações" value={draft.anotacoes} onChange={(e) => setDraft(d => ({ ...d, anotacoes: e.target.value }))} required />
+            <div className="flex justify-end gap-2">
+                <button type="button" onClick={() => setIsEditing(false)} className="px-3 py-1 bg-gray-600 text-white rounded-md hover:bg-gray-500">Cancelar</button>
+                <button type="submit" className="px-3 py-1 bg-blue-600 text-white rounded-md hover:bg-blue-700">Guardar</button>
+            </div>
+        </form>
+    );
+
+    return (
+        <div className="group bg-gray-700 p-4 rounded-md">
+            <div className="flex justify-between items-center text-sm mb-1 gap-2">
+                <p className="font-semibold text-blue-400">{item.tipo}{item.contatoNome && <span className="font-normal text-gray-300"> · com {item.contatoNome}</span>}</p>
+                <div className="flex items-center gap-2">
+                    {!readOnly && <span className="flex gap-1 opacity-0 group-hover:opacity-100 transition-opacity">
+                        <button onClick={startEditing} title="Editar" className="text-gray-400 hover:text-blue-400"><Edit size={14} /></button>
+                        <button onClick={onDelete} title="Excluir" className="text-gray-400 hover:text-red-500"><Trash2 size={14} /></button>
+                    </span>}
+                    <p className="text-gray-400">{formatDateTime(item.data)}</p>
+                </div>
+            </div>
+            <p className="text-gray-300 whitespace-pre-wrap">{item.anotacoes}</p>
+            {(item.autor?.nome || item.editadoEm) && <p className="text-gray-500 text-xs mt-2">{item.autor?.nome && `por ${item.autor.nome}`}{item.editadoEm && ` · editado${item.editadoPor?.nome ? ` por ${item.editadoPor.nome}` : ''} em ${formatDateTime(item.editadoEm)}`}</p>}
         </div>
     );
 };
 
+const CHANGE_FILTER = 'Alterações de etapa/prioridade';
+
 const InvestorProfile = ({ investor, onBack, isMasterProfile }) => {
-    const { userId, selectedProjectId, showToast } = useContext(DataContext);
+    const { workspaceId, author, selectedProjectId, selectedProject, projectStages, isReadOnly, showToast, isOnline } = useContext(DataContext);
+    const queueWrite = useQueuedWrite();
     const [interactionType, setInteractionType] = useState('Email');
     const [interactionNotes, setInteractionNotes] = useState('');
+    const [interactionDate, setInteractionDate] = useState(toDateTimeLocal());
+    const [interactionContactId, setInteractionContactId] = useState('');
+    const contacts = useInvestorContacts(workspaceId, investor.id);
+    const [timelineFilter, setTimelineFilter] = useState('');
+    const [interactionToDelete, setInteractionToDelete] = useState(null);
+    const [isEditModalOpen, setIsEditModalOpen] = useState(false);
+    const [pipelineAction, setPipelineAction] = useState(null);
+    const [isEmailOpen, setIsEmailOpen] = useState(false);
+    const copyEntries = useCopyEntries();
+    const timeline = useMemo(() => buildTimeline(investor).filter(item =>
+        !timelineFilter || (timelineFilter === CHANGE_FILTER ? item.kind === 'change' : item.kind === 'interaction' && item.tipo === timelineFilter)
+    ), [investor, timelineFilter]);
+    // Alterações que sobrepuseram outra mais recente ao sincronizar (ver findConflicts), marcadas no histórico.
+    const conflictKeys = useMemo(() => new Set(findConflicts(investor).map(conflict => `c-${conflict.index}`)), [investor]);
+
+    const handleCopyEntry = async (options) => {
+        setPipelineAction(null);
+        try {
+            const copied = await copyEntries([investor.id], options);
+            if (options.move && copied > 0) onBack();
+        } catch (error) {
+            console.error("Erro ao copiar entrada:", error);
+            showToast(options.move ? "Falha ao mover o investidor." : "Falha ao copiar o investidor.", 'error');
+        }
+    };
+
+    // O URL da página identifica o projeto e o investidor, por isso serve de link para partilhar.
+    const handleCopyLink = async () => {
+        try {
+            await navigator.clipboard.writeText(window.location.href);
+            showToast("Link copiado!", 'success');
+        } catch (error) {
+            console.error("Erro ao copiar link:", error);
+            showToast("Não foi possível copiar o link.", 'error');
+        }
+    };
 
     const handleAddInteraction = async (e) => {
         e.preventDefault(); 
-        if (!interactionNotes.trim() || !userId || !selectedProjectId || isMasterProfile) return;
-        
-        const newInteraction = { data: new Date(), tipo: interactionType, anotacoes: interactionNotes };
+        if (!interactionNotes.trim() || !workspaceId || !selectedProjectId || isMasterProfile) return;
         
         try {
-            // Firestore timestamps need to be converted when updating arrays
-            const existingInteractions = investor.historicoDeInteracoes ? investor.historicoDeInteracoes.map(item => ({...item, data: item.data.toDate()})) : [];
+            await queueWrite(addInteraction(workspaceDoc(workspaceId), selectedProjectId, investor.id, {
+                data: interactionDate ? new Date(interactionDate) : new Date(), tipo: interactionType, anotacoes: interactionNotes.trim(), autor: author,
+                ...contactLink(contacts, interactionContactId),
+            }), `Uma interação com ${investor.nomeFantasia} registada offline não foi guardada.`);
+            setInteractionNotes('');
+            setInteractionDate(toDateTimeLocal());
+            showToast("Interação adicionada com sucesso!", 'success');
+        } catch (error) { 
+            console.error("Erro ao adicionar interação:", error); 
+            showToast("Erro ao adicionar interação.", 'error');
+        }
+    };
 
-            await updateDoc(doc(db, 'artifacts', appId, 'users', userId, 'projects', selectedProjectId, 'pipeline', investor.id), { 
-                historicoDeInteracoes: [...existingInteractions, newInteraction] 
-            });
+    const handleEmailSent = async (emails, { status }) => {
+        await queueWrite(logSentEmails(workspaceDoc(workspaceId), selectedProjectId, sentEmailInteractions(emails, author, status), author),
+            `O email a ${investor.nomeFantasia} registado offline não foi guardado.`);
+        showToast(status && investor.status === NOT_CONTACTED_STAGE ? `Email registado e ${investor.nomeFantasia} movido para ${status}.` : "Email registado no histórico.", 'success');
+    };
+
+    // Editar e excluir releem a lista numa transação, que precisa do servidor.
+    const requireOnline = () => {
+        if (!isOnline) showToast("Sem ligação: editar ou excluir interações só é possível online.", 'error');
+        return isOnline;
+    };
 
-            setInteractionNotes('');
-            showToast("Interação adicionada com sucesso!", 'success');
-        } catch (error) { 
-            console.error("Erro ao adicionar interação:", error); 
-            showToast("Erro ao adicionar interação.", 'error');
+    const handleSaveInteraction = async (key, changes) => {
+        if (!requireOnline()) return false;
+        try {
+            await updateInteraction(workspaceDoc(workspaceId), selectedProjectId, investor.id, key, item => ({ ...item, ...changes, editadoEm: new Date(), editadoPor: author }));
+            showToast("Interação atualizada.", 'success');
+            return true;
+        } catch (error) {
+            console.error("Erro ao editar interação:", error);
+            showToast("Erro ao editar interação.", 'error');
+            return false;
         }
     };
+
+    const confirmDeleteInteraction = async () => {
+        if (!requireOnline()) { setInteractionToDelete(null); return; }
+        try {
+            await updateInteraction(workspaceDoc(workspaceId), selectedProjectId, investor.id, interactionToDelete.key, () => null);
+            showToast("Interação excluída.", 'success');
+        } catch (error) {
+            console.error("Erro ao excluir interação:", error);
+            showToast("Erro ao excluir interação.", 'error');
+        } finally { setInteractionToDelete(null); }
+    };
     
     return (
         <div className="p-4 sm:p-6 lg:p-8">
@@ -561,10 +2916,19 @@ const InvestorProfile = ({ investor, onBack, isMasterProfile }) => {
             <div className="bg-gray-800 rounded-lg shadow-xl p-6 mb-6">
                  <div className="flex flex-col sm:flex-row justify-between items-start gap-4">
                     <div>
-                        <h2 className="text-3xl font-bold text-white">{investor.nomeFantasia}</h2><p className="text-gray-400 mt-1">{investor.setor}</p>
+                        <h2 className="text-3xl font-bold text-white">{investor.nomeFantasia}</h2><p className="text-gray-400 mt-1">{investor.setor}</p>{investor.tags?.length > 0 && <div className="mt-2"><TagList tags={investor.tags} /></div>}
                         <div className="flex items-center mt-2"><p className="text-gray-400 mr-2">Nota Geral:</p>{[...Array(5)].map((_, i) => <Star key={i} size={22} className={i < (investor.nota || 0) ? 'text-yellow-400 fill-yellow-400' : 'text-gray-600'} />)}</div>
                     </div>
-                     <div className="flex items-center gap-3 shrink-0">{investor.linkedin && <a href={investor.linkedin} target="_blank" rel="noopener noreferrer" className="p-2 bg-gray-700 rounded-full hover:bg-blue-600"><Linkedin size={20} className="text-white"/></a>}</div>
+                     <div className="flex items-center gap-3 shrink-0">
+                        <button onClick={handleCopyLink} title="Copiar link" className="p-2 bg-gray-700 rounded-full hover:bg-blue-600"><Link2 size={20} className="text-white"/></button>
+                        <button onClick={() => setIsEmailOpen(true)} title="Escrever email" className="p-2 bg-gray-700 rounded-full hover:bg-blue-600"><Mail size={20} className="text-white"/></button>
+                        {investor.linkedin && <a href={investor.linkedin} target="_blank" rel="noopener noreferrer" className="p-2 bg-gray-700 rounded-full hover:bg-blue-600"><Linkedin size={20} className="text-white"/></a>}
+                        {!isMasterProfile && !isReadOnly && <>
+                            <button onClick={() => setPipelineAction('copy')} title="Copiar ou mover para outro projeto" className="p-2 bg-gray-700 rounded-full hover:bg-blue-600"><Copy size={20} className="text-white"/></button>
+                            <button onClick={() => setPipelineAction('remove')} title="Remover do projeto" className="p-2 bg-gray-700 rounded-full hover:bg-red-600"><UserMinus size={20} className="text-white"/></button>
+                        </>}
+                        {isMasterProfile && !isReadOnly && <button onClick={() => setIsEditModalOpen(true)} className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"><Edit size={18} /><span>Editar</span></button>}
+                     </div>
                 </div>
             </div>
             <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
@@ -578,219 +2942,1066 @@ const InvestorProfile = ({ investor, onBack, isMasterProfile }) => {
                     </div>
                     {!isMasterProfile && (
                         <>
-                        <div className="bg-gray-800 rounded-lg shadow-xl p-6">
+                        <FollowUpTasks investor={investor} />
+                        {!isReadOnly && <div className="bg-gray-800 rounded-lg shadow-xl p-6">
                                <h3 className="text-xl font-bold text-white mb-4">Adicionar Interação (Projeto)</h3>
                                <form onSubmit={handleAddInteraction} className="space-y-4">
-                                   <SelectField label="Tipo" value={interactionType} onChange={(e) => setInteractionType(e.target.value)}><option>Email</option><option>Chamada</option><option>Reunião</option><option>LinkedIn</option><option>Outro</option></SelectField>
+                                   <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                                       <SelectField label="Tipo" value={interactionType} onChange={(e) => setInteractionType(e.target.value)}>{INTERACTION_TYPES.map(t => <option key={t}>{t}</option>)}</SelectField>
+                                       <ContactSelect contacts={contacts} value={interactionContactId} onChange={setInteractionContactId} />
+                                       <InputField label="Data" type="datetime-local" value={interactionDate} onChange={(e) => setInteractionDate(e.target.value)} max={toDateTimeLocal()} />
+                                   </div>
                                    <TextareaField label="Anotações" placeholder="Descreva a interação..." value={interactionNotes} onChange={(e) => setInteractionNotes(e.target.value)} required />
                                    <div className="text-right"><button type="submit" className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700">Adicionar</button></div>
                                </form>
-                           </div>
+                           </div>}
                            <div className="bg-gray-800 rounded-lg shadow-xl p-6">
-                               <h3 className="text-xl font-bold text-white mb-4">Histórico (Projeto)</h3>
+                               <div className="flex justify-between items-center gap-4 mb-4">
+                                   <h3 className="text-xl font-bold text-white">Histórico (Projeto)</h3>
+                                   <select value={timelineFilter} onChange={(e) => setTimelineFilter(e.target.value)} className="bg-gray-900 border border-gray-600 rounded-md p-2 text-white text-sm">
+                                       <option value="">Tudo</option>{[...INTERACTION_TYPES, CHANGE_FILTER].map(t => <option key={t}>{t}</option>)}
+                                   </select>
+                               </div>
                                 <div className="space-y-4 max-h-96 overflow-y-auto pr-2">
-                                   {investor.historicoDeInteracoes && [...investor.historicoDeInteracoes].reverse().map((item, index) => (
-                                       <div key={index} className="bg-gray-700 p-4 rounded-md">
-                                           <div className="flex justify-between items-center text-sm mb-1"><p className="font-semibold text-blue-400">{item.tipo}</p><p className="text-gray-400">{item.data.toDate ? new Date(item.data.toDate()).toLocaleString('pt-BR') : new Date(item.data).toLocaleString('pt-BR')}</p></div><p className="text-gray-300">{item.anotacoes}</p>
+                                   {timeline.map(item => item.kind === 'change' ? (
+                                       <div key={item.key} className={`border-l-4 pl-4 py-1 text-sm ${conflictKeys.has(item.key) ? 'border-yellow-500' : 'border-gray-600'}`}>
+                                           <div className="flex justify-between items-center gap-2">
+                                               <p className="text-gray-300 flex items-center gap-2"><History size={14} className="text-gray-500" />{AUDITED_FIELDS[item.campo]}: <span className="text-gray-400">{formatAuditValue(item.campo, item.de)}</span> → <span className="text-white font-semibold">{formatAuditValue(item.campo, item.para)}</span></p>
+                                               <p className="text-gray-500 shrink-0">{formatDateTime(item.data)}</p>
+                                           </div>
+                                           {item.autor?.nome && <p className="text-gray-500 text-xs mt-1">por {item.autor.nome}</p>}
+                                           {conflictKeys.has(item.key) && <p className="text-yellow-400 text-xs mt-1 flex items-center gap-1"><AlertTriangle size={12} />Feita offline: ao sincronizar, substituiu uma alteração mais recente.</p>}
                                        </div>
+                                   ) : (
+                                       <InteractionItem key={item.key} item={item} contacts={contacts} onSave={(changes) => handleSaveInteraction(item.key, changes)} onDelete={() => setInteractionToDelete(item)} readOnly={isReadOnly} />
                                    ))}
-                                   {(!investor.historicoDeInteracoes || investor.historicoDeInteracoes.length === 0) && <p className="text-gray-500 text-center py-4">Nenhuma interação registada.</p>}
+                                   {timeline.length === 0 && <p className="text-gray-500 text-center py-4">{timelineFilter ? 'Nenhum registo deste tipo.' : 'Nenhuma interação registada.'}</p>}
                                </div>
                            </div>
                         </>
                     )}
                 </div>
-                 <div className="bg-gray-800 rounded-lg shadow-xl p-6 self-start">
-                    <h3 className="text-xl font-bold text-white mb-4">Contactos</h3>
-                    <ul className="space-y-3 text-gray-300">
-                        <li className="flex items-start gap-3"><Mail size={18} className="text-gray-500 mt-1"/><span>{investor.email1 || 'Não informado'}</span></li>
-                         <li className="flex items-start gap-3"><Mail size={18} className="text-gray-500 mt-1"/><span>{investor.email2 || 'Não informado'}</span></li>
-                        <li className="flex items-start gap-3"><Phone size={18} className="text-gray-500 mt-1"/><span>{investor.telefone || 'Não informado'}</span></li>
-                    </ul>
+                <div className="space-y-6">
+                    <InvestorAttributesCard investor={investor} />
+                    <ContactsCard investor={investor} contacts={contacts} />
+                </div>
+            </div>
+            <ConfirmationModal
+                isOpen={!!interactionToDelete}
+                onClose={() => setInteractionToDelete(null)}
+                onConfirm={confirmDeleteInteraction}
+                title="Excluir Interação"
+                message={`Excluir a interação "${interactionToDelete?.tipo}" de ${formatDateTime(interactionToDelete?.data)}? Esta ação é irreversível.`}
+            />
+            {pipelineAction === 'remove' && <RemoveFromProjectModal investor={investor} onClose={() => setPipelineAction(null)} onRemoved={onBack} />}
+            {pipelineAction === 'copy' && <CopyEntriesModal count={1} onClose={() => setPipelineAction(null)} onConfirm={handleCopyEntry} />}
+            <Modal isOpen={isEmailOpen} onClose={() => setIsEmailOpen(false)} title={`Escrever email a ${investor.nomeFantasia}`}>
+                <EmailComposer investors={[investor]} contacts={contacts} project={isMasterProfile ? null : selectedProject} stages={projectStages}
+                    canLog={!isMasterProfile && !isReadOnly} onSend={handleEmailSent} onClose={() => setIsEmailOpen(false)} />
+            </Modal>
+            {isMasterProfile && <Modal isOpen={isEditModalOpen} onClose={() => setIsEditModalOpen(false)} title="Editar Investidor"><InvestorForm key={investor.id} investorToEdit={investor} onClose={() => setIsEditModalOpen(false)} /></Modal>}
+        </div>
+    );
+};
+
+// --- ESPAÇOS DE TRABALHO ---
+const profileRef = (userId) => doc(db, 'artifacts', appId, 'users', userId);
+const invitationId = (workspaceId, email) => `${workspaceId}_${normalizeEmail(email)}`;
+const memberFromUser = (user, papel) => ({ uid: user.uid, nome: user.displayName || '', email: normalizeEmail(user.email), papel, entrouEm: new Date() });
+
+// Cria o espaço com o utilizador como administrador. Só entra no perfil com `joinWorkspace`,
+// para que uma eventual migração termine antes de a aplicação abrir o espaço.
+const createWorkspace = async (user, nome) => {
+    const workspaceRef = doc(collection(db, 'artifacts', appId, 'workspaces'));
+    const batch = writeBatch(db);
+    batch.set(workspaceRef, { nome, criadoEm: new Date(), criadoPor: user.uid });
+    batch.set(doc(workspaceRef, 'members', user.uid), memberFromUser(user, 'admin'));
+    await batch.commit();
+    return workspaceRef.id;
+};
+
+const joinWorkspace = (userId, workspaceId) => setDoc(profileRef(userId), { workspaces: arrayUnion(workspaceId), workspaceAtivo: workspaceId }, { merge: true });
+
+const switchWorkspace = (userId, workspaceId) => setDoc(profileRef(userId), { workspaceAtivo: workspaceId }, { merge: true });
+
+const acceptInvitation = async (user, invitation) => {
+    const batch = writeBatch(db);
+    batch.set(doc(db, 'artifacts', appId, 'workspaces', invitation.workspaceId, 'members', user.uid), memberFromUser(user, invitation.papel));
+    batch.set(profileRef(user.uid), { workspaces: arrayUnion(invitation.workspaceId), workspaceAtivo: invitation.workspaceId }, { merge: true });
+    batch.delete(doc(db, 'artifacts', appId, 'invitations', invitation.id));
+    await batch.commit();
+};
+
+const leaveWorkspace = async (userId, workspaceId) => {
+    const batch = writeBatch(db);
+    batch.delete(doc(db, 'artifacts', appId, 'workspaces', workspaceId, 'members', userId));
+    batch.set(profileRef(userId), { workspaces: arrayRemove(workspaceId), workspaceAtivo: deleteField() }, { merge: true });
+    await batch.commit();
+};
+
+// Copia a base pessoal antiga (`users/{uid}/...`) para o espaço, mantendo os ids para que pipelines e
+// tarefas continuem a apontar para os mesmos investidores. Os originais ficam intactos, como cópia de segurança.
+const migratePersonalBase = async (userId, workspaceId, onProgress) => {
+    const [investorsSnap, projectsSnap, tasksSnap] = await Promise.all(['investors', 'projects', 'tasks'].map(name => getDocs(collection(profileRef(userId), name))));
+    const pipelineSnaps = await Promise.all(projectsSnap.docs.map(projectDoc => getDocs(collection(projectDoc.ref, 'pipeline'))));
+    const docs = [...investorsSnap.docs, ...projectsSnap.docs, ...pipelineSnaps.flatMap(snap => snap.docs), ...tasksSnap.docs];
+    // Caminho relativo ao perfil, ex.: projects/{pid}/pipeline/{investorId}.
+    await commitInChunks(db, docs, (batch, docSnap) => {
+        const data = docSnap.ref.parent.id === 'projects' ? { ...docSnap.data(), ...withStageNames(getProjectStages(docSnap.data())) } : docSnap.data();
+        batch.set(doc(db, 'artifacts', appId, 'workspaces', workspaceId, ...docSnap.ref.path.split('/').slice(4)), data);
+    }, onProgress);
+    await setDoc(profileRef(userId), { migradoPara: workspaceId, migradoEm: new Date() }, { merge: true });
+    return docs.length;
+};
+
+// Convites pendentes para o e-mail indicado.
+const usePendingInvitations = (email) => {
+    const [invitations, setInvitations] = useState([]);
+    useEffect(() => {
+        if (!email) return;
+        const invitationsQuery = query(collection(db, 'artifacts', appId, 'invitations'), where('email', '==', normalizeEmail(email)));
+        const unsub = onSnapshot(invitationsQuery, snap => setInvitations(snap.docs.map(d => ({ id: d.id, ...d.data() }))), error => console.error("Erro ao buscar convites:", error));
+        return () => unsub();
+    }, [email]);
+    return invitations;
+};
+
+// Indica se o utilizador ainda tem uma base pessoal, anterior aos espaços de trabalho, por migrar.
+const usePersonalBase = (userId, profile) => {
+    const [hasPersonalBase, setHasPersonalBase] = useState(false);
+    const alreadyMigrated = !!profile?.migradoPara;
+    useEffect(() => {
+        if (!userId || alreadyMigrated) { setHasPersonalBase(false); return; }
+        let cancelled = false;
+        Promise.all(['investors', 'projects'].map(name => getDocs(query(collection(profileRef(userId), name), limit(1)))))
+            .then(snaps => { if (!cancelled) setHasPersonalBase(snaps.some(snap => !snap.empty)); })
+            .catch(error => console.error("Erro ao verificar base pessoal:", error));
+        return () => { cancelled = true; };
+    }, [userId, alreadyMigrated]);
+    return hasPersonalBase;
+};
+
+const InvitationList = ({ invitations, onAccept }) => (
+    <div className="space-y-2">
+        {invitations.map(invitation => (
+            <div key={invitation.id} className="flex items-center justify-between gap-3 bg-gray-700 p-3 rounded-md">
+                <div className="min-w-0">
+                    <p className="text-white font-medium truncate">{invitation.workspaceNome}</p>
+                    <p className="text-xs text-gray-400">Como {ROLES[invitation.papel]}{invitation.convidadoPor?.nome ? ` · convite de ${invitation.convidadoPor.nome}` : ''}</p>
+                </div>
+                <button onClick={() => onAccept(invitation)} className="px-3 py-1 bg-blue-600 text-white rounded-md hover:bg-blue-700 shrink-0">Aceitar</button>
+            </div>
+        ))}
+    </div>
+);
+
+// Ecrã mostrado a quem ainda não pertence a nenhum espaço de trabalho.
+const WorkspaceSetup = ({ currentUser, profile, showToast }) => {
+    const invitations = usePendingInvitations(currentUser.email);
+    const hasPersonalBase = usePersonalBase(currentUser.uid, profile);
+    const [nome, setNome] = useState('');
+    const [migrate, setMigrate] = useState(true);
+    const [isSaving, setIsSaving] = useState(false);
+    const [progress, setProgress] = useState(null);
+
+    const handleAccept = async (invitation) => {
+        try { await acceptInvitation(currentUser, invitation); }
+        catch (error) { console.error("Erro ao aceitar convite:", error); showToast("Não foi possível aceitar o convite.", 'error'); }
+    };
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        if (!nome.trim()) return;
+        setIsSaving(true);
+        try {
+            const workspaceId = await createWorkspace(currentUser, nome.trim());
+            if (hasPersonalBase && migrate) await migratePersonalBase(currentUser.uid, workspaceId, (done, total) => setProgress({ done, total }));
+            await joinWorkspace(currentUser.uid, workspaceId);
+        } catch (error) {
+            console.error("Erro ao criar espaço de trabalho:", error);
+            showToast("Não foi possível criar o espaço de trabalho.", 'error');
+            setIsSaving(false);
+            setProgress(null);
+        }
+    };
+
+    return (
+        <div className="min-h-screen bg-gray-900 flex items-center justify-center p-4">
+            {isSaving && <FullPageLoader text={progress ? `A migrar a base pessoal... ${progress.done}/${progress.total}` : "A criar espaço de trabalho..."} />}
+            <div className="w-full max-w-lg space-y-6">
+                <div className="text-center"><h1 className="text-4xl font-bold text-blue-500">Investidores Pacta</h1><p className="text-gray-400">Junte-se à sua equipa ou crie um espaço de trabalho.</p></div>
+                {invitations.length > 0 && (
+                    <div className="bg-gray-800 p-6 rounded-2xl shadow-2xl border border-gray-700">
+                        <h2 className="text-xl font-bold text-white mb-4">Convites Pendentes</h2>
+                        <InvitationList invitations={invitations} onAccept={handleAccept} />
+                    </div>
+                )}
+                <form onSubmit={handleCreate} className="bg-gray-800 p-6 rounded-2xl shadow-2xl border border-gray-700 space-y-4">
+                    <h2 className="text-xl font-bold text-white">Novo Espaço de Trabalho</h2>
+                    <InputField label="Nome" placeholder="Ex.: Pacta" value={nome} onChange={(e) => setNome(e.target.value)} required />
+                    {hasPersonalBase && <label className="flex items-start gap-2 text-sm text-gray-300 cursor-pointer"><input type="checkbox" className="mt-1" checked={migrate} onChange={(e) => setMigrate(e.target.checked)} />Migrar para este espaço a minha base pessoal (investidores, projetos, pipelines e tarefas).</label>}
+                    <button type="submit" disabled={isSaving} className="w-full py-3 bg-blue-600 text-white rounded-md hover:bg-blue-700 font-semibold disabled:bg-blue-400">Criar</button>
+                </form>
+                <p className="text-center text-gray-400 text-sm">{currentUser.email} · <button onClick={() => signOut(auth)} className="font-semibold text-red-400 hover:underline">Sair</button></p>
+            </div>
+        </div>
+    );
+};
+
+const WorkspacePage = ({ currentUser, profile }) => {
+    const { userId, author, workspace, members, membership, showToast } = useContext(DataContext);
+    const receivedInvitations = usePendingInvitations(currentUser.email);
+    const hasPersonalBase = usePersonalBase(userId, profile);
+    const [sentInvitations, setSentInvitations] = useState([]);
+    const [inviteEmail, setInviteEmail] = useState('');
+    const [inviteRole, setInviteRole] = useState('editor');
+    const [newWorkspaceName, setNewWorkspaceName] = useState('');
+    const [memberToRemove, setMemberToRemove] = useState(null);
+    const [migrationProgress, setMigrationProgress] = useState(null);
+    const admin = isAdmin(membership?.papel);
+    const adminCount = members.filter(member => isAdmin(member.papel)).length;
+    // O espaço nunca pode ficar sem administradores.
+    const isLastAdmin = (member) => isAdmin(member.papel) && adminCount === 1;
+
+    useEffect(() => {
+        if (!admin) { setSentInvitations([]); return; }
+        const invitationsQuery = query(collection(db, 'artifacts', appId, 'invitations'), where('workspaceId', '==', workspace.id));
+        const unsub = onSnapshot(invitationsQuery, snap => setSentInvitations(snap.docs.map(d => ({ id: d.id, ...d.data() }))), error => console.error("Erro ao buscar convites:", error));
+        return () => unsub();
+    }, [admin, workspace.id]);
+
+    const handleInvite = async (e) => {
+        e.preventDefault();
+        const email = normalizeEmail(inviteEmail);
+        if (!isValidEmail(email)) { showToast("Indique um e-mail válido.", 'error'); return; }
+        if (members.some(member => member.email === email)) { showToast("Esta pessoa já é membro do espaço.", 'error'); return; }
+        try {
+            await setDoc(doc(db, 'artifacts', appId, 'invitations', invitationId(workspace.id, email)), {
+                workspaceId: workspace.id, workspaceNome: workspace.nome, email, papel: inviteRole, convidadoPor: author, criadoEm: new Date(),
+            });
+            setInviteEmail('');
+            showToast(`Convite enviado para ${email}. A pessoa verá o convite ao entrar com este e-mail.`, 'success');
+        } catch (error) {
+            console.error("Erro ao convidar membro:", error);
+            showToast("Não foi possível enviar o convite.", 'error');
+        }
+    };
+
+    const handleCancelInvitation = async (invitation) => {
+        try { await deleteDoc(doc(db, 'artifacts', appId, 'invitations', invitation.id)); }
+        catch (error) { console.error("Erro ao cancelar convite:", error); showToast("Não foi possível cancelar o convite.", 'error'); }
+    };
+
+    const handleRoleChange = async (member, papel) => {
+        try {
+            await updateDoc(doc(db, 'artifacts', appId, 'workspaces', workspace.id, 'members', member.uid), { papel });
+            showToast(`${memberLabel(member)} agora é ${ROLES[papel]}.`, 'success');
+        } catch (error) {
+            console.error("Erro ao alterar papel:", error);
+            showToast("Não foi possível alterar o papel.", 'error');
+        }
+    };
+
+    const confirmRemoveMember = async () => {
+        try {
+            if (memberToRemove.uid === userId) await leaveWorkspace(userId, workspace.id);
+            else {
+                await deleteDoc(doc(db, 'artifacts', appId, 'workspaces', workspace.id, 'members', memberToRemove.uid));
+                showToast(`${memberLabel(memberToRemove)} foi removido(a) do espaço.`, 'success');
+            }
+        } catch (error) {
+            console.error("Erro ao remover membro:", error);
+            showToast("Não foi possível remover o membro.", 'error');
+        } finally { setMemberToRemove(null); }
+    };
+
+    const handleAccept = async (invitation) => {
+        try { await acceptInvitation(currentUser, invitation); showToast(`Entrou em ${invitation.workspaceNome}.`, 'success'); }
+        catch (error) { console.error("Erro ao aceitar convite:", error); showToast("Não foi possível aceitar o convite.", 'error'); }
+    };
+
+    const handleCreateWorkspace = async (e) => {
+        e.preventDefault();
+        if (!newWorkspaceName.trim()) return;
+        try {
+            await joinWorkspace(userId, await createWorkspace(currentUser, newWorkspaceName.trim()));
+            setNewWorkspaceName('');
+            showToast("Espaço de trabalho criado.", 'success');
+        } catch (error) {
+            console.error("Erro ao criar espaço de trabalho:", error);
+            showToast("Não foi possível criar o espaço de trabalho.", 'error');
+        }
+    };
+
+    const handleMigrate = async () => {
+        setMigrationProgress({ done: 0, total: 0 });
+        try {
+            const count = await migratePersonalBase(userId, workspace.id, (done, total) => setMigrationProgress({ done, total }));
+            showToast(`${count} registos da base pessoal migrados para ${workspace.nome}.`, 'success');
+        } catch (error) {
+            console.error("Erro ao migrar base pessoal:", error);
+            showToast("A migração falhou. Pode tentar de novo; os registos já copiados são substituídos.", 'error');
+        } finally { setMigrationProgress(null); }
+    };
+
+    return (
+        <div className="p-4 sm:p-6 lg:p-8 space-y-6">
+            <h2 className="text-3xl font-bold text-white">{workspace.nome}</h2>
+            <div className="bg-gray-800 rounded-lg shadow-xl p-6">
+                <h3 className="text-xl font-bold text-white mb-4">Membros</h3>
+                <div className="space-y-2">
+                    {members.map(member => (
+                        <div key={member.uid} className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 bg-gray-700 p-3 rounded-md">
+                            <div className="min-w-0">
+                                <p className="text-white font-medium truncate">{memberLabel(member)}{member.uid === userId && <span className="text-gray-400 font-normal"> (você)</span>}</p>
+                                <p className="text-xs text-gray-400">{member.email}</p>
+                            </div>
+                            <div className="flex items-center gap-2 shrink-0">
+                                {admin ? (
+                                    <select value={member.papel} disabled={isLastAdmin(member)} onChange={(e) => handleRoleChange(member, e.target.value)} title={isLastAdmin(member) ? 'O espaço precisa de pelo menos um administrador.' : ROLE_DESCRIPTIONS[member.papel]} className="bg-gray-900 border border-gray-600 rounded-md p-2 text-white text-sm disabled:opacity-60">
+                                        {Object.entries(ROLES).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                                    </select>
+                                ) : <span className="text-sm text-gray-300" title={ROLE_DESCRIPTIONS[member.papel]}>{ROLES[member.papel]}</span>}
+                                {(admin || member.uid === userId) && !isLastAdmin(member) && (
+                                    <button onClick={() => setMemberToRemove(member)} title={member.uid === userId ? 'Sair do espaço' : 'Remover'} className="p-2 text-gray-400 hover:text-red-500">{member.uid === userId ? <LogOut size={16} /> : <UserMinus size={16} />}</button>
+                                )}
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            </div>
+            {admin && (
+                <div className="bg-gray-800 rounded-lg shadow-xl p-6">
+                    <h3 className="text-xl font-bold text-white mb-4">Convidar</h3>
+                    <form onSubmit={handleInvite} className="grid grid-cols-1 md:grid-cols-4 gap-3 items-end">
+                        <div className="md:col-span-2"><InputField label="E-mail" type="email" value={inviteEmail} onChange={(e) => setInviteEmail(e.target.value)} required /></div>
+                        <SelectField label="Papel" value={inviteRole} onChange={(e) => setInviteRole(e.target.value)}>{Object.entries(ROLES).map(([value, label]) => <option key={value} value={value}>{label}</option>)}</SelectField>
+                        <button type="submit" className="flex items-center justify-center gap-2 px-4 py-2.5 bg-blue-600 text-white rounded-md hover:bg-blue-700"><Send size={18} /><span>Convidar</span></button>
+                    </form>
+                    <p className="text-xs text-gray-500 mt-2">{ROLE_DESCRIPTIONS[inviteRole]} O acesso a cada projeto pode ser restringido ao editar o projeto.</p>
+                    {sentInvitations.length > 0 && (
+                        <div className="mt-4 space-y-2">
+                            <p className="text-xs text-gray-500 uppercase font-bold">Convites pendentes</p>
+                            {sentInvitations.map(invitation => (
+                                <div key={invitation.id} className="flex items-center justify-between gap-3 text-sm text-gray-300">
+                                    <span className="truncate">{invitation.email} · {ROLES[invitation.papel]}</span>
+                                    <button onClick={() => handleCancelInvitation(invitation)} title="Cancelar convite" className="p-1 text-gray-400 hover:text-red-500"><X size={16} /></button>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+                </div>
+            )}
+            {hasPersonalBase && canEdit(membership?.papel) && (
+                <div className="bg-gray-800 rounded-lg shadow-xl p-6">
+                    <h3 className="text-xl font-bold text-white mb-2">Base Pessoal</h3>
+                    <p className="text-gray-400 mb-4">Ainda tem investidores ou projetos na sua base pessoal, anterior aos espaços de trabalho. A migração copia-os para {workspace.nome} com o mesmo histórico; a base pessoal deixa de ser oferecida depois disso.</p>
+                    <button onClick={handleMigrate} disabled={!!migrationProgress} className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-blue-400">{migrationProgress ? `A migrar... ${migrationProgress.done}/${migrationProgress.total}` : `Migrar para ${workspace.nome}`}</button>
+                </div>
+            )}
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                {receivedInvitations.length > 0 && (
+                    <div className="bg-gray-800 rounded-lg shadow-xl p-6">
+                        <h3 className="text-xl font-bold text-white mb-4">Convites Recebidos</h3>
+                        <InvitationList invitations={receivedInvitations} onAccept={handleAccept} />
+                    </div>
+                )}
+                <form onSubmit={handleCreateWorkspace} className="bg-gray-800 rounded-lg shadow-xl p-6 space-y-4">
+                    <h3 className="text-xl font-bold text-white">Novo Espaço de Trabalho</h3>
+                    <InputField label="Nome" value={newWorkspaceName} onChange={(e) => setNewWorkspaceName(e.target.value)} required />
+                    <div className="text-right"><button type="submit" className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700">Criar</button></div>
+                </form>
+            </div>
+            <ConfirmationModal
+                isOpen={!!memberToRemove}
+                onClose={() => setMemberToRemove(null)}
+                onConfirm={confirmRemoveMember}
+                title={memberToRemove?.uid === userId ? 'Sair do Espaço' : 'Remover Membro'}
+                message={memberToRemove?.uid === userId
+                    ? `Deixará de ter acesso a ${workspace.nome}. Só poderá voltar com um novo convite.`
+                    : `Remover ${memberLabel(memberToRemove)} de ${workspace.nome}? O histórico registado por esta pessoa mantém-se.`}
+            />
+        </div>
+    );
+};
+
+// --- PERFIL DO UTILIZADOR ---
+// O nome fica no Firebase Auth e também nos documentos de membro de cada espaço, usados nas listas da equipa.
+const ProfilePage = ({ currentUser, workspaces, onUpdated }) => {
+    const { showToast } = useContext(DataContext);
+    const [nome, setNome] = useState(currentUser.displayName || '');
+    const [currentPassword, setCurrentPassword] = useState('');
+    const [newPassword, setNewPassword] = useState('');
+    const [confirmPassword, setConfirmPassword] = useState('');
+    const [passwordError, setPasswordError] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
+    const hasPassword = usesPassword(currentUser);
+
+    const handleSaveName = async (e) => {
+        e.preventDefault();
+        if (!nome.trim()) return;
+        setIsSaving(true);
+        try {
+            await updateProfile(currentUser, { displayName: nome.trim() });
+            const batch = writeBatch(db);
+            workspaces.forEach(w => batch.update(doc(db, 'artifacts', appId, 'workspaces', w.id, 'members', currentUser.uid), { nome: nome.trim() }));
+            await batch.commit();
+            onUpdated();
+            showToast("Nome atualizado com sucesso!", 'success');
+        } catch (error) {
+            console.error("Erro ao atualizar nome:", error);
+            showToast("Não foi possível atualizar o nome.", 'error');
+        } finally { setIsSaving(false); }
+    };
+
+    const handleChangePassword = async (e) => {
+        e.preventDefault();
+        setPasswordError('');
+        if (newPassword !== confirmPassword) { setPasswordError("As senhas não coincidem."); return; }
+        setIsSaving(true);
+        try {
+            // O Firebase só aceita mudar a senha com um login recente; confirmar a senha atual renova-o.
+            await reauthenticateWithCredential(currentUser, EmailAuthProvider.credential(currentUser.email, currentPassword));
+            await updatePassword(currentUser, newPassword);
+            setCurrentPassword(''); setNewPassword(''); setConfirmPassword('');
+            showToast("Senha alterada com sucesso!", 'success');
+        } catch (error) {
+            console.error("Erro ao alterar senha:", error);
+            setPasswordError(authErrorMessage(error));
+        } finally { setIsSaving(false); }
+    };
+
+    return (
+        <div className="p-4 sm:p-6 lg:p-8 space-y-6 max-w-2xl">
+            <h2 className="text-3xl font-bold text-white">Meu Perfil</h2>
+            <form onSubmit={handleSaveName} className="bg-gray-800 rounded-lg shadow-xl p-6 space-y-4">
+                <h3 className="text-xl font-bold text-white">Dados Pessoais</h3>
+                <InputField label="Nome" value={nome} onChange={(e) => setNome(e.target.value)} required />
+                <div>
+                    <p className="block text-sm font-medium text-gray-300 mb-1">Email</p>
+                    <p className="text-white">{currentUser.email}</p>
+                    <p className="text-xs text-gray-400 mt-1">Login com {(currentUser.providerData || []).map(provider => provider.providerId === 'google.com' ? 'Google' : 'e-mail e senha').join(' e ')}.</p>
                 </div>
+                <button type="submit" disabled={isSaving || !nome.trim() || nome.trim() === currentUser.displayName} className="py-2 px-4 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-gray-600 disabled:text-gray-400">Guardar Nome</button>
+            </form>
+            <div className="bg-gray-800 rounded-lg shadow-xl p-6">
+                <h3 className="text-xl font-bold text-white mb-4 flex items-center gap-2"><KeyRound size={20} /> Senha</h3>
+                {hasPassword ? (
+                    <form onSubmit={handleChangePassword} className="space-y-4">
+                        <InputField label="Senha Atual" type="password" autoComplete="current-password" value={currentPassword} onChange={(e) => setCurrentPassword(e.target.value)} required />
+                        <InputField label="Nova Senha" type="password" autoComplete="new-password" minLength={6} value={newPassword} onChange={(e) => setNewPassword(e.target.value)} required />
+                        <InputField label="Confirmar Nova Senha" type="password" autoComplete="new-password" minLength={6} value={confirmPassword} onChange={(e) => setConfirmPassword(e.target.value)} required />
+                        {passwordError && <p className="text-red-500 text-sm">{passwordError}</p>}
+                        <button type="submit" disabled={isSaving} className="py-2 px-4 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-gray-600 disabled:text-gray-400">Alterar Senha</button>
+                    </form>
+                ) : <p className="text-gray-400">A sua conta entra com o Google; a senha é gerida na sua conta Google.</p>}
             </div>
         </div>
     );
 };
 
+// --- SINCRONIZAÇÃO ---
+// Com a cache persistente, a aplicação funciona offline: os listeners servem os dados da cache e as
+// escritas ficam em fila até a ligação voltar. Transações (editar/excluir interações) precisam do servidor.
+const useOnlineStatus = () => {
+    const [isOnline, setIsOnline] = useState(navigator.onLine);
+    useEffect(() => {
+        const update = () => setIsOnline(navigator.onLine);
+        window.addEventListener('online', update);
+        window.addEventListener('offline', update);
+        return () => { window.removeEventListener('online', update); window.removeEventListener('offline', update); };
+    }, []);
+    return isOnline;
+};
+
+// Conta os documentos com escritas por confirmar (base, tarefas e pipeline do projeto ativo). Quando uma
+// entrada do pipeline deixa de ter escritas pendentes, `onPipelineSynced` recebe-a já como o servidor a
+// guardou, para procurar conflitos.
+const usePendingWrites = (workspaceId, projectId, onPipelineSynced) => {
+    const [counts, setCounts] = useState({});
+    const onSyncedRef = useRef(onPipelineSynced);
+    useEffect(() => { onSyncedRef.current = onPipelineSynced; });
+
+    useEffect(() => {
+        setCounts({});
+        if (!workspaceId) return;
+        const workspacePath = ['artifacts', appId, 'workspaces', workspaceId];
+        const pendingPipelineIds = new Set();
+        const watch = (key, watchedQuery, onDocs = null) => onSnapshot(watchedQuery, { includeMetadataChanges: true }, snap => {
+            const pending = snap.docs.filter(d => d.metadata.hasPendingWrites).length;
+            setCounts(current => (current[key] === pending ? current : { ...current, [key]: pending }));
+            onDocs?.(snap.docs);
+        }, error => console.error("Erro ao acompanhar a sincronização:", error));
+
+        // As mesmas consultas dos listeners de dados, que o SDK partilha em vez de as ler outra vez.
+        const unsubs = [
+            ...investorShardQueries(workspaceId).map((shardQuery, index) => watch(`investors-${index}`, shardQuery)),
+            watch('tasks', collection(db, ...workspacePath, 'tasks')),
+        ];
+        if (projectId) unsubs.push(watch('pipeline', collection(db, ...workspacePath, 'projects', projectId, 'pipeline'), docs => docs.forEach(d => {
+            if (d.metadata.hasPendingWrites) pendingPipelineIds.add(d.id);
+            else if (pendingPipelineIds.delete(d.id)) onSyncedRef.current?.({ id: d.id, ...d.data() });
+        })));
+        return () => unsubs.forEach(unsub => unsub());
+    }, [workspaceId, projectId]);
+
+    return Object.values(counts).reduce((sum, count) => sum + count, 0);
+};
+
+// Mensagem para uma alteração feita offline que, ao sincronizar, substituiu a de outra pessoa.
+const conflictMessage = (investorName, { campo, sobreposta, alteracao }) =>
+    `Conflito em ${investorName}: a sua alteração de ${AUDITED_FIELDS[campo]} para "${formatAuditValue(campo, alteracao.para)}", feita offline, `
+    + `substituiu "${formatAuditValue(campo, sobreposta.para)}", definido entretanto por ${sobreposta.autor?.nome || 'outro membro'}. Confirme o valor correto.`;
+
+// Etapa e prioridade mudadas no Dashboard e no Kanban, com o mesmo aviso das restantes escritas offline.
+const useSavePipelineChange = () => {
+    const { workspaceId, selectedProjectId, author, showToast } = useContext(DataContext);
+    const queueWrite = useQueuedWrite();
+    return useCallback(async (investor, changes) => {
+        if (!workspaceId || !selectedProjectId) return;
+        try {
+            await queueWrite(updatePipelineEntry(workspaceDoc(workspaceId), selectedProjectId, investor, changes, author),
+                `Uma alteração em ${investor.nomeFantasia} feita offline não foi guardada.`);
+        } catch (error) {
+            console.error("Erro ao atualizar o pipeline:", error);
+            showToast(`Não foi possível atualizar ${investor.nomeFantasia}.`, 'error');
+        }
+    }, [workspaceId, selectedProjectId, author, showToast, queueWrite]);
+};
+
+// Para formulários que esperam pela escrita: offline não ficam à espera da ligação (ver lib/sync.js).
+const useQueuedWrite = () => {
+    const { isOnline, showToast } = useContext(DataContext);
+    return useCallback((write, rejectedMessage) => queuedWrite(write, {
+        isOnline,
+        onRejected: (error) => {
+            console.error("Erro ao sincronizar escrita feita offline:", error);
+            showToast(rejectedMessage, 'error');
+        },
+    }), [isOnline, showToast]);
+};
+
+const SYNC_STATUS = {
+    offline: { icon: <WifiOff size={14} />, className: 'text-yellow-400', label: (pending) => `Offline${pending > 0 ? ` · ${pending} por sincronizar` : ''}` },
+    syncing: { icon: <RefreshCw size={14} className="animate-spin" />, className: 'text-blue-400', label: (pending) => `A sincronizar ${pending}...` },
+    synced: { icon: <CloudCheck size={14} />, className: 'text-green-400', label: () => 'Sincronizado' },
+};
+
+const SyncIndicator = ({ isOnline, pendingCount }) => {
+    const status = SYNC_STATUS[syncState(isOnline, pendingCount)];
+    return (
+        <p className={`w-full px-3 text-xs font-semibold items-center gap-2 hidden sm:flex ${status.className}`} title={isOnline ? 'Ligado' : 'Sem ligação: as alterações ficam guardadas neste dispositivo e são enviadas quando a ligação voltar.'}>
+            {status.icon}{status.label(pendingCount)}
+        </p>
+    );
+};
+
+// --- CARREGAMENTO DOS DADOS ---
+// A base chega por partes (ver lib/shards.js) e as vistas renderizam à medida que cada parte chega. O
+// pipeline do projeto ativo é guardado tal como está no Firestore e só junto à base na renderização
+// (joinPipeline), para que alterações na base não obriguem a recriar o listener do pipeline.
+const investorShardQueries = (workspaceId) => idShards().map(({ from, to }) => query(
+    collection(db, 'artifacts', appId, 'workspaces', workspaceId, 'investors'),
+    ...[from && where(documentId(), '>=', from), to && where(documentId(), '<', to)].filter(Boolean),
+));
+
+const useInvestorBase = (workspaceId) => {
+    // Uma lista por parte; null = parte ainda por carregar.
+    const [shards, setShards] = useState([]);
+    useEffect(() => {
+        if (!workspaceId) { setShards([]); return; }
+        const queries = investorShardQueries(workspaceId);
+        setShards(queries.map(() => null));
+        const unsubs = queries.map((shardQuery, index) => onSnapshot(shardQuery, snap => {
+            const investors = snap.docs.map(d => ({ id: d.id, ...d.data() }));
+            setShards(current => current.map((shard, i) => (i === index ? investors : shard)));
+        }, error => {
+            console.error("Erro ao buscar investidores:", error);
+            setShards(current => current.map((shard, i) => (i === index ? shard || [] : shard)));
+        }));
+        return () => unsubs.forEach(unsub => unsub());
+    }, [workspaceId]);
+
+    return useMemo(() => {
+        const allInvestors = shards.flatMap(shard => shard || []);
+        const loadedShards = shards.filter(Boolean).length;
+        return {
+            masterInvestors: allInvestors.filter(inv => !inv.excluidoEm),
+            deletedInvestors: allInvestors.filter(inv => inv.excluidoEm),
+            investorsById: indexById(allInvestors.filter(inv => !inv.excluidoEm)),
+            baseProgress: { loaded: loadedShards, total: shards.length },
+            isBaseLoaded: loadedShards === shards.length,
+        };
+    }, [shards]);
+};
+
+// Entradas do pipeline sem os dados da base. `projectId` indica de que projeto são, para distinguir
+// "ainda a carregar" de "não está no projeto" ao trocar de projeto.
+const usePipelineEntries = (workspaceId, projectId) => {
+    const [pipeline, setPipeline] = useState({ projectId: null, entries: [] });
+    useEffect(() => {
+        if (!workspaceId || !projectId) { setPipeline({ projectId: null, entries: [] }); return; }
+        const unsub = onSnapshot(collection(db, 'artifacts', appId, 'workspaces', workspaceId, 'projects', projectId, 'pipeline'),
+            snap => setPipeline({ projectId, entries: snap.docs.map(d => ({ id: d.id, ...d.data() })) }),
+            error => console.error("Erro ao buscar pipeline:", error));
+        return () => unsub();
+    }, [workspaceId, projectId]);
+    return pipeline;
+};
+
+const BaseLoadingNote = ({ progress }) => (
+    <div className="w-full px-3 hidden sm:block" title="As vistas já mostram os investidores carregados; o resto chega em segundo plano.">
+        <p className="text-xs text-gray-400 mb-1">A carregar a base · {progress.loaded}/{progress.total}</p>
+        <div className="h-1 bg-gray-700 rounded-full overflow-hidden"><div className="h-full bg-blue-500 transition-all" style={{ width: `${(progress.loaded / progress.total) * 100}%` }} /></div>
+    </div>
+);
+
+// --- NAVEGAÇÃO ---
+// A rota atual vem do URL (ver lib/routes.js). As entradas criadas pela aplicação ficam marcadas com
+// `inApp`, para que "Voltar" saiba se pode recuar no histórico sem sair da aplicação.
+const useRoute = () => {
+    const [pathname, setPathname] = useState(window.location.pathname);
+    useEffect(() => {
+        const onPopState = () => setPathname(window.location.pathname);
+        window.addEventListener('popstate', onPopState);
+        return () => window.removeEventListener('popstate', onPopState);
+    }, []);
+    const navigate = useCallback((route, { replace = false } = {}) => {
+        const path = buildPath(route);
+        if (path === window.location.pathname) return;
+        if (replace) window.history.replaceState(window.history.state, '', path);
+        else window.history.pushState({ inApp: true }, '', path);
+        setPathname(path);
+    }, []);
+    const route = useMemo(() => parseRoute(pathname), [pathname]);
+    return [route, navigate];
+};
+
 // --- COMPONENTE PRINCIPAL APP ---
 export default function App() {
     const [userId, setUserId] = useState(null);
+    const [currentUser, setCurrentUser] = useState(null);
+    // O objeto do utilizador é alterado no lugar (reload, updateProfile); este contador força o novo render.
+    const [, setAuthVersion] = useState(0);
     const [isAuthLoading, setIsAuthLoading] = useState(true);
     const [isDataLoading, setIsDataLoading] = useState(true);
     const [projects, setProjects] = useState([]);
-    const [selectedProjectId, setSelectedProjectId] = useState(null);
-    const [masterInvestors, setMasterInvestors] = useState([]);
-    const [projectInvestors, setProjectInvestors] = useState([]);
-    const [currentPage, setCurrentPage] = useState('dashboard');
-    const [selectedInvestor, setSelectedInvestor] = useState(null);
-    const [isMasterProfile, setIsMasterProfile] = useState(false);
+    const [tasks, setTasks] = useState([]);
+    const [customFields, setCustomFields] = useState([]);
+    const [tagColors, setTagColors] = useState(new Map());
+    const [profile, setProfile] = useState(null);
+    const [workspaces, setWorkspaces] = useState(null);
+    const [members, setMembers] = useState([]);
+    const [route, navigate] = useRoute();
     const [isProjectModalOpen, setIsProjectModalOpen] = useState(false);
+    const [projectToEdit, setProjectToEdit] = useState(null);
     const [isCsvModalOpen, setIsCsvModalOpen] = useState(false);
     const [toast, setToast] = useState(null);
 
-    const showToast = (message, type = 'success') => {
-        setToast({ message, type, id: Date.now() });
-    };
+    const showToast = useCallback((message, type = 'success', action = null) => {
+        setToast({ message, type, action, id: Date.now() });
+    }, []);
 
     // Efeito para autenticação
     useEffect(() => {
         if(firebaseInitializationError) { setIsAuthLoading(false); return; }
         const unsub = onAuthStateChanged(auth, user => {
             setUserId(user ? user.uid : null);
+            setCurrentUser(user);
             setIsAuthLoading(false);
         });
         return () => unsub();
     }, []);
 
-    // Efeito para carregar dados do utilizador (projetos e base de investidores)
+    const refreshUser = () => setAuthVersion(version => version + 1);
+    const isVerified = !!currentUser && !needsEmailVerification(currentUser);
+
+    // Efeito para o perfil do utilizador (espaços de trabalho a que pertence e o espaço ativo).
+    // Só depois de o e-mail estar verificado, pois as regras recusam o acesso antes disso.
+    useEffect(() => {
+        if (!userId || !isVerified) { setProfile(null); return; }
+        const unsub = onSnapshot(doc(db, 'artifacts', appId, 'users', userId), snap => setProfile(snap.data() || {}), error => {
+            console.error("Erro ao buscar perfil:", error);
+            setProfile({});
+        });
+        return () => unsub();
+    }, [userId, isVerified]);
+
+    // Efeito para carregar os espaços do perfil; os espaços de onde o utilizador foi removido são ignorados.
+    const hasProfile = profile !== null;
+    const workspaceIdsKey = (profile?.workspaces || []).join(',');
+    useEffect(() => {
+        if (!userId || !hasProfile) { setWorkspaces(null); return; }
+        let cancelled = false;
+        const loadWorkspace = async (id) => {
+            try {
+                const [workspaceSnap, memberSnap] = await Promise.all([
+                    getDoc(doc(db, 'artifacts', appId, 'workspaces', id)),
+                    getDoc(doc(db, 'artifacts', appId, 'workspaces', id, 'members', userId)),
+                ]);
+                return workspaceSnap.exists() && memberSnap.exists() ? { id, ...workspaceSnap.data() } : null;
+            } catch (error) {
+                console.error("Erro ao buscar espaço de trabalho:", error);
+                return null;
+            }
+        };
+        Promise.all((workspaceIdsKey ? workspaceIdsKey.split(',') : []).map(loadWorkspace))
+            .then(list => { if (!cancelled) setWorkspaces(list.filter(Boolean)); });
+        return () => { cancelled = true; };
+    }, [userId, hasProfile, workspaceIdsKey]);
+
+    const workspace = workspaces?.find(w => w.id === profile?.workspaceAtivo) || workspaces?.[0] || null;
+    const workspaceId = workspace?.id ?? null;
+    const { masterInvestors, deletedInvestors, investorsById, baseProgress, isBaseLoaded } = useInvestorBase(workspaceId);
+
+    // Efeito para os membros do espaço ativo
+    useEffect(() => {
+        if (!workspaceId) { setMembers([]); return; }
+        const unsub = onSnapshot(collection(db, 'artifacts', appId, 'workspaces', workspaceId, 'members'), snap => {
+            setMembers(snap.docs.map(d => ({ uid: d.id, ...d.data() })));
+        }, error => console.error("Erro ao buscar membros:", error));
+        return () => unsub();
+    }, [workspaceId]);
+
+    // Efeito para carregar os dados do espaço ativo (projetos, base de investidores e tarefas)
     useEffect(() => {
-        if (!userId) {
+        if (!workspaceId) {
             setProjects([]); 
-            setMasterInvestors([]);
+            setTasks([]);
+            setCustomFields([]);
+            setTagColors(new Map());
             setIsDataLoading(false);
             return;
         }
 
         setIsDataLoading(true);
-        const projectsQuery = query(collection(db, 'artifacts', appId, 'users', userId, 'projects'));
+        const projectsQuery = query(collection(db, 'artifacts', appId, 'workspaces', workspaceId, 'projects'));
+        // Só os projetos bloqueiam o arranque; a base de investidores carrega por partes (useInvestorBase).
         const unsubProjects = onSnapshot(projectsQuery, snap => {
-            const data = snap.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-            setProjects(data);
-            // Define o primeiro projeto como selecionado se nenhum estiver
-            if (data.length > 0 && !selectedProjectId) {
-                setSelectedProjectId(data[0].id);
-            } else if (data.length === 0) {
-                setSelectedProjectId(null);
-            }
-        }, error => console.error("Erro ao buscar projetos:", error));
-
-        const investorsQuery = query(collection(db, 'artifacts', appId, 'users', userId, 'investors'));
-        const unsubInvestors = onSnapshot(investorsQuery, snap => {
-            setMasterInvestors(snap.docs.map(d => ({ id: d.id, ...d.data() })));
-            setIsDataLoading(false); // Marca o fim do carregamento de dados
+            setProjects(snap.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+            setIsDataLoading(false);
         }, error => {
-            console.error("Erro ao buscar investidores:", error);
+            console.error("Erro ao buscar projetos:", error);
             setIsDataLoading(false);
         });
         
-        return () => { unsubProjects(); unsubInvestors(); };
-    }, [userId]);
-
-    // Efeito para carregar o pipeline do projeto selecionado
-    useEffect(() => {
-        if (!selectedProjectId || !userId) { 
-            setProjectInvestors([]); 
-            return; 
-        };
+        const unsubTasks = onSnapshot(collection(db, 'artifacts', appId, 'workspaces', workspaceId, 'tasks'), snap => {
+            setTasks(snap.docs.map(d => ({ id: d.id, ...d.data() })));
+        }, error => console.error("Erro ao buscar tarefas:", error));
         
-        const pipelineQuery = query(collection(db, 'artifacts', appId, 'users', userId, 'projects', selectedProjectId, 'pipeline'));
-        const unsubPipeline = onSnapshot(pipelineQuery, (pipelineSnap) => {
-            const investorsInProject = pipelineSnap.docs.map(doc => {
-                const pipelineData = doc.data();
-                const masterData = masterInvestors.find(mi => mi.id === doc.id);
-                if (!masterData) return null;
-                return { id: doc.id, ...masterData, ...pipelineData };
-            }).filter(Boolean); // Remove nulos se o mestre não for encontrado
-            setProjectInvestors(investorsInProject);
-        }, error => console.error("Erro ao buscar pipeline:", error));
+        const unsubFields = onSnapshot(collection(db, 'artifacts', appId, 'workspaces', workspaceId, 'fields'), snap => {
+            setCustomFields(sortCustomFields(snap.docs.map(d => ({ id: d.id, ...d.data() }))));
+        }, error => console.error("Erro ao buscar campos personalizados:", error));
+
+        const unsubTags = onSnapshot(collection(db, 'artifacts', appId, 'workspaces', workspaceId, 'tags'), snap => {
+            setTagColors(new Map(snap.docs.map(d => [d.data().nome, d.data().cor])));
+        }, error => console.error("Erro ao buscar etiquetas:", error));
         
-        return () => unsubPipeline();
-    }, [selectedProjectId, userId, masterInvestors]);
+        return () => { unsubProjects(); unsubTasks(); unsubFields(); unsubTags(); };
+    }, [workspaceId]);
+
+    const membership = members.find(member => member.uid === userId) || null;
+    const isReadOnly = !canEdit(membership?.papel);
+    const visibleProjects = useMemo(() => projects.filter(project => canAccessProject(project, membership)), [projects, membership]);
+
+    // Projeto ativo: o do URL, senão o último escolhido neste espaço (guardado no perfil), senão o primeiro ativo.
+    const rememberedProjectId = profile?.projetosAtivos?.[workspaceId] ?? null;
+    const selectedProjectId = [route.projectId, rememberedProjectId].find(id => id && visibleProjects.some(p => p.id === id))
+        ?? (visibleProjects.find(p => !p.arquivado) || visibleProjects[0])?.id ?? null;
+    const isProjectPage = PROJECT_PAGES.includes(route.page);
+
+    // Acrescenta o projeto ao URL das páginas de projeto (ex.: `/` ou um projeto sem acesso). Espera pelos
+    // membros, pois sem o papel nenhum projeto restrito parece visível.
+    useEffect(() => {
+        if (!isProjectPage || !membership || !selectedProjectId || route.projectId === selectedProjectId) return;
+        navigate({ ...route, projectId: selectedProjectId, investorId: route.projectId ? null : route.investorId }, { replace: true });
+    }, [isProjectPage, membership, selectedProjectId, route, navigate]);
+
+    const pipeline = usePipelineEntries(workspaceId, selectedProjectId);
+    const projectInvestors = useMemo(() => (pipeline.projectId === selectedProjectId ? joinPipeline(pipeline.entries, investorsById) : []),
+        [pipeline, selectedProjectId, investorsById]);
+
+    const openProjectForm = (project = null) => {
+        setProjectToEdit(project);
+        setIsProjectModalOpen(true);
+    };
+    const closeProjectForm = () => {
+        setIsProjectModalOpen(false);
+        setProjectToEdit(null);
+    };
+
+    const goTo = (page) => navigate({ page, projectId: PROJECT_PAGES.includes(page) ? selectedProjectId : null });
+
+    // Troca o projeto ativo: nas páginas de projeto muda o URL; em todas fica guardado no perfil.
+    const setSelectedProjectId = (projectId) => {
+        if (isProjectPage) navigate({ page: PROJECT_PAGES.includes(route.page) ? route.page : 'dashboard', projectId });
+        if (projectId) setDoc(profileRef(userId), { projetosAtivos: { [workspaceId]: projectId } }, { merge: true })
+            .catch(error => console.error("Erro ao guardar projeto ativo:", error));
+    };
+
+    const handleSelectInvestor = (investor, isMaster = false) => navigate(isMaster
+        ? { page: 'master_list', investorId: investor.id }
+        : { page: PROJECT_PAGES.includes(route.page) ? route.page : 'dashboard', projectId: selectedProjectId, investorId: investor.id });
 
-    const handleSelectInvestor = (investor, isMaster = false) => {
-        setSelectedInvestor(investor);
-        setIsMasterProfile(isMaster);
+    // Volta à entrada anterior se ela for da aplicação; num link aberto diretamente, sobe para a lista.
+    const handleBack = () => {
+        if (window.history.state?.inApp) window.history.back();
+        else navigate({ ...route, investorId: null });
     };
 
-    const handleBack = () => setSelectedInvestor(null);
+    // Preferências das tabelas (colunas, ordenação, linhas por página), por utilizador e em todos os espaços.
+    const saveTablePrefs = (tableId, prefs) => setDoc(profileRef(userId), { preferenciasTabelas: { [tableId]: prefs } }, { merge: true })
+        .catch(error => console.error("Erro ao guardar preferências da tabela:", error));
+
+    const handleOpenTask = (task, investor) => navigate({ page: 'dashboard', projectId: task.projectId, investorId: investor.id });
+
+    const selectedProject = visibleProjects.find(p => p.id === selectedProjectId) || null;
+    // Autor gravado nos registos de alterações.
+    const author = useMemo(() => (currentUser ? { uid: currentUser.uid, nome: currentUser.displayName || currentUser.email } : null), [currentUser]);
+    const projectStages = getProjectStages(selectedProject);
+    const overdueIds = useMemo(() => overdueInvestorIds(tasks, selectedProjectId), [tasks, selectedProjectId]);
+    const isOnline = useOnlineStatus();
+    // Conflitos já avisados, pela entrada e posição no histórico, para não repetir o aviso.
+    const notifiedConflicts = useRef(new Set());
+    const pendingWrites = usePendingWrites(workspaceId, selectedProjectId, (entry) => {
+        findConflicts(entry)
+            .filter(conflict => conflict.alteracao.autor?.uid === userId && !notifiedConflicts.current.has(`${entry.id}/${conflict.index}`))
+            .forEach(conflict => {
+                notifiedConflicts.current.add(`${entry.id}/${conflict.index}`);
+                const investor = investorsById.get(entry.id);
+                showToast(conflictMessage(investor?.nomeFantasia || 'investidor', conflict), 'error');
+            });
+    });
+    const pendingTaskCount = useMemo(() => {
+        const activeIds = new Set(masterInvestors.map(mi => mi.id));
+        return tasks.filter(task => activeIds.has(task.investorId) && ['overdue', 'today'].includes(classifyTask(task))).length;
+    }, [tasks, masterInvestors]);
+
+    // O perfil aberto vem dos listeners, pelo id do URL, e fica assim sincronizado (ex.: após registar uma interação).
+    const isMasterProfile = route.page === 'master_list';
+    const liveSelectedInvestor = route.investorId ? (isMasterProfile ? masterInvestors : projectInvestors).find(inv => inv.id === route.investorId) : null;
+    const isProfileLoading = route.investorId && (!isBaseLoaded || (!isMasterProfile && pipeline.projectId !== selectedProjectId));
     
     if (firebaseInitializationError) return <FirebaseErrorDisplay error={firebaseInitializationError} />;
-    if (isAuthLoading || isDataLoading) return <FullPageLoader />;
-    if (!userId) return <LoginPage showToast={showToast}/>;
+    if (isAuthLoading) return <FullPageLoader />;
+    if (!userId) return (
+        <>
+            {toast && <Toast message={toast.message} type={toast.type} action={toast.action} onDismiss={() => setToast(null)} />}
+            <LoginPage showToast={showToast}/>
+        </>
+    );
+    if (!isVerified) return (
+        <>
+            {toast && <Toast message={toast.message} type={toast.type} action={toast.action} onDismiss={() => setToast(null)} />}
+            <VerifyEmailPage currentUser={currentUser} onVerified={refreshUser} showToast={showToast} />
+        </>
+    );
+    if (workspaces === null || isDataLoading) return <FullPageLoader />;
+    if (!workspace) return (
+        <>
+            {toast && <Toast message={toast.message} type={toast.type} action={toast.action} onDismiss={() => setToast(null)} />}
+            <WorkspaceSetup currentUser={currentUser} profile={profile} showToast={showToast} />
+        </>
+    );
     
     const renderContent = () => {
-        if (selectedInvestor) return <InvestorProfile investor={selectedInvestor} onBack={handleBack} isMasterProfile={isMasterProfile} />;
-        switch (currentPage) {
-            case 'master_list': return <MasterInvestorList onSelectInvestor={handleSelectInvestor} />;
+        if (liveSelectedInvestor) return <InvestorProfile investor={liveSelectedInvestor} onBack={handleBack} isMasterProfile={isMasterProfile} />;
+        if (isProfileLoading) return <p className="p-8 text-center text-gray-400">A carregar investidor...</p>;
+        if (route.investorId) return (
+            <div className="p-8 text-center space-y-4">
+                <p className="text-gray-400">{isMasterProfile ? 'Este investidor não existe na base ou foi excluído.' : 'Este investidor não faz parte do pipeline deste projeto.'}</p>
+                <button onClick={() => navigate({ ...route, investorId: null })} className="text-blue-400 hover:underline">Voltar</button>
+            </div>
+        );
+        switch (route.page) {
+            case 'master_list': return isReadOnly ? <Dashboard onSelectInvestor={handleSelectInvestor} /> : <MasterInvestorList onSelectInvestor={handleSelectInvestor} />;
             case 'dashboard': return <Dashboard onSelectInvestor={handleSelectInvestor} />;
             case 'kanban': return <KanbanBoard onSelectInvestor={handleSelectInvestor} />;
+            case 'analytics': return <AnalyticsPage />;
+            case 'tasks': return <MyTasksPage onOpenTask={handleOpenTask} />;
+            case 'workspace': return <WorkspacePage currentUser={currentUser} profile={profile} />;
+            case 'profile': return <ProfilePage currentUser={currentUser} workspaces={workspaces} onUpdated={refreshUser} />;
             default: return <Dashboard onSelectInvestor={handleSelectInvestor} />;
         }
     }
 
     return (
-        <DataContext.Provider value={{ userId, projects, selectedProjectId, setSelectedProjectId, masterInvestors, projectInvestors, setIsProjectModalOpen, setIsCsvModalOpen, showToast }}>
-            {toast && <Toast message={toast.message} type={toast.type} onDismiss={() => setToast(null)} />}
+        <DataContext.Provider value={{ userId, author, workspaceId, workspace, members, membership, isReadOnly, projects: visibleProjects, hasHiddenProjects: visibleProjects.length < projects.length, selectedProjectId, setSelectedProjectId, selectedProject, projectStages, masterInvestors, deletedInvestors, investorsById, isBaseLoaded, projectInvestors, tasks, customFields, tagColors, overdueIds, tablePrefs: profile?.preferenciasTabelas, saveTablePrefs, openProjectForm, setIsCsvModalOpen, showToast, isOnline }}>
+            {toast && <Toast message={toast.message} type={toast.type} action={toast.action} onDismiss={() => setToast(null)} />}
             <div className="min-h-screen bg-gray-900 text-white font-sans flex flex-col sm:flex-row">
                  <nav className="bg-gray-800 p-4 flex sm:flex-col items-center gap-4 border-b sm:border-b-0 sm:border-r border-gray-700 w-full sm:w-64 shrink-0">
                     <div className="text-blue-500 font-bold text-2xl hidden sm:block mb-4">Investidores Pacta</div>
+                    {workspaces.length > 1 ? (
+                        <select value={workspaceId} onChange={(e) => { switchWorkspace(userId, e.target.value); navigate({ page: 'dashboard' }); }} className="w-full bg-gray-900 border border-gray-600 rounded-md p-2 text-white text-sm hidden sm:block">
+                            {workspaces.map(w => <option key={w.id} value={w.id}>{w.nome}</option>)}
+                        </select>
+                    ) : <p className="w-full px-3 text-sm text-gray-400 truncate hidden sm:block">{workspace.nome}</p>}
+                    {usingEmulators && <p className="w-full px-3 text-xs font-semibold text-yellow-400 hidden sm:block">Modo local · emuladores</p>}
+                    <SyncIndicator isOnline={isOnline} pendingCount={pendingWrites} />
+                    {!isBaseLoaded && <BaseLoadingNote progress={baseProgress} />}
                     <div className="w-full"><ProjectSelector /></div>
                     <div className="flex sm:flex-col items-center gap-2 w-full mt-0 sm:mt-4">
-                        <button onClick={() => { setCurrentPage('master_list'); setSelectedInvestor(null); }} className={`p-3 rounded-lg flex items-center gap-3 w-full transition-colors ${currentPage === 'master_list' ? 'bg-blue-600 text-white' : 'hover:bg-gray-700 text-gray-300'}`}><Database size={20} /><span className="hidden sm:inline">Base de Investidores</span></button>
+                        {!isReadOnly && <button onClick={() => goTo('master_list')} className={`p-3 rounded-lg flex items-center gap-3 w-full transition-colors ${route.page === 'master_list' ? 'bg-blue-600 text-white' : 'hover:bg-gray-700 text-gray-300'}`}><Database size={20} /><span className="hidden sm:inline">Base de Investidores</span></button>}
+                        <button onClick={() => goTo('tasks')} className={`p-3 rounded-lg flex items-center gap-3 w-full transition-colors ${route.page === 'tasks' ? 'bg-blue-600 text-white' : 'hover:bg-gray-700 text-gray-300'}`}><ListTodo size={20} /><span className="hidden sm:inline">Minhas Tarefas</span>{pendingTaskCount > 0 && <span className="ml-auto hidden sm:inline text-xs px-2 py-0.5 rounded-full bg-red-600 text-white">{pendingTaskCount}</span>}</button>
                         <div className="border-t border-gray-700 w-full my-2 hidden sm:block"></div>
                         <p className="text-xs text-gray-500 uppercase font-bold hidden sm:block w-full px-3">Projeto Ativo</p>
-                        <button onClick={() => { setCurrentPage('dashboard'); setSelectedInvestor(null); }} className={`p-3 rounded-lg flex items-center gap-3 w-full transition-colors ${currentPage === 'dashboard' ? 'bg-blue-600 text-white' : 'hover:bg-gray-700 text-gray-300'}`}><Users size={20} /><span className="hidden sm:inline">Dashboard</span></button>
-                        <button onClick={() => { setCurrentPage('kanban'); setSelectedInvestor(null); }} className={`p-3 rounded-lg flex items-center gap-3 w-full transition-colors ${currentPage === 'kanban' ? 'bg-blue-600 text-white' : 'hover:bg-gray-700 text-gray-300'}`}><Kanban size={20} /><span className="hidden sm:inline">Pipeline</span></button>
+                        <button onClick={() => goTo('dashboard')} className={`p-3 rounded-lg flex items-center gap-3 w-full transition-colors ${route.page === 'dashboard' ? 'bg-blue-600 text-white' : 'hover:bg-gray-700 text-gray-300'}`}><Users size={20} /><span className="hidden sm:inline">Dashboard</span></button>
+                        <button onClick={() => goTo('kanban')} className={`p-3 rounded-lg flex items-center gap-3 w-full transition-colors ${route.page === 'kanban' ? 'bg-blue-600 text-white' : 'hover:bg-gray-700 text-gray-300'}`}><Kanban size={20} /><span className="hidden sm:inline">Pipeline</span></button>
+                        <button onClick={() => goTo('analytics')} className={`p-3 rounded-lg flex items-center gap-3 w-full transition-colors ${route.page === 'analytics' ? 'bg-blue-600 text-white' : 'hover:bg-gray-700 text-gray-300'}`}><BarChart3 size={20} /><span className="hidden sm:inline">Análises</span></button>
                         <div className="flex-grow"></div>
+                        <button onClick={() => goTo('workspace')} className={`p-3 rounded-lg flex items-center gap-3 w-full transition-colors ${route.page === 'workspace' ? 'bg-blue-600 text-white' : 'hover:bg-gray-700 text-gray-300'}`}><Building2 size={20} /><span className="hidden sm:inline">Equipa</span></button>
+                        <button onClick={() => goTo('profile')} className={`p-3 rounded-lg flex items-center gap-3 w-full transition-colors ${route.page === 'profile' ? 'bg-blue-600 text-white' : 'hover:bg-gray-700 text-gray-300'}`}><UserCircle size={20} /><span className="hidden sm:inline truncate">{currentUser.displayName || 'Meu Perfil'}</span></button>
                         <button onClick={() => signOut(auth)} className="p-3 rounded-lg flex items-center gap-3 w-full text-red-400 hover:bg-red-900/50"><LogOut size={20} /><span className="hidden sm:inline">Sair</span></button>
                     </div>
                 </nav>
                 <main className="flex-grow h-screen-minus-header sm:h-screen overflow-y-auto">{renderContent()}</main>
             </div>
-            <Modal isOpen={isProjectModalOpen} onClose={() => setIsProjectModalOpen(false)} title={selectedProjectId ? "Editar Projeto" : "Novo Projeto"}><ProjectForm onClose={() => setIsProjectModalOpen(false)}/></Modal>
-            <Modal isOpen={isCsvModalOpen} onClose={() => setIsCsvModalOpen(false)} title="Importar Base de Investidores (CSV)"><CsvImportModal onClose={() => setIsCsvModalOpen(false)}/></Modal>
+            <Modal isOpen={isProjectModalOpen} onClose={closeProjectForm} title={projectToEdit ? "Editar Projeto" : "Novo Projeto"}><ProjectForm projectToEdit={projectToEdit} onClose={closeProjectForm}/></Modal>
+            <Modal isOpen={isCsvModalOpen} onClose={() => setIsCsvModalOpen(false)} title="Importar Base de Investidores (CSV/XLSX)"><CsvImportModal onClose={() => setIsCsvModalOpen(false)}/></Modal>
             <style>{`.h-screen-minus-header { height: calc(100vh - 88px); } @media (min-width: 640px) { .h-screen-minus-header { height: 100vh; } }`}</style>
         </DataContext.Provider>
     );
 }
 
 // --- PÁGINA DE LOGIN / CADASTRO ---
+const googleProvider = new GoogleAuthProvider();
+googleProvider.setCustomParameters({ prompt: 'select_account', ...(allowedEmailDomains.length === 1 ? { hd: allowedEmailDomains[0] } : {}) });
+
+// O parâmetro `hd` só sugere o domínio ao Google; contas novas de outros domínios são apagadas aqui.
+const signInWithGoogle = async () => {
+    const result = await signInWithPopup(auth, googleProvider);
+    if (getAdditionalUserInfo(result)?.isNewUser && !isAllowedEmail(result.user.email, allowedEmailDomains)) {
+        await result.user.delete();
+        throw new FirebaseError('auth/domain-not-allowed', 'Domínio de e-mail não permitido.');
+    }
+};
+
 const LoginPage = ({ showToast }) => {
-    const [isLogin, setIsLogin] = useState(true);
+    const [mode, setMode] = useState('login'); // 'login' | 'signup' | 'reset'
+    const [nome, setNome] = useState('');
     const [email, setEmail] = useState('');
     const [password, setPassword] = useState('');
     const [error, setError] = useState('');
     const [isLoading, setIsLoading] = useState(false);
-    
+    const domainHint = allowedEmailDomains.map(domain => `@${domain}`).join(', ');
+
+    const switchMode = (next) => { setMode(next); setError(''); };
+
     const handleSubmit = async (e) => {
         e.preventDefault(); setError(''); setIsLoading(true);
         try {
-            if (isLogin) {
+            if (mode === 'login') {
                 await signInWithEmailAndPassword(auth, email, password);
+            } else if (mode === 'signup') {
+                if (!isAllowedEmail(email, allowedEmailDomains)) throw new FirebaseError('auth/domain-not-allowed', 'Domínio de e-mail não permitido.');
+                const { user } = await createUserWithEmailAndPassword(auth, email, password);
+                await updateProfile(user, { displayName: nome.trim() });
+                await sendEmailVerification(user);
             } else {
-                await createUserWithEmailAndPassword(auth, email, password);
-                // Opcional: mostrar uma mensagem de sucesso no registo
+                await sendPasswordResetEmail(auth, email);
+                showToast("Se existir uma conta com este e-mail, receberá um link para redefinir a senha.", 'success');
+                switchMode('login');
             }
         } catch (err) {
-            let friendlyError = "Ocorreu um erro. Tente novamente.";
-            if (err.code === 'auth/user-not-found' || err.code === 'auth/wrong-password' || err.code === 'auth/invalid-credential') friendlyError = "E-mail ou senha incorretos.";
-            else if (err.code === 'auth/email-already-in-use') friendlyError = "Este e-mail já está em uso.";
-            else if (err.code === 'auth/weak-password') friendlyError = "A senha deve ter pelo menos 6 caracteres.";
-            setError(friendlyError);
+            // Na recuperação não se revela se o e-mail tem conta.
+            if (mode === 'reset' && err.code === 'auth/user-not-found') {
+                showToast("Se existir uma conta com este e-mail, receberá um link para redefinir a senha.", 'success');
+                switchMode('login');
+            } else setError(authErrorMessage(err));
         } finally { setIsLoading(false); }
     };
 
+    const handleGoogle = async () => {
+        setError('');
+        try { await signInWithGoogle(); }
+        catch (err) { setError(authErrorMessage(err)); }
+    };
+
+    const titles = { login: 'Login', signup: 'Criar Conta', reset: 'Recuperar Senha' };
+
     return (
         <div className="min-h-screen bg-gray-900 flex items-center justify-center p-4">
-             {isLoading && <FullPageLoader text={isLogin ? "A entrar..." : "A criar conta..."} />}
+             {isLoading && <FullPageLoader text={{ login: "A entrar...", signup: "A criar conta...", reset: "A enviar..." }[mode]} />}
             <div className="w-full max-w-md">
                 <div className="text-center mb-8"><h1 className="text-4xl font-bold text-blue-500">Investidores Pacta</h1><p className="text-gray-400">O seu CRM para captação de recursos.</p></div>
                 <div className="bg-gray-800 p-8 rounded-2xl shadow-2xl border border-gray-700">
-                    <h2 className="text-2xl font-bold text-white text-center mb-6">{isLogin ? 'Login' : 'Criar Conta'}</h2>
+                    <h2 className="text-2xl font-bold text-white text-center mb-6">{titles[mode]}</h2>
                     <form onSubmit={handleSubmit} className="space-y-6">
-                        <InputField label="Email" type="email" value={email} onChange={(e) => setEmail(e.target.value)} required />
-                        <InputField label="Senha" type="password" value={password} onChange={(e) => setPassword(e.target.value)} required />
+                        {mode === 'signup' && <InputField label="Nome" autoComplete="name" value={nome} onChange={(e) => setNome(e.target.value)} required />}
+                        <div>
+                            <InputField label="Email" type="email" autoComplete="email" value={email} onChange={(e) => setEmail(e.target.value)} required />
+                            {mode === 'signup' && domainHint && <p className="text-xs text-gray-400 mt-1">Use o seu e-mail {domainHint}.</p>}
+                        </div>
+                        {mode !== 'reset' && (
+                            <div>
+                                <InputField label="Senha" type="password" autoComplete={mode === 'signup' ? 'new-password' : 'current-password'} value={password} onChange={(e) => setPassword(e.target.value)} required />
+                                {mode === 'login' && <button type="button" onClick={() => switchMode('reset')} className="text-xs text-blue-400 hover:underline mt-1">Esqueci a senha</button>}
+                            </div>
+                        )}
+                        {mode === 'reset' && <p className="text-sm text-gray-400">Enviaremos um link para definir uma nova senha.</p>}
                         {error && <p className="text-red-500 text-sm text-center">{error}</p>}
-                        <button type="submit" className="w-full py-3 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors font-semibold">{isLogin ? 'Entrar' : 'Registar'}</button>
+                        <button type="submit" className="w-full py-3 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors font-semibold">{{ login: 'Entrar', signup: 'Registar', reset: 'Enviar link' }[mode]}</button>
                     </form>
-                    <p className="text-center text-gray-400 text-sm mt-6">{isLogin ? 'Não tem uma conta?' : 'Já tem uma conta?'}<button onClick={() => setIsLogin(!isLogin)} className="font-semibold text-blue-400 hover:underline ml-1">{isLogin ? 'Registe-se' : 'Faça login'}</button></p>
+                    {mode !== 'reset' && (
+                        <>
+                            <div className="flex items-center gap-3 my-6 text-gray-500 text-sm"><div className="flex-grow border-t border-gray-700"></div>ou<div className="flex-grow border-t border-gray-700"></div></div>
+                            <button onClick={handleGoogle} className="w-full py-3 bg-white text-gray-900 rounded-md hover:bg-gray-200 transition-colors font-semibold">Entrar com Google</button>
+                        </>
+                    )}
+                    {mode === 'reset'
+                        ? <p className="text-center text-gray-400 text-sm mt-6"><button onClick={() => switchMode('login')} className="font-semibold text-blue-400 hover:underline">Voltar ao login</button></p>
+                        : <p className="text-center text-gray-400 text-sm mt-6">{mode === 'login' ? 'Não tem uma conta?' : 'Já tem uma conta?'}<button onClick={() => switchMode(mode === 'login' ? 'signup' : 'login')} className="font-semibold text-blue-400 hover:underline ml-1">{mode === 'login' ? 'Registe-se' : 'Faça login'}</button></p>}
                 </div>
             </div>
         </div>
     );
 };
 
+// --- VERIFICAÇÃO DE E-MAIL ---
+// Contas de e-mail e senha só acedem aos dados depois de abrirem o link de verificação.
+const VerifyEmailPage = ({ currentUser, onVerified, showToast }) => {
+    const [isBusy, setIsBusy] = useState(false);
+
+    const handleResend = async () => {
+        setIsBusy(true);
+        try {
+            await sendEmailVerification(currentUser);
+            showToast("E-mail de verificação reenviado.", 'success');
+        } catch (error) {
+            console.error("Erro ao reenviar verificação:", error);
+            showToast(authErrorMessage(error), 'error');
+        } finally { setIsBusy(false); }
+    };
+
+    const handleCheck = async () => {
+        setIsBusy(true);
+        try {
+            await currentUser.reload();
+            if (!currentUser.emailVerified) { showToast("O e-mail ainda não foi verificado. Abra o link que lhe enviámos.", 'error'); return; }
+            // O token tem de ser renovado para que as regras do Firestore vejam o e-mail verificado.
+            await currentUser.getIdToken(true);
+            onVerified();
+        } catch (error) {
+            console.error("Erro ao verificar e-mail:", error);
+            showToast(authErrorMessage(error), 'error');
+        } finally { setIsBusy(false); }
+    };
+
+    return (
+        <div className="min-h-screen bg-gray-900 flex items-center justify-center p-4">
+            <div className="w-full max-w-md bg-gray-800 p-8 rounded-2xl shadow-2xl border border-gray-700 text-center space-y-4">
+                <MailCheck className="mx-auto h-12 w-12 text-blue-500" />
+                <h2 className="text-2xl font-bold text-white">Confirme o seu e-mail</h2>
+                <p className="text-gray-300">Enviámos um link de verificação para <strong>{currentUser.email}</strong>. Abra-o e volte a esta página.</p>
+                {usingEmulators && <p className="text-xs text-yellow-400">Nos emuladores, o link aparece no terminal do <code>npm run emulators</code>.</p>}
+                <button onClick={handleCheck} disabled={isBusy} className="w-full py-3 bg-blue-600 text-white rounded-md hover:bg-blue-700 font-semibold disabled:bg-blue-400">Já confirmei</button>
+                <button onClick={handleResend} disabled={isBusy} className="w-full py-2 text-blue-400 hover:underline text-sm">Reenviar e-mail</button>
+                <p className="text-gray-400 text-sm">{currentUser.email} · <button onClick={() => signOut(auth)} className="font-semibold text-red-400 hover:underline">Sair</button></p>
+            </div>
+        </div>
+    );
+};
+
 // Componente para exibir erro de inicialização do Firebase
 const FirebaseErrorDisplay = ({ error }) => {
     return (
@@ -803,6 +4014,7 @@ const FirebaseErrorDisplay = ({ error }) => {
                     <p><strong>Mensagem do Erro:</strong> {error}</p>
                 </div>
                 <p className="mt-6 text-gray-400">Por favor, verifique se as 'Environment Variables' no seu painel da Vercel estão corretas e faça o 'Redeploy' do projeto. Consulte o guia para mais detalhes.</p>
+                <p className="mt-2 text-gray-400">Em desenvolvimento, copie o <code>.env.example</code> para <code>.env.local</code> e preencha as variáveis <code>VITE_FIREBASE_*</code>, ou use <code>VITE_USE_EMULATORS=true</code> com <code>npm run emulators</code>.</p>
             </div>
         </div>
     );
@@ -0,0 +1,107 @@
+import { toDate } from './dates.js';
+
+// --- MÉTRICAS DO PIPELINE ---
+// Todas as funções recebem as etapas do projeto (ver stages.js) e as entradas do pipeline
+// já juntas com os dados do investidor, tal como em `projectInvestors`.
+
+const DAY_MS = 86400000;
+
+const statusChanges = (entry) => (entry.historicoDeAlteracoes || [])
+    .filter(change => change.campo === 'status')
+    .map(change => ({ ...change, date: toDate(change.data) }))
+    .filter(change => change.date)
+    .sort((a, b) => a.date - b.date);
+
+// Índice da etapa mais avançada (excluindo etapas de perda) por onde a entrada passou.
+const furthestStageIndex = (stages, entry) => {
+    const visited = new Set([entry.status, ...statusChanges(entry).flatMap(change => [change.de, change.para])]);
+    return stages.reduce((furthest, stage, index) => (stage.tipo !== 'perdido' && visited.has(stage.nome) ? index : furthest), 0);
+};
+
+// Funil pelas etapas que não são de perda: quantas entradas chegaram a cada etapa e a conversão para a seguinte.
+export const computeFunnel = (stages, entries) => {
+    const funnelStages = stages.map((stage, index) => ({ stage, index })).filter(({ stage }) => stage.tipo !== 'perdido');
+    const reached = entries.map(entry => furthestStageIndex(stages, entry));
+    const steps = funnelStages.map(({ stage, index }) => ({ stage, count: reached.filter(r => r >= index).length }));
+    return steps.map((step, i) => ({
+        ...step,
+        conversion: i < steps.length - 1 && step.count > 0 ? steps[i + 1].count / step.count : null,
+    }));
+};
+
+// Média de dias passados em cada etapa, calculada a partir do histórico de alterações de status.
+// Entradas ainda numa etapa em aberto contam o tempo até `now`.
+export const computeTimeInStage = (stages, entries, now = new Date()) => {
+    const durations = new Map(stages.map(stage => [stage.nome, []]));
+    entries.forEach(entry => {
+        const changes = statusChanges(entry);
+        changes.forEach((change, i) => {
+            const stage = stages.find(s => s.nome === change.para);
+            if (!stage) return;
+            const next = changes[i + 1];
+            if (!next && stage.tipo !== 'aberta') return;
+            durations.get(stage.nome).push(((next ? next.date : now) - change.date) / DAY_MS);
+        });
+    });
+    return stages.map(stage => {
+        const values = durations.get(stage.nome);
+        return { stage, samples: values.length, averageDays: values.length ? values.reduce((a, b) => a + b, 0) / values.length : null };
+    });
+};
+
+const startOfWeek = (date) => {
+    const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    start.setDate(start.getDate() - ((start.getDay() + 6) % 7)); // semanas a começar à segunda-feira
+    return start;
+};
+
+// Número de interações registadas por semana nas últimas `weeks` semanas (da mais antiga para a atual).
+export const computeInteractionsPerWeek = (entries, weeks = 12, now = new Date()) => {
+    const currentWeek = startOfWeek(now);
+    const buckets = Array.from({ length: weeks }, (_, i) => {
+        const weekStart = new Date(currentWeek);
+        weekStart.setDate(weekStart.getDate() - (weeks - 1 - i) * 7);
+        return { weekStart, count: 0 };
+    });
+    entries.forEach(entry => (entry.historicoDeInteracoes || []).forEach(item => {
+        const date = toDate(item.data);
+        if (!date) return;
+        const bucket = buckets.find(b => b.weekStart.getTime() === startOfWeek(date).getTime());
+        if (bucket) bucket.count++;
+    }));
+    return buckets;
+};
+
+export const countBy = (entries, field) => {
+    const counts = new Map();
+    entries.forEach(entry => {
+        const key = entry[field] || 'Não informado';
+        counts.set(key, (counts.get(key) || 0) + 1);
+    });
+    return [...counts.entries()].map(([label, value]) => ({ label, value })).sort((a, b) => b.value - a.value);
+};
+
+// Resultado das entradas segundo o tipo da etapa atual (ganho, perdido ou em aberto).
+export const computeOutcomes = (stages, entries) => {
+    const typeOf = (entry) => stages.find(stage => stage.nome === entry.status)?.tipo || 'aberta';
+    const won = entries.filter(entry => typeOf(entry) === 'ganho').length;
+    const lost = entries.filter(entry => typeOf(entry) === 'perdido').length;
+    return { won, lost, open: entries.length - won - lost, winRate: won + lost > 0 ? won / (won + lost) : null };
+};
+
+// Resumo por investidor em todos os projetos: `pipelines` é [{ project, stages, entries }].
+export const computeInvestorConversion = (pipelines) => {
+    const byInvestor = new Map();
+    pipelines.forEach(({ project, stages, entries }) => entries.forEach(entry => {
+        const summary = byInvestor.get(entry.id) || { id: entry.id, nomeFantasia: entry.nomeFantasia, projects: [], won: 0, lost: 0, open: 0 };
+        const type = stages.find(stage => stage.nome === entry.status)?.tipo || 'aberta';
+        summary.projects.push({ id: project.id, name: project.name, status: entry.status, type });
+        if (type === 'ganho') summary.won++;
+        else if (type === 'perdido') summary.lost++;
+        else summary.open++;
+        byInvestor.set(entry.id, summary);
+    }));
+    return [...byInvestor.values()]
+        .map(summary => ({ ...summary, winRate: summary.won + summary.lost > 0 ? summary.won / (summary.won + summary.lost) : null }))
+        .sort((a, b) => b.won - a.won || (b.winRate ?? -1) - (a.winRate ?? -1) || b.projects.length - a.projects.length);
+};
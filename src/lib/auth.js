@@ -0,0 +1,43 @@
+// --- AUTENTICAÇÃO ---
+// Mensagens em português para os códigos de erro do Firebase Auth. Códigos sem tradução
+// caem na mensagem genérica, para que nunca apareça um código cru ao utilizador.
+const AUTH_ERROR_MESSAGES = {
+    'auth/invalid-credential': 'E-mail ou senha incorretos.',
+    'auth/user-not-found': 'E-mail ou senha incorretos.',
+    'auth/wrong-password': 'E-mail ou senha incorretos.',
+    'auth/invalid-email': 'O e-mail indicado não é válido.',
+    'auth/missing-email': 'Indique o seu e-mail.',
+    'auth/missing-password': 'Indique a senha.',
+    'auth/email-already-in-use': 'Este e-mail já está em uso.',
+    'auth/weak-password': 'A senha deve ter pelo menos 6 caracteres.',
+    'auth/user-disabled': 'Esta conta foi desativada. Fale com um administrador.',
+    'auth/too-many-requests': 'Demasiadas tentativas. Aguarde alguns minutos e tente novamente.',
+    'auth/network-request-failed': 'Sem ligação à internet. Verifique a sua rede e tente novamente.',
+    'auth/popup-blocked': 'O navegador bloqueou a janela do Google. Permita pop-ups para este site.',
+    'auth/popup-closed-by-user': 'A janela do Google foi fechada antes de concluir o login.',
+    'auth/cancelled-popup-request': 'A janela do Google foi fechada antes de concluir o login.',
+    'auth/account-exists-with-different-credential': 'Já existe uma conta com este e-mail. Entre com e-mail e senha.',
+    'auth/operation-not-allowed': 'Este método de login não está ativo no projeto Firebase.',
+    'auth/requires-recent-login': 'Por segurança, confirme a senha atual antes de continuar.',
+    'auth/expired-action-code': 'O link expirou. Peça um novo.',
+    'auth/invalid-action-code': 'O link é inválido ou já foi usado.',
+    'auth/domain-not-allowed': 'Só são aceites contas com e-mail da empresa.',
+};
+
+export const authErrorMessage = (error) => AUTH_ERROR_MESSAGES[error?.code] || 'Ocorreu um erro. Tente novamente.';
+
+// Lista de domínios separados por vírgulas (ex.: VITE_ALLOWED_EMAIL_DOMAINS="pacta.com.br,pacta.vc").
+// Vazia, não há restrição.
+export const parseAllowedDomains = (value) => String(value ?? '')
+    .split(',')
+    .map(domain => domain.trim().toLowerCase().replace(/^@/, ''))
+    .filter(Boolean);
+
+export const isAllowedEmail = (email, allowedDomains) => allowedDomains.length === 0
+    || allowedDomains.includes(String(email ?? '').trim().toLowerCase().split('@').pop());
+
+// Contas do Google já chegam verificadas; as de e-mail e senha têm de confirmar o e-mail
+// antes de aceder aos dados (as regras do Firestore exigem o mesmo).
+export const needsEmailVerification = (user) => !!user && !user.emailVerified;
+
+export const usesPassword = (user) => (user?.providerData || []).some(provider => provider.providerId === 'password');
@@ -0,0 +1,23 @@
+import { writeBatch } from 'firebase/firestore';
+
+// O Firestore rejeita lotes com mais de 500 operações.
+export const MAX_BATCH_SIZE = 500;
+
+// Grava `items` em lotes sucessivos. `applyToBatch(batch, item)` deve registar UMA operação
+// por item; `onProgress(gravados, total)` é chamado após cada lote confirmado.
+// Todos os lotes são criados e enviados de uma vez: offline, o commit só resolve quando a ligação
+// volta, e esperar por cada um deixaria os lotes seguintes por criar (e perdidos se o separador fechar).
+export const commitInChunks = async (db, items, applyToBatch, onProgress) => {
+    let done = 0;
+    const commits = [];
+    for (let start = 0; start < items.length; start += MAX_BATCH_SIZE) {
+        const batch = writeBatch(db);
+        const chunk = items.slice(start, start + MAX_BATCH_SIZE);
+        chunk.forEach(item => applyToBatch(batch, item));
+        commits.push(batch.commit().then(() => {
+            done += chunk.length;
+            if (onProgress) onProgress(done, items.length);
+        }));
+    }
+    await Promise.all(commits);
+};
@@ -0,0 +1,59 @@
+import { isValidEmail, isValidLinkedin, isValidPhone } from './investors.js';
+
+// --- CONTACTOS DOS INVESTIDORES ---
+// Pessoas de cada investidor (sócios, analistas...), em `investors/{id}/contacts`. No máximo um é o
+// principal. Os campos planos do investidor (email1, email2, telefone) mantêm-se para a deteção de
+// duplicados e a exportação; a importação copia-os para os contactos por omissão (ver importedContacts).
+
+export const CONTACT_FIELDS = [
+    { key: 'nome', label: 'Nome' },
+    { key: 'cargo', label: 'Cargo' },
+    { key: 'email', label: 'Email', type: 'email' },
+    { key: 'telefone', label: 'Telefone', type: 'phone' },
+    { key: 'linkedin', label: 'LinkedIn', type: 'url' },
+];
+
+export const EMPTY_CONTACT = { nome: '', cargo: '', email: '', telefone: '', linkedin: '', principal: false };
+
+// Contactos criados pela importação podem não ter todos os campos.
+export const normalizeContact = (contact) => ({ ...EMPTY_CONTACT, ...contact });
+
+export const validateContact = (contact) => {
+    const errors = {};
+    const c = normalizeContact(contact);
+    if (![c.nome, c.email, c.telefone].some(value => String(value).trim())) errors.nome = 'Indique pelo menos o nome, o email ou o telefone.';
+    if (c.email && !isValidEmail(c.email.trim())) errors.email = `Email inválido: ${c.email}`;
+    if (c.telefone && !isValidPhone(c.telefone)) errors.telefone = `Telefone inválido: ${c.telefone}`;
+    if (c.linkedin && !isValidLinkedin(c.linkedin.trim())) errors.linkedin = 'O LinkedIn deve ser um URL de linkedin.com.';
+    return errors;
+};
+
+export const sanitizeContact = (contact) => {
+    const c = normalizeContact(contact);
+    const linkedin = c.linkedin.trim();
+    return {
+        nome: c.nome.trim(),
+        cargo: c.cargo.trim(),
+        email: c.email.trim().toLowerCase(),
+        telefone: c.telefone.trim(),
+        linkedin: linkedin && !/^https?:\/\//i.test(linkedin) ? `https://${linkedin}` : linkedin,
+        principal: !!c.principal,
+    };
+};
+
+// Nome para mostrar: o nome, ou o email/telefone quando o contacto veio da importação sem nome.
+export const contactLabel = (contact) => contact?.nome || contact?.email || contact?.telefone || 'Contacto sem nome';
+
+// Principal primeiro, depois por nome.
+export const sortContacts = (contacts) => [...contacts].sort((a, b) => (b.principal === true) - (a.principal === true)
+    || contactLabel(a).localeCompare(contactLabel(b), 'pt'));
+
+// Contactos por omissão a partir dos campos planos: email1 e telefone no primeiro, email2 num segundo.
+// Os ids são fixos para que reimportar o mesmo investidor atualize estes contactos em vez de os duplicar;
+// só os campos preenchidos entram, para que uma atualização não apague dados do contacto.
+export const importedContacts = (investor) => [
+    { id: 'importado-1', data: { email: investor.email1, telefone: investor.telefone } },
+    { id: 'importado-2', data: { email: investor.email2 } },
+]
+    .map(({ id, data }) => ({ id, data: Object.fromEntries(Object.entries(data).filter(([, value]) => value)) }))
+    .filter(({ data }) => Object.keys(data).length > 0);
@@ -0,0 +1,63 @@
+// --- LEITURA E ESCRITA DE CSV ---
+// Parser RFC 4180: suporta campos entre aspas com separadores, aspas escapadas ("")
+// e quebras de linha dentro do campo (comum na coluna "Justificativa").
+
+export const detectDelimiter = (text) => {
+    // Conta separadores apenas na primeira linha fora de aspas.
+    const counts = { ';': 0, ',': 0, '\t': 0 };
+    let inQuotes = false;
+    for (const char of text) {
+        if (char === '"') inQuotes = !inQuotes;
+        else if (!inQuotes && (char === '\n' || char === '\r')) break;
+        else if (!inQuotes && char in counts) counts[char]++;
+    }
+    const [best, count] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+    return count > 0 ? best : ';';
+};
+
+export const parseCsv = (text, delimiter = detectDelimiter(text)) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') { field += '"'; i++; }
+            else if (char === '"') inQuotes = false;
+            else field += char;
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field); field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field); field = '';
+            rows.push(row); row = [];
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) { row.push(field); rows.push(row); }
+
+    // Descarta linhas totalmente vazias (ex.: linhas em branco no fim do arquivo).
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+};
+
+const escapeField = (value, delimiter) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (rows, delimiter = ';') => rows.map(row => row.map(value => escapeField(value, delimiter)).join(delimiter)).join('\r\n');
+
+// Planilhas brasileiras costumam sair do Excel em Windows-1252; tenta UTF-8 primeiro.
+export const decodeText = (buffer) => {
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    } catch {
+        return new TextDecoder('windows-1252').decode(buffer);
+    }
+};
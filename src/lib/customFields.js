@@ -0,0 +1,169 @@
+import { INVESTOR_FIELDS, normalizeText } from './investors.js';
+import { formatCurrency } from './format.js';
+import { formatDate } from './dates.js';
+
+// --- CAMPOS PERSONALIZADOS ---
+// Cada espaço define os seus campos em `workspaces/{id}/fields/{fieldId}`: { nome, tipo, opcoes, ordem }.
+// Os valores ficam no investidor em `campos.{fieldId}`: texto, número (também para moeda), a opção
+// escolhida, a lista de opções (seleção múltipla) ou a data como AAAA-MM-DD (como o prazo dos projetos).
+// Na importação, a coluna com o nome do campo é reconhecida como na de um campo fixo.
+
+export const CUSTOM_FIELD_TYPES = {
+    texto: 'Texto',
+    numero: 'Número',
+    moeda: 'Moeda (R$)',
+    selecao: 'Seleção',
+    multipla: 'Seleção múltipla',
+    data: 'Data',
+};
+
+export const hasOptions = (field) => field.tipo === 'selecao' || field.tipo === 'multipla';
+
+// Chave do campo nas colunas das tabelas e no mapeamento da importação, sem colidir com os campos fixos.
+export const customFieldKey = (field) => `campo:${field.id}`;
+
+export const sortCustomFields = (fields) => [...fields].sort((a, b) => (a.ordem ?? 0) - (b.ordem ?? 0) || a.nome.localeCompare(b.nome, 'pt'));
+
+// Opções escritas separadas por vírgulas → lista sem repetições.
+export const parseOptions = (text) => [...new Set(String(text ?? '').split(',').map(option => option.trim()).filter(Boolean))];
+
+// Nomes que a importação já associa a um campo fixo da ficha (ver guessColumnMapping em importer.js).
+const RESERVED_NAMES = new Set(INVESTOR_FIELDS.flatMap(f => [f.key, f.header, f.label, ...f.aliases]).map(normalizeText));
+
+// `fields` são os restantes campos do espaço, para impedir nomes repetidos (a importação usa o nome).
+export const validateCustomField = (field, fields = []) => {
+    const errors = {};
+    const nome = String(field.nome ?? '').trim();
+    if (!nome) errors.nome = 'Indique o nome do campo.';
+    else if (RESERVED_NAMES.has(normalizeText(nome))) errors.nome = `"${nome}" já é um campo da ficha do investidor.`;
+    else if (fields.some(other => other.id !== field.id && normalizeText(other.nome) === normalizeText(nome))) errors.nome = `Já existe um campo "${nome}".`;
+    if (!CUSTOM_FIELD_TYPES[field.tipo]) errors.tipo = 'Escolha o tipo do campo.';
+    if (hasOptions(field) && !(field.opcoes || []).length) errors.opcoes = 'Indique pelo menos uma opção.';
+    return errors;
+};
+
+export const sanitizeCustomField = (field) => ({
+    nome: String(field.nome ?? '').trim().replace(/\s+/g, ' '),
+    tipo: field.tipo,
+    opcoes: hasOptions(field) ? field.opcoes : [],
+});
+
+const isEmptyValue = (value) => value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+
+// Aceita 1234.5, 1.234,50 e R$ 1.234 (formato brasileiro quando há vírgula ou pontos de milhares).
+const parseNumber = (text) => {
+    let clean = text.replace(/[^\d,.-]/g, '');
+    if (clean.includes(',')) clean = clean.replace(/\./g, '').replace(',', '.');
+    else if (/^-?\d{1,3}(\.\d{3})+$/.test(clean)) clean = clean.replace(/\./g, '');
+    const number = Number(clean);
+    return clean && Number.isFinite(number) ? number : null;
+};
+
+// AAAA-MM-DD ou DD/MM/AAAA → AAAA-MM-DD.
+const parseDay = (text) => {
+    const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    const br = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+    const [year, month, day] = iso ? [iso[1], iso[2], iso[3]] : br ? [br[3], br[2], br[1]] : [];
+    if (!year) return null;
+    const date = new Date(Number(year), Number(month) - 1, Number(day));
+    if (date.getMonth() !== Number(month) - 1) return null;
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+const matchOption = (field, text) => field.opcoes.find(option => normalizeText(option) === normalizeText(text)) ?? null;
+
+// Converte texto (CSV ou formulário) no valor gravado. Devolve { value, error }; `value` null = vazio.
+export const parseCustomValue = (field, raw) => {
+    if (Array.isArray(raw)) raw = raw.join(', ');
+    const text = String(raw ?? '').trim();
+    if (!text) return { value: null, error: null };
+    const invalid = (message) => ({ value: null, error: `${field.nome}: ${message}` });
+    switch (field.tipo) {
+        case 'numero':
+        case 'moeda': {
+            const number = parseNumber(text);
+            return number === null ? invalid(`"${text}" não é um número.`) : { value: number, error: null };
+        }
+        case 'data': {
+            const day = parseDay(text);
+            return day ? { value: day, error: null } : invalid(`"${text}" não é uma data (use DD/MM/AAAA).`);
+        }
+        case 'selecao': {
+            const option = matchOption(field, text);
+            return option ? { value: option, error: null } : invalid(`"${text}" não é uma das opções.`);
+        }
+        case 'multipla': {
+            const parts = text.split(/[,;]/).map(part => part.trim()).filter(Boolean);
+            const unknown = parts.filter(part => !matchOption(field, part));
+            if (unknown.length) return invalid(`${unknown.map(part => `"${part}"`).join(', ')} não ${unknown.length > 1 ? 'são opções' : 'é uma opção'}.`);
+            return { value: [...new Set(parts.map(part => matchOption(field, part)))], error: null };
+        }
+        default:
+            return { value: text, error: null };
+    }
+};
+
+export const formatCustomValue = (field, value) => {
+    if (isEmptyValue(value)) return '';
+    if (field.tipo === 'moeda') return formatCurrency(value);
+    if (field.tipo === 'numero') return Number(value).toLocaleString('pt-BR');
+    if (field.tipo === 'data') return formatDate(`${value}T00:00:00`);
+    if (field.tipo === 'multipla') return value.join(', ');
+    return String(value);
+};
+
+// Texto para o formulário e para a exportação (reimportável com parseCustomValue, daí a vírgula decimal).
+export const customValueToText = (field, value) => {
+    if (isEmptyValue(value)) return '';
+    if (field.tipo === 'multipla') return value.join(', ');
+    if (field.tipo === 'numero' || field.tipo === 'moeda') return String(value).replace('.', ',');
+    return String(value);
+};
+
+export const customSortValue = (field, value) => {
+    if (isEmptyValue(value)) return null;
+    if (field.tipo === 'numero' || field.tipo === 'moeda') return Number(value);
+    return field.tipo === 'multipla' ? value.join(', ') : String(value);
+};
+
+// --- FILTROS ---
+// Filtro por tipo: texto → texto contido; número/moeda → { min, max }; seleção → lista de opções (basta
+// uma); data → { de, ate } em AAAA-MM-DD. Vive em `filters.campos[fieldId]` (ver lib/search.js).
+
+export const emptyCustomFilter = (field) => {
+    if (hasOptions(field)) return [];
+    if (field.tipo === 'numero' || field.tipo === 'moeda') return { min: '', max: '' };
+    if (field.tipo === 'data') return { de: '', ate: '' };
+    return '';
+};
+
+// Não precisa da definição do campo, para contar filtros de vistas guardadas.
+export const isCustomFilterActive = (filter) => {
+    if (Array.isArray(filter)) return filter.length > 0;
+    if (filter && typeof filter === 'object') return Object.values(filter).some(value => value !== '' && value !== null && value !== undefined);
+    return String(filter ?? '').trim() !== '';
+};
+
+export const matchesCustomFilter = (field, value, filter) => {
+    if (!isCustomFilterActive(filter)) return true;
+    if (isEmptyValue(value)) return false;
+    if (hasOptions(field)) return (Array.isArray(value) ? value : [value]).some(option => filter.includes(option));
+    if (field.tipo === 'numero' || field.tipo === 'moeda') {
+        return (filter.min === '' || Number(value) >= Number(filter.min)) && (filter.max === '' || Number(value) <= Number(filter.max));
+    }
+    if (field.tipo === 'data') return (!filter.de || value >= filter.de) && (!filter.ate || value <= filter.ate);
+    return normalizeText(value).includes(normalizeText(filter));
+};
+
+// Valores de um investidor que passam em todos os filtros ativos. Filtros de campos que já não existem são ignorados.
+export const matchesCustomFilters = (investor, fields, filters = {}) => fields
+    .every(field => matchesCustomFilter(field, investor.campos?.[field.id], filters[field.id]));
+
+// --- IMPORTAÇÃO ---
+// Igual a mergeInvestorData para os campos fixos: 'update' substitui, 'merge' só preenche os vazios.
+// Devolve as alterações como caminhos `campos.{id}`, para não apagar os restantes campos do investidor.
+export const mergeCustomValues = (existing = {}, incoming = {}, mode) => Object.entries(incoming).reduce((changes, [id, value]) => {
+    if (isEmptyValue(value)) return changes;
+    if (mode === 'update' ? JSON.stringify(existing[id]) !== JSON.stringify(value) : isEmptyValue(existing[id])) changes[`campos.${id}`] = value;
+    return changes;
+}, {});
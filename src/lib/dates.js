@@ -0,0 +1,27 @@
+// Converte Timestamps do Firestore, Dates, strings ou números num Date (ou null).
+export const toDate = (value) => {
+    if (!value) return null;
+    if (typeof value.toDate === 'function') return value.toDate();
+    const date = value instanceof Date ? value : new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+};
+
+export const formatDateTime = (value) => toDate(value)?.toLocaleString('pt-BR') ?? '';
+
+export const formatDate = (value) => toDate(value)?.toLocaleDateString('pt-BR') ?? '';
+
+// AAAA-MM-DD no fuso local, usado em nomes de arquivo e inputs type="date".
+export const toIsoDay = (value = new Date()) => {
+    const date = toDate(value);
+    if (!date) return '';
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+// AAAA-MM-DDTHH:mm no fuso local, para inputs type="datetime-local".
+export const toDateTimeLocal = (value = new Date()) => {
+    const date = toDate(value);
+    if (!date) return '';
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${toIsoDay(date)}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
@@ -0,0 +1,118 @@
+import { normalizeText } from './investors.js';
+import { contactLabel } from './contacts.js';
+
+// --- EMAILS A INVESTIDORES ---
+// Modelos do espaço em `workspaces/{id}/emailTemplates/{templateId}`: { nome, assunto, corpo }. O assunto
+// e o corpo aceitam campos de mesclagem como {{nomeFantasia}}, preenchidos para cada investidor.
+// O email sai pelo programa de email do utilizador (mailto:) ou como ficheiro .eml (.mbox, em lote); a aplicação não envia
+// nada, só regista a interação com o texto final.
+
+export const MERGE_FIELDS = [
+    { key: 'nomeFantasia', label: 'Nome do investidor' },
+    { key: 'contato', label: 'Nome do contacto' },
+    { key: 'primeiroNome', label: 'Primeiro nome do contacto' },
+    { key: 'projeto', label: 'Nome do projeto' },
+    { key: 'remetente', label: 'O seu nome' },
+];
+
+export const NOT_CONTACTED_STAGE = 'Não Contatado';
+export const CONTACTED_STAGE = 'Contatado';
+
+// Os clientes de email cortam URLs mailto: muito longos; acima disto, melhor exportar o .eml.
+export const MAILTO_MAX_LENGTH = 2000;
+
+export const validateEmailTemplate = (template) => {
+    const errors = {};
+    if (!String(template.nome ?? '').trim()) errors.nome = 'Indique o nome do modelo.';
+    if (!String(template.assunto ?? '').trim() && !String(template.corpo ?? '').trim()) errors.corpo = 'O modelo precisa de assunto ou texto.';
+    return errors;
+};
+
+// Destinatário por omissão: o contacto principal com email, depois qualquer contacto com email e, por fim,
+// o email da ficha do investidor (sem contacto associado).
+export const defaultRecipient = (investor, contacts = []) => {
+    const withEmail = contacts.filter(contact => contact.email);
+    const contact = withEmail.find(c => c.principal) || withEmail[0] || null;
+    return { email: contact?.email || investor.email1 || investor.email2 || '', contact };
+};
+
+// Valores dos campos de mesclagem para um investidor. Contactos sem nome (vindos da importação) ficam vazios.
+export const mergeValues = ({ investor, contact = null, project = null, author = null }) => {
+    const contato = contact?.nome ? contactLabel(contact) : '';
+    return {
+        nomeFantasia: investor.nomeFantasia || '',
+        contato,
+        primeiroNome: contato.split(' ')[0],
+        projeto: project?.name || '',
+        remetente: author?.nome || '',
+    };
+};
+
+// Substitui {{campo}} pelos valores (sem distinguir maiúsculas nem acentos). Devolve { text, missing }, com os
+// campos usados que ficaram vazios ou que não existem, para avisar antes de enviar.
+export const renderTemplate = (text, values) => {
+    const byKey = new Map(Object.entries(values).map(([key, value]) => [normalizeText(key), value]));
+    const missing = new Set();
+    const rendered = String(text ?? '').replace(/\{\{\s*([^{}]+?)\s*\}\}/g, (match, key) => {
+        const value = byKey.get(normalizeText(key));
+        if (!value) missing.add(key);
+        return value ?? match;
+    });
+    return { text: rendered, missing: [...missing] };
+};
+
+// Assunto e corpo já preenchidos para um investidor; `missing` junta os dos dois.
+export const renderEmail = (draft, values) => {
+    const subject = renderTemplate(draft.assunto, values);
+    const body = renderTemplate(draft.corpo, values);
+    return { subject: subject.text, body: body.text, missing: [...new Set([...subject.missing, ...body.missing])] };
+};
+
+// Texto gravado na interação "Email".
+export const emailInteractionNotes = ({ to, subject, body }) => [
+    ...(to ? [`Para: ${to}`] : []), ...(subject ? [`Assunto: ${subject}`] : []), '', body || '',
+].join('\n').trim();
+
+// Os clientes de email esperam quebras de linha CRLF e espaços como %20 (não '+').
+export const buildMailtoUrl = ({ to, subject, body }) => {
+    const params = [subject && `subject=${encodeURIComponent(subject)}`, body && `body=${encodeURIComponent(body.replace(/\r?\n/g, '\r\n'))}`].filter(Boolean);
+    return `mailto:${encodeURIComponent(to || '').replace(/%40/g, '@')}${params.length ? `?${params.join('&')}` : ''}`;
+};
+
+const toBase64 = (text) => {
+    const bytes = new TextEncoder().encode(text);
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary);
+};
+
+// Cabeçalhos com acentos em "encoded-word" (RFC 2047).
+const encodeHeader = (value) => (/^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${toBase64(value)}?=`);
+
+// Mensagem RFC 5322 por enviar: `X-Unsent` faz o Outlook abri-la como rascunho. O corpo vai em base64,
+// em linhas de 76 caracteres, para não depender da codificação do cliente.
+export const buildEml = ({ to, from = '', subject, body, date = new Date() }) => [
+    ...(from ? [`From: ${from}`] : []),
+    `To: ${to || ''}`,
+    `Subject: ${encodeHeader(subject || '')}`,
+    `Date: ${date.toUTCString()}`,
+    'X-Unsent: 1',
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=UTF-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    ...(toBase64(String(body || '').replace(/\r?\n/g, '\r\n')).match(/.{1,76}/g) || []),
+].join('\r\n');
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const pad = (value) => String(value).padStart(2, '0');
+const asctime = (date) => `${WEEKDAYS[date.getUTCDay()]} ${MONTHS[date.getUTCMonth()]} ${pad(date.getUTCDate())} `
+    + `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())} ${date.getUTCFullYear()}`;
+
+// Vários emails num só ficheiro mbox (os navegadores bloqueiam uma série de downloads seguidos), que o
+// Thunderbird e o Apple Mail importam. Cada mensagem começa por uma linha "From -"; como o corpo vai em
+// base64, nenhuma linha da mensagem pode começar por "From " e não é preciso escapar nada.
+export const buildMbox = (emls, date = new Date()) => emls
+    .map(eml => `From - ${asctime(date)}\n${eml.replace(/\r\n/g, '\n')}\n`)
+    .join('\n');
@@ -0,0 +1,127 @@
+import { utils, writeFile } from 'xlsx';
+import { toCsv } from './csv.js';
+import { INVESTOR_FIELDS, normalizeText } from './investors.js';
+import { toDate, formatDate, formatDateTime, toIsoDay } from './dates.js';
+import { NO_STAGE } from './stages.js';
+import { customValueToText } from './customFields.js';
+
+// --- EXPORTAÇÃO (CSV, XLSX E RELATÓRIO EM PDF) ---
+
+const sortedInteractions = (investor) => [...(investor.historicoDeInteracoes || [])]
+    .sort((a, b) => (toDate(a.data)?.getTime() ?? 0) - (toDate(b.data)?.getTime() ?? 0));
+
+const formatInteraction = (item) => `${formatDateTime(item.data)} - ${item.tipo}: ${item.anotacoes}`;
+
+// Usa os mesmos cabeçalhos do importador para que o arquivo possa ser reimportado; os campos
+// personalizados (`customFields`) vão no fim, com o nome do campo como cabeçalho.
+const investorHeaders = (customFields) => [...INVESTOR_FIELDS.map(f => f.header), ...customFields.map(field => field.nome)];
+const investorValues = (investor, customFields) => [
+    ...INVESTOR_FIELDS.map(f => investor[f.key] ?? ''),
+    ...customFields.map(field => customValueToText(field, investor.campos?.[field.id])),
+];
+
+export const investorsToRows = (investors, customFields = []) => [
+    investorHeaders(customFields),
+    ...investors.map(investor => investorValues(investor, customFields)),
+];
+
+export const PIPELINE_EXTRA_HEADERS = ['Status', 'Prioridade (Projeto)', 'Última Interação', 'Histórico de Interações'];
+
+export const pipelineToRows = (projectInvestors, customFields = []) => [
+    [...investorHeaders(customFields), ...PIPELINE_EXTRA_HEADERS],
+    ...projectInvestors.map(investor => {
+        const history = sortedInteractions(investor);
+        return [
+            ...investorValues(investor, customFields),
+            investor.status ?? '',
+            investor.notaDePrioridade ?? '',
+            history.length > 0 ? formatDateTime(history[history.length - 1].data) : '',
+            history.map(formatInteraction).join('\n'),
+        ];
+    }),
+];
+
+export const buildExportFileName = (prefix) => `${normalizeText(prefix).replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}-${toIsoDay()}`;
+
+// `fileName` já inclui a extensão.
+export const downloadBlob = (blob, fileName) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+};
+
+// Descarrega as linhas como .csv (separado por ';', com BOM para o Excel abrir em UTF-8) ou .xlsx.
+export const downloadRows = (rows, fileName, format = 'csv') => {
+    if (format === 'xlsx') {
+        const workbook = utils.book_new();
+        utils.book_append_sheet(workbook, utils.aoa_to_sheet(rows), 'Dados');
+        writeFile(workbook, `${fileName}.xlsx`);
+        return;
+    }
+    downloadBlob(new Blob(['\uFEFF', toCsv(rows)], { type: 'text/csv;charset=utf-8' }), `${fileName}.csv`);
+};
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+export const buildPipelineReportHtml = (project, projectInvestors, statuses) => {
+    const byPriority = (a, b) => (b.notaDePrioridade || 0) - (a.notaDePrioridade || 0);
+    const byStatus = statuses.map(status => ({
+        status,
+        investors: projectInvestors.filter(inv => inv.status === status).sort(byPriority),
+    }));
+    const orphans = projectInvestors.filter(inv => !statuses.includes(inv.status)).sort(byPriority);
+    if (orphans.length > 0) byStatus.push({ status: NO_STAGE, investors: orphans });
+    const summary = byStatus.map(({ status, investors }) => `<td><strong>${investors.length}</strong><br>${escapeHtml(status)}</td>`).join('');
+    const sections = byStatus.filter(({ investors }) => investors.length > 0).map(({ status, investors }) => `
+        <h2>${escapeHtml(status)} (${investors.length})</h2>
+        <table class="list">
+            <thead><tr><th>Investidor</th><th>Setor</th><th>Crédito/Equity</th><th>Prioridade</th><th>Histórico</th></tr></thead>
+            <tbody>${investors.map(inv => `
+                <tr>
+                    <td><strong>${escapeHtml(inv.nomeFantasia)}</strong><br><small>${escapeHtml(inv.classificacao)}</small></td>
+                    <td>${escapeHtml(inv.setor)}</td>
+                    <td>${escapeHtml(inv.creditoEquity)}</td>
+                    <td>${'★'.repeat(inv.notaDePrioridade || 0)}</td>
+                    <td>${sortedInteractions(inv).map(item => `<div class="interaction">${escapeHtml(formatInteraction(item))}</div>`).join('') || '<small>Sem interações</small>'}</td>
+                </tr>`).join('')}
+            </tbody>
+        </table>`).join('');
+
+    return `<!doctype html>
+<html lang="pt-BR">
+<head>
+    <meta charset="UTF-8">
+    <title>Pipeline - ${escapeHtml(project?.name)}</title>
+    <style>
+        body { font-family: Arial, sans-serif; color: #111; margin: 32px; font-size: 12px; }
+        h1 { margin-bottom: 4px; } h2 { margin-top: 28px; border-bottom: 2px solid #2563eb; padding-bottom: 4px; }
+        table { width: 100%; border-collapse: collapse; } .summary td { text-align: center; border: 1px solid #ccc; padding: 8px; }
+        .list th, .list td { border-bottom: 1px solid #ddd; padding: 6px; text-align: left; vertical-align: top; }
+        .interaction { margin-bottom: 4px; white-space: pre-wrap; } .muted { color: #555; }
+        @media print { h2 { page-break-after: avoid; } tr { page-break-inside: avoid; } }
+    </style>
+</head>
+<body>
+    <h1>${escapeHtml(project?.name)}</h1>
+    <p class="muted">${escapeHtml(project?.description)}</p>
+    <p class="muted">Relatório de pipeline gerado em ${formatDate(new Date())} · ${projectInvestors.length} investidores</p>
+    <table class="summary"><tr>${summary}</tr></table>
+    ${sections}
+</body>
+</html>`;
+};
+
+// Abre o relatório numa nova janela e chama a impressão do navegador ("Guardar como PDF").
+export const printPipelineReport = (project, projectInvestors, statuses) => {
+    const reportWindow = window.open('', '_blank');
+    if (!reportWindow) return false;
+    reportWindow.document.write(buildPipelineReportHtml(project, projectInvestors, statuses));
+    reportWindow.document.close();
+    reportWindow.focus();
+    reportWindow.print();
+    return true;
+};
@@ -0,0 +1,49 @@
+// --- CONFIGURAÇÃO DO FIREBASE ---
+// Fontes, por ordem de prioridade:
+//   1. a configuração global injetada em produção (`__firebase_config`/`__app_id`, Vercel/Canvas);
+//   2. as variáveis VITE_FIREBASE_* (ex.: num ficheiro .env.local, ver .env.example);
+//   3. com VITE_USE_EMULATORS=true e sem as anteriores, um projeto de demonstração que só
+//      existe nos emuladores locais (`npm run emulators`).
+
+export const DEMO_PROJECT_ID = 'demo-investidores-pacta';
+export const DEFAULT_APP_ID = 'investidores-pacta-default';
+
+const ENV_KEYS = {
+    apiKey: 'VITE_FIREBASE_API_KEY',
+    authDomain: 'VITE_FIREBASE_AUTH_DOMAIN',
+    projectId: 'VITE_FIREBASE_PROJECT_ID',
+    storageBucket: 'VITE_FIREBASE_STORAGE_BUCKET',
+    messagingSenderId: 'VITE_FIREBASE_MESSAGING_SENDER_ID',
+    appId: 'VITE_FIREBASE_APP_ID',
+};
+
+export const isEnabled = (value) => ['1', 'true', 'sim', 'yes'].includes(String(value ?? '').trim().toLowerCase());
+
+export const DEMO_CONFIG = { apiKey: 'demo-api-key', authDomain: `${DEMO_PROJECT_ID}.firebaseapp.com`, projectId: DEMO_PROJECT_ID };
+
+// Devolve { config, appId, emulators }, em que `emulators` é null ou { firestoreHost, firestorePort, authUrl }.
+export const loadFirebaseSettings = ({ injectedConfig = null, injectedAppId = null, env = {} }) => {
+    const useEmulators = isEnabled(env.VITE_USE_EMULATORS);
+    let config = injectedConfig
+        ? JSON.parse(injectedConfig)
+        : Object.fromEntries(Object.entries(ENV_KEYS).map(([key, name]) => [key, env[name]]).filter(([, value]) => value));
+
+    if (!config.projectId && useEmulators) config = DEMO_CONFIG;
+    if (!config.projectId && !config.apiKey) {
+        throw new Error("A configuração do Firebase não foi encontrada. Defina as variáveis VITE_FIREBASE_* num ficheiro .env.local, use VITE_USE_EMULATORS=true para trabalhar com os emuladores, ou verifique as Environment Variables na Vercel.");
+    }
+    if (!config.projectId || !config.apiKey) {
+        throw new Error("A configuração do Firebase está incompleta. Verifique as chaves de API nas 'Project Settings'.");
+    }
+
+    const [firestoreHost, firestorePort] = (env.VITE_FIRESTORE_EMULATOR_HOST || '127.0.0.1:8080').split(':');
+    return {
+        config,
+        appId: injectedAppId || env.VITE_APP_ID || DEFAULT_APP_ID,
+        emulators: useEmulators ? {
+            firestoreHost,
+            firestorePort: Number(firestorePort),
+            authUrl: env.VITE_AUTH_EMULATOR_URL || 'http://127.0.0.1:9099',
+        } : null,
+    };
+};
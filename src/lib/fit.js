@@ -0,0 +1,103 @@
+import { normalizeText } from './investors.js';
+import { getProjectStages } from './stages.js';
+
+// --- ADEQUAÇÃO INVESTIDOR–PROJETO ---
+// O perfil do projeto são campos do formulário do projeto: `setores` (lista), `instrumento`, `valorAlvo`
+// (o ticket) e `estagio`. A pontuação de 0 a 100 soma parcelas que são todas mostradas ao utilizador:
+// setor do investidor, instrumento, nota global e resultados em negócios semelhantes de outros projetos.
+// O investidor não tem ticket nem estágio próprios: estes servem para decidir que negócios são semelhantes.
+
+export const FIT_WEIGHTS = { setor: 30, instrumento: 20, nota: 20, historico: 30 };
+
+const GENERALIST = 'generalista';
+const WIN_POINTS = 15;
+const LOSS_POINTS = 10;
+// Tickets até este múltiplo um do outro contam como semelhantes.
+const TICKET_RATIO = 2;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+const profileAttributes = (project) => [project.setores?.length > 0, !!project.instrumento, !!project.estagio, project.valorAlvo > 0]
+    .filter(Boolean).length;
+
+export const hasProjectProfile = (project) => !!project && profileAttributes(project) > 0;
+
+// Atributos do perfil de `project` que `other` também tem.
+export const sharedProfile = (project, other) => {
+    const sectors = new Set((project.setores || []).map(normalizeText));
+    const shared = [];
+    if ((other.setores || []).some(sector => sectors.has(normalizeText(sector)))) shared.push('setor');
+    if (project.instrumento && normalizeText(project.instrumento) === normalizeText(other.instrumento)) shared.push('instrumento');
+    if (project.estagio && project.estagio === other.estagio) shared.push('estágio');
+    if (project.valorAlvo > 0 && other.valorAlvo > 0
+        && Math.max(project.valorAlvo, other.valorAlvo) / Math.min(project.valorAlvo, other.valorAlvo) <= TICKET_RATIO) shared.push('ticket');
+    return shared;
+};
+
+// Semelhante = partilha pelo menos metade dos atributos preenchidos no perfil de `project`.
+export const isSimilarDeal = (project, other) => {
+    const shared = sharedProfile(project, other).length;
+    return shared > 0 && shared * 2 >= profileAttributes(project);
+};
+
+// Resultados finais (etapa de ganho ou de perda) de cada investidor nos outros projetos semelhantes.
+// `pipelines` é [{ project, entries }], com as entradas tal como vêm do Firestore. Devolve Map id → [negócio].
+export const buildDealHistory = (project, pipelines) => {
+    const history = new Map();
+    pipelines.forEach(({ project: other, entries }) => {
+        if (other.id === project.id || !isSimilarDeal(project, other)) return;
+        const stages = getProjectStages(other);
+        const shared = sharedProfile(project, other);
+        entries.forEach(entry => {
+            const type = stages.find(stage => stage.nome === entry.status)?.tipo;
+            if (type !== 'ganho' && type !== 'perdido') return;
+            history.set(entry.id, [...(history.get(entry.id) || []), { project: other, status: entry.status, won: type === 'ganho', shared }]);
+        });
+    });
+    return history;
+};
+
+// Devolve { score, reasons: [{ label, points, max, details? }] }. Só entram as parcelas que o perfil do projeto
+// permite avaliar, e o total é a percentagem dos pontos possíveis dessas parcelas.
+export const scoreFit = (investor, project, history = new Map()) => {
+    const reasons = [];
+    const add = (label, points, max, details) => reasons.push({ label, points, max, ...(details && { details }) });
+
+    if (project.setores?.length) {
+        const sector = normalizeText(investor.setor);
+        if (project.setores.some(s => normalizeText(s) === sector)) add(`Setor ${investor.setor} é do perfil do projeto`, FIT_WEIGHTS.setor, FIT_WEIGHTS.setor);
+        else if (sector === GENERALIST) add('Investidor generalista', FIT_WEIGHTS.setor / 2, FIT_WEIGHTS.setor);
+        else add(investor.setor ? `Setor ${investor.setor} fora do perfil do projeto` : 'Setor não informado', 0, FIT_WEIGHTS.setor);
+    }
+
+    // "Crédito e Equity" cobre os dois instrumentos.
+    if (project.instrumento) {
+        const instruments = normalizeText(investor.creditoEquity);
+        if (instruments && instruments.includes(normalizeText(project.instrumento))) add(`Investe em ${project.instrumento}`, FIT_WEIGHTS.instrumento, FIT_WEIGHTS.instrumento);
+        else add(investor.creditoEquity ? `Investe em ${investor.creditoEquity}, não em ${project.instrumento}` : 'Instrumento não informado', 0, FIT_WEIGHTS.instrumento);
+    }
+
+    const nota = clamp(Number(investor.nota) || 0, 0, 5);
+    add(`Nota global ${nota} de 5`, (nota / 5) * FIT_WEIGHTS.nota, FIT_WEIGHTS.nota);
+
+    const deals = history.get(investor.id) || [];
+    if (deals.length) {
+        const won = deals.filter(deal => deal.won).length;
+        const lost = deals.length - won;
+        const summary = [won && `${won} ${won > 1 ? 'ganhos' : 'ganho'}`, lost && `${lost} ${lost > 1 ? 'perdas' : 'perda'}`].filter(Boolean).join(' e ');
+        add(`${summary} em negócios semelhantes`, clamp(won * WIN_POINTS - lost * LOSS_POINTS, -FIT_WEIGHTS.historico, FIT_WEIGHTS.historico), FIT_WEIGHTS.historico,
+            deals.map(deal => `${deal.status} em ${deal.project.name} (mesmo ${deal.shared.join(', ')})`));
+    } else {
+        add('Sem resultados em negócios semelhantes', 0, FIT_WEIGHTS.historico);
+    }
+
+    const points = reasons.reduce((sum, reason) => sum + reason.points, 0);
+    const max = reasons.reduce((sum, reason) => sum + reason.max, 0);
+    return { score: clamp(Math.round((points / max) * 100), 0, 100), reasons };
+};
+
+// Investidores com a sua adequação, do mais para o menos adequado (empates pela nota e pelo nome).
+export const rankByFit = (investors, project, history) => investors
+    .map(investor => ({ investor, fit: scoreFit(investor, project, history) }))
+    .sort((a, b) => b.fit.score - a.fit.score || (Number(b.investor.nota) || 0) - (Number(a.investor.nota) || 0)
+        || String(a.investor.nomeFantasia).localeCompare(String(b.investor.nomeFantasia), 'pt'));
@@ -0,0 +1,3 @@
+const currencyFormatter = new Intl.NumberFormat('pt-BR', { style: 'currency', currency: 'BRL', maximumFractionDigits: 0 });
+
+export const formatCurrency = (value) => (value || value === 0) && !Number.isNaN(Number(value)) ? currencyFormatter.format(Number(value)) : '';
@@ -0,0 +1,73 @@
+import { read, utils } from 'xlsx';
+import { parseCsv, decodeText } from './csv.js';
+import { INVESTOR_FIELDS, normalizeText, validateInvestor, sanitizeInvestor, buildDuplicateIndex, mergeInvestorData } from './investors.js';
+import { customFieldKey, parseCustomValue, mergeCustomValues } from './customFields.js';
+
+// --- IMPORTAÇÃO DE PLANILHAS ---
+
+// Lê um .csv/.txt ou .xlsx/.xls e devolve as linhas como arrays de texto (a primeira é o cabeçalho).
+export const readSpreadsheetFile = async (file) => {
+    const buffer = await file.arrayBuffer();
+    if (/\.xlsx?$/i.test(file.name)) {
+        const workbook = read(buffer, { type: 'array' });
+        const sheet = workbook.Sheets[workbook.SheetNames[0]];
+        return utils.sheet_to_json(sheet, { header: 1, raw: false, defval: '', blankrows: false })
+            .map(row => row.map(value => String(value)));
+    }
+    return parseCsv(decodeText(buffer));
+};
+
+// Associa cada campo do investidor ao índice da coluna com o cabeçalho correspondente (ou -1). Os campos
+// personalizados do espaço (`customFields`) entram pelo nome, com a chave de customFieldKey.
+export const guessColumnMapping = (headers, customFields = []) => {
+    const normalizedHeaders = headers.map(normalizeText);
+    const mapping = INVESTOR_FIELDS.reduce((mapping, field) => {
+        const candidates = [field.header, field.label, field.key, ...field.aliases].map(normalizeText);
+        mapping[field.key] = normalizedHeaders.findIndex(h => candidates.includes(h));
+        return mapping;
+    }, {});
+    customFields.forEach(field => { mapping[customFieldKey(field)] = normalizedHeaders.indexOf(normalizeText(field.nome)); });
+    return mapping;
+};
+
+// Gera a pré-visualização linha a linha: dados mapeados, erros de validação e possível duplicado.
+export const buildImportPreview = (rows, mapping, existingInvestors, customFields = []) => {
+    const duplicateIndex = buildDuplicateIndex(existingInvestors);
+    const seenInFile = new Map();
+
+    return rows.map((row, index) => {
+        const raw = INVESTOR_FIELDS.reduce((obj, { key }) => {
+            obj[key] = mapping[key] >= 0 ? String(row[mapping[key]] ?? '').trim() : '';
+            return obj;
+        }, {});
+        const errors = Object.values(validateInvestor(raw));
+        const campos = {};
+        customFields.filter(field => mapping[customFieldKey(field)] >= 0).forEach(field => {
+            const { value, error } = parseCustomValue(field, row[mapping[customFieldKey(field)]]);
+            if (error) errors.push(error);
+            else if (value !== null) campos[field.id] = value;
+        });
+        const lineNumber = index + 2; // +1 do cabeçalho, +1 para contar a partir de 1
+
+        const nameKey = normalizeText(raw.nomeFantasia);
+        if (nameKey && seenInFile.has(nameKey)) errors.push(`Repetido no arquivo (linha ${seenInFile.get(nameKey)}).`);
+        else if (nameKey) seenInFile.set(nameKey, lineNumber);
+
+        return {
+            lineNumber,
+            data: Object.keys(campos).length > 0 ? { ...sanitizeInvestor(raw), campos } : sanitizeInvestor(raw),
+            errors,
+            duplicateOf: duplicateIndex.find(raw),
+        };
+    });
+};
+
+// Converte as linhas válidas da pré-visualização nas operações a gravar: investidores novos são criados e
+// duplicados seguem `actionFor(row)` ('skip', 'update' ou 'merge'); duplicados sem alterações são ignorados.
+export const buildImportOperations = (rows, actionFor) => rows.flatMap(row => {
+    if (!row.duplicateOf) return [{ type: 'create', data: row.data }];
+    const action = actionFor(row);
+    if (action === 'skip') return [];
+    const changes = { ...mergeInvestorData(row.duplicateOf, row.data, action), ...mergeCustomValues(row.duplicateOf.campos, row.data.campos, action) };
+    return Object.keys(changes).length > 0 ? [{ type: 'update', id: row.duplicateOf.id, data: changes }] : [];
+});
@@ -0,0 +1,102 @@
+// --- MODELO DE DADOS DO INVESTIDOR ---
+// Campos da base central, na ordem e com os cabeçalhos usados no CSV de importação/exportação.
+export const INVESTOR_FIELDS = [
+    { key: 'nomeFantasia', header: 'NomeFantasia', label: 'Nome Fantasia', required: true, aliases: ['nome', 'nome fantasia', 'investidor', 'fundo'] },
+    { key: 'classificacao', header: 'Classificação', label: 'Classificação', aliases: ['classificacao'] },
+    { key: 'tipo', header: 'Tipo', label: 'Tipo', aliases: [] },
+    { key: 'setor', header: 'Setor', label: 'Setor', aliases: ['setores'] },
+    { key: 'creditoEquity', header: 'Crédito/Equity', label: 'Crédito/Equity', aliases: ['credito/equity', 'credito equity', 'instrumento'] },
+    { key: 'nota', header: 'Nota', label: 'Nota', type: 'number', aliases: ['nota global', 'score'] },
+    { key: 'justificativa', header: 'Justificativa', label: 'Justificativa', aliases: ['observacoes', 'comentarios'] },
+    { key: 'email1', header: 'Email 1', label: 'Email 1', type: 'email', aliases: ['email', 'e-mail', 'e-mail 1'] },
+    { key: 'email2', header: 'Email 2', label: 'Email 2', type: 'email', aliases: ['e-mail 2'] },
+    { key: 'telefone', header: 'Telefone', label: 'Telefone', type: 'phone', aliases: ['tel', 'celular', 'phone'] },
+    { key: 'linkedin', header: 'Linkedin', label: 'LinkedIn', type: 'url', aliases: ['linkedin url'] },
+];
+
+// Etiquetas livres (`tags`), fora do CSV. Texto separado por vírgulas → lista sem repetições.
+export const parseTags = (text) => [...new Set(String(text ?? '').split(',').map(tag => tag.trim().replace(/\s+/g, ' ')).filter(Boolean))];
+
+// Minúsculas, sem acentos e com espaços colapsados; usado em comparações e buscas.
+export const normalizeText = (value) => String(value ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export const isValidEmail = (value) => EMAIL_REGEX.test(value);
+
+export const isValidPhone = (value) => {
+    const digits = value.replace(/\D/g, '');
+    return /^[\d\s()+\-.]+$/.test(value) && digits.length >= 8 && digits.length <= 15;
+};
+
+export const isValidLinkedin = (value) => {
+    try {
+        const url = new URL(/^https?:\/\//i.test(value) ? value : `https://${value}`);
+        return /(^|\.)linkedin\.com$/i.test(url.hostname);
+    } catch {
+        return false;
+    }
+};
+
+// Devolve um objeto { campo: mensagem } com os problemas encontrados; vazio se válido.
+export const validateInvestor = (investor) => {
+    const errors = {};
+    if (!String(investor.nomeFantasia ?? '').trim()) errors.nomeFantasia = 'Nome Fantasia é obrigatório.';
+    ['email1', 'email2'].forEach(key => {
+        if (investor[key] && !isValidEmail(investor[key])) errors[key] = `Email inválido: ${investor[key]}`;
+    });
+    if (investor.telefone && !isValidPhone(investor.telefone)) errors.telefone = `Telefone inválido: ${investor.telefone}`;
+    if (investor.linkedin && !isValidLinkedin(investor.linkedin)) errors.linkedin = 'O LinkedIn deve ser um URL de linkedin.com.';
+    if (investor.nota !== '' && investor.nota !== undefined && investor.nota !== null) {
+        const nota = Number(String(investor.nota).trim().replace(',', '.'));
+        if (!Number.isInteger(nota) || nota < 0 || nota > 5) errors.nota = `Nota deve ser um número inteiro de 0 a 5 (recebido: ${investor.nota}).`;
+    }
+    return errors;
+};
+
+// Converte valores crus (texto do CSV ou do formulário) para o formato gravado no Firestore.
+export const sanitizeInvestor = (investor) => INVESTOR_FIELDS.reduce((obj, field) => {
+    const raw = investor[field.key];
+    const text = String(raw ?? '').trim();
+    if (field.type === 'number') obj[field.key] = parseInt(raw, 10) || 0;
+    else if (field.type === 'email') obj[field.key] = text.toLowerCase();
+    else if (field.type === 'url' && text && !/^https?:\/\//i.test(text)) obj[field.key] = `https://${text}`;
+    else obj[field.key] = text;
+    return obj;
+}, {});
+
+// Procura na base um investidor com o mesmo nome (sem acentos/maiúsculas) ou com um email em comum.
+export const buildDuplicateIndex = (investors) => {
+    const byName = new Map();
+    const byEmail = new Map();
+    investors.forEach(investor => {
+        const name = normalizeText(investor.nomeFantasia);
+        if (name && !byName.has(name)) byName.set(name, investor);
+        [investor.email1, investor.email2].filter(Boolean).forEach(email => {
+            const key = email.trim().toLowerCase();
+            if (!byEmail.has(key)) byEmail.set(key, investor);
+        });
+    });
+    return {
+        find: (investor) => byName.get(normalizeText(investor.nomeFantasia))
+            || [investor.email1, investor.email2].filter(Boolean).map(email => byEmail.get(email.trim().toLowerCase())).find(Boolean)
+            || null,
+    };
+};
+
+// 'update': os valores preenchidos no arquivo substituem os existentes.
+// 'merge': só preenche os campos que estão vazios no investidor existente.
+export const mergeInvestorData = (existing, incoming, mode) => INVESTOR_FIELDS.reduce((obj, { key }) => {
+    const incomingValue = incoming[key];
+    const hasIncoming = incomingValue !== '' && incomingValue !== 0 && incomingValue !== undefined;
+    const existingValue = existing[key];
+    const hasExisting = existingValue !== '' && existingValue !== 0 && existingValue !== undefined && existingValue !== null;
+    if (!hasIncoming) return obj;
+    if (mode === 'update' || (mode === 'merge' && !hasExisting)) obj[key] = incomingValue;
+    return obj;
+}, {});
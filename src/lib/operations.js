@@ -0,0 +1,236 @@
+import { addDoc, collection, doc, getDocs, query, where, updateDoc, deleteDoc, writeBatch, arrayUnion, arrayRemove, runTransaction } from 'firebase/firestore';
+import { commitInChunks } from './batch.js';
+import { buildChangeLogEntries, newInteractionId, updateInteractionList } from './pipeline.js';
+import { EMPTY_CONTACT, importedContacts } from './contacts.js';
+
+// --- ESCRITAS DA BASE E DO PIPELINE ---
+// Partilhadas entre a UI e os testes contra o emulador. Recebem a referência do espaço de trabalho
+// (`artifacts/{appId}/workspaces/{workspaceId}`), de onde também vem a instância do Firestore.
+
+const pipelineRef = (workspaceRef, projectId, investorId) => doc(workspaceRef, 'projects', projectId, 'pipeline', investorId);
+
+// `operations` vem de buildImportOperations (importer.js). Os emails e o telefone importados passam também
+// para os contactos por omissão (ver importedContacts); nos investidores novos, o primeiro fica como principal.
+export const importInvestors = (workspaceRef, operations, author, onProgress) => {
+    const investorsCollection = collection(workspaceRef, 'investors');
+    const writes = operations.flatMap(op => {
+        const ref = op.type === 'create' ? doc(investorsCollection) : doc(investorsCollection, op.id);
+        const contacts = importedContacts(op.data).map(({ id, data }, index) => (op.type === 'create'
+            ? (batch) => batch.set(doc(ref, 'contacts', id), { ...EMPTY_CONTACT, ...data, principal: index === 0 })
+            : (batch) => batch.set(doc(ref, 'contacts', id), data, { merge: true })));
+        return [
+            op.type === 'create'
+                ? (batch) => batch.set(ref, { ...op.data, dataDeCriacao: new Date(), criadoPor: author })
+                : (batch) => batch.update(ref, op.data),
+            ...contacts,
+        ];
+    });
+    return commitInChunks(workspaceRef.firestore, writes, (batch, write) => write(batch), onProgress);
+};
+
+// Novas entradas começam na primeira etapa do projeto, com prioridade média e o registo da entrada.
+// Quem chama só passa investidores que ainda não estão no projeto: `set` apagaria o histórico.
+export const addInvestorsToProject = (workspaceRef, projectId, investorIds, firstStage, author, onProgress) => commitInChunks(
+    workspaceRef.firestore, investorIds, (batch, investorId) => {
+        const entry = { notaDePrioridade: 3, status: firstStage };
+        batch.set(pipelineRef(workspaceRef, projectId, investorId), {
+            ...entry, adicionadoPor: author, historicoDeInteracoes: [], historicoDeAlteracoes: buildChangeLogEntries(null, { status: entry.status }, author),
+        });
+    }, onProgress,
+);
+
+// Aplica alterações a uma entrada do pipeline e regista status/prioridade em `historicoDeAlteracoes`.
+export const updatePipelineEntry = async (workspaceRef, projectId, entry, changes, author) => {
+    const logEntries = buildChangeLogEntries(entry, changes, author);
+    if (logEntries.length === 0) return;
+    await updateDoc(pipelineRef(workspaceRef, projectId, entry.id), {
+        ...changes,
+        historicoDeAlteracoes: arrayUnion(...logEntries),
+    });
+};
+
+// arrayUnion acrescenta sem reescrever a lista, por isso duas pessoas podem registar ao mesmo tempo.
+export const addInteraction = (workspaceRef, projectId, investorId, interaction) => updateDoc(
+    pipelineRef(workspaceRef, projectId, investorId),
+    { historicoDeInteracoes: arrayUnion({ id: newInteractionId(), ...interaction }) },
+);
+
+// Edita (ou remove, se `update` devolver null) uma interação, relendo a lista dentro de uma transação.
+export const updateInteraction = (workspaceRef, projectId, investorId, key, update) => runTransaction(workspaceRef.firestore, async (transaction) => {
+    const ref = pipelineRef(workspaceRef, projectId, investorId);
+    const snap = await transaction.get(ref);
+    if (!snap.exists()) throw new Error("Entrada do pipeline não encontrada.");
+    transaction.update(ref, { historicoDeInteracoes: updateInteractionList(snap.data().historicoDeInteracoes, key, update) });
+});
+
+// --- CONTACTOS ---
+const contactsCollection = (workspaceRef, investorId) => collection(workspaceRef, 'investors', investorId, 'contacts');
+
+// Cria (sem `contactId`) ou atualiza um contacto. Se ficar como principal, os restantes de `otherContacts`
+// deixam de o ser no mesmo lote. Devolve o id do contacto.
+export const saveContact = async (workspaceRef, investorId, contactId, contact, otherContacts = []) => {
+    const ref = contactId ? doc(contactsCollection(workspaceRef, investorId), contactId) : doc(contactsCollection(workspaceRef, investorId));
+    const batch = writeBatch(workspaceRef.firestore);
+    batch.set(ref, contact, { merge: true });
+    if (contact.principal) {
+        otherContacts.filter(other => other.id !== ref.id && other.principal).forEach(other => batch.update(doc(contactsCollection(workspaceRef, investorId), other.id), { principal: false }));
+    }
+    await batch.commit();
+    return ref.id;
+};
+
+// As interações ligadas ao contacto guardam o nome (`contatoNome`), por isso continuam legíveis.
+export const deleteContact = (workspaceRef, investorId, contactId) => deleteDoc(doc(contactsCollection(workspaceRef, investorId), contactId));
+
+// --- AÇÕES EM LOTE ---
+// Todas gravam em lotes de até 500 operações (commitInChunks) e aceitam `onProgress(gravados, total)`.
+// Um erro a meio deixa os lotes anteriores gravados.
+
+const investorRef = (workspaceRef, investorId) => doc(workspaceRef, 'investors', investorId);
+
+// `changes` é aplicado tal como está a cada investidor (ex.: { classificacao, setor }).
+export const updateInvestors = (workspaceRef, investorIds, changes, onProgress) => commitInChunks(
+    workspaceRef.firestore, investorIds, (batch, investorId) => batch.update(investorRef(workspaceRef, investorId), changes), onProgress,
+);
+
+// Acrescenta (`mode` 'add') ou retira ('remove') etiquetas sem tocar nas restantes de cada investidor.
+export const tagInvestors = (workspaceRef, investorIds, tags, mode, onProgress) => updateInvestors(
+    workspaceRef, investorIds, { tags: mode === 'remove' ? arrayRemove(...tags) : arrayUnion(...tags) }, onProgress,
+);
+
+// Lê cada pipeline uma única vez, em vez de um pedido por investidor e projeto.
+const findPipelineEntryRefs = async (workspaceRef, projectIds, investorIds) => {
+    const wanted = new Set(investorIds);
+    const snaps = await Promise.all(projectIds.map(projectId => getDocs(collection(workspaceRef, 'projects', projectId, 'pipeline'))));
+    return snaps.flatMap(snap => snap.docs.filter(entryDoc => wanted.has(entryDoc.id)).map(entryDoc => entryDoc.ref));
+};
+
+// "Mover para a lixeira", para um ou vários investidores: as entradas de cada um são arquivadas ('archive',
+// repostas no restauro) ou apagadas com o histórico ('remove') no mesmo lote que o próprio investidor,
+// sempre que possível. Só são tocados os projetos em `projectIds`: 'remove' só deve ser usado quando a
+// lista inclui todos os projetos do espaço.
+export const moveInvestorsToTrash = async (workspaceRef, projectIds, investorIds, pipelineMode, onProgress) => {
+    const entryRefs = await findPipelineEntryRefs(workspaceRef, projectIds, investorIds);
+    const excluidoEm = new Date();
+    const operations = investorIds.flatMap(investorId => [
+        ...entryRefs.filter(ref => ref.id === investorId).map(ref => (batch) => (pipelineMode === 'remove' ? batch.delete(ref) : batch.update(ref, { arquivado: true }))),
+        (batch) => batch.update(investorRef(workspaceRef, investorId), { excluidoEm }),
+    ]);
+    await commitInChunks(workspaceRef.firestore, operations, (batch, apply) => apply(batch), onProgress);
+};
+
+// Entradas já com os valores pedidos não são gravadas. Devolve quantas foram alteradas.
+export const updatePipelineEntries = async (workspaceRef, projectId, entries, changes, author, onProgress) => {
+    const date = new Date();
+    const updates = entries
+        .map(entry => ({ entry, logEntries: buildChangeLogEntries(entry, changes, author, date) }))
+        .filter(({ logEntries }) => logEntries.length > 0);
+    await commitInChunks(workspaceRef.firestore, updates, (batch, { entry, logEntries }) => batch.update(pipelineRef(workspaceRef, projectId, entry.id), {
+        ...changes,
+        historicoDeAlteracoes: arrayUnion(...logEntries),
+    }), onProgress);
+    return updates.length;
+};
+
+const readPipeline = (workspaceRef, projectId) => getDocs(collection(workspaceRef, 'projects', projectId, 'pipeline'));
+
+const readProjectTasks = (workspaceRef, projectId) => getDocs(query(collection(workspaceRef, 'tasks'), where('projectId', '==', projectId)));
+
+// Apaga também as tarefas de follow-up dessas entradas, que deixariam de ter a que se referir. Devolve as
+// entradas removidas ({ id, data, tasks: [{ id, data }] }), para que a remoção possa ser desfeita com
+// restorePipelineEntries.
+export const removeFromProject = async (workspaceRef, projectId, investorIds, onProgress) => {
+    const wanted = new Set(investorIds);
+    const [pipelineSnap, tasksSnap] = await Promise.all([readPipeline(workspaceRef, projectId), readProjectTasks(workspaceRef, projectId)]);
+    const removed = pipelineSnap.docs
+        .filter(entryDoc => wanted.has(entryDoc.id))
+        .map(entryDoc => ({
+            id: entryDoc.id,
+            data: entryDoc.data(),
+            tasks: tasksSnap.docs.filter(taskDoc => taskDoc.data().investorId === entryDoc.id).map(taskDoc => ({ id: taskDoc.id, data: taskDoc.data() })),
+        }));
+    // A entrada e as suas tarefas ficam seguidas, para caírem no mesmo lote sempre que possível.
+    const operations = removed.flatMap(({ id, tasks }) => [
+        (batch) => batch.delete(pipelineRef(workspaceRef, projectId, id)),
+        ...tasks.map(task => (batch) => batch.delete(doc(workspaceRef, 'tasks', task.id))),
+    ]);
+    await commitInChunks(workspaceRef.firestore, operations, (batch, apply) => apply(batch), onProgress);
+    return removed;
+};
+
+// Repõe as entradas tal como estavam, com o histórico e as tarefas.
+export const restorePipelineEntries = (workspaceRef, projectId, entries, onProgress) => {
+    const operations = entries.flatMap(({ id, data, tasks = [] }) => [
+        (batch) => batch.set(pipelineRef(workspaceRef, projectId, id), data),
+        ...tasks.map(task => (batch) => batch.set(doc(workspaceRef, 'tasks', task.id), task.data)),
+    ]);
+    return commitInChunks(workspaceRef.firestore, operations, (batch, apply) => apply(batch), onProgress);
+};
+
+// Copia entradas para outro projeto; com `move`, apaga-as da origem e leva as tarefas de follow-up.
+// Investidores que já estão no destino são ignorados. O status mantém-se se a etapa existir no destino
+// (`targetStages`, nomes por ordem); senão a entrada entra na primeira etapa. Sem `withHistory` a cópia
+// começa do zero, como uma entrada nova. Devolve quantas entradas foram copiadas.
+export const copyPipelineEntries = async (workspaceRef, fromProjectId, toProjectId, investorIds, { move = false, withHistory = false, targetStages }, author, onProgress) => {
+    const wanted = new Set(investorIds);
+    const [sourceSnap, targetSnap, tasksSnap] = await Promise.all([
+        readPipeline(workspaceRef, fromProjectId),
+        readPipeline(workspaceRef, toProjectId),
+        move ? readProjectTasks(workspaceRef, fromProjectId) : null,
+    ]);
+    const existing = new Set(targetSnap.docs.map(entryDoc => entryDoc.id));
+    const entryDocs = sourceSnap.docs.filter(entryDoc => wanted.has(entryDoc.id) && !existing.has(entryDoc.id) && !entryDoc.data().arquivado);
+    const date = new Date();
+    // As operações de cada investidor ficam seguidas, para caírem no mesmo lote sempre que possível.
+    const operations = entryDocs.flatMap(entryDoc => {
+        const entry = entryDoc.data();
+        const status = targetStages.includes(entry.status) ? entry.status : targetStages[0];
+        const statusLog = buildChangeLogEntries(withHistory ? entry : null, { status }, author, date);
+        const copy = withHistory
+            ? { ...entry, status, historicoDeAlteracoes: [...(entry.historicoDeAlteracoes || []), ...statusLog] }
+            : { notaDePrioridade: entry.notaDePrioridade ?? 3, status, adicionadoPor: author, historicoDeInteracoes: [], historicoDeAlteracoes: statusLog };
+        const tasks = move ? tasksSnap.docs.filter(taskDoc => taskDoc.data().investorId === entryDoc.id) : [];
+        return [
+            (batch) => batch.set(pipelineRef(workspaceRef, toProjectId, entryDoc.id), copy),
+            ...(move ? [(batch) => batch.delete(entryDoc.ref)] : []),
+            ...tasks.map(taskDoc => (batch) => batch.update(taskDoc.ref, { projectId: toProjectId })),
+        ];
+    });
+    await commitInChunks(workspaceRef.firestore, operations, (batch, apply) => apply(batch), onProgress);
+    return entryDocs.length;
+};
+
+// A mesma interação em várias entradas, cada cópia com o seu id.
+export const addInteractionToEntries = (workspaceRef, projectId, investorIds, interaction, onProgress) => commitInChunks(
+    workspaceRef.firestore, investorIds, (batch, investorId) => batch.update(pipelineRef(workspaceRef, projectId, investorId), {
+        historicoDeInteracoes: arrayUnion({ id: newInteractionId(), ...interaction }),
+    }), onProgress,
+);
+
+// Emails compostos na aplicação: cada entrada recebe a interação com o seu próprio texto e, com `status`,
+// muda para essa etapa no mesmo lote (ex.: de "Não Contatado" para "Contatado"), com o registo da mudança.
+export const logSentEmails = (workspaceRef, projectId, emails, author, onProgress) => {
+    const date = new Date();
+    return commitInChunks(workspaceRef.firestore, emails, (batch, { entry, interaction, status }) => {
+        const logEntries = status ? buildChangeLogEntries(entry, { status }, author, date) : [];
+        batch.update(pipelineRef(workspaceRef, projectId, entry.id), {
+            historicoDeInteracoes: arrayUnion({ id: newInteractionId(), ...interaction }),
+            ...(logEntries.length > 0 && { status, historicoDeAlteracoes: arrayUnion(...logEntries) }),
+        });
+    }, onProgress);
+};
+
+// --- PROJETOS ---
+
+// Copia o projeto e a sua lista de investidores, com os status reiniciados (em `firstStage`) e sem histórico.
+// A cópia mantém `membros`: um projeto restrito continua restrito, e por isso só um administrador o pode
+// duplicar (as regras só deixam os administradores criar projetos restritos). Devolve o id da cópia.
+export const duplicateProject = async (workspaceRef, project, firstStage) => {
+    const { id: _id, ...projectData } = project;
+    const newProjectRef = await addDoc(collection(workspaceRef, 'projects'), { ...projectData, name: `${project.name} (cópia)`, arquivado: false, createdAt: new Date() });
+    const entries = (await readPipeline(workspaceRef, project.id)).docs.filter(entryDoc => !entryDoc.data().arquivado);
+    await commitInChunks(workspaceRef.firestore, entries, (batch, entryDoc) => batch.set(doc(newProjectRef, 'pipeline', entryDoc.id), {
+        notaDePrioridade: entryDoc.data().notaDePrioridade ?? 3, status: firstStage, historicoDeInteracoes: [],
+    }));
+    return newProjectRef.id;
+};
@@ -0,0 +1,75 @@
+import { toDate } from './dates.js';
+
+// --- HISTÓRICO DE ALTERAÇÕES DO PIPELINE ---
+// Campos das entradas do pipeline cujas alterações ficam registadas em `historicoDeAlteracoes`.
+export const AUDITED_FIELDS = {
+    status: 'Etapa',
+    notaDePrioridade: 'Prioridade',
+};
+
+// Gera as entradas de log para as alterações efetivas (valores iguais aos atuais são ignorados).
+export const buildChangeLogEntries = (current, changes, author, date = new Date()) => Object.entries(changes)
+    .filter(([field, value]) => field in AUDITED_FIELDS && (current?.[field] ?? null) !== value)
+    .map(([field, value]) => ({ campo: field, de: current?.[field] ?? null, para: value, data: date, autor: author ?? null }));
+
+// --- INTERAÇÕES ---
+// As interações ficam em `historicoDeInteracoes`, cada uma com um `id` estável. Novas interações são
+// acrescentadas com arrayUnion; edições e exclusões reescrevem a lista dentro de uma transação.
+export const INTERACTION_TYPES = ['Email', 'Chamada', 'Reunião', 'LinkedIn', 'Outro'];
+
+export const newInteractionId = () => (typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`);
+
+// Interações antigas não têm `id`; a posição na lista identifica-as, pois até à primeira
+// edição a lista só cresce no fim.
+export const interactionKey = (item, index) => item.id || `legacy-${index}`;
+
+// Aplica `update(item)` à interação `key` (devolver null remove-a) e garante ids em toda a lista.
+export const updateInteractionList = (list, key, update) => (list || []).flatMap((item, index) => {
+    const withId = item.id ? item : { ...item, id: newInteractionId() };
+    if (interactionKey(item, index) !== key) return [withId];
+    const updated = update(withId);
+    return updated ? [updated] : [];
+});
+
+// Junta interações manuais e alterações registadas numa única linha do tempo, da mais recente para a mais antiga.
+export const buildTimeline = (entry) => [
+    ...(entry.historicoDeInteracoes || []).map((item, index) => ({ ...item, kind: 'interaction', key: interactionKey(item, index) })),
+    ...(entry.historicoDeAlteracoes || []).map((item, index) => ({ ...item, kind: 'change', key: `c-${index}` })),
+].sort((a, b) => (toDate(b.data)?.getTime() ?? 0) - (toDate(a.data)?.getTime() ?? 0));
+
+// Alteração mais recente registada para `field`, ou null.
+export const lastChange = (entry, field) => (entry.historicoDeAlteracoes || [])
+    .filter(change => change.campo === field)
+    .reduce((latest, change) => (!latest || (toDate(change.data)?.getTime() ?? 0) > (toDate(latest.data)?.getTime() ?? 0) ? change : latest), null);
+
+// Data da interação mais recente (não necessariamente a última registada, pois podem ser retroativas), ou null.
+export const lastInteractionDate = (entry) => (entry.historicoDeInteracoes || [])
+    .map(item => toDate(item.data))
+    .filter(Boolean)
+    .reduce((latest, date) => (!latest || date > latest ? date : latest), null);
+
+// --- CONFLITOS ---
+// Alterações feitas offline só chegam ao servidor quando a ligação volta, possivelmente depois de outra
+// pessoa ter mudado o mesmo campo. O histórico fica pela ordem em que o servidor aplicou as alterações
+// (arrayUnion acrescenta no fim), por isso há conflito quando uma alteração é anterior à que a precede
+// na lista e partiu de um valor diferente daquele que essa deixou. `index` é a posição de `alteracao`.
+export const findConflicts = (entry) => {
+    const lastByField = {};
+    return (entry.historicoDeAlteracoes || []).flatMap((change, index) => {
+        const previous = lastByField[change.campo];
+        lastByField[change.campo] = change;
+        if (!previous || previous.para === change.de) return [];
+        const madeBefore = (toDate(change.data)?.getTime() ?? 0) < (toDate(previous.data)?.getTime() ?? 0);
+        return madeBefore ? [{ campo: change.campo, index, sobreposta: previous, alteracao: change }] : [];
+    });
+};
+
+// --- PIPELINE + BASE ---
+// Junta as entradas do pipeline aos dados do investidor na base (`investorsById`, ver indexById). Entradas
+// arquivadas ou de investidores que não estão na base (excluídos ou ainda por carregar) ficam de fora.
+export const joinPipeline = (entries, investorsById) => entries.flatMap(entry => {
+    const investor = investorsById.get(entry.id);
+    return investor && !entry.arquivado ? [{ ...investor, ...entry }] : [];
+});
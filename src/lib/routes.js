@@ -0,0 +1,43 @@
+// --- ROTAS ---
+// A página aberta vive no URL (History API), para que refrescar, o botão Voltar do navegador e
+// links partilhados funcionem:
+//   /                                             dashboard do projeto ativo
+//   /base, /base/investidores/:investorId         base de investidores e perfil na base
+//   /tarefas, /equipa, /perfil
+//   /projetos/:projectId                          dashboard do projeto
+//   /projetos/:projectId/kanban, .../analises
+//   /projetos/:projectId/investidores/:investorId perfil do investidor no projeto
+// Uma rota é { page, projectId, investorId }, com `page` num dos valores usados pelo menu.
+
+const GLOBAL_PAGES = { base: 'master_list', tarefas: 'tasks', equipa: 'workspace', perfil: 'profile' };
+const PROJECT_SECTIONS = { kanban: 'kanban', analises: 'analytics' };
+
+// Páginas que mostram o projeto ativo e, por isso, levam o id do projeto no caminho.
+export const PROJECT_PAGES = ['dashboard', 'kanban', 'analytics'];
+
+const decode = (segment) => {
+    try { return decodeURIComponent(segment); }
+    catch { return segment; }
+};
+
+export const parseRoute = (pathname) => {
+    const [first, id, section, investorId] = pathname.split('/').filter(Boolean).map(decode);
+    if (first === 'projetos' && id) {
+        if (section === 'investidores' && investorId) return { page: 'dashboard', projectId: id, investorId };
+        return { page: PROJECT_SECTIONS[section] || 'dashboard', projectId: id, investorId: null };
+    }
+    if (first === 'base' && id === 'investidores' && section) return { page: 'master_list', projectId: null, investorId: section };
+    return { page: GLOBAL_PAGES[first] || 'dashboard', projectId: null, investorId: null };
+};
+
+const keyOf = (map, value) => Object.keys(map).find(key => map[key] === value);
+
+export const buildPath = ({ page, projectId = null, investorId = null }) => {
+    if (page === 'master_list') return investorId ? `/base/investidores/${encodeURIComponent(investorId)}` : '/base';
+    if (keyOf(GLOBAL_PAGES, page)) return `/${keyOf(GLOBAL_PAGES, page)}`;
+    if (!projectId) return '/';
+    const projectPath = `/projetos/${encodeURIComponent(projectId)}`;
+    if (investorId) return `${projectPath}/investidores/${encodeURIComponent(investorId)}`;
+    const section = keyOf(PROJECT_SECTIONS, page);
+    return section ? `${projectPath}/${section}` : projectPath;
+};
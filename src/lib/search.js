@@ -0,0 +1,78 @@
+import { INVESTOR_FIELDS, normalizeText } from './investors.js';
+import { isCustomFilterActive, matchesCustomFilters } from './customFields.js';
+
+// --- PESQUISA E FILTROS DA BASE ---
+// Motor partilhado pela Base de Investidores e pelo modal "Adicionar ao projeto". Os filtros são um
+// objeto simples, gravável tal como está nas vistas guardadas (`workspaces/{id}/views`).
+
+export const MULTI_FILTER_FIELDS = ['classificacao', 'tipo', 'setor', 'creditoEquity'];
+
+export const EMPTY_FILTERS = {
+    texto: '',
+    classificacao: [],
+    tipo: [],
+    setor: [],
+    creditoEquity: [],
+    tags: [],
+    campos: {},
+    notaMin: 0,
+    notaMax: 5,
+    foraDoProjeto: '',
+};
+
+// Vistas antigas ou incompletas ganham os valores por omissão dos campos em falta.
+export const normalizeFilters = (filters) => ({ ...EMPTY_FILTERS, ...filters });
+
+// Com `customFields`, os filtros de campos que já foram excluídos (que filterInvestors ignora) não contam.
+export const countActiveFilters = (filters, customFields = null) => {
+    const f = normalizeFilters(filters);
+    const fieldIds = customFields && new Set(customFields.map(field => field.id));
+    return (f.texto.trim() ? 1 : 0)
+        + MULTI_FILTER_FIELDS.filter(field => f[field].length > 0).length
+        + (f.tags.length > 0 ? 1 : 0)
+        + Object.entries(f.campos).filter(([id, value]) => (!fieldIds || fieldIds.has(id)) && isCustomFilterActive(value)).length
+        + (f.notaMin > 0 || f.notaMax < 5 ? 1 : 0)
+        + (f.foraDoProjeto ? 1 : 0);
+};
+
+// Texto pesquisável com todos os campos do investidor (inclui justificativa, emails, etiquetas e campos
+// personalizados), sem acentos.
+// A cache por objeto evita normalizar a base inteira a cada tecla; os listeners criam objetos novos
+// quando os dados mudam, o que a invalida naturalmente.
+const searchTextCache = new WeakMap();
+const searchTextOf = (investor) => {
+    if (!searchTextCache.has(investor)) searchTextCache.set(investor, normalizeText([
+        ...INVESTOR_FIELDS.map(({ key }) => investor[key] ?? ''), ...(investor.tags || []), ...Object.values(investor.campos || {}).flat(),
+    ].join(' ')));
+    return searchTextCache.get(investor);
+};
+
+// Todas as palavras da pesquisa têm de aparecer, em qualquer campo e por qualquer ordem.
+export const matchesText = (investor, texto) => {
+    const terms = normalizeText(texto).split(' ').filter(Boolean);
+    if (terms.length === 0) return true;
+    const haystack = searchTextOf(investor);
+    return terms.every(term => haystack.includes(term));
+};
+
+// `excludedIds` (Set) são os investidores do projeto escolhido em `foraDoProjeto`; `customFields`, as
+// definições dos campos personalizados filtrados em `campos`.
+export const filterInvestors = (investors, filters, excludedIds = null, customFields = []) => {
+    const f = normalizeFilters(filters);
+    return investors.filter(investor => {
+        const nota = Number(investor.nota) || 0;
+        return matchesText(investor, f.texto)
+            && MULTI_FILTER_FIELDS.every(field => f[field].length === 0 || f[field].includes(investor[field]))
+            && (f.tags.length === 0 || (investor.tags || []).some(tag => f.tags.includes(tag)))
+            && matchesCustomFilters(investor, customFields, f.campos)
+            && nota >= f.notaMin && nota <= f.notaMax
+            && !(f.foraDoProjeto && excludedIds?.has(investor.id));
+    });
+};
+
+// Valores distintos de um campo, por ordem alfabética, para as opções dos filtros.
+export const uniqueValues = (investors, field) => [...new Set(investors.map(investor => investor[field]).filter(Boolean))]
+    .sort((a, b) => String(a).localeCompare(String(b), 'pt'));
+
+export const uniqueTags = (investors) => [...new Set(investors.flatMap(investor => investor.tags || []))]
+    .sort((a, b) => a.localeCompare(b, 'pt'));
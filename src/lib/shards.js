@@ -0,0 +1,15 @@
+// --- CARREGAMENTO POR PARTES ---
+// A base é lida em várias consultas por intervalos de id, cada uma com o seu listener: as vistas começam
+// a mostrar investidores quando chega a primeira parte, e uma alteração só volta a enviar a sua parte.
+// Os ids automáticos do Firestore são 20 caracteres aleatórios de [0-9A-Za-z], pela ordem do Firestore
+// (dígitos, maiúsculas, minúsculas); estes limites dividem-nos em 8 partes quase iguais. A primeira e a
+// última parte não têm limite inferior/superior, para que ids escolhidos à mão também fiquem cobertos.
+export const ID_SHARD_BOUNDS = ['8', 'G', 'O', 'W', 'e', 'm', 'u'];
+
+// Intervalos [from, to) de cada parte; null = sem limite.
+export const idShards = (bounds = ID_SHARD_BOUNDS) => [null, ...bounds].map((from, index) => ({ from, to: bounds[index] ?? null }));
+
+export const shardOf = (id, bounds = ID_SHARD_BOUNDS) => bounds.filter(bound => id >= bound).length;
+
+// Índice por id, para juntar dados sem procurar numa lista a cada documento.
+export const indexById = (items) => new Map(items.map(item => [item.id, item]));
@@ -0,0 +1,82 @@
+// --- ETAPAS DO PIPELINE ---
+// Cada projeto define `etapas: [{ nome, cor, tipo }]`, onde `tipo` é 'aberta', 'ganho' ou 'perdido'.
+// As entradas do pipeline guardam o nome da etapa em `status`; projetos antigos, sem `etapas`,
+// usam DEFAULT_STAGES, que correspondem aos status que já existiam.
+
+// Classes completas (e não montadas dinamicamente) para o Tailwind as encontrar no código.
+export const STAGE_COLORS = {
+    gray: { label: 'Cinza', badge: 'bg-gray-600 text-gray-100', header: 'border-gray-500 text-gray-200', swatch: 'bg-gray-500' },
+    blue: { label: 'Azul', badge: 'bg-blue-600 text-blue-100', header: 'border-blue-500 text-blue-200', swatch: 'bg-blue-500' },
+    indigo: { label: 'Índigo', badge: 'bg-indigo-600 text-indigo-100', header: 'border-indigo-500 text-indigo-200', swatch: 'bg-indigo-500' },
+    teal: { label: 'Verde-azulado', badge: 'bg-teal-600 text-teal-100', header: 'border-teal-500 text-teal-200', swatch: 'bg-teal-500' },
+    yellow: { label: 'Amarelo', badge: 'bg-yellow-600 text-yellow-100', header: 'border-yellow-500 text-yellow-200', swatch: 'bg-yellow-500' },
+    orange: { label: 'Laranja', badge: 'bg-orange-600 text-orange-100', header: 'border-orange-500 text-orange-200', swatch: 'bg-orange-500' },
+    purple: { label: 'Roxo', badge: 'bg-purple-600 text-purple-100', header: 'border-purple-500 text-purple-200', swatch: 'bg-purple-500' },
+    pink: { label: 'Rosa', badge: 'bg-pink-600 text-pink-100', header: 'border-pink-500 text-pink-200', swatch: 'bg-pink-500' },
+    green: { label: 'Verde', badge: 'bg-green-600 text-green-100', header: 'border-green-500 text-green-200', swatch: 'bg-green-500' },
+    red: { label: 'Vermelho', badge: 'bg-red-600 text-red-100', header: 'border-red-500 text-red-200', swatch: 'bg-red-500' },
+};
+
+export const STAGE_TYPES = { aberta: 'Em aberto', ganho: 'Ganho (final)', perdido: 'Perdido (final)' };
+
+export const NO_STAGE = 'Sem etapa';
+
+export const DEFAULT_STAGES = [
+    { nome: 'Não Contatado', cor: 'gray', tipo: 'aberta' },
+    { nome: 'Contatado', cor: 'blue', tipo: 'aberta' },
+    { nome: 'Reunião Agendada', cor: 'yellow', tipo: 'aberta' },
+    { nome: 'Em Análise', cor: 'purple', tipo: 'aberta' },
+    { nome: 'Investido', cor: 'green', tipo: 'ganho' },
+    { nome: 'Recusado', cor: 'red', tipo: 'perdido' },
+];
+
+export const STAGE_TEMPLATES = {
+    'Padrão': DEFAULT_STAGES,
+    'Equity': [
+        { nome: 'Não Contatado', cor: 'gray', tipo: 'aberta' },
+        { nome: 'Contatado', cor: 'blue', tipo: 'aberta' },
+        { nome: 'Reunião Agendada', cor: 'yellow', tipo: 'aberta' },
+        { nome: 'Em Análise', cor: 'purple', tipo: 'aberta' },
+        { nome: 'Term Sheet', cor: 'orange', tipo: 'aberta' },
+        { nome: 'Due Diligence', cor: 'teal', tipo: 'aberta' },
+        { nome: 'Investido', cor: 'green', tipo: 'ganho' },
+        { nome: 'Recusado', cor: 'red', tipo: 'perdido' },
+    ],
+    'Crédito': [
+        { nome: 'Não Contatado', cor: 'gray', tipo: 'aberta' },
+        { nome: 'Contatado', cor: 'blue', tipo: 'aberta' },
+        { nome: 'Envio de Informações', cor: 'indigo', tipo: 'aberta' },
+        { nome: 'Em Análise', cor: 'purple', tipo: 'aberta' },
+        { nome: 'Comitê de Crédito', cor: 'orange', tipo: 'aberta' },
+        { nome: 'Aprovado', cor: 'green', tipo: 'ganho' },
+        { nome: 'Recusado', cor: 'red', tipo: 'perdido' },
+    ],
+};
+
+export const getProjectStages = (project) => (project?.etapas?.length ? project.etapas : DEFAULT_STAGES);
+
+// As regras do Firestore não conseguem percorrer `etapas`, por isso os nomes são gravados
+// também em `nomesDasEtapas`, usado para validar o `status` das entradas do pipeline.
+export const withStageNames = (etapas) => ({ etapas, nomesDasEtapas: etapas.map(stage => stage.nome) });
+
+export const findStage = (stages, status) => stages.find(stage => stage.nome === status) || null;
+
+export const stageColor = (stage) => STAGE_COLORS[stage?.cor] || STAGE_COLORS.gray;
+
+// Agrupa as entradas por etapa; as que têm um status que já não existe vão para NO_STAGE.
+export const groupByStage = (stages, projectInvestors) => {
+    const groups = new Map(stages.map(stage => [stage.nome, []]));
+    const orphans = [];
+    projectInvestors.forEach(investor => (groups.get(investor.status) || orphans).push(investor));
+    return { groups, orphans };
+};
+
+// Devolve os erros do editor de etapas (nomes vazios/repetidos), ou null se a lista for válida.
+export const validateStages = (stages) => {
+    if (stages.length === 0) return 'O projeto precisa de pelo menos uma etapa.';
+    const names = stages.map(stage => stage.nome.trim());
+    if (names.some(name => !name)) return 'Todas as etapas precisam de um nome.';
+    if (names.some(name => name === NO_STAGE)) return `"${NO_STAGE}" é reservado.`;
+    if (new Set(names).size !== names.length) return 'Existem etapas com o mesmo nome.';
+    return null;
+};
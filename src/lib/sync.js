@@ -0,0 +1,16 @@
+// --- SINCRONIZAÇÃO (MODO OFFLINE) ---
+// Com a cache persistente do Firestore, uma escrita entra logo na cache local (e nos listeners), mas a
+// promessa só resolve quando o servidor a confirma: sem rede, só quando a ligação voltar. Offline,
+// `queuedWrite` resolve de imediato, com a escrita na fila, e entrega a `onRejected` um erro posterior
+// (ex.: recusada pelas regras ao sincronizar). Com rede comporta-se como a própria escrita.
+export const queuedWrite = (write, { isOnline, onRejected }) => {
+    if (isOnline) return write;
+    write.catch(onRejected);
+    return Promise.resolve();
+};
+
+// Estado mostrado no menu: 'offline', 'syncing' (há escritas por confirmar) ou 'synced'.
+export const syncState = (isOnline, pendingCount) => {
+    if (!isOnline) return 'offline';
+    return pendingCount > 0 ? 'syncing' : 'synced';
+};
@@ -0,0 +1,73 @@
+import { normalizeText } from './investors.js';
+
+// --- TABELAS ---
+// Ordenação por várias colunas, paginação e preferências das tabelas (colunas visíveis, ordenação e
+// linhas por página), guardadas por utilizador no perfil em `preferenciasTabelas.{tabela}`.
+// A ordenação é uma lista de { key, dir }, da coluna principal para as de desempate.
+
+export const PAGE_SIZES = [25, 50, 100, 250];
+
+const isEmpty = (value) => value === null || value === undefined || value === '';
+
+const collator = new Intl.Collator('pt', { numeric: true });
+
+// Normalizado uma vez por linha, antes de ordenar, e não a cada comparação.
+const prepareValue = (value) => {
+    if (isEmpty(value) || typeof value === 'number') return value;
+    if (value instanceof Date) return value.getTime();
+    return normalizeText(value);
+};
+
+const compareValues = (a, b) => (typeof a === 'number' && typeof b === 'number' ? a - b : collator.compare(String(a), String(b)));
+
+// `columns` pode definir `sortValue(row)` (ex.: a posição da etapa em vez do nome). Valores vazios
+// ficam sempre no fim, seja qual for a direção.
+export const sortRows = (rows, sortKeys, columns = []) => {
+    const valueOf = (row, key) => {
+        const column = columns.find(c => c.key === key);
+        return column?.sortValue ? column.sortValue(row) : row[key];
+    };
+    if (!sortKeys?.length) return rows;
+    return rows
+        .map(row => ({ row, values: sortKeys.map(({ key }) => prepareValue(valueOf(row, key))) }))
+        .sort((a, b) => {
+            for (let i = 0; i < sortKeys.length; i++) {
+                const [x, y] = [a.values[i], b.values[i]];
+                if (isEmpty(x) || isEmpty(y)) {
+                    if (isEmpty(x) !== isEmpty(y)) return isEmpty(x) ? 1 : -1;
+                    continue;
+                }
+                const result = compareValues(x, y);
+                if (result !== 0) return sortKeys[i].dir === 'desc' ? -result : result;
+            }
+            return 0;
+        })
+        .map(({ row }) => row);
+};
+
+// Clique simples: ordena só por esta coluna (asc → desc → sem ordenação).
+// Com `additive` (Shift+clique): acrescenta a coluna como desempate, ou alterna/remove-a se já lá estiver.
+export const toggleSort = (sortKeys = [], key, additive = false) => {
+    const current = sortKeys.find(sortKey => sortKey.key === key);
+    const next = !current ? { key, dir: 'asc' } : current.dir === 'asc' ? { key, dir: 'desc' } : null;
+    if (!additive) return next ? [next] : [];
+    if (!current) return [...sortKeys, next];
+    return next ? sortKeys.map(sortKey => (sortKey.key === key ? next : sortKey)) : sortKeys.filter(sortKey => sortKey.key !== key);
+};
+
+export const paginate = (rows, page, pageSize) => {
+    const pageCount = Math.max(1, Math.ceil(rows.length / pageSize));
+    const safePage = Math.min(Math.max(page, 1), pageCount);
+    return { rows: rows.slice((safePage - 1) * pageSize, safePage * pageSize), page: safePage, pageCount };
+};
+
+// Junta as preferências guardadas aos valores por omissão, ignorando colunas que já não existem.
+export const resolveTablePrefs = (saved, defaults, columnKeys) => {
+    const prefs = { ...defaults, ...saved };
+    const colunas = (prefs.colunas || []).filter(key => columnKeys.includes(key));
+    return {
+        colunas: colunas.length ? colunas : defaults.colunas,
+        ordenacao: (prefs.ordenacao || []).filter(({ key }) => columnKeys.includes(key)),
+        porPagina: PAGE_SIZES.includes(prefs.porPagina) ? prefs.porPagina : defaults.porPagina,
+    };
+};
@@ -0,0 +1,42 @@
+import { toDate } from './dates.js';
+
+// --- TAREFAS DE FOLLOW-UP ---
+// Cada tarefa liga um investidor a um projeto: { projectId, investorId, descricao, vencimento,
+// responsavel: { uid, nome }, concluida }. `vencimento` é uma data sem hora (meia-noite local).
+
+export const TASK_GROUPS = {
+    overdue: 'Atrasadas',
+    today: 'Hoje',
+    week: 'Esta semana',
+    later: 'Mais tarde',
+    done: 'Concluídas',
+};
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+export const classifyTask = (task, now = new Date()) => {
+    if (task.concluida) return 'done';
+    const due = toDate(task.vencimento);
+    if (!due) return 'later';
+    const today = startOfDay(now);
+    const dueDay = startOfDay(due);
+    if (dueDay < today) return 'overdue';
+    if (dueDay.getTime() === today.getTime()) return 'today';
+    const endOfWeek = new Date(today);
+    endOfWeek.setDate(today.getDate() + (7 - ((today.getDay() + 6) % 7))); // próxima segunda-feira
+    return dueDay < endOfWeek ? 'week' : 'later';
+};
+
+// Agrupa as tarefas por TASK_GROUPS, cada grupo ordenado por vencimento.
+export const groupTasks = (tasks, now = new Date()) => {
+    const groups = Object.fromEntries(Object.keys(TASK_GROUPS).map(key => [key, []]));
+    tasks.forEach(task => groups[classifyTask(task, now)].push(task));
+    const byDue = (a, b) => (toDate(a.vencimento)?.getTime() ?? Infinity) - (toDate(b.vencimento)?.getTime() ?? Infinity);
+    Object.values(groups).forEach(list => list.sort(byDue));
+    return groups;
+};
+
+// Conjunto de ids de investidores com tarefas atrasadas no projeto.
+export const overdueInvestorIds = (tasks, projectId, now = new Date()) => new Set(
+    tasks.filter(task => task.projectId === projectId && classifyTask(task, now) === 'overdue').map(task => task.investorId),
+);
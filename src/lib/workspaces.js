@@ -0,0 +1,32 @@
+// --- ESPAÇOS DE TRABALHO ---
+// Os dados da equipa ficam em `artifacts/{appId}/workspaces/{workspaceId}/...` (investors, projects, tasks).
+// Cada membro tem um documento em `members/{uid}` com o seu papel; o perfil `users/{uid}` guarda
+// a lista de espaços a que o utilizador pertence. Convites pendentes ficam em `invitations`, pelo e-mail.
+
+export const ROLES = {
+    admin: 'Administrador',
+    editor: 'Editor',
+    viewer: 'Leitor',
+};
+
+export const ROLE_DESCRIPTIONS = {
+    admin: 'Gere membros, convites e todos os projetos.',
+    editor: 'Edita a base, os projetos e os pipelines a que tem acesso.',
+    viewer: 'Só consulta os projetos a que tem acesso (ex.: fundadores, parceiros).',
+};
+
+export const isAdmin = (role) => role === 'admin';
+
+export const canEdit = (role) => role === 'admin' || role === 'editor';
+
+export const normalizeEmail = (email) => (email || '').trim().toLowerCase();
+
+// Projetos sem `membros` (ou com a lista vazia) são visíveis para todo o espaço; os restantes
+// só para os membros listados e para os administradores.
+export const canAccessProject = (project, member) => {
+    if (!member) return false;
+    if (isAdmin(member.papel) || !project.membros?.length) return true;
+    return project.membros.includes(member.uid);
+};
+
+export const memberLabel = (member) => member?.nome || member?.email || 'Membro removido';
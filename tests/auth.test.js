@@ -0,0 +1,30 @@
+import { describe, expect, it } from 'vitest';
+import { authErrorMessage, isAllowedEmail, needsEmailVerification, parseAllowedDomains } from '../src/lib/auth.js';
+
+describe('autenticação', () => {
+    it('traduz os códigos do Firebase Auth e nunca mostra um código cru', () => {
+        expect(authErrorMessage({ code: 'auth/wrong-password' })).toBe('E-mail ou senha incorretos.');
+        expect(authErrorMessage({ code: 'auth/domain-not-allowed' })).toBe('Só são aceites contas com e-mail da empresa.');
+        expect(authErrorMessage({ code: 'auth/desconhecido' })).toBe('Ocorreu um erro. Tente novamente.');
+        expect(authErrorMessage(undefined)).toBe('Ocorreu um erro. Tente novamente.');
+    });
+
+    it('lê a lista de domínios aceites, sem espaços, arrobas nem entradas vazias', () => {
+        expect(parseAllowedDomains(' Pacta.com.br, @pacta.vc ,, ')).toEqual(['pacta.com.br', 'pacta.vc']);
+        expect(parseAllowedDomains(undefined)).toEqual([]);
+    });
+
+    it('aceita qualquer email sem domínios definidos e compara o domínio sem distinguir maiúsculas', () => {
+        const domains = ['pacta.com.br'];
+        expect(isAllowedEmail('qualquer@gmail.com', [])).toBe(true);
+        expect(isAllowedEmail(' Ana@PACTA.com.br ', domains)).toBe(true);
+        expect(isAllowedEmail('ana@pacta.com.br.falso.com', domains)).toBe(false);
+        expect(isAllowedEmail('', domains)).toBe(false);
+    });
+
+    it('só pede a verificação do email a contas por verificar', () => {
+        expect(needsEmailVerification({ emailVerified: false })).toBe(true);
+        expect(needsEmailVerification({ emailVerified: true })).toBe(false);
+        expect(needsEmailVerification(null)).toBe(false);
+    });
+});
@@ -0,0 +1,30 @@
+import { describe, expect, it, vi } from 'vitest';
+import { MAX_BATCH_SIZE, commitInChunks } from '../src/lib/batch.js';
+
+// Lotes falsos: cada commit fica pendente até ser resolvido à mão, como offline.
+const batches = vi.hoisted(() => []);
+vi.mock('firebase/firestore', () => ({
+    writeBatch: () => {
+        const batch = { operations: [] };
+        batch.set = (item) => batch.operations.push(item);
+        batch.commit = vi.fn(() => new Promise(resolve => { batch.resolve = resolve; }));
+        batches.push(batch);
+        return batch;
+    },
+}));
+
+describe('gravação em lotes', () => {
+    it('envia todos os lotes sem esperar que o primeiro seja confirmado', async () => {
+        const items = Array.from({ length: MAX_BATCH_SIZE * 2 + 1 }, (_, index) => index);
+        const onProgress = vi.fn();
+        const done = commitInChunks(null, items, (batch, item) => batch.set(item), onProgress);
+
+        expect(batches.map(batch => batch.operations.length)).toEqual([MAX_BATCH_SIZE, MAX_BATCH_SIZE, 1]);
+        batches.forEach(batch => expect(batch.commit).toHaveBeenCalledTimes(1));
+        expect(onProgress).not.toHaveBeenCalled();
+
+        batches.slice().reverse().forEach(batch => batch.resolve());
+        await done;
+        expect(onProgress.mock.calls).toEqual([[1, items.length], [MAX_BATCH_SIZE + 1, items.length], [items.length, items.length]]);
+    });
+});
@@ -0,0 +1,29 @@
+import { describe, expect, it } from 'vitest';
+import { contactLabel, importedContacts, sanitizeContact, sortContacts, validateContact } from '../src/lib/contacts.js';
+
+describe('contactos dos investidores', () => {
+    it('exige nome, email ou telefone e valida os formatos', () => {
+        expect(validateContact({ cargo: 'Analista' })).toHaveProperty('nome');
+        expect(validateContact({ email: 'ri@alfa.com' })).toEqual({});
+        expect(Object.keys(validateContact({ nome: 'Ana', email: 'ana@', linkedin: 'exemplo.com/ana' })).sort()).toEqual(['email', 'linkedin']);
+    });
+
+    it('normaliza os campos ao gravar', () => {
+        expect(sanitizeContact({ nome: ' Ana Reis ', email: 'Ana@Alfa.com ', linkedin: 'linkedin.com/in/ana' }))
+            .toEqual({ nome: 'Ana Reis', cargo: '', email: 'ana@alfa.com', telefone: '', linkedin: 'https://linkedin.com/in/ana', principal: false });
+    });
+
+    it('ordena com o principal primeiro e usa o email quando não há nome', () => {
+        const contacts = [{ id: 'b', nome: 'Bruno' }, { id: 'x', email: 'ri@alfa.com' }, { id: 'c', nome: 'Carla', principal: true }];
+        expect(sortContacts(contacts).map(c => c.id)).toEqual(['c', 'b', 'x']);
+        expect(contactLabel(contacts[1])).toBe('ri@alfa.com');
+    });
+
+    it('converte os campos planos em contactos com ids fixos, só com os valores preenchidos', () => {
+        expect(importedContacts({ email1: 'ri@alfa.com', email2: 'ana@alfa.com', telefone: '' })).toEqual([
+            { id: 'importado-1', data: { email: 'ri@alfa.com' } },
+            { id: 'importado-2', data: { email: 'ana@alfa.com' } },
+        ]);
+        expect(importedContacts({ email1: '', telefone: '' })).toEqual([]);
+    });
+});
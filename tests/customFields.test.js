@@ -0,0 +1,68 @@
+import { describe, expect, it } from 'vitest';
+import { customValueToText, formatCustomValue, matchesCustomFilter, mergeCustomValues, parseCustomValue, validateCustomField } from '../src/lib/customFields.js';
+import { buildImportOperations, buildImportPreview, guessColumnMapping } from '../src/lib/importer.js';
+import { investorsToRows } from '../src/lib/export.js';
+
+const TICKET = { id: 'ticket', nome: 'Ticket mínimo', tipo: 'moeda', opcoes: [] };
+const FOCO = { id: 'foco', nome: 'Foco geográfico', tipo: 'multipla', opcoes: ['Brasil', 'LatAm', 'Europa'] };
+const ESG = { id: 'esg', nome: 'Mandato ESG', tipo: 'selecao', opcoes: ['Sim', 'Não'] };
+const VINTAGE = { id: 'vintage', nome: 'Vintage', tipo: 'data', opcoes: [] };
+
+describe('campos personalizados', () => {
+    it('valida a definição, sem nomes repetidos e com opções nas seleções', () => {
+        expect(validateCustomField({ id: 'x', nome: 'ticket MÍNIMO', tipo: 'texto' }, [TICKET])).toHaveProperty('nome');
+        expect(validateCustomField({ id: 'y', nome: 'Regiões', tipo: 'multipla', opcoes: [] })).toHaveProperty('opcoes');
+        expect(validateCustomField(ESG, [TICKET, ESG])).toEqual({});
+    });
+
+    it('recusa nomes de campos fixos da ficha, que a importação já reconhece', () => {
+        ['Setor', 'setores', 'Crédito/Equity', 'nomeFantasia', 'Nota global'].forEach(nome => {
+            expect(validateCustomField({ id: 'z', nome, tipo: 'texto' })).toHaveProperty('nome');
+        });
+    });
+
+    it('converte o texto conforme o tipo e explica os valores inválidos', () => {
+        expect(parseCustomValue(TICKET, 'R$ 1.500.000,50').value).toBe(1500000.5);
+        expect(parseCustomValue(TICKET, '2.000.000').value).toBe(2000000);
+        expect(parseCustomValue(TICKET, 'muito').error).toMatch(/Ticket mínimo/);
+        expect(parseCustomValue(FOCO, 'brasil; europa').value).toEqual(['Brasil', 'Europa']);
+        expect(parseCustomValue(FOCO, 'Brasil, Ásia').error).toMatch(/"Ásia"/);
+        expect(parseCustomValue(ESG, 'sim').value).toBe('Sim');
+        expect(parseCustomValue(VINTAGE, '05/03/2019').value).toBe('2019-03-05');
+        expect(parseCustomValue(VINTAGE, '31/02/2019').error).toBeTruthy();
+        expect(parseCustomValue(VINTAGE, '').value).toBeNull();
+    });
+
+    it('mostra e exporta valores que voltam a ser importados iguais', () => {
+        expect(formatCustomValue(FOCO, ['Brasil', 'LatAm'])).toBe('Brasil, LatAm');
+        expect(parseCustomValue(TICKET, customValueToText(TICKET, 1.25)).value).toBe(1.25);
+        expect(parseCustomValue(FOCO, customValueToText(FOCO, ['Brasil', 'LatAm'])).value).toEqual(['Brasil', 'LatAm']);
+    });
+
+    it('filtra por intervalo, opções, datas e texto', () => {
+        expect(matchesCustomFilter(TICKET, 5000000, { min: '1000000', max: '' })).toBe(true);
+        expect(matchesCustomFilter(TICKET, undefined, { min: '1000000', max: '' })).toBe(false);
+        expect(matchesCustomFilter(TICKET, undefined, { min: '', max: '' })).toBe(true);
+        expect(matchesCustomFilter(FOCO, ['Brasil', 'LatAm'], ['Europa', 'LatAm'])).toBe(true);
+        expect(matchesCustomFilter(VINTAGE, '2019-03-05', { de: '2020-01-01', ate: '' })).toBe(false);
+        expect(matchesCustomFilter({ id: 't', nome: 'Notas', tipo: 'texto' }, 'Já investiu num concorrente', 'concorrente')).toBe(true);
+    });
+
+    it('atualizar substitui, completar só preenche os vazios', () => {
+        expect(mergeCustomValues({ esg: 'Não' }, { esg: 'Sim', ticket: 10 }, 'update')).toEqual({ 'campos.esg': 'Sim', 'campos.ticket': 10 });
+        expect(mergeCustomValues({ esg: 'Não' }, { esg: 'Sim', ticket: 10 }, 'merge')).toEqual({ 'campos.ticket': 10 });
+    });
+
+    it('importa e exporta colunas com o nome do campo', () => {
+        const fields = [TICKET, ESG];
+        const rows = [['NomeFantasia', 'Mandato ESG', 'Ticket mínimo'], ['Aurora', 'sim', '2.000.000'], ['Boreal', 'talvez', '']];
+        const mapping = guessColumnMapping(rows[0], fields);
+        expect(mapping).toMatchObject({ 'campo:esg': 1, 'campo:ticket': 2 });
+        const existing = [{ id: 'b1', nomeFantasia: 'Aurora', campos: { ticket: 1000000 } }];
+        const preview = buildImportPreview(rows.slice(1), mapping, existing, fields);
+        expect(preview[0].data.campos).toEqual({ esg: 'Sim', ticket: 2000000 });
+        expect(preview[1].errors).toEqual(['Mandato ESG: "talvez" não é uma das opções.']);
+        expect(buildImportOperations([preview[0]], () => 'merge')).toEqual([{ type: 'update', id: 'b1', data: { 'campos.esg': 'Sim' } }]);
+        expect(investorsToRows([{ nomeFantasia: 'Aurora', campos: { esg: 'Sim' } }], fields)[1].slice(-2)).toEqual(['', 'Sim']);
+    });
+});
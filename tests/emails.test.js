@@ -0,0 +1,50 @@
+import { describe, expect, it } from 'vitest';
+import { buildEml, buildMailtoUrl, buildMbox, defaultRecipient, emailInteractionNotes, mergeValues, renderEmail, renderTemplate, validateEmailTemplate } from '../src/lib/emails.js';
+
+const INVESTOR = { id: 'a', nomeFantasia: 'Aurora Capital', email1: 'contato@aurora.com' };
+const CONTACTS = [
+    { id: 'importado-1', nome: '', email: 'ri@aurora.com', principal: false },
+    { id: 'socio', nome: 'Joana Lima', email: 'joana@aurora.com', principal: true },
+];
+
+describe('emails a investidores', () => {
+    it('escolhe o contacto principal com email, senão o email da ficha', () => {
+        expect(defaultRecipient(INVESTOR, CONTACTS)).toEqual({ email: 'joana@aurora.com', contact: CONTACTS[1] });
+        expect(defaultRecipient(INVESTOR, [{ id: 'x', nome: 'Sem email', email: '', principal: true }])).toEqual({ email: 'contato@aurora.com', contact: null });
+    });
+
+    it('preenche os campos de mesclagem e avisa dos que ficaram vazios', () => {
+        const values = mergeValues({ investor: INVESTOR, contact: CONTACTS[1], project: { name: 'Série A' }, author: { nome: 'Ana' } });
+        expect(renderEmail({ assunto: '{{projeto}} · {{ nomeFantasia }}', corpo: 'Olá {{primeiroNome}},\n{{remetente}}' }, values))
+            .toEqual({ subject: 'Série A · Aurora Capital', body: 'Olá Joana,\nAna', missing: [] });
+        const withoutContact = mergeValues({ investor: INVESTOR, contact: CONTACTS[0] });
+        expect(renderTemplate('Olá {{contato}} de {{nomeFantasia}} ({{Projeto}}) {{desconhecido}}', withoutContact))
+            .toEqual({ text: 'Olá  de Aurora Capital () {{desconhecido}}', missing: ['contato', 'Projeto', 'desconhecido'] });
+    });
+
+    it('gera o mailto: com quebras de linha CRLF e o .eml com cabeçalhos codificados', () => {
+        expect(buildMailtoUrl({ to: 'joana@aurora.com', subject: 'Série A', body: 'Olá\nJoana' }))
+            .toBe('mailto:joana@aurora.com?subject=S%C3%A9rie%20A&body=Ol%C3%A1%0D%0AJoana');
+        const eml = buildEml({ to: 'joana@aurora.com', subject: 'Série A', body: 'Olá', date: new Date('2026-01-02T10:00:00Z') });
+        expect(eml.split('\r\n')).toEqual([
+            'To: joana@aurora.com', `Subject: =?UTF-8?B?${Buffer.from('Série A').toString('base64')}?=`, 'Date: Fri, 02 Jan 2026 10:00:00 GMT',
+            'X-Unsent: 1', 'MIME-Version: 1.0', 'Content-Type: text/plain; charset=UTF-8', 'Content-Transfer-Encoding: base64', '', Buffer.from('Olá').toString('base64'),
+        ]);
+    });
+
+    it('junta os emails em lote num só ficheiro mbox', () => {
+        const date = new Date('2026-01-02T10:00:00Z');
+        const emls = ['joana@aurora.com', 'ri@beta.com'].map(to => buildEml({ to, subject: 'Série A', body: 'Olá', date }));
+        const mbox = buildMbox(emls, date);
+        expect(mbox).not.toContain('\r');
+        const messages = mbox.split(/^From - .*$/m).slice(1);
+        expect(mbox.match(/^From - .*$/gm)).toEqual(['From - Fri Jan 02 10:00:00 2026', 'From - Fri Jan 02 10:00:00 2026']);
+        expect(messages.map(message => message.trim().split('\n')[0])).toEqual(['To: joana@aurora.com', 'To: ri@beta.com']);
+    });
+
+    it('regista o texto final na interação e valida os modelos', () => {
+        expect(emailInteractionNotes({ to: 'joana@aurora.com', subject: 'Série A', body: 'Olá' })).toBe('Para: joana@aurora.com\nAssunto: Série A\n\nOlá');
+        expect(validateEmailTemplate({ nome: ' ', assunto: 'x' })).toHaveProperty('nome');
+        expect(validateEmailTemplate({ nome: 'Vazio', assunto: '', corpo: ' ' })).toHaveProperty('corpo');
+    });
+});
@@ -0,0 +1,29 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_APP_ID, DEMO_CONFIG, loadFirebaseSettings } from '../src/lib/firebaseConfig.js';
+
+const ENV = { VITE_FIREBASE_API_KEY: 'chave', VITE_FIREBASE_PROJECT_ID: 'investidores', VITE_FIREBASE_AUTH_DOMAIN: '' };
+
+describe('configuração do Firebase', () => {
+    it('a configuração injetada tem prioridade sobre as variáveis VITE_FIREBASE_*', () => {
+        const injected = { apiKey: 'producao', projectId: 'pacta-prod' };
+        expect(loadFirebaseSettings({ injectedConfig: JSON.stringify(injected), injectedAppId: 'pacta', env: { ...ENV, VITE_APP_ID: 'local' } }))
+            .toEqual({ config: injected, appId: 'pacta', emulators: null });
+    });
+
+    it('lê as variáveis de ambiente, sem as vazias, e usa o appId por omissão', () => {
+        expect(loadFirebaseSettings({ env: ENV })).toEqual({ config: { apiKey: 'chave', projectId: 'investidores' }, appId: DEFAULT_APP_ID, emulators: null });
+    });
+
+    it('com os emuladores e sem projeto, usa o projeto de demonstração', () => {
+        expect(loadFirebaseSettings({ env: { VITE_USE_EMULATORS: 'true', VITE_FIRESTORE_EMULATOR_HOST: 'localhost:8181' } })).toEqual({
+            config: DEMO_CONFIG,
+            appId: DEFAULT_APP_ID,
+            emulators: { firestoreHost: 'localhost', firestorePort: 8181, authUrl: 'http://127.0.0.1:9099' },
+        });
+    });
+
+    it('explica a configuração em falta ou incompleta', () => {
+        expect(() => loadFirebaseSettings({ env: {} })).toThrow(/não foi encontrada/);
+        expect(() => loadFirebaseSettings({ env: { VITE_FIREBASE_PROJECT_ID: 'investidores' } })).toThrow(/incompleta/);
+    });
+});
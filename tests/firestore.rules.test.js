@@ -0,0 +1,233 @@
+import { afterAll, beforeAll, beforeEach, describe, it } from 'vitest';
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { collection, deleteDoc, doc, getDoc, getDocs, setDoc, updateDoc, writeBatch } from 'firebase/firestore';
+import { APP_ID, USERS, WORKSPACE_ID, firestoreAs, seedWorkspace, setupEnvironment, workspaceRef } from './helpers.js';
+
+let testEnv;
+
+beforeAll(async () => { testEnv = await setupEnvironment(); });
+afterAll(async () => { await testEnv?.cleanup(); });
+beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await seedWorkspace(testEnv);
+});
+
+const rootAs = (user) => workspaceRef(firestoreAs(testEnv, user));
+
+describe('isolamento do espaço de trabalho', () => {
+    it('nega acesso a quem não tem sessão ou não é membro', async () => {
+        await assertFails(getDocs(collection(rootAs(null), 'investors')));
+        await assertFails(getDocs(collection(rootAs(USERS.outsider), 'investors')));
+        await assertFails(setDoc(doc(rootAs(USERS.outsider), 'investors', 'x'), { nomeFantasia: 'Intruso' }));
+    });
+
+    it('nega acesso a membros com o e-mail por verificar', async () => {
+        const unverified = workspaceRef(firestoreAs(testEnv, USERS.editor, { emailVerified: false }));
+        await assertFails(getDocs(collection(unverified, 'investors')));
+        await assertFails(getDoc(doc(firestoreAs(testEnv, USERS.editor, { emailVerified: false }), 'artifacts', APP_ID, 'users', USERS.editor.uid)));
+    });
+
+    it('deixa qualquer membro ler a base e os projetos', async () => {
+        for (const user of [USERS.admin, USERS.editor, USERS.viewer]) {
+            await assertSucceeds(getDocs(collection(rootAs(user), 'investors')));
+            await assertSucceeds(getDocs(collection(rootAs(user), 'projects')));
+        }
+    });
+
+    it('só deixa cada utilizador ler e gravar o seu próprio perfil', async () => {
+        const profile = (user, uid) => doc(firestoreAs(testEnv, user), 'artifacts', APP_ID, 'users', uid);
+        await assertSucceeds(setDoc(profile(USERS.editor, USERS.editor.uid), { workspaces: [WORKSPACE_ID] }));
+        await assertFails(getDoc(profile(USERS.outsider, USERS.editor.uid)));
+        await assertFails(setDoc(profile(USERS.outsider, USERS.editor.uid), { workspaces: [] }));
+    });
+});
+
+describe('papéis', () => {
+    it('o leitor não grava na base, no pipeline nem nas tarefas', async () => {
+        const root = rootAs(USERS.viewer);
+        await assertFails(setDoc(doc(root, 'investors', 'novo'), { nomeFantasia: 'Novo' }));
+        await assertFails(updateDoc(doc(root, 'projects', 'aberto', 'pipeline', 'inv-1'), { status: 'Em Análise' }));
+        await assertFails(setDoc(doc(root, 'tasks', 't1'), { descricao: 'Ligar', projectId: 'aberto', investorId: 'inv-1', vencimento: new Date(), concluida: false }));
+    });
+
+    it('o editor grava na base e nas tarefas', async () => {
+        const root = rootAs(USERS.editor);
+        await assertSucceeds(setDoc(doc(root, 'investors', 'novo'), { nomeFantasia: 'Novo' }));
+        await assertSucceeds(setDoc(doc(root, 'tasks', 't1'), { descricao: 'Ligar', projectId: 'aberto', investorId: 'inv-1', vencimento: new Date(), concluida: false }));
+    });
+
+    it('só administradores alteram papéis', async () => {
+        await assertFails(updateDoc(doc(rootAs(USERS.editor), 'members', USERS.editor.uid), { papel: 'admin' }));
+        await assertFails(updateDoc(doc(rootAs(USERS.admin), 'members', USERS.viewer.uid), { papel: 'dono' }));
+        await assertSucceeds(updateDoc(doc(rootAs(USERS.admin), 'members', USERS.viewer.uid), { papel: 'editor' }));
+    });
+
+    it('cada membro muda o próprio nome, mas não o dos outros', async () => {
+        await assertSucceeds(updateDoc(doc(rootAs(USERS.viewer), 'members', USERS.viewer.uid), { nome: 'Carla Fundadora' }));
+        await assertFails(updateDoc(doc(rootAs(USERS.viewer), 'members', USERS.viewer.uid), { nome: 'Carla', papel: 'admin' }));
+        await assertFails(updateDoc(doc(rootAs(USERS.viewer), 'members', USERS.editor.uid), { nome: 'Outro' }));
+    });
+
+    it('qualquer membro pode sair, mas só administradores removem outros', async () => {
+        await assertFails(deleteDoc(doc(rootAs(USERS.editor), 'members', USERS.viewer.uid)));
+        await assertSucceeds(deleteDoc(doc(rootAs(USERS.viewer), 'members', USERS.viewer.uid)));
+        await assertSucceeds(deleteDoc(doc(rootAs(USERS.admin), 'members', USERS.editor.uid)));
+    });
+});
+
+describe('convites e criação de espaços', () => {
+    const invitationRef = (db, email = USERS.outsider.email) => doc(db, 'artifacts', APP_ID, 'invitations', `${WORKSPACE_ID}_${email}`);
+    const invitation = (papel) => ({ workspaceId: WORKSPACE_ID, workspaceNome: 'Pacta', email: USERS.outsider.email, papel, criadoEm: new Date() });
+    const member = (papel) => ({ uid: USERS.outsider.uid, email: USERS.outsider.email, papel, entrouEm: new Date() });
+    const joinAs = (papel) => setDoc(doc(rootAs(USERS.outsider), 'members', USERS.outsider.uid), member(papel));
+    // Como acceptInvitation: entra e apaga o convite no mesmo lote.
+    const acceptAs = (papel) => {
+        const db = firestoreAs(testEnv, USERS.outsider);
+        const batch = writeBatch(db);
+        batch.set(doc(workspaceRef(db), 'members', USERS.outsider.uid), member(papel));
+        batch.delete(invitationRef(db));
+        return batch.commit();
+    };
+
+    it('só administradores convidam', async () => {
+        await assertFails(setDoc(invitationRef(firestoreAs(testEnv, USERS.editor)), invitation('editor')));
+        await assertSucceeds(setDoc(invitationRef(firestoreAs(testEnv, USERS.admin)), invitation('editor')));
+    });
+
+    it('o id do convite tem de corresponder ao espaço e ao e-mail', async () => {
+        await assertFails(setDoc(doc(firestoreAs(testEnv, USERS.admin), 'artifacts', APP_ID, 'invitations', 'qualquer'), invitation('editor')));
+    });
+
+    it('sem convite ninguém entra num espaço', async () => {
+        await assertFails(joinAs('viewer'));
+    });
+
+    it('o convidado entra com o papel do convite e nunca com outro', async () => {
+        await setDoc(invitationRef(firestoreAs(testEnv, USERS.admin)), invitation('viewer'));
+        await assertSucceeds(getDoc(invitationRef(firestoreAs(testEnv, USERS.outsider))));
+        await assertFails(acceptAs('admin'));
+        await assertSucceeds(acceptAs('viewer'));
+        await assertSucceeds(getDocs(collection(rootAs(USERS.outsider), 'investors')));
+    });
+
+    it('o convite é gasto ao entrar e não serve para voltar depois de removido', async () => {
+        await setDoc(invitationRef(firestoreAs(testEnv, USERS.admin)), invitation('editor'));
+        await assertFails(joinAs('editor'));
+        await assertSucceeds(acceptAs('editor'));
+        await assertSucceeds(deleteDoc(doc(rootAs(USERS.admin), 'members', USERS.outsider.uid)));
+        await assertFails(joinAs('editor'));
+    });
+
+    it('quem cria um espaço entra como administrador no mesmo lote', async () => {
+        const db = firestoreAs(testEnv, USERS.outsider);
+        const root = workspaceRef(db, 'novo-espaco');
+        const batch = writeBatch(db);
+        batch.set(root, { nome: 'Outra Gestora', criadoEm: new Date(), criadoPor: USERS.outsider.uid });
+        batch.set(doc(root, 'members', USERS.outsider.uid), { uid: USERS.outsider.uid, email: USERS.outsider.email, papel: 'admin', entrouEm: new Date() });
+        await assertSucceeds(batch.commit());
+    });
+
+    it('ninguém se torna administrador de um espaço que já existe', async () => {
+        await assertFails(joinAs('admin'));
+    });
+});
+
+describe('acesso por projeto', () => {
+    it('o pipeline de um projeto restrito só é visível aos seus membros e aos administradores', async () => {
+        const pipeline = (user) => getDocs(collection(rootAs(user), 'projects', 'restrito', 'pipeline'));
+        await assertSucceeds(pipeline(USERS.editor));
+        await assertSucceeds(pipeline(USERS.admin));
+        await assertFails(pipeline(USERS.viewer));
+    });
+
+    it('só administradores excluem investidores definitivamente', async () => {
+        await assertFails(deleteDoc(doc(rootAs(USERS.editor), 'investors', 'inv-2')));
+        await assertSucceeds(deleteDoc(doc(rootAs(USERS.admin), 'investors', 'inv-2')));
+    });
+
+    it('só administradores mudam quem tem acesso', async () => {
+        await assertFails(updateDoc(doc(rootAs(USERS.editor), 'projects', 'aberto'), { membros: [USERS.editor.uid] }));
+        await assertFails(setDoc(doc(rootAs(USERS.editor), 'projects', 'novo'), { name: 'Privado', membros: [USERS.editor.uid] }));
+        await assertSucceeds(updateDoc(doc(rootAs(USERS.editor), 'projects', 'aberto'), { name: 'Série A (2026)' }));
+        await assertSucceeds(updateDoc(doc(rootAs(USERS.admin), 'projects', 'aberto'), { membros: [USERS.viewer.uid] }));
+    });
+});
+
+describe('validação dos documentos', () => {
+    it('investidores precisam de nomeFantasia e de uma nota entre 0 e 5', async () => {
+        const root = rootAs(USERS.editor);
+        await assertFails(setDoc(doc(root, 'investors', 'x'), { nomeFantasia: '   ' }));
+        await assertFails(setDoc(doc(root, 'investors', 'x'), { setor: 'Agro' }));
+        await assertFails(setDoc(doc(root, 'investors', 'x'), { nomeFantasia: 'Gama', nota: 7 }));
+        await assertFails(updateDoc(doc(root, 'investors', 'inv-1'), { nomeFantasia: '' }));
+        await assertSucceeds(setDoc(doc(root, 'investors', 'x'), { nomeFantasia: 'Gama', nota: 0 }));
+    });
+
+    it('notaDePrioridade tem de ser um inteiro entre 1 e 5', async () => {
+        const entry = doc(rootAs(USERS.editor), 'projects', 'aberto', 'pipeline', 'inv-1');
+        await assertFails(updateDoc(entry, { notaDePrioridade: 0 }));
+        await assertFails(updateDoc(entry, { notaDePrioridade: 6 }));
+        await assertFails(updateDoc(entry, { notaDePrioridade: 2.5 }));
+        await assertSucceeds(updateDoc(entry, { notaDePrioridade: 5 }));
+    });
+
+    it('o status tem de ser uma das etapas do projeto', async () => {
+        const entry = doc(rootAs(USERS.editor), 'projects', 'aberto', 'pipeline', 'inv-1');
+        await assertFails(updateDoc(entry, { status: 'Fechado' }));
+        await assertSucceeds(updateDoc(entry, { status: 'Em Análise' }));
+    });
+
+    it('entradas numa etapa removida continuam editáveis sem mudar de etapa', async () => {
+        await testEnv.withSecurityRulesDisabled(context => setDoc(
+            doc(workspaceRef(context.firestore()), 'projects', 'aberto', 'pipeline', 'inv-2'),
+            { status: 'Etapa Antiga', notaDePrioridade: 3, historicoDeInteracoes: [], historicoDeAlteracoes: [] },
+        ));
+        await assertSucceeds(updateDoc(doc(rootAs(USERS.editor), 'projects', 'aberto', 'pipeline', 'inv-2'), { notaDePrioridade: 4 }));
+    });
+
+    it('projetos precisam de nome e de nomesDasEtapas coerente com etapas', async () => {
+        const root = rootAs(USERS.editor);
+        await assertFails(setDoc(doc(root, 'projects', 'x'), { name: '' }));
+        await assertFails(setDoc(doc(root, 'projects', 'x'), { name: 'Sem nomes', etapas: [{ nome: 'A', cor: 'gray', tipo: 'aberta' }] }));
+        await assertSucceeds(setDoc(doc(root, 'projects', 'x'), { name: 'Com nomes', etapas: [{ nome: 'A', cor: 'gray', tipo: 'aberta' }], nomesDasEtapas: ['A'] }));
+    });
+
+    it('renomear uma etapa e mover as entradas no mesmo lote é permitido', async () => {
+        const db = firestoreAs(testEnv, USERS.editor);
+        const root = workspaceRef(db);
+        const batch = writeBatch(db);
+        batch.update(doc(root, 'projects', 'aberto'), { etapas: [{ nome: 'Primeiro Contacto', cor: 'blue', tipo: 'aberta' }], nomesDasEtapas: ['Primeiro Contacto'] });
+        batch.update(doc(root, 'projects', 'aberto', 'pipeline', 'inv-1'), { status: 'Primeiro Contacto' });
+        await assertSucceeds(batch.commit());
+    });
+
+    it('vistas guardadas precisam de nome e filtros, e só quem edita as grava', async () => {
+        const view = { nome: 'Family offices agro', filtros: { setor: ['Agro'], classificacao: ['Family Office'] } };
+        await assertFails(setDoc(doc(rootAs(USERS.viewer), 'views', 'v1'), view));
+        await assertFails(setDoc(doc(rootAs(USERS.editor), 'views', 'v1'), { ...view, nome: ' ' }));
+        await assertSucceeds(setDoc(doc(rootAs(USERS.editor), 'views', 'v1'), view));
+        await assertSucceeds(getDoc(doc(rootAs(USERS.viewer), 'views', 'v1')));
+    });
+
+    it('modelos de email precisam de nome, assunto e texto, e só quem edita os grava', async () => {
+        const template = { nome: 'Primeiro contacto', assunto: '{{projeto}}', corpo: 'Olá {{primeiroNome}}' };
+        await assertFails(setDoc(doc(rootAs(USERS.viewer), 'emailTemplates', 'm1'), template));
+        await assertFails(setDoc(doc(rootAs(USERS.editor), 'emailTemplates', 'm1'), { ...template, corpo: null }));
+        await assertSucceeds(setDoc(doc(rootAs(USERS.editor), 'emailTemplates', 'm1'), template));
+        await assertSucceeds(getDoc(doc(rootAs(USERS.viewer), 'emailTemplates', 'm1')));
+    });
+
+    it('contactos só aceitam texto no cargo e no LinkedIn', async () => {
+        const contact = { nome: 'Joana Lima', email: 'joana@alfa.com', telefone: '', cargo: 'Sócia', linkedin: 'linkedin.com/in/joana', principal: true };
+        const contactRef = doc(rootAs(USERS.editor), 'investors', 'inv-1', 'contacts', 'c1');
+        await assertFails(setDoc(contactRef, { ...contact, cargo: 3 }));
+        await assertFails(setDoc(contactRef, { ...contact, linkedin: { url: 'x' } }));
+        await assertSucceeds(setDoc(contactRef, contact));
+    });
+
+    it('tarefas precisam de descrição, projeto, investidor e vencimento', async () => {
+        const root = rootAs(USERS.editor);
+        await assertFails(setDoc(doc(root, 'tasks', 't1'), { descricao: '', projectId: 'aberto', investorId: 'inv-1', vencimento: new Date(), concluida: false }));
+        await assertFails(setDoc(doc(root, 'tasks', 't1'), { descricao: 'Ligar', projectId: 'aberto', investorId: 'inv-1', vencimento: '2026-01-01', concluida: false }));
+    });
+});
@@ -0,0 +1,57 @@
+import { describe, expect, it } from 'vitest';
+import { buildDealHistory, hasProjectProfile, isSimilarDeal, rankByFit, scoreFit, sharedProfile } from '../src/lib/fit.js';
+
+const PROJECT = { id: 'p1', name: 'Série A · Agro', setores: ['Agronegócio'], instrumento: 'Equity', valorAlvo: 20000000, estagio: 'Early Stage' };
+const SIMILAR = { id: 'p2', name: 'Série A · Grãos', setores: ['Agronegócio'], instrumento: 'Equity', valorAlvo: 30000000, estagio: 'Growth' };
+const OTHER = { id: 'p3', name: 'Debêntures · Solar', setores: ['Energia'], instrumento: 'Crédito', valorAlvo: 80000000, estagio: 'Growth' };
+
+const INVESTORS = [
+    { id: 'a', nomeFantasia: 'Aurora', setor: 'Agronegócio', creditoEquity: 'Crédito e Equity', nota: 3 },
+    { id: 'b', nomeFantasia: 'Boreal', setor: 'Generalista', creditoEquity: 'Equity', nota: 5 },
+    { id: 'c', nomeFantasia: 'Cobalto', setor: 'Energia', creditoEquity: 'Crédito', nota: 5 },
+];
+
+describe('adequação ao projeto', () => {
+    it('negócios semelhantes partilham pelo menos metade do perfil', () => {
+        expect(hasProjectProfile({ name: 'Sem perfil' })).toBe(false);
+        expect(sharedProfile(PROJECT, SIMILAR)).toEqual(['setor', 'instrumento', 'ticket']);
+        expect(isSimilarDeal(PROJECT, SIMILAR)).toBe(true);
+        expect(isSimilarDeal(PROJECT, OTHER)).toBe(false);
+    });
+
+    it('o histórico só guarda resultados finais em projetos semelhantes', () => {
+        const history = buildDealHistory(PROJECT, [
+            { project: PROJECT, entries: [{ id: 'a', status: 'Investido' }] },
+            { project: SIMILAR, entries: [{ id: 'a', status: 'Investido' }, { id: 'b', status: 'Recusado' }, { id: 'c', status: 'Contatado' }] },
+            { project: OTHER, entries: [{ id: 'c', status: 'Investido' }] },
+        ]);
+        expect([...history.keys()]).toEqual(['a', 'b']);
+        expect(history.get('b')[0]).toMatchObject({ status: 'Recusado', won: false, shared: ['setor', 'instrumento', 'ticket'] });
+    });
+
+    it('explica cada parcela da pontuação', () => {
+        const history = new Map([['a', [{ project: SIMILAR, status: 'Investido', won: true, shared: ['setor'] }]]]);
+        const { score, reasons } = scoreFit(INVESTORS[0], PROJECT, history);
+        expect(reasons.map(reason => [reason.label, Math.round(reason.points)])).toEqual([
+            ['Setor Agronegócio é do perfil do projeto', 30],
+            ['Investe em Equity', 20],
+            ['Nota global 3 de 5', 12],
+            ['1 ganho em negócios semelhantes', 15],
+        ]);
+        expect(reasons[3].details).toEqual(['Investido em Série A · Grãos (mesmo setor)']);
+        expect(score).toBe(77);
+    });
+
+    it('só conta as parcelas que o perfil permite avaliar e nunca desce de 0', () => {
+        const onlyInstrument = { id: 'p4', name: 'Crédito', instrumento: 'Crédito' };
+        expect(scoreFit(INVESTORS[2], onlyInstrument).score).toBe(57);
+        const losses = new Map([['c', [1, 2, 3].map(() => ({ project: SIMILAR, status: 'Recusado', won: false, shared: ['setor'] }))]]);
+        const fit = scoreFit({ ...INVESTORS[2], nota: 0 }, PROJECT, losses);
+        expect(fit.reasons[3]).toMatchObject({ label: '3 perdas em negócios semelhantes', points: -30 });
+        expect(fit.score).toBe(0);
+    });
+
+    it('ordena do mais para o menos adequado', () => {
+        expect(rankByFit(INVESTORS, PROJECT, new Map()).map(({ investor, fit }) => [investor.id, fit.score])).toEqual([['a', 62], ['b', 55], ['c', 20]]);
+    });
+});
@@ -0,0 +1,320 @@
+import { afterAll, beforeAll, beforeEach, describe, expect, it } from 'vitest';
+import { assertFails } from '@firebase/rules-unit-testing';
+import { collection, doc, getDoc, getDocs, setDoc } from 'firebase/firestore';
+import { parseCsv, detectDelimiter } from '../src/lib/csv.js';
+import { guessColumnMapping, buildImportPreview, buildImportOperations } from '../src/lib/importer.js';
+import {
+    importInvestors, addInvestorsToProject, updatePipelineEntry, addInteraction, updateInteraction,
+    updateInvestors, tagInvestors, moveInvestorsToTrash, updatePipelineEntries, removeFromProject, restorePipelineEntries, copyPipelineEntries, addInteractionToEntries, logSentEmails, duplicateProject,
+} from '../src/lib/operations.js';
+import { buildTimeline } from '../src/lib/pipeline.js';
+import { DEFAULT_STAGES, withStageNames } from '../src/lib/stages.js';
+import { USERS, authorOf, firestoreAs, seedWorkspace, setupEnvironment, workspaceRef } from './helpers.js';
+
+let testEnv;
+
+beforeAll(async () => { testEnv = await setupEnvironment(); });
+afterAll(async () => { await testEnv?.cleanup(); });
+beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await seedWorkspace(testEnv);
+});
+
+const rootAs = (user) => workspaceRef(firestoreAs(testEnv, user));
+const readAll = async (root, ...path) => (await getDocs(collection(root, ...path))).docs.map(d => ({ id: d.id, ...d.data() }));
+const readEntry = async (root, projectId, investorId) => {
+    const snap = await getDoc(doc(root, 'projects', projectId, 'pipeline', investorId));
+    return { id: snap.id, ...snap.data() };
+};
+
+describe('importação da base', () => {
+    const CSV = [
+        'NomeFantasia;Classificação;Setor;Nota;Email 1',
+        'Gama Investimentos;Family Office;Agro;4;gama@exemplo.com',
+        'fundo alfa;Gestora;Infra;5;',
+        ';Gestora;Infra;3;',
+    ].join('\r\n');
+
+    const preview = async (root) => {
+        const [headers, ...rows] = parseCsv(CSV, detectDelimiter(CSV));
+        return buildImportPreview(rows, guessColumnMapping(headers), await readAll(root, 'investors'));
+    };
+
+    it('cria os novos, atualiza os duplicados escolhidos e ignora linhas inválidas', async () => {
+        const root = rootAs(USERS.editor);
+        const rows = await preview(root);
+        expect(rows.map(row => row.errors.length > 0)).toEqual([false, false, true]);
+        expect(rows[1].duplicateOf?.id).toBe('inv-1');
+
+        const operations = buildImportOperations(rows.filter(row => row.errors.length === 0), () => 'merge');
+        await importInvestors(root, operations, authorOf(USERS.editor));
+
+        const investors = await readAll(root, 'investors');
+        expect(investors).toHaveLength(3);
+        const gama = investors.find(inv => inv.nomeFantasia === 'Gama Investimentos');
+        expect(gama).toMatchObject({ classificacao: 'Family Office', nota: 4, email1: 'gama@exemplo.com', criadoPor: authorOf(USERS.editor) });
+        // "merge" só preenche campos vazios: o nome e o e-mail existentes mantêm-se.
+        expect(investors.find(inv => inv.id === 'inv-1')).toMatchObject({ nomeFantasia: 'Fundo Alfa', email1: 'contato@alfa.com', setor: 'Infra' });
+        // O email importado passa a contacto principal do investidor novo.
+        expect(await readAll(root, 'investors', gama.id, 'contacts')).toEqual([expect.objectContaining({ id: 'importado-1', email: 'gama@exemplo.com', principal: true })]);
+    });
+
+    it('reimportar atualiza o contacto por omissão sem o duplicar nem apagar o nome', async () => {
+        const root = rootAs(USERS.editor);
+        await setDoc(doc(root, 'investors', 'inv-1', 'contacts', 'importado-1'), { nome: 'Ana Reis', email: 'contato@alfa.com', telefone: '', principal: true });
+        await importInvestors(root, [{ type: 'update', id: 'inv-1', data: { email1: 'ri@alfa.com', telefone: '+55 11 4000-1000' } }], authorOf(USERS.editor));
+        expect(await readAll(root, 'investors', 'inv-1', 'contacts')).toEqual([
+            { id: 'importado-1', nome: 'Ana Reis', email: 'ri@alfa.com', telefone: '+55 11 4000-1000', principal: true },
+        ]);
+    });
+
+    it('duplicados marcados para ignorar não geram escritas', async () => {
+        const rows = await preview(rootAs(USERS.editor));
+        const operations = buildImportOperations(rows.filter(row => row.duplicateOf), () => 'skip');
+        expect(operations).toEqual([]);
+    });
+
+    it('um leitor não consegue importar', async () => {
+        const root = rootAs(USERS.viewer);
+        const operations = buildImportOperations((await preview(root)).filter(row => row.errors.length === 0), () => 'update');
+        await assertFails(importInvestors(root, operations, authorOf(USERS.viewer)));
+    });
+});
+
+describe('adicionar ao projeto', () => {
+    it('cria a entrada na primeira etapa com prioridade 3 e o registo da entrada', async () => {
+        const root = rootAs(USERS.editor);
+        await addInvestorsToProject(root, 'aberto', ['inv-2'], 'Não Contatado', authorOf(USERS.editor));
+        const entry = await readEntry(root, 'aberto', 'inv-2');
+        expect(entry).toMatchObject({ status: 'Não Contatado', notaDePrioridade: 3, historicoDeInteracoes: [], adicionadoPor: authorOf(USERS.editor) });
+        expect(entry.historicoDeAlteracoes).toHaveLength(1);
+        expect(entry.historicoDeAlteracoes[0]).toMatchObject({ campo: 'status', de: null, para: 'Não Contatado' });
+    });
+
+    it('rejeita etapas que não existem no projeto', async () => {
+        await assertFails(addInvestorsToProject(rootAs(USERS.editor), 'aberto', ['inv-2'], 'Inexistente', authorOf(USERS.editor)));
+    });
+
+    it('num projeto restrito só os membros do projeto adicionam investidores', async () => {
+        await testEnv.withSecurityRulesDisabled(context => setDoc(doc(workspaceRef(context.firestore()), 'members', 'eva'), { uid: 'eva', papel: 'editor' }));
+        const eva = workspaceRef(testEnv.authenticatedContext('eva', { email: 'eva@pacta.com.br', email_verified: true }).firestore());
+        await assertFails(addInvestorsToProject(eva, 'restrito', ['inv-2'], 'Não Contatado', { uid: 'eva', nome: 'eva' }));
+    });
+});
+
+describe('arrastar cartões no Kanban', () => {
+    it('muda a etapa e acrescenta a alteração ao histórico com o autor', async () => {
+        const root = rootAs(USERS.editor);
+        const entry = await readEntry(root, 'aberto', 'inv-1');
+        await updatePipelineEntry(root, 'aberto', entry, { status: 'Reunião Agendada' }, authorOf(USERS.editor));
+        const moved = await readEntry(root, 'aberto', 'inv-1');
+        expect(moved.status).toBe('Reunião Agendada');
+        expect(moved.historicoDeAlteracoes).toHaveLength(1);
+        expect(moved.historicoDeAlteracoes[0]).toMatchObject({ campo: 'status', de: 'Contatado', para: 'Reunião Agendada', autor: authorOf(USERS.editor) });
+    });
+
+    it('largar o cartão na mesma coluna não grava nada', async () => {
+        const root = rootAs(USERS.editor);
+        const entry = await readEntry(root, 'aberto', 'inv-1');
+        await updatePipelineEntry(root, 'aberto', entry, { status: 'Contatado' }, authorOf(USERS.editor));
+        expect((await readEntry(root, 'aberto', 'inv-1')).historicoDeAlteracoes).toEqual([]);
+    });
+
+    it('um leitor não move cartões', async () => {
+        const root = rootAs(USERS.viewer);
+        const entry = await readEntry(root, 'aberto', 'inv-1');
+        await assertFails(updatePipelineEntry(root, 'aberto', entry, { status: 'Em Análise' }, authorOf(USERS.viewer)));
+    });
+});
+
+describe('interações', () => {
+    const author = authorOf(USERS.editor);
+    const meeting = (anotacoes, data = new Date('2026-03-10T15:00:00')) => ({ tipo: 'Reunião', data, anotacoes, autor: author });
+
+    it('registos em simultâneo não se perdem e cada um recebe um id', async () => {
+        const root = rootAs(USERS.editor);
+        await Promise.all([
+            addInteraction(root, 'aberto', 'inv-1', meeting('Primeira reunião')),
+            addInteraction(root, 'aberto', 'inv-1', { ...meeting('Follow-up'), tipo: 'Email' }),
+        ]);
+        const { historicoDeInteracoes } = await readEntry(root, 'aberto', 'inv-1');
+        expect(historicoDeInteracoes.map(item => item.anotacoes).sort()).toEqual(['Follow-up', 'Primeira reunião']);
+        expect(new Set(historicoDeInteracoes.map(item => item.id)).size).toBe(2);
+    });
+
+    it('edita e exclui uma interação pelo id', async () => {
+        const root = rootAs(USERS.editor);
+        await addInteraction(root, 'aberto', 'inv-1', meeting('Reuniao com erro'));
+        await addInteraction(root, 'aberto', 'inv-1', meeting('Outra'));
+        const [first, second] = (await readEntry(root, 'aberto', 'inv-1')).historicoDeInteracoes;
+
+        await updateInteraction(root, 'aberto', 'inv-1', first.id, item => ({ ...item, anotacoes: 'Reunião com o comité', editadoPor: author }));
+        await updateInteraction(root, 'aberto', 'inv-1', second.id, () => null);
+
+        const { historicoDeInteracoes } = await readEntry(root, 'aberto', 'inv-1');
+        expect(historicoDeInteracoes).toHaveLength(1);
+        expect(historicoDeInteracoes[0]).toMatchObject({ id: first.id, anotacoes: 'Reunião com o comité', editadoPor: author });
+    });
+
+    it('interações antigas sem id ganham ids na primeira edição', async () => {
+        await testEnv.withSecurityRulesDisabled(context => setDoc(doc(workspaceRef(context.firestore()), 'projects', 'aberto', 'pipeline', 'inv-1'), {
+            status: 'Contatado', notaDePrioridade: 3, historicoDeAlteracoes: [],
+            historicoDeInteracoes: [{ tipo: 'Email', data: new Date('2025-01-01'), anotacoes: 'Antiga' }, { tipo: 'Chamada', data: new Date('2025-02-01'), anotacoes: 'Outra antiga' }],
+        }));
+        const root = rootAs(USERS.editor);
+        const legacyKey = buildTimeline(await readEntry(root, 'aberto', 'inv-1')).find(item => item.anotacoes === 'Antiga').key;
+        await updateInteraction(root, 'aberto', 'inv-1', legacyKey, item => ({ ...item, anotacoes: 'Antiga (corrigida)' }));
+
+        const { historicoDeInteracoes } = await readEntry(root, 'aberto', 'inv-1');
+        expect(historicoDeInteracoes.map(item => item.anotacoes)).toEqual(['Antiga (corrigida)', 'Outra antiga']);
+        expect(historicoDeInteracoes.every(item => item.id)).toBe(true);
+    });
+
+    it('a data escolhida é mantida, permitindo registar reuniões passadas', async () => {
+        const root = rootAs(USERS.editor);
+        const data = new Date('2025-11-20T10:30:00');
+        await addInteraction(root, 'aberto', 'inv-1', meeting('Reunião de novembro', data));
+        const [item] = (await readEntry(root, 'aberto', 'inv-1')).historicoDeInteracoes;
+        expect(item.data.toDate().getTime()).toBe(data.getTime());
+    });
+
+    it('um leitor não regista interações', async () => {
+        await assertFails(addInteraction(rootAs(USERS.viewer), 'aberto', 'inv-1', meeting('Não deveria gravar')));
+    });
+});
+
+describe('ações em lote', () => {
+    const author = authorOf(USERS.editor);
+
+    it('etiqueta e edita vários investidores sem apagar as etiquetas existentes', async () => {
+        const root = rootAs(USERS.editor);
+        const progress = [];
+        await tagInvestors(root, ['inv-1', 'inv-2'], ['Roadshow'], 'add', (done, total) => progress.push([done, total]));
+        await tagInvestors(root, ['inv-1'], ['Prioritário'], 'add');
+        await updateInvestors(root, ['inv-1', 'inv-2'], { setor: 'Agro' });
+        const investors = await readAll(root, 'investors');
+        expect(investors.find(inv => inv.id === 'inv-1')).toMatchObject({ tags: ['Roadshow', 'Prioritário'], setor: 'Agro', nomeFantasia: 'Fundo Alfa' });
+        expect(investors.find(inv => inv.id === 'inv-2')).toMatchObject({ tags: ['Roadshow'], setor: 'Agro' });
+        expect(progress).toEqual([[2, 2]]);
+    });
+
+    it('a exclusão em lote arquiva as entradas de todos os projetos visíveis', async () => {
+        const root = rootAs(USERS.editor);
+        await moveInvestorsToTrash(root, ['aberto', 'restrito'], ['inv-1', 'inv-2'], 'archive');
+        const investors = await readAll(root, 'investors');
+        expect(investors.every(inv => inv.excluidoEm)).toBe(true);
+        expect((await readEntry(root, 'aberto', 'inv-1')).arquivado).toBe(true);
+        expect((await readEntry(root, 'restrito', 'inv-1')).arquivado).toBe(true);
+    });
+
+    it('muda a etapa de várias entradas com registo e ignora as que já lá estão', async () => {
+        const root = rootAs(USERS.editor);
+        await addInvestorsToProject(root, 'aberto', ['inv-2'], 'Contatado', author);
+        const entries = await Promise.all(['inv-1', 'inv-2'].map(id => readEntry(root, 'aberto', id)));
+        expect(await updatePipelineEntries(root, 'aberto', entries, { status: 'Contatado' }, author)).toBe(0);
+        expect(await updatePipelineEntries(root, 'aberto', entries, { status: 'Em Análise', notaDePrioridade: 5 }, author)).toBe(2);
+        const updated = await readEntry(root, 'aberto', 'inv-1');
+        expect(updated).toMatchObject({ status: 'Em Análise', notaDePrioridade: 5 });
+        expect(updated.historicoDeAlteracoes.map(change => change.campo).sort()).toEqual(['notaDePrioridade', 'status']);
+    });
+
+    it('regista a mesma interação em todos, com ids distintos, e remove do projeto', async () => {
+        const root = rootAs(USERS.editor);
+        await addInvestorsToProject(root, 'aberto', ['inv-2'], 'Não Contatado', author);
+        await addInteractionToEntries(root, 'aberto', ['inv-1', 'inv-2'], { tipo: 'Email', data: new Date(), anotacoes: 'Teaser enviado por email', autor: author });
+        const [first, second] = await Promise.all(['inv-1', 'inv-2'].map(id => readEntry(root, 'aberto', id)));
+        expect(first.historicoDeInteracoes[0].anotacoes).toBe('Teaser enviado por email');
+        expect(first.historicoDeInteracoes[0].id).not.toBe(second.historicoDeInteracoes[0].id);
+
+        await removeFromProject(root, 'aberto', ['inv-1', 'inv-2']);
+        expect(await readAll(root, 'projects', 'aberto', 'pipeline')).toEqual([]);
+    });
+
+    it('regista cada email com o seu texto e só move para Contatado quem ainda não foi contactado', async () => {
+        const root = rootAs(USERS.editor);
+        await addInvestorsToProject(root, 'aberto', ['inv-2'], 'Não Contatado', author);
+        const email = (id, status, nome) => ({ entry: { id, status }, status: 'Contatado', interaction: { tipo: 'Email', data: new Date(), anotacoes: `Assunto: Série A\n\nOlá ${nome}`, autor: author } });
+        await logSentEmails(root, 'aberto', [email('inv-1', 'Contatado', 'Alfa'), email('inv-2', 'Não Contatado', 'Beta')], author);
+        const [first, second] = await Promise.all(['inv-1', 'inv-2'].map(id => readEntry(root, 'aberto', id)));
+        expect(first.historicoDeInteracoes.map(item => item.anotacoes)).toEqual(['Assunto: Série A\n\nOlá Alfa']);
+        expect(first.historicoDeAlteracoes).toEqual([]);
+        expect(second.status).toBe('Contatado');
+        expect(second.historicoDeInteracoes[0].anotacoes).toBe('Assunto: Série A\n\nOlá Beta');
+        expect(second.historicoDeAlteracoes.at(-1)).toMatchObject({ campo: 'status', de: 'Não Contatado', para: 'Contatado', autor: author });
+    });
+
+    it('um leitor não faz ações em lote', async () => {
+        await assertFails(tagInvestors(rootAs(USERS.viewer), ['inv-1'], ['Roadshow'], 'add'));
+        await assertFails(removeFromProject(rootAs(USERS.viewer), 'aberto', ['inv-1']));
+    });
+});
+
+describe('remover, copiar e mover entre projetos', () => {
+    const author = authorOf(USERS.editor);
+    const stageNames = DEFAULT_STAGES.map(stage => stage.nome);
+
+    it('desfazer a remoção repõe a entrada com o histórico e as tarefas', async () => {
+        const root = rootAs(USERS.editor);
+        await addInteraction(root, 'aberto', 'inv-1', { tipo: 'Email', data: new Date(), anotacoes: 'Teaser', autor: author });
+        await setDoc(doc(root, 'tasks', 't-1'), { descricao: 'Ligar', projectId: 'aberto', investorId: 'inv-1', vencimento: new Date(), concluida: false });
+        await setDoc(doc(root, 'tasks', 't-2'), { descricao: 'Enviar teaser', projectId: 'restrito', investorId: 'inv-1', vencimento: new Date(), concluida: false });
+        const removed = await removeFromProject(root, 'aberto', ['inv-1']);
+        expect(await readAll(root, 'projects', 'aberto', 'pipeline')).toEqual([]);
+        expect((await readAll(root, 'tasks')).map(task => task.id)).toEqual(['t-2']);
+
+        await restorePipelineEntries(root, 'aberto', removed);
+        const restored = await readEntry(root, 'aberto', 'inv-1');
+        expect(restored.status).toBe('Contatado');
+        expect(restored.historicoDeInteracoes.map(item => item.anotacoes)).toEqual(['Teaser']);
+        expect((await getDoc(doc(root, 'tasks', 't-1'))).data().descricao).toBe('Ligar');
+    });
+
+    it('copia com histórico e mantém a origem; sem histórico a cópia começa do zero', async () => {
+        const root = rootAs(USERS.editor);
+        await addInteraction(root, 'aberto', 'inv-1', { tipo: 'Email', data: new Date(), anotacoes: 'Teaser', autor: author });
+        await testEnv.withSecurityRulesDisabled(context => setDoc(doc(workspaceRef(context.firestore()), 'projects', 'novo'), { name: 'Série B', ...withStageNames(DEFAULT_STAGES), membros: [], arquivado: false }));
+
+        expect(await copyPipelineEntries(root, 'aberto', 'novo', ['inv-1'], { withHistory: true, targetStages: stageNames }, author)).toBe(1);
+        expect((await readEntry(root, 'novo', 'inv-1')).historicoDeInteracoes).toHaveLength(1);
+        expect((await readEntry(root, 'aberto', 'inv-1')).status).toBe('Contatado');
+
+        // Já está no destino: ignorado.
+        expect(await copyPipelineEntries(root, 'aberto', 'novo', ['inv-1'], { targetStages: stageNames }, author)).toBe(0);
+
+        await addInvestorsToProject(root, 'aberto', ['inv-2'], 'Em Análise', author);
+        await copyPipelineEntries(root, 'aberto', 'novo', ['inv-2'], { targetStages: stageNames }, author);
+        expect(await readEntry(root, 'novo', 'inv-2')).toMatchObject({ status: 'Em Análise', historicoDeInteracoes: [], adicionadoPor: author });
+    });
+
+    it('mover leva as tarefas e usa a primeira etapa quando a etapa não existe no destino', async () => {
+        const root = rootAs(USERS.editor);
+        const etapas = [{ nome: 'Triagem', cor: 'gray', tipo: 'aberta' }, { nome: 'Fechado', cor: 'green', tipo: 'ganho' }];
+        await testEnv.withSecurityRulesDisabled(context => setDoc(doc(workspaceRef(context.firestore()), 'projects', 'novo'), { name: 'Série B', ...withStageNames(etapas), membros: [], arquivado: false }));
+        await setDoc(doc(root, 'tasks', 't-1'), { descricao: 'Ligar', projectId: 'aberto', investorId: 'inv-1', vencimento: new Date(), concluida: false });
+
+        await copyPipelineEntries(root, 'aberto', 'novo', ['inv-1'], { move: true, withHistory: true, targetStages: etapas.map(stage => stage.nome) }, author);
+        const moved = await readEntry(root, 'novo', 'inv-1');
+        expect(moved.status).toBe('Triagem');
+        expect(moved.historicoDeAlteracoes.at(-1)).toMatchObject({ campo: 'status', de: 'Contatado', para: 'Triagem' });
+        expect(await readAll(root, 'projects', 'aberto', 'pipeline')).toEqual([]);
+        expect((await getDoc(doc(root, 'tasks', 't-1'))).data().projectId).toBe('novo');
+    });
+});
+
+describe('duplicar projetos', () => {
+    const project = async (id) => ({ id, ...(await getDoc(doc(rootAs(USERS.admin), 'projects', id))).data() });
+
+    it('a cópia reinicia o pipeline na primeira etapa', async () => {
+        const root = rootAs(USERS.editor);
+        const copyId = await duplicateProject(root, await project('aberto'), 'Não Contatado');
+        expect((await getDoc(doc(root, 'projects', copyId))).data()).toMatchObject({ name: 'Série A (cópia)', membros: [] });
+        expect(await readEntry(root, copyId, 'inv-1')).toMatchObject({ status: 'Não Contatado', historicoDeInteracoes: [] });
+    });
+
+    it('um projeto restrito continua restrito na cópia, por isso só um administrador o duplica', async () => {
+        const restricted = await project('restrito');
+        await assertFails(duplicateProject(rootAs(USERS.editor), restricted, 'Não Contatado'));
+        const copyId = await duplicateProject(rootAs(USERS.admin), restricted, 'Não Contatado');
+        expect((await getDoc(doc(rootAs(USERS.admin), 'projects', copyId))).data().membros).toEqual([USERS.editor.uid]);
+    });
+});
@@ -0,0 +1,53 @@
+import { readFileSync } from 'node:fs';
+import { initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { doc, setDoc } from 'firebase/firestore';
+import { DEFAULT_STAGES, withStageNames } from '../src/lib/stages.js';
+
+// --- AMBIENTE DE TESTES (EMULADOR DO FIRESTORE) ---
+// `npm test` arranca o emulador com `firebase emulators:exec`, que define FIRESTORE_EMULATOR_HOST.
+
+export const APP_ID = 'investidores-pacta-test';
+export const WORKSPACE_ID = 'pacta';
+
+export const USERS = {
+    admin: { uid: 'ana', email: 'ana@pacta.com.br' },
+    editor: { uid: 'bruno', email: 'bruno@pacta.com.br' },
+    viewer: { uid: 'carla', email: 'carla@fundador.com' },
+    outsider: { uid: 'duarte', email: 'duarte@outra.com' },
+};
+
+export const setupEnvironment = () => initializeTestEnvironment({
+    projectId: 'demo-investidores-pacta',
+    firestore: { rules: readFileSync(new URL('../firestore.rules', import.meta.url), 'utf8') },
+});
+
+// Firestore autenticado como um dos USERS (ou sem sessão, se `user` for null), com o e-mail verificado
+// salvo indicação em contrário.
+export const firestoreAs = (testEnv, user, { emailVerified = true } = {}) => (user
+    ? testEnv.authenticatedContext(user.uid, { email: user.email, email_verified: emailVerified }).firestore()
+    : testEnv.unauthenticatedContext().firestore());
+
+export const workspaceRef = (db, workspaceId = WORKSPACE_ID) => doc(db, 'artifacts', APP_ID, 'workspaces', workspaceId);
+
+export const authorOf = (user) => ({ uid: user.uid, nome: user.email });
+
+// Espaço com um membro de cada papel, um projeto aberto a todos ('aberto'), um projeto restrito
+// ao editor ('restrito') e um investidor já no pipeline do projeto aberto.
+export const seedWorkspace = (testEnv) => testEnv.withSecurityRulesDisabled(async (context) => {
+    const db = context.firestore();
+    const root = workspaceRef(db);
+    await setDoc(root, { nome: 'Pacta', criadoEm: new Date(), criadoPor: USERS.admin.uid });
+    await Promise.all(['admin', 'editor', 'viewer'].map(papel => setDoc(doc(root, 'members', USERS[papel].uid), {
+        uid: USERS[papel].uid, nome: USERS[papel].uid, email: USERS[papel].email, papel, entrouEm: new Date(),
+    })));
+    await setDoc(doc(root, 'projects', 'aberto'), { name: 'Série A', ...withStageNames(DEFAULT_STAGES), membros: [], arquivado: false });
+    await setDoc(doc(root, 'projects', 'restrito'), { name: 'Debêntures', ...withStageNames(DEFAULT_STAGES), membros: [USERS.editor.uid], arquivado: false });
+    await setDoc(doc(root, 'investors', 'inv-1'), { nomeFantasia: 'Fundo Alfa', nota: 4, email1: 'contato@alfa.com' });
+    await setDoc(doc(root, 'investors', 'inv-2'), { nomeFantasia: 'Beta Capital', nota: 3 });
+    await setDoc(doc(root, 'projects', 'aberto', 'pipeline', 'inv-1'), {
+        status: 'Contatado', notaDePrioridade: 3, historicoDeInteracoes: [], historicoDeAlteracoes: [],
+    });
+    await setDoc(doc(root, 'projects', 'restrito', 'pipeline', 'inv-1'), {
+        status: 'Não Contatado', notaDePrioridade: 3, historicoDeInteracoes: [], historicoDeAlteracoes: [],
+    });
+});
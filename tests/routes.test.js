@@ -0,0 +1,34 @@
+import { describe, expect, it } from 'vitest';
+import { buildPath, parseRoute } from '../src/lib/routes.js';
+
+const route = (page, projectId = null, investorId = null) => ({ page, projectId, investorId });
+
+describe('rotas', () => {
+    it('cada página volta à mesma rota depois de ir para o URL (links partilhados)', () => {
+        [
+            route('dashboard'),
+            route('dashboard', 'p1'),
+            route('kanban', 'p1'),
+            route('analytics', 'p1'),
+            route('dashboard', 'p1', 'inv-1'),
+            route('master_list'),
+            route('master_list', null, 'inv-1'),
+            route('tasks'),
+            route('workspace'),
+            route('profile'),
+        ].forEach(original => expect(parseRoute(buildPath(original))).toEqual(original));
+    });
+
+    it('codifica ids com caracteres especiais', () => {
+        const original = route('dashboard', 'série a/2026', 'inv 1');
+        expect(buildPath(original)).toBe('/projetos/s%C3%A9rie%20a%2F2026/investidores/inv%201');
+        expect(parseRoute(buildPath(original))).toEqual(original);
+    });
+
+    it('caminhos desconhecidos ou incompletos abrem o dashboard', () => {
+        expect(parseRoute('/qualquer/coisa')).toEqual(route('dashboard'));
+        expect(parseRoute('/projetos')).toEqual(route('dashboard'));
+        expect(parseRoute('/projetos/p1/investidores')).toEqual(route('dashboard', 'p1'));
+        expect(parseRoute('/projetos/%E0%A4%A')).toEqual(route('dashboard', '%E0%A4%A'));
+    });
+});
@@ -0,0 +1,66 @@
+import { describe, expect, it } from 'vitest';
+import { EMPTY_FILTERS, countActiveFilters, filterInvestors, normalizeFilters, uniqueTags, uniqueValues } from '../src/lib/search.js';
+import { parseTags } from '../src/lib/investors.js';
+
+const INVESTORS = [
+    { id: 'a', nomeFantasia: 'Fundo Alfa', setor: 'Agro', classificacao: 'Gestora', creditoEquity: 'Crédito', nota: 4, justificativa: 'Tese de crédito rural', email1: 'ri@alfa.com' },
+    { id: 'b', nomeFantasia: 'Beta Capital', setor: 'Energia', classificacao: 'Family Office', creditoEquity: 'Equity', nota: 2, email1: 'contato@beta.vc', tags: ['Roadshow', 'Prioritário'] },
+    { id: 'c', nomeFantasia: 'Gama Investimentos', setor: 'Agro', classificacao: 'Family Office', creditoEquity: 'Equity', nota: 5, tags: ['Roadshow'] },
+];
+const ids = (list) => list.map(investor => investor.id);
+const withFilters = (filters, excludedIds) => ids(filterInvestors(INVESTORS, { ...EMPTY_FILTERS, ...filters }, excludedIds));
+
+describe('pesquisa e filtros da base', () => {
+    it('pesquisa sem acentos em todos os campos, incluindo justificativa e emails', () => {
+        expect(withFilters({ texto: 'credito' })).toEqual(['a']);
+        expect(withFilters({ texto: 'RURAL' })).toEqual(['a']);
+        expect(withFilters({ texto: 'beta.vc' })).toEqual(['b']);
+    });
+
+    it('exige todas as palavras, em qualquer ordem', () => {
+        expect(withFilters({ texto: 'agro family' })).toEqual(['c']);
+    });
+
+    it('filtros de escolha múltipla aceitam qualquer dos valores escolhidos', () => {
+        expect(withFilters({ classificacao: ['Gestora', 'Family Office'], setor: ['Agro'] })).toEqual(['a', 'c']);
+    });
+
+    it('filtra pelo intervalo de nota, com limites incluídos', () => {
+        expect(withFilters({ notaMin: 4, notaMax: 5 })).toEqual(['a', 'c']);
+    });
+
+    it('"fora do projeto" exclui os investidores desse pipeline', () => {
+        expect(withFilters({ foraDoProjeto: 'p1' }, new Set(['a']))).toEqual(['b', 'c']);
+        expect(withFilters({}, new Set(['a']))).toEqual(['a', 'b', 'c']);
+    });
+
+    it('conta os filtros ativos e completa vistas antigas', () => {
+        expect(countActiveFilters(EMPTY_FILTERS)).toBe(0);
+        expect(countActiveFilters({ texto: 'x', setor: ['Agro'], notaMin: 1 })).toBe(3);
+        expect(normalizeFilters({ setor: ['Agro'] })).toEqual({ ...EMPTY_FILTERS, setor: ['Agro'] });
+    });
+
+    it('etiquetas: qualquer das escolhidas, e também entram na pesquisa de texto', () => {
+        expect(withFilters({ tags: ['Prioritário'] })).toEqual(['b']);
+        expect(withFilters({ tags: ['Roadshow', 'Prioritário'] })).toEqual(['b', 'c']);
+        expect(withFilters({ texto: 'prioritario' })).toEqual(['b']);
+        expect(uniqueTags(INVESTORS)).toEqual(['Prioritário', 'Roadshow']);
+        expect(parseTags(' Roadshow,  Série  A ,,Roadshow ')).toEqual(['Roadshow', 'Série A']);
+    });
+
+    it('campos personalizados: filtros por campo, contados e incluídos na pesquisa', () => {
+        const fields = [{ id: 'ticket', nome: 'Ticket', tipo: 'moeda', opcoes: [] }, { id: 'foco', nome: 'Foco', tipo: 'multipla', opcoes: ['Brasil', 'Europa'] }];
+        const investors = INVESTORS.map((investor, index) => ({ ...investor, campos: [{ ticket: 500000, foco: ['Brasil'] }, { ticket: 5000000, foco: ['Europa'] }, {}][index] }));
+        const filtered = (campos) => ids(filterInvestors(investors, { ...EMPTY_FILTERS, campos }, null, fields));
+        expect(filtered({ ticket: { min: '1000000', max: '' } })).toEqual(['b']);
+        expect(filtered({ foco: ['Brasil', 'Europa'], ticket: { min: '', max: '' } })).toEqual(['a', 'b']);
+        expect(filtered({ removido: 'x' })).toEqual(['a', 'b', 'c']);
+        expect(countActiveFilters({ campos: { ticket: { min: '1', max: '' }, foco: [] } })).toBe(1);
+        expect(countActiveFilters({ campos: { ticket: { min: '1', max: '' }, removido: 'x' } }, fields)).toBe(1);
+        expect(ids(filterInvestors(investors, { ...EMPTY_FILTERS, texto: 'europa' }))).toEqual(['b']);
+    });
+
+    it('lista os valores distintos por ordem alfabética', () => {
+        expect(uniqueValues(INVESTORS, 'classificacao')).toEqual(['Family Office', 'Gestora']);
+    });
+});
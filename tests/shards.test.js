@@ -0,0 +1,23 @@
+import { describe, expect, it } from 'vitest';
+import { idShards, indexById, shardOf } from '../src/lib/shards.js';
+import { joinPipeline } from '../src/lib/pipeline.js';
+
+describe('carregamento da base por partes', () => {
+    it('as partes cobrem todos os ids sem se sobreporem', () => {
+        const shards = idShards();
+        expect(shards[0].from).toBeNull();
+        expect(shards.at(-1).to).toBeNull();
+        shards.slice(1).forEach((shard, index) => expect(shard.from).toBe(shards[index].to));
+        ['0abc', '8', 'Fzz', 'Z9', 'a1', 'zzzz', 'investidor-manual'].forEach(id => {
+            const inShards = shards.filter(({ from, to }) => (!from || id >= from) && (!to || id < to));
+            expect(inShards).toHaveLength(1);
+            expect(shards.indexOf(inShards[0])).toBe(shardOf(id));
+        });
+    });
+
+    it('junta o pipeline à base pelo id, sem arquivados nem investidores em falta', () => {
+        const investorsById = indexById([{ id: 'a', nomeFantasia: 'Aurora', nota: 4 }, { id: 'b', nomeFantasia: 'Boreal' }]);
+        const entries = [{ id: 'a', status: 'Contatado' }, { id: 'b', status: 'Reunião', arquivado: true }, { id: 'c', status: 'Contatado' }];
+        expect(joinPipeline(entries, investorsById)).toEqual([{ id: 'a', nomeFantasia: 'Aurora', nota: 4, status: 'Contatado' }]);
+    });
+});
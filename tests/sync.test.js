@@ -0,0 +1,40 @@
+import { describe, expect, it, vi } from 'vitest';
+import { findConflicts } from '../src/lib/pipeline.js';
+import { queuedWrite, syncState } from '../src/lib/sync.js';
+
+const change = (de, para, data, autor) => ({ campo: 'status', de, para, data: new Date(data), autor: { uid: autor, nome: autor } });
+
+describe('conflitos no histórico do pipeline', () => {
+    it('alterações em sequência não são conflitos, mesmo com mudanças de etapa sem registo', () => {
+        expect(findConflicts({ historicoDeAlteracoes: [
+            change(null, 'Contatado', '2026-03-01', 'ana'),
+            change('Contatado', 'Reunião', '2026-03-02', 'bruno'),
+            change('Reunião (renomeada)', 'Em Análise', '2026-03-05', 'ana'),
+        ] })).toEqual([]);
+    });
+
+    it('deteta uma alteração feita offline que chegou depois de outra ao mesmo campo', () => {
+        const online = change('Contatado', 'Reunião', '2026-03-02T10:00', 'bruno');
+        const offline = change('Contatado', 'Recusado', '2026-03-02T09:00', 'ana');
+        const conflicts = findConflicts({ historicoDeAlteracoes: [change(null, 'Contatado', '2026-03-01', 'ana'), online, offline] });
+        expect(conflicts).toEqual([{ campo: 'status', index: 2, sobreposta: online, alteracao: offline }]);
+    });
+});
+
+describe('escritas em fila', () => {
+    it('offline resolve de imediato e entrega o erro posterior a onRejected', async () => {
+        let reject;
+        const write = new Promise((_, r) => { reject = r; });
+        const onRejected = vi.fn();
+        await queuedWrite(write, { isOnline: false, onRejected });
+        reject(new Error('permission-denied'));
+        await new Promise(resolve => setTimeout(resolve, 0));
+        expect(onRejected).toHaveBeenCalledOnce();
+    });
+
+    it('resume o estado da sincronização', () => {
+        expect(syncState(false, 0)).toBe('offline');
+        expect(syncState(true, 2)).toBe('syncing');
+        expect(syncState(true, 0)).toBe('synced');
+    });
+});
@@ -0,0 +1,54 @@
+import { describe, expect, it } from 'vitest';
+import { paginate, resolveTablePrefs, sortRows, toggleSort } from '../src/lib/table.js';
+
+const ROWS = [
+    { id: 'a', nome: 'Ágil Capital', setor: 'Agro', nota: 3 },
+    { id: 'b', nome: 'beta', setor: 'Energia', nota: 5 },
+    { id: 'c', nome: 'Alfa', setor: 'Agro', nota: 5 },
+    { id: 'd', nome: 'Delta', setor: '', nota: 1 },
+];
+const ids = (rows) => rows.map(row => row.id);
+
+describe('ordenação das tabelas', () => {
+    it('ordena texto sem acentos nem maiúsculas', () => {
+        expect(ids(sortRows(ROWS, [{ key: 'nome', dir: 'asc' }]))).toEqual(['a', 'c', 'b', 'd']);
+    });
+
+    it('desempata pelas colunas seguintes', () => {
+        expect(ids(sortRows(ROWS, [{ key: 'nota', dir: 'desc' }, { key: 'nome', dir: 'asc' }]))).toEqual(['c', 'b', 'a', 'd']);
+    });
+
+    it('deixa os valores vazios no fim em qualquer direção', () => {
+        expect(ids(sortRows(ROWS, [{ key: 'setor', dir: 'desc' }])).at(-1)).toBe('d');
+        expect(ids(sortRows(ROWS, [{ key: 'setor', dir: 'asc' }])).at(-1)).toBe('d');
+    });
+
+    it('usa o sortValue da coluna quando existe', () => {
+        const columns = [{ key: 'nome', sortValue: row => row.nome.length }];
+        expect(ids(sortRows(ROWS, [{ key: 'nome', dir: 'asc' }], columns))).toEqual(['b', 'c', 'd', 'a']);
+    });
+
+    it('clique simples alterna asc, desc e nenhuma; Shift+clique acrescenta desempates', () => {
+        expect(toggleSort([], 'nome')).toEqual([{ key: 'nome', dir: 'asc' }]);
+        expect(toggleSort([{ key: 'nome', dir: 'asc' }], 'nome')).toEqual([{ key: 'nome', dir: 'desc' }]);
+        expect(toggleSort([{ key: 'nome', dir: 'desc' }], 'nome')).toEqual([]);
+        expect(toggleSort([{ key: 'nota', dir: 'desc' }], 'nome')).toEqual([{ key: 'nome', dir: 'asc' }]);
+        expect(toggleSort([{ key: 'nota', dir: 'desc' }], 'nome', true)).toEqual([{ key: 'nota', dir: 'desc' }, { key: 'nome', dir: 'asc' }]);
+        expect(toggleSort([{ key: 'nota', dir: 'desc' }, { key: 'nome', dir: 'desc' }], 'nome', true)).toEqual([{ key: 'nota', dir: 'desc' }]);
+    });
+});
+
+describe('paginação e preferências', () => {
+    it('divide em páginas e corrige páginas fora do intervalo', () => {
+        expect(paginate(ROWS, 2, 3)).toMatchObject({ page: 2, pageCount: 2, rows: [ROWS[3]] });
+        expect(paginate(ROWS, 9, 3).page).toBe(2);
+        expect(paginate([], 1, 25)).toMatchObject({ page: 1, pageCount: 1, rows: [] });
+    });
+
+    it('ignora colunas que já não existem e tamanhos de página inválidos', () => {
+        const defaults = { colunas: ['nome'], ordenacao: [], porPagina: 50 };
+        expect(resolveTablePrefs({ colunas: ['antiga', 'setor'], ordenacao: [{ key: 'antiga', dir: 'asc' }], porPagina: 7 }, defaults, ['nome', 'setor']))
+            .toEqual({ colunas: ['setor'], ordenacao: [], porPagina: 50 });
+        expect(resolveTablePrefs(undefined, defaults, ['nome'])).toEqual(defaults);
+    });
+});
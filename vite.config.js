@@ -6,4 +6,13 @@ import react from '@vitejs/plugin-react'
 // automaticamente o postcss.config.js.
 export default defineConfig({
   plugins: [react()],
+  // Os testes correm contra o emulador do Firestore (ver `npm test`), um ficheiro de cada vez
+  // para que a limpeza da base entre testes não interfira com outro ficheiro.
+  test: {
+    include: ['tests/**/*.test.js'],
+    environment: 'node',
+    fileParallelism: false,
+    testTimeout: 20000,
+    hookTimeout: 20000,
+  },
 })